@@ -0,0 +1,44 @@
+import express from 'express';
+import cors from 'cors';
+import { authRouter } from './routes/auth.mjs';
+import { usersRouter } from './routes/users.mjs';
+import { relationshipsRouter } from './routes/relationships.mjs';
+import { metricsRouter } from './routes/metrics.mjs';
+import { webhooksRouter } from './routes/webhooks.mjs';
+import { presenceRouter } from './routes/presence.mjs';
+import { groupsRouter } from './routes/groups.mjs';
+import { adminRouter } from './routes/admin.mjs';
+import { deliveryRouter } from './routes/delivery.mjs';
+import { rateLimit } from './middleware/rateLimit.mjs';
+
+/**
+ * Express app with every REST route (no listening, no storage connect).
+ * Shared by index.mjs and the integration tests. Set app.locals.presenceServer to the
+ * PresenceWebSocketServer once it exists: GET /presence/stream serves through it.
+ */
+export function createApp() {
+  const app = express();
+
+  // Middleware
+  app.use(cors());
+  app.use(express.json());
+  app.use(rateLimit('api')); // per-IP budget across every route; routes add tighter policies
+
+  // Routes
+  app.use(authRouter);
+  app.use(usersRouter);
+  app.use(relationshipsRouter);
+  app.use(metricsRouter);
+  app.use(webhooksRouter);
+  app.use(presenceRouter);
+  app.use(groupsRouter);
+  app.use(adminRouter);
+  app.use(deliveryRouter);
+
+  // Health check
+  app.get('/health', (req, res) => {
+    res.json({ ok: true, timestamp: new Date().toISOString() });
+  });
+
+  return app;
+}
@@ -7,29 +7,229 @@ export const config = {
   port: parseInt(process.env.PORT || '3000', 10),
   redisUrl: process.env.REDIS_URL || 'redis://localhost:6379',
 
+  // ---- Storage backend ----
+  // redis | memory. "memory" keeps everything in this process (local dev, tests): no Redis needed,
+  // but state is lost on restart and is not shared between processes.
+  storageBackend: process.env.STORAGE_BACKEND || 'redis',
+  // How often the memory backend expires keys that nobody reads (emits expired events)
+  memoryExpirySweepMs: parseInt(process.env.MEMORY_EXPIRY_SWEEP_MS || '100', 10),
+
   // Heartbeat: no need to be super aggressive. 30-60s is typical.
   heartbeatIntervalMs: parseInt(process.env.HEARTBEAT_INTERVAL_MS || '45000', 10),
 
   // Presence TTL should be > heartbeat (2x is a decent start)
   presenceTtlSeconds: parseInt(process.env.PRESENCE_TTL_SECONDS || '120', 10),
 
+  // Shadow copy of presence:user:* used to claim TTL-expiry flips. Must outlive the presence TTL.
+  presenceShadowTtlSeconds: parseInt(process.env.PRESENCE_SHADOW_TTL_SECONDS || '86400', 10),
+
+  // ---- TTL expiry (Redis keyspace notifications) ----
+  // Turn expired presence keys into offline flips.
+  keyspaceNotificationsEnabled: process.env.KEYSPACE_NOTIFICATIONS_ENABLED !== 'false',
+  // Try CONFIG SET notify-keyspace-events on boot. Disable on managed Redis that forbids CONFIG.
+  configureKeyspaceEvents: process.env.CONFIGURE_KEYSPACE_EVENTS !== 'false',
+
+  // ---- Presence history (GET /users/:email/history) ----
+  historyRetentionDays: parseInt(process.env.HISTORY_RETENTION_DAYS || '30', 10),
+  // Cap per user, so a flapping connection can't grow the history without bound
+  historyMaxSessions: parseInt(process.env.HISTORY_MAX_SESSIONS || '1000', 10),
+
+  // ---- Presence event log & webhooks ----
+  // Every flip is appended to the presence:events stream (approx. capped at this length)
+  presenceEventsMaxLen: parseInt(process.env.PRESENCE_EVENTS_MAX_LEN || '100000', 10),
+  webhooksEnabled: process.env.WEBHOOKS_ENABLED !== 'false',
+  webhookPollIntervalMs: parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS || '1000', 10),
+  webhookTimeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS || '5000', 10),
+  // Attempts before a delivery goes to the dead-letter list; backoff doubles from base up to max
+  webhookMaxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8', 10),
+  webhookBackoffBaseMs: parseInt(process.env.WEBHOOK_BACKOFF_BASE_MS || '1000', 10),
+  webhookBackoffMaxMs: parseInt(process.env.WEBHOOK_BACKOFF_MAX_MS || '300000', 10),
+  webhookBatchSize: parseInt(process.env.WEBHOOK_BATCH_SIZE || '100', 10),
+  webhookDeadLetterMax: parseInt(process.env.WEBHOOK_DEAD_LETTER_MAX || '1000', 10),
+
+  // ---- Admin API (/admin/*) ----
+  // Shared bearer token for operators and backend integrations. Unset = admin routes disabled.
+  adminApiToken: process.env.ADMIN_API_TOKEN || '',
+
+  // ---- Auth (session tokens) ----
+  // HMAC secret for signing tokens. MUST be set (and shared) when running more than one server,
+  // otherwise each process signs with its own random secret and tokens die on restart.
+  authTokenSecret: process.env.AUTH_TOKEN_SECRET || crypto.randomBytes(32).toString('hex'),
+  accessTokenTtlSeconds: parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS || '3600', 10),
+  refreshTokenTtlSeconds: parseInt(process.env.REFRESH_TOKEN_TTL_SECONDS || '2592000', 10), // 30d
+
   // Unique server ID for multi-server deployments
   serverId: process.env.SERVER_ID || crypto.randomUUID(),
 
+  // ---- Message delivery (POST /deliver) ----
+  // Undelivered messages kept per user; queueing past the cap evicts the oldest
+  deliveryQueueMax: parseInt(process.env.DELIVERY_QUEUE_MAX || '100', 10),
+  // Lifetime of a queued message when the request sets none, and the most it may ask for
+  deliveryTtlSeconds: parseInt(process.env.DELIVERY_TTL_SECONDS || '86400', 10),
+  deliveryMaxTtlSeconds: parseInt(process.env.DELIVERY_MAX_TTL_SECONDS || '604800', 10),
+  deliveryMaxPayloadBytes: parseInt(process.env.DELIVERY_MAX_PAYLOAD_BYTES || '16384', 10),
+
+  // ---- Cluster registry / janitor (services/cluster.mjs) ----
+  // Each server heartbeats its registry record this often...
+  serverHeartbeatMs: parseInt(process.env.SERVER_HEARTBEAT_MS || '5000', 10),
+  // ...and is reaped as dead (watchers removed, its devices taken offline) after this much silence
+  serverDeadAfterMs: parseInt(process.env.SERVER_DEAD_AFTER_MS || '20000', 10),
+  janitorEnabled: process.env.JANITOR_ENABLED !== 'false',
+  janitorIntervalMs: parseInt(process.env.JANITOR_INTERVAL_MS || '5000', 10),
+
+  // ---- WS protocol ----
+  // Reject clients older than this protocol version (see ws/protocol.mjs). 1 = accept legacy builds.
+  minProtocolVersion: parseInt(process.env.MIN_PROTOCOL_VERSION || '1', 10),
+
   // ---- Focus/Blur (realtime window) ----
   // Cap realtime per socket. Visible list is ~8, buffer maybe 50, open chat 1 => 100 is safe.
   maxFocusPerClient: parseInt(process.env.MAX_FOCUS_PER_CLIENT || '100', 10),
 
-  // Rate limiting focus calls
-  focusRateLimitPerMinute: parseInt(process.env.FOCUS_RATE_LIMIT_PER_MINUTE || '60', 10),
+  // ---- Groups (named rosters, /groups and group:focus) ----
+  groupMaxMembers: parseInt(process.env.GROUP_MAX_MEMBERS || '10000', 10),
+  // Groups one socket may focus at once (each one routes every member's flips to this server)
+  maxGroupFocusPerClient: parseInt(process.env.MAX_GROUP_FOCUS_PER_CLIENT || '5', 10),
+  // Online members included in group:focus:ok / group:snapshot; the rest via GET /groups/:id/presence
+  groupFocusOnlineLimit: parseInt(process.env.GROUP_FOCUS_ONLINE_LIMIT || '100', 10),
+
+  // ---- SSE presence stream (GET /presence/stream) ----
+  // Comment line sent this often so proxies don't time idle streams out
+  sseKeepaliveMs: parseInt(process.env.SSE_KEEPALIVE_MS || '15000', 10),
+  // Reconnect delay suggested to EventSource clients
+  sseRetryMs: parseInt(process.env.SSE_RETRY_MS || '3000', 10),
+  // Last-Event-ID resume replays at most this many logged events; beyond that a fresh snapshot is sent
+  sseResumeMaxEvents: parseInt(process.env.SSE_RESUME_MAX_EVENTS || '1000', 10),
 
-  // ---- Pub/Sub flip shards ----
+  // ---- Ephemeral activity signals (typing, in call, ...) ----
+  // Allowed kinds -> max TTL (ms). Signals are never stored; clients drop them at expiresAt.
+  activityTtlMsByKind: {
+    typing: parseInt(process.env.ACTIVITY_TYPING_TTL_MS || '6000', 10),
+    in_call: parseInt(process.env.ACTIVITY_IN_CALL_TTL_MS || '60000', 10),
+    viewing_profile: parseInt(process.env.ACTIVITY_VIEWING_PROFILE_TTL_MS || '15000', 10),
+  },
+
+  // ---- Activity buckets (services/buckets.mjs, GET /presence/buckets) ----
+  // Bucket id -> max ms since last activity; offline users land in the first one they are under
+  presenceBucketThresholdsMs: {
+    active_10s: parseInt(process.env.BUCKET_ACTIVE_10S_MS || '10000', 10),
+    active_1m: parseInt(process.env.BUCKET_ACTIVE_1M_MS || '60000', 10),
+    active_5m: parseInt(process.env.BUCKET_ACTIVE_5M_MS || '300000', 10),
+    active_15m: parseInt(process.env.BUCKET_ACTIVE_15M_MS || '900000', 10),
+    active_1h: parseInt(process.env.BUCKET_ACTIVE_1H_MS || '3600000', 10),
+    active_today: parseInt(process.env.BUCKET_ACTIVE_TODAY_MS || '86400000', 10),
+  },
+  // Labels fall back to this locale when the request asks for none we have (en, es, fr, de)
+  defaultLocale: process.env.DEFAULT_LOCALE || 'en',
+
+  // ---- Idle detection (activity:ping) ----
+  // A socket's activity:ping refreshes lastActiveAt at most this often
+  activityPingThrottleMs: parseInt(process.env.ACTIVITY_PING_THROTTLE_MS || '30000', 10),
+  // Online users whose clients send activity:ping go idle after this long without activity
+  // (checked every heartbeatIntervalMs)
+  idleAfterMs: parseInt(process.env.IDLE_AFTER_MS || '300000', 10),
+
+  // ---- Pub/Sub flip routing ----
+  // targeted: flips go to presence:server:{serverId} of the servers registered as watchers.
+  // sharded: flips go to {presenceChannel}:{shard} (shard = hash(email) % presenceShardCount) and
+  // every server subscribes to all shards, filtering locally: no watcher lookups per flip, but
+  // every server receives every flip. Other cross-server messages stay on the server channels.
+  presenceRoutingMode: process.env.PRESENCE_ROUTING_MODE || 'targeted',
   // Local: set to 1. Prod: 32/64.
   presenceShardCount: parseInt(process.env.PRESENCE_SHARD_COUNT || '1', 10),
-
-  // (Optional) keep your legacy channel if you still have old code paths
   presenceChannel: process.env.PRESENCE_CHANNEL || 'presence:updates',
 
-  // Connection rate limiting
+  // Flips are collected this long and published as one message per destination channel, keeping
+  // only the latest version per email. 0 publishes every flip on its own, right away.
+  flipBatchWindowMs: parseInt(process.env.FLIP_BATCH_WINDOW_MS || '25', 10),
+  // A batch holding this many emails is published without waiting for the window
+  flipBatchMaxSize: parseInt(process.env.FLIP_BATCH_MAX_SIZE || '500', 10),
+
+  // Presence visibility for users who never set one: everyone | contacts | nobody
+  defaultPresenceVisibility: process.env.DEFAULT_PRESENCE_VISIBILITY || 'everyone',
+
+  // Explicit status text (status:set)
+  statusMessageMaxLength: parseInt(process.env.STATUS_MESSAGE_MAX_LENGTH || '140', 10),
+
+  // User directory search: max index entries scanned per GET /users?search= call
+  userSearchScanLimit: parseInt(process.env.USER_SEARCH_SCAN_LIMIT || '5000', 10),
+
+  // ---- Graceful shutdown (drain) ----
+  // Keep drained users online this long so they can reconnect elsewhere without a flip.
+  // 0 = clear presence immediately and publish offline flips.
+  shutdownGraceSeconds: parseInt(process.env.SHUTDOWN_GRACE_SECONDS || '30', 10),
+  // Max time to wait for sockets to close before terminating them
+  shutdownTimeoutMs: parseInt(process.env.SHUTDOWN_TIMEOUT_MS || '10000', 10),
+
+  // ---- Reconnect storms (ws/admission.mjs) ----
+  // WebSocket auths handled at once per server; the rest queue in arrival order
+  authMaxConcurrent: parseInt(process.env.AUTH_MAX_CONCURRENT || '50', 10),
+  // Beyond this many queued auths, or after waiting this long, a socket is closed
+  // (CLOSE_CODES.SERVER_BUSY) with a retry_after between authRetryAfterMs and twice that
+  authQueueMax: parseInt(process.env.AUTH_QUEUE_MAX || '500', 10),
+  authQueueTimeoutMs: parseInt(process.env.AUTH_QUEUE_TIMEOUT_MS || '5000', 10),
+  authRetryAfterMs: parseInt(process.env.AUTH_RETRY_AFTER_MS || '5000', 10),
+  // Client reconnect backoff handed out in auth:ok: exponential from base up to max, full jitter
+  reconnectBaseDelayMs: parseInt(process.env.RECONNECT_BASE_DELAY_MS || '1000', 10),
+  reconnectMaxDelayMs: parseInt(process.env.RECONNECT_MAX_DELAY_MS || '30000', 10),
+
+  // ---- Rate limiting (shared by every server through Redis) ----
+  rateLimitEnabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+  // Token buckets: up to `limit` requests per `windowMs`, refilled continuously. `by` picks the
+  // bucket: ip (client IP) or user (authenticated email, shared by all of the user's devices).
+  rateLimitPolicies: {
+    // Every REST call
+    api: {
+      by: 'ip',
+      limit: parseInt(process.env.RATE_LIMIT_API_PER_MINUTE || '600', 10),
+      windowMs: 60_000,
+    },
+    // POST /login, /refresh
+    login: {
+      by: 'ip',
+      limit: parseInt(process.env.RATE_LIMIT_LOGIN_PER_MINUTE || '30', 10),
+      windowMs: 60_000,
+    },
+    // /users/*
+    users: {
+      by: 'user',
+      limit: parseInt(process.env.RATE_LIMIT_USERS_PER_MINUTE || '120', 10),
+      windowMs: 60_000,
+    },
+    // Batch presence reads (GET /users?emails=, POST /users/presence) cost one token per email
+    presenceBatch: {
+      by: 'user',
+      limit: parseInt(process.env.RATE_LIMIT_PRESENCE_EMAILS_PER_MINUTE || '5000', 10),
+      windowMs: 60_000,
+    },
+    // New WebSocket connections
+    wsConnect: {
+      by: 'ip',
+      limit: parseInt(process.env.RATE_LIMIT_WS_CONNECT_PER_MINUTE || '60', 10),
+      windowMs: 60_000,
+    },
+    // presence:focus and SSE stream opens
+    focus: {
+      by: 'user',
+      limit: parseInt(process.env.FOCUS_RATE_LIMIT_PER_MINUTE || '60', 10),
+      windowMs: 60_000,
+    },
+    // /groups/*
+    groups: {
+      by: 'user',
+      limit: parseInt(process.env.RATE_LIMIT_GROUPS_PER_MINUTE || '60', 10),
+      windowMs: 60_000,
+    },
+    activity: {
+      by: 'user',
+      limit: parseInt(process.env.ACTIVITY_RATE_LIMIT_PER_MINUTE || '120', 10),
+      windowMs: 60_000,
+    },
+  },
+  // Repeat offenders: this many rejections within the strike window bans the IP/user for a while
+  rateLimitBanThreshold: parseInt(process.env.RATE_LIMIT_BAN_THRESHOLD || '50', 10),
+  rateLimitStrikeWindowMs: parseInt(process.env.RATE_LIMIT_STRIKE_WINDOW_MS || '600000', 10),
+  rateLimitBanSeconds: parseInt(process.env.RATE_LIMIT_BAN_SECONDS || '900', 10),
+
+  // Concurrent WebSocket + SSE connections per IP, across all servers
   maxConnectionsPerIp: parseInt(process.env.MAX_CONNECTIONS_PER_IP || '10', 10),
 };
@@ -1,40 +1,46 @@
-import express from 'express';
-import cors from 'cors';
 import { createServer } from 'http';
 import { config } from './config.mjs';
 import { presenceService } from './services/presence.mjs';
-import { authRouter } from './routes/auth.mjs';
-import { usersRouter } from './routes/users.mjs';
+import { createApp } from './app.mjs';
 import { PresenceWebSocketServer } from './ws/server.mjs';
+import { PresenceExpiryListener } from './ws/expiry.mjs';
+import { WebhookDispatcher } from './services/webhooks.mjs';
+import { ServerJanitor } from './services/cluster.mjs';
 
 async function bootstrap() {
   try {
-    // Connect to Redis
-    console.log('Connecting to Redis...');
+    // Connect to storage (Redis, or the in-memory backend)
+    console.log(`Connecting to storage (${config.storageBackend})...`);
     await presenceService.connect();
-    console.log('Redis connected successfully');
+    console.log('Storage connected successfully');
 
     // Create Express app
-    const app = express();
-
-    // Middleware
-    app.use(cors());
-    app.use(express.json());
-
-    // Routes
-    app.use(authRouter);
-    app.use(usersRouter);
-
-    // Health check
-    app.get('/health', (req, res) => {
-      res.json({ ok: true, timestamp: new Date().toISOString() });
-    });
+    const app = createApp();
 
     // Create HTTP server
     const server = createServer(app);
 
     // Initialize WebSocket server with Redis Pub/Sub
     const wsServer = new PresenceWebSocketServer(server);
+    app.locals.presenceServer = wsServer; // SSE streams share its focus routing
+
+    // Offline flips for presence keys whose TTL lapsed (no clean socket close)
+    const expiryListener = new PresenceExpiryListener();
+    if (config.keyspaceNotificationsEnabled) {
+      await expiryListener.start();
+    }
+
+    // Presence event log -> webhook subscriptions (one active dispatcher per cluster)
+    const webhookDispatcher = new WebhookDispatcher();
+    if (config.webhooksEnabled) {
+      webhookDispatcher.start();
+    }
+
+    // Dead servers: remove their watchers, take their devices offline (one active janitor per cluster)
+    const janitor = new ServerJanitor();
+    if (config.janitorEnabled) {
+      janitor.start();
+    }
 
     // Start server
     server.listen(config.port, () => {
@@ -42,21 +48,51 @@ async function bootstrap() {
       console.log(`Server running on port ${config.port}`);
       console.log(`REST API: http://localhost:${config.port}`);
       console.log(`WebSocket: ws://localhost:${config.port}/ws`);
+      console.log(`SSE stream: http://localhost:${config.port}/presence/stream`);
+      console.log(`Metrics: http://localhost:${config.port}/metrics`);
       console.log(`Heartbeat interval: ${config.heartbeatIntervalMs}ms`);
       console.log(`Presence TTL: ${config.presenceTtlSeconds}s`);
-      console.log(`Using Redis Pub/Sub for presence updates`);
-      console.log(`Using Redis keyspace notifications for TTL expiry`);
+      console.log(`Storage backend: ${config.storageBackend}`);
+      console.log(
+        config.keyspaceNotificationsEnabled
+          ? 'Using Redis keyspace notifications for TTL expiry'
+          : 'Redis keyspace notifications DISABLED (TTL expiry will not emit offline flips)'
+      );
+      console.log(`Webhooks: ${config.webhooksEnabled ? 'enabled' : 'disabled'}`);
+      console.log(`Dead server janitor: ${config.janitorEnabled ? 'enabled' : 'disabled'}`);
+      if (!config.adminApiToken) {
+        console.log('ADMIN_API_TOKEN not set: /admin routes are disabled');
+      }
       console.log('='.repeat(50));
+
+      if (!process.env.AUTH_TOKEN_SECRET) {
+        console.warn('AUTH_TOKEN_SECRET not set: using a random per-process secret (tokens will not survive restarts)');
+      }
     });
 
-    // Graceful shutdown
+    // Graceful shutdown: stop accepting, drain sockets (presence hand-off), then disconnect Redis
+    let shuttingDown = false;
     const shutdown = async () => {
+      if (shuttingDown) return;
+      shuttingDown = true;
       console.log('\nShutting down gracefully...');
+
+      const serverClosed = new Promise((resolve) => server.close(() => resolve()));
+
+      try {
+        await wsServer.drain();
+      } catch (e) {
+        console.error('Drain failed:', e);
+      }
+
+      await expiryListener.stop();
+      await webhookDispatcher.stop();
+      await janitor.stop();
+      await serverClosed;
       await presenceService.disconnect();
-      server.close(() => {
-        console.log('Server closed');
-        process.exit(0);
-      });
+
+      console.log('Server closed');
+      process.exit(0);
     };
 
     process.on('SIGINT', shutdown);
@@ -0,0 +1,52 @@
+import crypto from 'crypto';
+import { config } from '../config.mjs';
+import { authService } from '../services/auth.mjs';
+
+/**
+ * Extract a bearer token from the Authorization header.
+ */
+export function getBearerToken(req) {
+  const header = req.headers.authorization;
+  if (!header || typeof header !== 'string') return null;
+
+  const [scheme, token] = header.split(' ');
+  if (!scheme || scheme.toLowerCase() !== 'bearer' || !token) return null;
+  return token.trim();
+}
+
+/**
+ * Require a valid (non-revoked) access token.
+ * Sets req.user = { email, claims } for downstream handlers.
+ */
+export async function requireAuth(req, res, next) {
+  try {
+    const claims = await authService.verifyToken(getBearerToken(req), 'access');
+    if (!claims) {
+      return res.status(401).json({ ok: false, error: 'Invalid or expired token' });
+    }
+
+    req.user = { email: claims.sub, claims };
+    return next();
+  } catch (error) {
+    console.error('Auth middleware error:', error);
+    return res.status(500).json({ ok: false, error: 'Internal server error' });
+  }
+}
+
+/**
+ * Require the shared admin token (ADMIN_API_TOKEN) as a bearer token.
+ * Admin routes answer 503 when no token is configured.
+ */
+export function requireAdmin(req, res, next) {
+  if (!config.adminApiToken) {
+    return res.status(503).json({ ok: false, error: 'Admin API disabled' });
+  }
+
+  const given = Buffer.from(getBearerToken(req) ?? '');
+  const expected = Buffer.from(config.adminApiToken);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return res.status(401).json({ ok: false, error: 'Invalid admin token' });
+  }
+
+  return next();
+}
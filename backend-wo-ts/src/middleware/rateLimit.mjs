@@ -0,0 +1,46 @@
+import { rateLimitService } from '../services/rateLimit.mjs';
+
+/**
+ * Client IP: first X-Forwarded-For hop (behind the load balancer), else the socket address.
+ */
+export function clientIp(req) {
+  return (
+    req.headers['x-forwarded-for']?.split(',')[0]?.trim() ||
+    req.socket.remoteAddress ||
+    'unknown'
+  );
+}
+
+/**
+ * Apply a shared rate limit policy (config.rateLimitPolicies[policyName]).
+ * "user" policies must run after requireAuth.
+ *
+ * options.cost(req): tokens this request takes (default 1; 0 skips the check).
+ * Rejections answer 429 with Retry-After (seconds), also while the IP/user is banned.
+ */
+export function rateLimit(policyName, { cost } = {}) {
+  return async (req, res, next) => {
+    try {
+      const tokens = cost ? cost(req) : 1;
+      if (tokens <= 0) return next();
+
+      const result = await rateLimitService.consume(
+        policyName,
+        { ip: clientIp(req), user: req.user?.email },
+        { cost: tokens }
+      );
+      if (result.allowed) return next();
+
+      const retryAfter = Math.max(1, Math.ceil(result.retryAfterMs / 1000));
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        ok: false,
+        error: result.banned ? 'Temporarily banned for too many requests' : 'Too many requests',
+        retryAfter,
+      });
+    } catch (error) {
+      console.error('Rate limit middleware error:', error);
+      return res.status(500).json({ ok: false, error: 'Internal server error' });
+    }
+  };
+}
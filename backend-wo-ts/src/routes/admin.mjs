@@ -0,0 +1,202 @@
+import { Router } from 'express';
+import { rateLimitService } from '../services/rateLimit.mjs';
+import { presenceService } from '../services/presence.mjs';
+import { adminService } from '../services/admin.mjs';
+import { clusterService } from '../services/cluster.mjs';
+import { requireAdmin } from '../middleware/auth.mjs';
+import { config } from '../config.mjs';
+
+export const adminRouter = Router();
+
+// Operators only: shared admin token, not user sessions.
+adminRouter.use('/admin', requireAdmin);
+
+function parseEmail(req, res) {
+  const email = presenceService.normalizeEmail(req.params.email);
+  if (!presenceService.isValidEmail(email)) {
+    res.status(400).json({ ok: false, error: 'Invalid email format' });
+    return null;
+  }
+  return email;
+}
+
+// Ban ids name what the rate limiter counts: "ip:<address>" or "user:<email>"
+function isValidBanId(value) {
+  return typeof value === 'string' && /^(ip|user):.+/.test(value) && value.length <= 330;
+}
+
+/**
+ * GET /admin/bans
+ * Returns: { bans: [{ id, reason, bannedAt, until }] } (active bans, soonest to lift first)
+ */
+adminRouter.get('/admin/bans', async (req, res) => {
+  try {
+    const bans = await rateLimitService.listBans();
+    return res.json({ bans });
+  } catch (error) {
+    console.error('List bans error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * POST /admin/bans
+ * Body: { id: "ip:<address>" | "user:<email>", seconds?: number, reason?: string }
+ * Returns: { ok: true, ban }. seconds defaults to config.rateLimitBanSeconds.
+ */
+adminRouter.post('/admin/bans', async (req, res) => {
+  try {
+    const { id, seconds = config.rateLimitBanSeconds, reason = null } = req.body || {};
+
+    if (!isValidBanId(id)) {
+      return res.status(400).json({ ok: false, error: 'id must be "ip:<address>" or "user:<email>"' });
+    }
+    if (!Number.isInteger(seconds) || seconds <= 0) {
+      return res.status(400).json({ ok: false, error: 'seconds must be a positive integer' });
+    }
+    if (reason !== null && typeof reason !== 'string') {
+      return res.status(400).json({ ok: false, error: 'reason must be a string' });
+    }
+
+    const ban = await rateLimitService.ban(id, seconds * 1000, reason);
+    return res.status(201).json({ ok: true, ban });
+  } catch (error) {
+    console.error('Create ban error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * DELETE /admin/bans/:id
+ * Lifts the ban and forgets the strikes that led to it.
+ */
+adminRouter.delete('/admin/bans/:id', async (req, res) => {
+  try {
+    const removed = await rateLimitService.unban(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ ok: false, error: 'Ban not found' });
+    }
+    return res.json({ ok: true });
+  } catch (error) {
+    console.error('Delete ban error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * GET /admin/servers
+ * Returns: { servers: [{ serverId, host, pid, startedAt, heartbeatAt, connections, users, sseStreams,
+ *   focusedEmails, focusedGroups, draining, stale }] }
+ * stale: silent for config.serverDeadAfterMs; the janitor reaps it shortly.
+ */
+adminRouter.get('/admin/servers', async (req, res) => {
+  try {
+    const servers = await clusterService.listServers();
+    return res.json({ servers });
+  } catch (error) {
+    console.error('List servers error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * GET /admin/users/:email
+ * Returns the user's stored presence (see AdminService.inspectUser): presence key owner and TTL,
+ * devices, status, last-seen / active times, version, watcher servers and groups.
+ */
+adminRouter.get('/admin/users/:email', async (req, res) => {
+  try {
+    const email = parseEmail(req, res);
+    if (!email) return;
+
+    const user = await adminService.inspectUser(email);
+    return res.json({ user });
+  } catch (error) {
+    console.error('Inspect user error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * POST /admin/users/:email/offline
+ * Clears every device and publishes the offline flip. Returns: { ok: true, wasOnline }
+ */
+adminRouter.post('/admin/users/:email/offline', async (req, res) => {
+  try {
+    const email = parseEmail(req, res);
+    if (!email) return;
+
+    const wasOnline = await adminService.forceOffline(email);
+    return res.json({ ok: true, wasOnline });
+  } catch (error) {
+    console.error('Force offline error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * POST /admin/users/:email/disconnect
+ * Body: { reason?: string }
+ * Closes the user's sockets and SSE streams on every live server. Returns: { ok: true, servers }
+ */
+adminRouter.post('/admin/users/:email/disconnect', async (req, res) => {
+  try {
+    const email = parseEmail(req, res);
+    if (!email) return;
+
+    const { reason = null } = req.body || {};
+    if (reason !== null && (typeof reason !== 'string' || reason.length > 256)) {
+      return res.status(400).json({ ok: false, error: 'reason must be a string of at most 256 characters' });
+    }
+
+    const servers = await adminService.disconnectUser(email, { reason });
+    return res.json({ ok: true, servers });
+  } catch (error) {
+    console.error('Disconnect user error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * DELETE /admin/users/:email
+ * Removes the user from the directory (users:all). Presence, history and relationships stay.
+ */
+adminRouter.delete('/admin/users/:email', async (req, res) => {
+  try {
+    const email = parseEmail(req, res);
+    if (!email) return;
+
+    const removed = await adminService.purgeUser(email);
+    if (!removed) {
+      return res.status(404).json({ ok: false, error: 'User not found' });
+    }
+    return res.json({ ok: true });
+  } catch (error) {
+    console.error('Purge user error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: 'Internal server error',
+    });
+  }
+});
@@ -1,14 +1,17 @@
 import { Router } from 'express';
 import { presenceService } from '../services/presence.mjs';
+import { authService } from '../services/auth.mjs';
+import { requireAuth } from '../middleware/auth.mjs';
+import { rateLimit } from '../middleware/rateLimit.mjs';
 
 export const authRouter = Router();
 
 /**
  * POST /login
  * Body: { email: string }
- * Returns: { ok: true, email: string }
+ * Returns: { ok: true, email, token, expiresAt, refreshToken, refreshExpiresAt }
  */
-authRouter.post('/login', async (req, res) => {
+authRouter.post('/login', rateLimit('login'), async (req, res) => {
   try {
     const { email } = req.body;
 
@@ -31,11 +34,13 @@ authRouter.post('/login', async (req, res) => {
     // Register user (adds to users:all set)
     await presenceService.registerUser(normalized);
 
+    const session = authService.issueSession(normalized);
+
     console.log(`User logged in: ${normalized}`);
 
     return res.json({
       ok: true,
-      email: normalized,
+      ...session,
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -45,3 +50,71 @@ authRouter.post('/login', async (req, res) => {
     });
   }
 });
+
+/**
+ * POST /refresh
+ * Body: { refreshToken: string }
+ * Returns: a new session (same shape as /login). The old refresh token is revoked.
+ */
+authRouter.post('/refresh', rateLimit('login'), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({
+        ok: false,
+        error: 'refreshToken is required',
+      });
+    }
+
+    const session = await authService.refreshSession(refreshToken);
+    if (!session) {
+      return res.status(401).json({
+        ok: false,
+        error: 'Invalid or expired refresh token',
+      });
+    }
+
+    return res.json({
+      ok: true,
+      ...session,
+    });
+  } catch (error) {
+    console.error('Refresh error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * POST /logout
+ * Headers: Authorization: Bearer <token>
+ * Body: { refreshToken?: string }
+ * Revokes the access token and, if given, the refresh token.
+ */
+authRouter.post('/logout', requireAuth, async (req, res) => {
+  try {
+    await authService.revoke(req.user.claims);
+
+    const { refreshToken } = req.body || {};
+    if (refreshToken && typeof refreshToken === 'string') {
+      const refreshClaims = authService.decode(refreshToken);
+      // Only let users revoke their own refresh tokens.
+      if (refreshClaims?.typ === 'refresh' && refreshClaims.sub === req.user.email) {
+        await authService.revoke(refreshClaims);
+      }
+    }
+
+    console.log(`User logged out: ${req.user.email}`);
+
+    return res.json({ ok: true });
+  } catch (error) {
+    console.error('Logout error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: 'Internal server error',
+    });
+  }
+});
@@ -0,0 +1,61 @@
+import { Router } from 'express';
+import { presenceService } from '../services/presence.mjs';
+import { deliveryService } from '../services/delivery.mjs';
+import { requireAdmin } from '../middleware/auth.mjs';
+import { config } from '../config.mjs';
+
+export const deliveryRouter = Router();
+
+// Backend integrations: shared admin token, not user sessions.
+deliveryRouter.use('/deliver', requireAdmin);
+
+/**
+ * POST /deliver
+ * Body: { email, payload: any JSON, ttlSeconds?: number }
+ * Sends `payload` to the user's sockets if they're online, and queues it either way until a
+ * client acks it (delivery:ack) or ttlSeconds (default config.deliveryTtlSeconds) pass. Queued
+ * messages go out on the user's next auth.
+ * Returns: { ok: true, id, expiresAt, online, routed: [serverId], dropped }
+ * dropped: older queued messages evicted by the per-user cap (config.deliveryQueueMax).
+ */
+deliveryRouter.post('/deliver', async (req, res) => {
+  try {
+    const { email, payload, ttlSeconds = config.deliveryTtlSeconds } = req.body || {};
+
+    const normalized = presenceService.normalizeEmail(email);
+    if (!presenceService.isValidEmail(normalized)) {
+      return res.status(400).json({ ok: false, error: 'Invalid email format' });
+    }
+    if (payload === undefined) {
+      return res.status(400).json({ ok: false, error: 'payload is required' });
+    }
+    if (Buffer.byteLength(JSON.stringify(payload)) > config.deliveryMaxPayloadBytes) {
+      return res.status(413).json({
+        ok: false,
+        error: `payload must be at most ${config.deliveryMaxPayloadBytes} bytes`,
+      });
+    }
+    if (!Number.isInteger(ttlSeconds) || ttlSeconds <= 0 || ttlSeconds > config.deliveryMaxTtlSeconds) {
+      return res.status(400).json({
+        ok: false,
+        error: `ttlSeconds must be an integer between 1 and ${config.deliveryMaxTtlSeconds}`,
+      });
+    }
+
+    const { item, routed, dropped } = await deliveryService.deliver(normalized, payload, { ttlSeconds });
+    return res.status(202).json({
+      ok: true,
+      id: item.id,
+      expiresAt: item.expiresAt,
+      online: routed.length > 0,
+      routed,
+      dropped,
+    });
+  } catch (error) {
+    console.error('Deliver error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: 'Internal server error',
+    });
+  }
+});
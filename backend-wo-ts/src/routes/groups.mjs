@@ -0,0 +1,271 @@
+import { Router } from 'express';
+import { groupService } from '../services/groups.mjs';
+import { requireAuth } from '../middleware/auth.mjs';
+import { rateLimit } from '../middleware/rateLimit.mjs';
+import { resolveLocale } from '../services/buckets.mjs';
+import { config } from '../config.mjs';
+
+export const groupsRouter = Router();
+
+// Every /groups route needs a session; the owner and members may read, only the owner may write.
+groupsRouter.use('/groups', requireAuth, rateLimit('groups'));
+
+// Membership edits are capped per call; large rosters are built over several calls
+const MAX_MEMBERS_PER_CALL = 1000;
+
+function parseName(value) {
+  if (typeof value !== 'string') return null;
+  const name = value.trim();
+  return name.length > 0 && name.length <= 128 ? name : null;
+}
+
+function isEmailList(value) {
+  return (
+    Array.isArray(value) &&
+    value.length <= MAX_MEMBERS_PER_CALL &&
+    value.every((e) => typeof e === 'string' && e.length <= 320)
+  );
+}
+
+function parseLimit(value, fallback, max) {
+  return Math.max(1, Math.min(parseInt(value, 10) || fallback, max));
+}
+
+/**
+ * Load the group for the caller: 404 unless they may read it (non-members can't tell it exists),
+ * 403 when write access is needed and they are not the owner.
+ */
+async function loadGroup(req, res, { write = false } = {}) {
+  const group = await groupService.getReadableGroup(req.params.id, req.user.email);
+  if (!group) {
+    res.status(404).json({ ok: false, error: 'Group not found' });
+    return null;
+  }
+  if (write && group.owner !== req.user.email) {
+    res.status(403).json({ ok: false, error: 'Only the group owner can change it' });
+    return null;
+  }
+  return group;
+}
+
+/**
+ * GET /groups
+ * Returns: { groups: [{ id, name, owner, createdAt, updatedAt }] } (groups you own or belong to)
+ */
+groupsRouter.get('/groups', async (req, res) => {
+  try {
+    const groups = await groupService.listGroupsFor(req.user.email);
+    return res.json({ groups });
+  } catch (error) {
+    console.error('List groups error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * POST /groups
+ * Body: { name: string, members?: string[] }
+ * Returns: { ok: true, group } (201). You own the group and are always one of its members.
+ */
+groupsRouter.post('/groups', async (req, res) => {
+  try {
+    const { name: rawName, members = [] } = req.body || {};
+
+    const name = parseName(rawName);
+    if (!name) {
+      return res.status(400).json({ ok: false, error: 'name must be 1-128 characters' });
+    }
+    if (!isEmailList(members)) {
+      return res
+        .status(400)
+        .json({ ok: false, error: `members must be an array of at most ${MAX_MEMBERS_PER_CALL} emails` });
+    }
+    if (members.length + 1 > config.groupMaxMembers) {
+      return res.status(400).json({ ok: false, error: `Groups have at most ${config.groupMaxMembers} members` });
+    }
+
+    const group = await groupService.createGroup({ name, owner: req.user.email, members });
+    return res.status(201).json({ ok: true, group });
+  } catch (error) {
+    console.error('Create group error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * GET /groups/:id
+ * Returns: { group, memberCount }
+ */
+groupsRouter.get('/groups/:id', async (req, res) => {
+  try {
+    const group = await loadGroup(req, res);
+    if (!group) return;
+
+    const memberCount = await groupService.memberCount(group.id);
+    return res.json({ group, memberCount });
+  } catch (error) {
+    console.error('Get group error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * PATCH /groups/:id
+ * Body: { name: string } (owner only)
+ */
+groupsRouter.patch('/groups/:id', async (req, res) => {
+  try {
+    const group = await loadGroup(req, res, { write: true });
+    if (!group) return;
+
+    const name = parseName(req.body?.name);
+    if (!name) {
+      return res.status(400).json({ ok: false, error: 'name must be 1-128 characters' });
+    }
+
+    const updated = await groupService.updateGroup(group.id, { name });
+    return res.json({ ok: true, group: updated });
+  } catch (error) {
+    console.error('Update group error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * DELETE /groups/:id (owner only)
+ * Sockets focused on the group receive group:removed.
+ */
+groupsRouter.delete('/groups/:id', async (req, res) => {
+  try {
+    const group = await loadGroup(req, res, { write: true });
+    if (!group) return;
+
+    await groupService.deleteGroup(group.id);
+    return res.json({ ok: true });
+  } catch (error) {
+    console.error('Delete group error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * GET /groups/:id/members
+ * Query params:
+ *   - cursor: nextCursor from the previous page
+ *   - limit: max members to return (default 100, max 1000)
+ * Returns: { members: string[], nextCursor } (sorted by email)
+ */
+groupsRouter.get('/groups/:id/members', async (req, res) => {
+  try {
+    const group = await loadGroup(req, res);
+    if (!group) return;
+
+    const { cursor } = req.query;
+    const limit = parseLimit(req.query.limit, 100, MAX_MEMBERS_PER_CALL);
+
+    const all = await groupService.getMembers(group.id);
+    const after = typeof cursor === 'string' && cursor ? all.filter((e) => e > cursor) : all;
+    const members = after.slice(0, limit);
+
+    return res.json({
+      members,
+      nextCursor: after.length > limit ? members[members.length - 1] : null,
+    });
+  } catch (error) {
+    console.error('List group members error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * PUT /groups/:id/members (owner only)
+ * Body: { add?: string[], remove?: string[] } (at most 1000 emails each)
+ * Returns: { ok: true, added, removed, memberCount }. The owner can't be removed.
+ */
+groupsRouter.put('/groups/:id/members', async (req, res) => {
+  try {
+    const group = await loadGroup(req, res, { write: true });
+    if (!group) return;
+
+    const { add = [], remove = [] } = req.body || {};
+    if (!isEmailList(add) || !isEmailList(remove)) {
+      return res
+        .status(400)
+        .json({ ok: false, error: `add and remove must be arrays of at most ${MAX_MEMBERS_PER_CALL} emails` });
+    }
+
+    const toRemove = groupService.normalizeMembers(remove);
+    if (toRemove.includes(group.owner)) {
+      return res.status(400).json({ ok: false, error: 'The owner cannot be removed from the group' });
+    }
+
+    const count = await groupService.memberCount(group.id);
+    if (count + add.length - toRemove.length > config.groupMaxMembers) {
+      return res.status(400).json({ ok: false, error: `Groups have at most ${config.groupMaxMembers} members` });
+    }
+
+    const removed = await groupService.removeMembers(group.id, toRemove);
+    const added = await groupService.addMembers(group.id, add);
+    const memberCount = await groupService.memberCount(group.id);
+
+    return res.json({ ok: true, added, removed, memberCount });
+  } catch (error) {
+    console.error('Update group members error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * GET /groups/:id/presence
+ * Query params:
+ *   - cursor: nextCursor from the previous page of online members
+ *   - limit: max online members to return (default 50, max 200)
+ *   - locale: language of presenceLabel (default: Accept-Language)
+ *
+ * Returns: { groupId, total, counts: { [bucket]: number }, online: [status], nextCursor }
+ * counts covers every member (see PresenceService.bucketize); online lists the online ones,
+ * by email, with the same fields as POST /users/presence.
+ */
+groupsRouter.get('/groups/:id/presence', async (req, res) => {
+  try {
+    const group = await loadGroup(req, res);
+    if (!group) return;
+
+    const { cursor } = req.query;
+    const limit = parseLimit(req.query.limit, 50, 200);
+
+    const result = await groupService.getGroupPresence(group.id, req.user.email, {
+      cursor: typeof cursor === 'string' && cursor ? cursor : null,
+      limit,
+      locale: resolveLocale(req.query.locale, req.headers['accept-language']),
+    });
+    return res.json(result);
+  } catch (error) {
+    console.error('Group presence error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: 'Internal server error',
+    });
+  }
+});
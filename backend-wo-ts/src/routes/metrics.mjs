@@ -0,0 +1,18 @@
+import { Router } from 'express';
+import { metrics } from '../services/metrics.mjs';
+
+export const metricsRouter = Router();
+
+/**
+ * GET /metrics
+ * Prometheus text exposition format.
+ */
+metricsRouter.get('/metrics', (req, res) => {
+  try {
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    return res.send(metrics.render());
+  } catch (error) {
+    console.error('Metrics error:', error);
+    return res.status(500).send('# metrics unavailable\n');
+  }
+});
@@ -0,0 +1,95 @@
+import { Router } from 'express';
+import { presenceService } from '../services/presence.mjs';
+import { SUPPORTED_LOCALES, describeBuckets, resolveLocale } from '../services/buckets.mjs';
+import { requireAuth } from '../middleware/auth.mjs';
+import { clientIp } from '../middleware/rateLimit.mjs';
+import { SseClient } from '../ws/sse.mjs';
+
+export const presenceRouter = Router();
+
+// EventSource can't set headers: accept ?access_token= when there is no Authorization header
+function tokenFromQuery(req, res, next) {
+  if (!req.headers.authorization && typeof req.query.access_token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  return next();
+}
+
+/**
+ * GET /presence/buckets
+ * Query params:
+ *   - locale: language of `label` (default: Accept-Language, then config.defaultLocale)
+ *
+ * Returns: { locale, locales, buckets: [{ id, maxAgeMs, label, labels: { [locale]: label } }] }
+ * Every bucket a presence can carry, in display order. maxAgeMs: offline users active less than
+ * this long ago (and not in an earlier bucket) land in it; null for online_now, inactive and
+ * unknown. No session needed: clients fetch it before login and cache it.
+ */
+presenceRouter.get('/presence/buckets', (req, res) => {
+  try {
+    const locale = resolveLocale(req.query.locale, req.headers['accept-language']);
+    return res.json({ locale, locales: SUPPORTED_LOCALES, buckets: describeBuckets(locale) });
+  } catch (error) {
+    console.error('Presence buckets error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * GET /presence/stream?emails=a@x.com,b@x.com
+ * Headers: Authorization: Bearer <token> (or ?access_token=), Last-Event-ID (on reconnect)
+ * Query params: locale (language of presenceLabel in the snapshot; default: Accept-Language)
+ *
+ * Server-Sent Events for web dashboards that don't speak the WS protocol. Same focus routing,
+ * caps and rate limits as presence:focus over a socket. Events:
+ *   presence:snapshot  { statuses }  (first event, unless a Last-Event-ID resume can replay)
+ *   presence:update    { email, online, idle, status, statusMessage, statusExpiresAt, lastActiveAt,
+ *                        bucket, version, eventId }
+ *   activity:update    { email, kind, context, active, expiresAt }
+ *   server:draining    the stream ends; reconnect (EventSource does) to reach another server
+ * plus ": keepalive" comments.
+ */
+presenceRouter.get('/presence/stream', tokenFromQuery, requireAuth, async (req, res) => {
+  try {
+    const wsServer = req.app.locals.presenceServer;
+    if (!wsServer) {
+      return res.status(503).json({ ok: false, error: 'Presence stream unavailable' });
+    }
+
+    const raw = [].concat(req.query.emails ?? []).join(',');
+    const emails = raw
+      .split(',')
+      .map((email) => presenceService.normalizeEmail(email))
+      .filter((email) => presenceService.isValidEmail(email));
+
+    if (emails.length === 0) {
+      return res.status(400).json({ ok: false, error: 'emails must list at least one valid email' });
+    }
+
+    const lastEventId = req.get('Last-Event-ID') ?? req.query.lastEventId;
+    const client = new SseClient(req, res, {
+      email: req.user.email,
+      clientIp: clientIp(req),
+      locale: resolveLocale(req.query.locale, req.headers['accept-language']),
+    });
+    const opened = await wsServer.openEventStream(client, emails, {
+      lastEventId: /^\d+-\d+$/.test(lastEventId ?? '') ? lastEventId : null,
+    });
+
+    if (opened.closed) return;
+    if (!opened.ok) {
+      if (opened.retryAfterMs) res.set('Retry-After', String(Math.ceil(opened.retryAfterMs / 1000)));
+      return res.status(opened.status).json({ ok: false, error: opened.error });
+    }
+  } catch (error) {
+    console.error('Presence stream error:', error);
+    if (res.headersSent) return res.end();
+    return res.status(500).json({
+      ok: false,
+      error: 'Internal server error',
+    });
+  }
+});
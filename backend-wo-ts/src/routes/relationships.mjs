@@ -0,0 +1,176 @@
+import { Router } from 'express';
+import { presenceService, PRESENCE_VISIBILITY } from '../services/presence.mjs';
+import { relationshipService } from '../services/relationships.mjs';
+import { requireAuth } from '../middleware/auth.mjs';
+
+export const relationshipsRouter = Router();
+
+// All routes act on the caller's own relationships.
+relationshipsRouter.use('/me', requireAuth);
+
+function parseOtherEmail(req, res) {
+  const other = presenceService.normalizeEmail(req.params.email);
+  if (!presenceService.isValidEmail(other)) {
+    res.status(400).json({ ok: false, error: 'Invalid email format' });
+    return null;
+  }
+  if (other === req.user.email) {
+    res.status(400).json({ ok: false, error: 'Cannot target yourself' });
+    return null;
+  }
+  return other;
+}
+
+/**
+ * GET /me/contacts
+ * Returns: { contacts: string[] }
+ */
+relationshipsRouter.get('/me/contacts', async (req, res) => {
+  try {
+    const contacts = await relationshipService.getContacts(req.user.email);
+    return res.json({ contacts });
+  } catch (error) {
+    console.error('Get contacts error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * PUT /me/contacts/:email
+ * Adds :email to your contacts (they can see you when your privacy is "contacts").
+ */
+relationshipsRouter.put('/me/contacts/:email', async (req, res) => {
+  try {
+    const other = parseOtherEmail(req, res);
+    if (!other) return;
+
+    await relationshipService.addContact(req.user.email, other);
+    return res.json({ ok: true });
+  } catch (error) {
+    console.error('Add contact error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * DELETE /me/contacts/:email
+ */
+relationshipsRouter.delete('/me/contacts/:email', async (req, res) => {
+  try {
+    const other = parseOtherEmail(req, res);
+    if (!other) return;
+
+    await relationshipService.removeContact(req.user.email, other);
+    return res.json({ ok: true });
+  } catch (error) {
+    console.error('Remove contact error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * GET /me/blocks
+ * Returns: { blocks: string[] }
+ */
+relationshipsRouter.get('/me/blocks', async (req, res) => {
+  try {
+    const blocks = await relationshipService.getBlocks(req.user.email);
+    return res.json({ blocks });
+  } catch (error) {
+    console.error('Get blocks error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * PUT /me/blocks/:email
+ * Neither side sees the other's presence anymore (existing subscriptions included).
+ */
+relationshipsRouter.put('/me/blocks/:email', async (req, res) => {
+  try {
+    const other = parseOtherEmail(req, res);
+    if (!other) return;
+
+    await relationshipService.block(req.user.email, other);
+    return res.json({ ok: true });
+  } catch (error) {
+    console.error('Block error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * DELETE /me/blocks/:email
+ */
+relationshipsRouter.delete('/me/blocks/:email', async (req, res) => {
+  try {
+    const other = parseOtherEmail(req, res);
+    if (!other) return;
+
+    await relationshipService.unblock(req.user.email, other);
+    return res.json({ ok: true });
+  } catch (error) {
+    console.error('Unblock error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * GET /me/privacy
+ * Returns: { visibility: 'everyone' | 'contacts' | 'nobody' }
+ */
+relationshipsRouter.get('/me/privacy', async (req, res) => {
+  try {
+    const visibility = await relationshipService.getPrivacy(req.user.email);
+    return res.json({ visibility });
+  } catch (error) {
+    console.error('Get privacy error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * PUT /me/privacy
+ * Body: { visibility: 'everyone' | 'contacts' | 'nobody' }
+ */
+relationshipsRouter.put('/me/privacy', async (req, res) => {
+  try {
+    const { visibility } = req.body || {};
+    if (!PRESENCE_VISIBILITY.includes(visibility)) {
+      return res.status(400).json({
+        ok: false,
+        error: `visibility must be one of: ${PRESENCE_VISIBILITY.join(', ')}`,
+      });
+    }
+
+    await relationshipService.setPrivacy(req.user.email, visibility);
+    return res.json({ ok: true, visibility });
+  } catch (error) {
+    console.error('Set privacy error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: 'Internal server error',
+    });
+  }
+});
@@ -1,24 +1,48 @@
 import { Router } from 'express';
 import { presenceService } from '../services/presence.mjs';
+import { requireAuth } from '../middleware/auth.mjs';
+import { rateLimit } from '../middleware/rateLimit.mjs';
+import { mergeSessions, onlineTimeByDay } from '../services/history.mjs';
+import { config } from '../config.mjs';
+import { resolveLocale } from '../services/buckets.mjs';
 
 export const usersRouter = Router();
 
+// Every /users route needs a valid session token, and shares the user's request budget.
+usersRouter.use('/users', requireAuth, rateLimit('users'));
+
+// Language of presenceLabel: ?locale=, else Accept-Language
+function requestLocale(req) {
+  return resolveLocale(req.query.locale, req.headers['accept-language']);
+}
+
+// Batch presence reads cost one token per email requested
+const presenceBatchLimit = rateLimit('presenceBatch', {
+  cost: (req) => {
+    const emails = req.method === 'GET' ? req.query.emails : req.body?.emails;
+    if (typeof emails === 'string') return emails.split(',').filter(Boolean).length;
+    return Array.isArray(emails) ? emails.length : 0;
+  },
+});
+
 /**
  * GET /users
+ * Headers: Authorization: Bearer <token>
  *
  * Query params:
  *   - emails: comma-separated list of emails to fetch
- *   - cursor: pagination cursor
+ *   - cursor: pagination cursor (nextCursor from the previous page)
  *   - limit: max users to return (default 50, max 100)
+ *   - prefix: only emails starting with this prefix
+ *   - search: only emails containing this substring
+ *   - locale: language of each user's presenceLabel (default: Accept-Language)
  *
- * NOTE:
- * Your PresenceService no longer has getUsersPaginated() in the new scalable design,
- * so this router falls back safely when pagination isn't available.
+ * Returns: { users, nextCursor, hasMore }
  */
-usersRouter.get('/users', async (req, res) => {
+usersRouter.get('/users', presenceBatchLimit, async (req, res) => {
   try {
-    const { emails, cursor, limit: limitStr } = req.query;
-    const limit = Math.min(parseInt(limitStr, 10) || 50, 100);
+    const { emails, cursor, limit: limitStr, prefix, search } = req.query;
+    const limit = Math.max(1, Math.min(parseInt(limitStr, 10) || 50, 100));
 
     // Ensure Redis connected
     await presenceService.connect?.();
@@ -36,7 +60,10 @@ usersRouter.get('/users', async (req, res) => {
 
       // Prefer list-style batch (online + lastActiveAt + bucket)
       if (typeof presenceService.getBatchPresenceForList === 'function') {
-        const users = await presenceService.getBatchPresenceForList(emailList);
+        const users = await presenceService.getBatchPresenceForList(emailList, {
+          viewer: req.user.email,
+          locale: requestLocale(req),
+        });
         return res.json({ users, hasMore: false });
       }
 
@@ -52,7 +79,16 @@ usersRouter.get('/users', async (req, res) => {
     // Pagination path:
     // If getUsersPaginated exists, use it; otherwise fall back to demo list.
     if (typeof presenceService.getUsersPaginated === 'function') {
-      const result = await presenceService.getUsersPaginated(cursor, limit);
+      const result = await presenceService.getUsersPaginated(
+        typeof cursor === 'string' ? cursor : null,
+        limit,
+        {
+          viewer: req.user.email,
+          locale: requestLocale(req),
+          prefix: typeof prefix === 'string' ? prefix : undefined,
+          search: typeof search === 'string' ? search : undefined,
+        }
+      );
       return res.json(result);
     }
 
@@ -63,7 +99,10 @@ usersRouter.get('/users', async (req, res) => {
 
       let users = [];
       if (typeof presenceService.getBatchPresenceForList === 'function') {
-        users = await presenceService.getBatchPresenceForList(usersPage);
+        users = await presenceService.getBatchPresenceForList(usersPage, {
+          viewer: req.user.email,
+          locale: requestLocale(req),
+        });
       } else if (typeof presenceService.getBatchPresenceWithLastSeen === 'function') {
         users = await presenceService.getBatchPresenceWithLastSeen(usersPage);
       } else {
@@ -85,13 +124,18 @@ usersRouter.get('/users', async (req, res) => {
 
 /**
  * POST /users/presence
+ * Headers: Authorization: Bearer <token>
+ *
+ * Query params:
+ *   - locale: language of each user's presenceLabel (default: Accept-Language)
  *
  * Body: { emails: string[] }
- * Returns: { users: Array<{ email, online, lastActiveAt?, lastSeen? }> }
+ * Returns: { users: Array<{ email, online, idle?, lastActiveAt?, bucket?, presenceLabel?, status?,
+ *   statusMessage? }> }
  *
  * Prefer getBatchPresenceForList for LinkedIn-style "active" + online.
  */
-usersRouter.post('/users/presence', async (req, res) => {
+usersRouter.post('/users/presence', presenceBatchLimit, async (req, res) => {
   try {
     const { emails } = req.body;
 
@@ -106,7 +150,10 @@ usersRouter.post('/users/presence', async (req, res) => {
     }
 
     if (typeof presenceService.getBatchPresenceForList === 'function') {
-      const users = await presenceService.getBatchPresenceForList(emails);
+      const users = await presenceService.getBatchPresenceForList(emails, {
+        viewer: req.user.email,
+        locale: requestLocale(req),
+      });
       return res.json({ users });
     }
 
@@ -125,3 +172,110 @@ usersRouter.post('/users/presence', async (req, res) => {
     });
   }
 });
+
+/**
+ * GET /users/:email/devices
+ * Headers: Authorization: Bearer <token>
+ *
+ * Returns: { email, online, devices: Array<{ deviceId, platform, serverId, connectedAt, lastActiveAt, expiresAt }> }
+ * Invisible users report no devices to anyone but themselves; hidden users (blocked,
+ * privacy) report online: null.
+ */
+usersRouter.get('/users/:email/devices', async (req, res) => {
+  try {
+    const email = presenceService.normalizeEmail(req.params.email);
+    if (!presenceService.isValidEmail(email)) {
+      return res.status(400).json({ ok: false, error: 'Invalid email format' });
+    }
+
+    if (email !== req.user.email) {
+      if (!(await presenceService.canSee(req.user.email, email))) {
+        return res.json({ email, online: null, devices: [] });
+      }
+
+      const status = await presenceService.getStatus(email);
+      if (status?.status === 'invisible') {
+        return res.json({ email, online: false, devices: [] });
+      }
+    }
+
+    const devices = await presenceService.getDevices(email);
+    return res.json({ email, online: devices.length > 0, devices });
+  } catch (error) {
+    console.error('Get devices error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: 'Internal server error',
+    });
+  }
+});
+
+// Accepts ms epoch or anything Date.parse understands (ISO 8601).
+function parseTime(value) {
+  if (value == null || value === '') return null;
+  const n = Number(value);
+  if (Number.isFinite(n)) return n;
+  const parsed = Date.parse(String(value));
+  return Number.isFinite(parsed) ? parsed : NaN;
+}
+
+/**
+ * GET /users/:email/history?from=&to=
+ * Headers: Authorization: Bearer <token>
+ *
+ * Query params (ms epoch or ISO 8601):
+ *   - from: default 7 days before `to`
+ *   - to: default now
+ *
+ * Returns: {
+ *   email, from, to,
+ *   sessions: Array<{ start, end, ongoing }>,   // merged, clipped to [from, to]
+ *   days: Array<{ date: 'YYYY-MM-DD', onlineMs }>, // UTC
+ *   totalOnlineMs
+ * }
+ */
+usersRouter.get('/users/:email/history', async (req, res) => {
+  try {
+    const email = presenceService.normalizeEmail(req.params.email);
+    if (!presenceService.isValidEmail(email)) {
+      return res.status(400).json({ ok: false, error: 'Invalid email format' });
+    }
+
+    const now = Date.now();
+    const to = parseTime(req.query.to) ?? now;
+    const from = parseTime(req.query.from) ?? to - 7 * 86_400_000;
+
+    if (Number.isNaN(from) || Number.isNaN(to) || from >= to) {
+      return res.status(400).json({ ok: false, error: 'from/to must be valid times with from < to' });
+    }
+
+    const maxRangeMs = config.historyRetentionDays * 86_400_000;
+    if (to - from > maxRangeMs) {
+      return res.status(400).json({
+        ok: false,
+        error: `Range must be at most ${config.historyRetentionDays} days`,
+      });
+    }
+
+    if (email !== req.user.email) {
+      const visible = await presenceService.canSee(req.user.email, email);
+      const status = visible ? await presenceService.getStatus(email) : null;
+      if (!visible || status?.status === 'invisible') {
+        return res.status(403).json({ ok: false, error: 'Presence history not visible' });
+      }
+    }
+
+    const raw = await presenceService.getSessions(email, from, to);
+    const sessions = mergeSessions(raw, from, to, now);
+    const days = onlineTimeByDay(sessions, from, to);
+    const totalOnlineMs = days.reduce((sum, d) => sum + d.onlineMs, 0);
+
+    return res.json({ email, from, to, sessions, days, totalOnlineMs });
+  } catch (error) {
+    console.error('Get history error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: 'Internal server error',
+    });
+  }
+});
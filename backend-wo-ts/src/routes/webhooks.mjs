@@ -0,0 +1,234 @@
+import { Router } from 'express';
+import { presenceService } from '../services/presence.mjs';
+import { webhookService, WEBHOOK_EVENT_TYPES } from '../services/webhooks.mjs';
+import { requireAdmin } from '../middleware/auth.mjs';
+
+export const webhooksRouter = Router();
+
+// Backend integrations only: shared admin token, not user sessions.
+webhooksRouter.use('/admin', requireAdmin);
+
+function isValidUrl(value) {
+  if (typeof value !== 'string') return false;
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+function isValidEvents(value) {
+  return (
+    Array.isArray(value) &&
+    value.length > 0 &&
+    value.every((type) => type === '*' || WEBHOOK_EVENT_TYPES.includes(type))
+  );
+}
+
+/**
+ * Validate a create/update body. Returns an error string or null.
+ */
+function validateSubscriptionBody(body, { partial }) {
+  if (!partial || body.url !== undefined) {
+    if (!isValidUrl(body.url)) return 'url must be an http(s) URL';
+  }
+  if (body.events !== undefined && !isValidEvents(body.events)) {
+    return `events must be a non-empty array of: *, ${WEBHOOK_EVENT_TYPES.join(', ')}`;
+  }
+  if (body.active !== undefined && typeof body.active !== 'boolean') {
+    return 'active must be a boolean';
+  }
+  if (body.secret !== undefined && (typeof body.secret !== 'string' || body.secret.length < 16)) {
+    return 'secret must be a string of at least 16 characters';
+  }
+  return null;
+}
+
+/**
+ * GET /admin/webhooks
+ * Returns: { subscriptions: [{ id, url, events, active, createdAt, updatedAt }] }
+ */
+webhooksRouter.get('/admin/webhooks', async (req, res) => {
+  try {
+    const subs = await webhookService.listSubscriptions();
+    return res.json({ subscriptions: subs.map((sub) => webhookService.publicSubscription(sub)) });
+  } catch (error) {
+    console.error('List webhooks error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * POST /admin/webhooks
+ * Body: { url, events?: string[] (default ['*']), secret? }
+ * Returns: { ok: true, subscription } — includes the signing secret (only time it is shown)
+ */
+webhooksRouter.post('/admin/webhooks', async (req, res) => {
+  try {
+    const body = req.body ?? {};
+    const invalid = validateSubscriptionBody(body, { partial: false });
+    if (invalid) {
+      return res.status(400).json({ ok: false, error: invalid });
+    }
+
+    const subscription = await webhookService.createSubscription({
+      url: body.url,
+      events: body.events,
+      secret: body.secret,
+    });
+    return res.status(201).json({ ok: true, subscription });
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * GET /admin/webhooks/dead-letters?limit=100
+ * Deliveries that ran out of attempts, newest first.
+ * Returns: { deadLetters: [{ id, subscriptionId, event, attempts, lastError, failedAt }] }
+ */
+webhooksRouter.get('/admin/webhooks/dead-letters', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+    const deadLetters = await webhookService.listDeadLetters(limit);
+    return res.json({ deadLetters });
+  } catch (error) {
+    console.error('List dead letters error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * POST /admin/webhooks/dead-letters/:jobId/retry
+ * Requeues the delivery with a fresh attempt budget.
+ */
+webhooksRouter.post('/admin/webhooks/dead-letters/:jobId/retry', async (req, res) => {
+  try {
+    const retried = await webhookService.retryDeadLetter(req.params.jobId);
+    if (!retried) {
+      return res.status(404).json({ ok: false, error: 'Dead letter not found' });
+    }
+    return res.json({ ok: true });
+  } catch (error) {
+    console.error('Retry dead letter error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * DELETE /admin/webhooks/dead-letters
+ */
+webhooksRouter.delete('/admin/webhooks/dead-letters', async (req, res) => {
+  try {
+    await webhookService.purgeDeadLetters();
+    return res.json({ ok: true });
+  } catch (error) {
+    console.error('Purge dead letters error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * GET /admin/webhooks/:id
+ */
+webhooksRouter.get('/admin/webhooks/:id', async (req, res) => {
+  try {
+    const sub = await webhookService.getSubscription(req.params.id);
+    if (!sub) {
+      return res.status(404).json({ ok: false, error: 'Webhook not found' });
+    }
+    return res.json({ subscription: webhookService.publicSubscription(sub) });
+  } catch (error) {
+    console.error('Get webhook error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * PATCH /admin/webhooks/:id
+ * Body: { url?, events?, active? }
+ */
+webhooksRouter.patch('/admin/webhooks/:id', async (req, res) => {
+  try {
+    const body = req.body ?? {};
+    const invalid = validateSubscriptionBody(body, { partial: true });
+    if (invalid) {
+      return res.status(400).json({ ok: false, error: invalid });
+    }
+
+    const sub = await webhookService.updateSubscription(req.params.id, body);
+    if (!sub) {
+      return res.status(404).json({ ok: false, error: 'Webhook not found' });
+    }
+    return res.json({ ok: true, subscription: webhookService.publicSubscription(sub) });
+  } catch (error) {
+    console.error('Update webhook error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * DELETE /admin/webhooks/:id
+ */
+webhooksRouter.delete('/admin/webhooks/:id', async (req, res) => {
+  try {
+    const deleted = await webhookService.deleteSubscription(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ ok: false, error: 'Webhook not found' });
+    }
+    return res.json({ ok: true });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * GET /admin/presence/events?after=<stream id>&limit=100
+ * Reads the presence change log (oldest first). Pass the last id back as `after` to page.
+ * Returns: { events: [{ id, type, email, ts, online, status?, message? }], next }
+ */
+webhooksRouter.get('/admin/presence/events', async (req, res) => {
+  try {
+    const after = typeof req.query.after === 'string' && req.query.after ? req.query.after : '0-0';
+    if (!/^\d+(-\d+)?$/.test(after)) {
+      return res.status(400).json({ ok: false, error: 'after must be a stream id' });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+    const events = await presenceService.getPresenceEvents(after, limit);
+    return res.json({ events, next: events.length > 0 ? events[events.length - 1].id : after });
+  } catch (error) {
+    console.error('Presence events error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: 'Internal server error',
+    });
+  }
+});
@@ -0,0 +1,148 @@
+import { presenceService } from './presence.mjs';
+import { clusterService } from './cluster.mjs';
+
+/**
+ * Operator views and actions on live presence state (see routes/admin.mjs): what the README's
+ * redis-cli recipes used to do, through the same keys and scripts the servers use.
+ */
+export class AdminService {
+  constructor(presence) {
+    this.presence = presence;
+  }
+
+  get client() {
+    return this.presence.client;
+  }
+
+  /**
+   * Everything stored about one user's presence:
+   * { email, registered, online, presence: { owner, ttlMs }, devices, status, lastSeen,
+   *   lastActiveAt, idleSince, sessionStartedAt, version, watchers: { servers, ttlSeconds }, groups }
+   * ttlMs / ttlSeconds: null when the key is missing (or has no TTL).
+   */
+  async inspectUser(email) {
+    const p = this.presence;
+    const normalized = p.normalizeEmail(email);
+
+    const [
+      registered,
+      owner,
+      presenceTtl,
+      lastSeen,
+      lastActiveAt,
+      idleSince,
+      sessionStartedAt,
+      version,
+      watchers,
+      watchersTtl,
+      groups,
+    ] = await this.client
+      .multi()
+      .sIsMember(p.usersKey(), normalized)
+      .get(p.presenceKey(normalized))
+      .pTTL(p.presenceKey(normalized))
+      .get(p.lastSeenKey(normalized))
+      .get(p.activeKey(normalized))
+      .get(p.idleKey(normalized))
+      .get(p.sessionKey(normalized))
+      .get(p.versionKey(normalized))
+      .sMembers(p.watchersKey(normalized))
+      .ttl(p.watchersKey(normalized))
+      .sMembers(p.memberGroupsKey(normalized))
+      .exec();
+
+    const [devices, status] = await Promise.all([p.getDevices(normalized), p.getStatus(normalized)]);
+    const toNumber = (value) => (value == null ? null : Number(value));
+
+    return {
+      email: normalized,
+      registered: Boolean(registered),
+      online: Boolean(owner),
+      presence: { owner: owner ?? null, ttlMs: Number(presenceTtl) >= 0 ? Number(presenceTtl) : null },
+      devices,
+      status,
+      lastSeen: toNumber(lastSeen),
+      lastActiveAt: toNumber(lastActiveAt),
+      idleSince: owner ? toNumber(idleSince) : null,
+      sessionStartedAt: toNumber(sessionStartedAt),
+      version: Number(version ?? 0),
+      watchers: {
+        servers: (watchers ?? []).sort(),
+        ttlSeconds: Number(watchersTtl) >= 0 ? Number(watchersTtl) : null,
+      },
+      groups: (groups ?? []).sort(),
+    };
+  }
+
+  /**
+   * Take a user offline now, whichever servers hold its devices: drops every device (and the
+   * shadow, so TTL expiry can't flip again), records last-seen and publishes the offline flip.
+   * Connected sockets stay open but no longer refresh presence; they are online again on their
+   * next auth. Returns true if the user was online.
+   */
+  async forceOffline(email) {
+    const p = this.presence;
+    const normalized = p.normalizeEmail(email);
+
+    const [wasOnline] = await this.client
+      .multi()
+      .del(p.presenceKey(normalized))
+      .del(p.presenceShadowKey(normalized))
+      .del(p.devicesKey(normalized))
+      .del(p.deviceInfoKey(normalized))
+      .exec();
+
+    if (Number(wasOnline) === 0) return false;
+
+    const now = Date.now();
+    await p.updateLastSeen(normalized, now);
+    await p.closeSession(normalized, now);
+    await p.publishPresenceFlip(normalized);
+    return true;
+  }
+
+  /**
+   * Ask every live server (plus any still holding one of the user's devices) to close its
+   * sockets and SSE streams. A broadcast, since SSE streams own no device and so aren't in
+   * getUserServers. Sockets close with CLOSE_CODES.DISCONNECTED; presence then ends as for any
+   * disconnect. Returns the serverIds the request went to.
+   */
+  async disconnectUser(email, { reason = null } = {}) {
+    const p = this.presence;
+    const normalized = p.normalizeEmail(email);
+
+    const [registered, owners] = await Promise.all([
+      clusterService.listServers(),
+      p.getUserServers(normalized),
+    ]);
+    const live = registered.filter((server) => !server.stale).map((server) => server.serverId);
+    const servers = Array.from(new Set([...live, ...owners]));
+    if (servers.length === 0) return [];
+
+    const msg = JSON.stringify({ type: 'disconnect', email: normalized, reason, ts: Date.now() });
+
+    const pipeline = p.pubClient.multi();
+    for (const serverId of servers) pipeline.publish(p.serverChannel(serverId), msg);
+    await pipeline.exec();
+
+    return servers;
+  }
+
+  /**
+   * Remove a user from the directory (users:all and its sorted index).
+   * Returns false if the user wasn't registered.
+   */
+  async purgeUser(email) {
+    const p = this.presence;
+    const normalized = p.normalizeEmail(email);
+
+    const [removed] = await this.client
+      .multi()
+      .sRem(p.usersKey(), normalized)
+      .zRem(p.usersIndexKey(), normalized)
+      .exec();
+    return Number(removed) > 0;
+  }
+}
+
+export const adminService = new AdminService(presenceService);
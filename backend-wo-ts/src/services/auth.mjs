@@ -0,0 +1,148 @@
+import crypto from 'crypto';
+import { config } from '../config.mjs';
+import { presenceService } from './presence.mjs';
+
+const TOKEN_HEADER = { alg: 'HS256', typ: 'JWT' };
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+/**
+ * Session tokens (JWT, HS256).
+ *
+ * Access tokens identify the user on REST routes and the WS `auth` message.
+ * Refresh tokens are only accepted by POST /refresh and are rotated on use.
+ * Revocation is a Redis key per token id (jti) that lives as long as the token would.
+ */
+export class AuthService {
+  presence;
+
+  constructor(presence) {
+    this.presence = presence;
+  }
+
+  get client() {
+    return this.presence.client;
+  }
+
+  revokedKey(jti) {
+    return `auth:revoked:${jti}`;
+  }
+
+  // ---------------- Sign / verify ----------------
+  sign(payload) {
+    const head = base64url(JSON.stringify(TOKEN_HEADER));
+    const body = base64url(JSON.stringify(payload));
+    const sig = crypto
+      .createHmac('sha256', config.authTokenSecret)
+      .update(`${head}.${body}`)
+      .digest('base64url');
+    return `${head}.${body}.${sig}`;
+  }
+
+  /**
+   * Verify signature + expiry. Does NOT check revocation (see verifyToken).
+   * Returns the claims, or null if the token is malformed, forged or expired.
+   */
+  decode(token) {
+    if (!token || typeof token !== 'string') return null;
+
+    const parts = token.split('.');
+    if (parts.length !== 3) return null;
+
+    const [head, body, sig] = parts;
+    const expected = crypto
+      .createHmac('sha256', config.authTokenSecret)
+      .update(`${head}.${body}`)
+      .digest();
+
+    const given = Buffer.from(sig, 'base64url');
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+    let claims;
+    try {
+      claims = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    } catch {
+      return null;
+    }
+
+    if (!claims || typeof claims.sub !== 'string' || !claims.jti) return null;
+    if (typeof claims.exp !== 'number' || claims.exp * 1000 <= Date.now()) return null;
+
+    return claims;
+  }
+
+  issueToken(email, typ, ttlSeconds) {
+    const nowSec = Math.floor(Date.now() / 1000);
+    const claims = {
+      sub: this.presence.normalizeEmail(email),
+      typ,
+      jti: crypto.randomUUID(),
+      iat: nowSec,
+      exp: nowSec + ttlSeconds,
+    };
+    return { token: this.sign(claims), claims };
+  }
+
+  /**
+   * Issue an access + refresh token pair for a (normalized) email.
+   */
+  issueSession(email) {
+    const access = this.issueToken(email, 'access', config.accessTokenTtlSeconds);
+    const refresh = this.issueToken(email, 'refresh', config.refreshTokenTtlSeconds);
+
+    return {
+      email: access.claims.sub,
+      token: access.token,
+      expiresAt: access.claims.exp * 1000,
+      refreshToken: refresh.token,
+      refreshExpiresAt: refresh.claims.exp * 1000,
+    };
+  }
+
+  /**
+   * Full check: signature, expiry, token type and revocation.
+   * Returns the claims or null.
+   */
+  async verifyToken(token, typ = 'access') {
+    const claims = this.decode(token);
+    if (!claims || claims.typ !== typ) return null;
+
+    if (await this.isRevoked(claims.jti)) return null;
+    return claims;
+  }
+
+  // ---------------- Revocation ----------------
+  /**
+   * Returns true if this call revoked the token, false if it already was revoked.
+   */
+  async revoke(claims) {
+    if (!claims?.jti) return false;
+
+    // Keep the marker only as long as the token could still be presented.
+    const ttlSeconds = Math.max(1, claims.exp - Math.floor(Date.now() / 1000));
+    const set = await this.client.set(this.revokedKey(claims.jti), '1', { NX: true, EX: ttlSeconds });
+    return set !== null;
+  }
+
+  async isRevoked(jti) {
+    const v = await this.client.get(this.revokedKey(jti));
+    return Boolean(v);
+  }
+
+  /**
+   * Rotate a refresh token: the old one is revoked and a new pair is issued.
+   * Returns null if the refresh token is invalid or already used.
+   */
+  async refreshSession(refreshToken) {
+    const claims = this.decode(refreshToken);
+    if (!claims || claims.typ !== 'refresh') return null;
+
+    // Revoking is the check: of concurrent refreshes with the same token only one sets the marker
+    if (!(await this.revoke(claims))) return null;
+    return this.issueSession(claims.sub);
+  }
+}
+
+export const authService = new AuthService(presenceService);
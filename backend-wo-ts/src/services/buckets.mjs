@@ -0,0 +1,167 @@
+import { config } from '../config.mjs';
+
+/**
+ * Activity buckets and presence labels.
+ *
+ * Offline users fall in the first bucket whose threshold (ms since lastActiveAt) they are under,
+ * see config.presenceBucketThresholdsMs and PresenceService.bucketize. GET /presence/buckets
+ * serves the definitions with their labels, and batch reads carry a relative presenceLabel
+ * ("Active 3m ago"), so clients hardcode neither.
+ */
+
+// Every bucketize() result, in display order
+export const PRESENCE_BUCKETS = [
+  'online_now',
+  'active_10s',
+  'active_1m',
+  'active_5m',
+  'active_15m',
+  'active_1h',
+  'active_today',
+  'inactive',
+  'unknown',
+];
+
+// {d} = a duration formatted with `units`
+const STRINGS = {
+  en: {
+    online_now: 'Online',
+    idle: 'Idle',
+    offline: 'Offline',
+    inactive: 'Inactive',
+    unknown: 'Unknown',
+    within: 'Active in the last {d}',
+    justNow: 'Active just now',
+    ago: 'Active {d} ago',
+    units: { s: 's', m: 'm', h: 'h', d: 'd' },
+  },
+  es: {
+    online_now: 'En línea',
+    idle: 'Ausente',
+    offline: 'Desconectado',
+    inactive: 'Inactivo',
+    unknown: 'Desconocido',
+    within: 'Activo en los últimos {d}',
+    justNow: 'Activo ahora mismo',
+    ago: 'Activo hace {d}',
+    units: { s: ' s', m: ' min', h: ' h', d: ' d' },
+  },
+  fr: {
+    online_now: 'En ligne',
+    idle: 'Absent',
+    offline: 'Hors ligne',
+    inactive: 'Inactif',
+    unknown: 'Inconnu',
+    within: 'Actif au cours des {d}',
+    justNow: "Actif à l'instant",
+    ago: 'Actif il y a {d}',
+    units: { s: ' s', m: ' min', h: ' h', d: ' j' },
+  },
+  de: {
+    online_now: 'Online',
+    idle: 'Abwesend',
+    offline: 'Offline',
+    inactive: 'Inaktiv',
+    unknown: 'Unbekannt',
+    within: 'Aktiv in den letzten {d}',
+    justNow: 'Gerade aktiv',
+    ago: 'Vor {d} aktiv',
+    units: { s: ' Sek.', m: ' Min.', h: ' Std.', d: ' T.' },
+  },
+};
+
+export const SUPPORTED_LOCALES = Object.keys(STRINGS);
+
+/**
+ * The timed buckets, shortest first: [{ id, maxAgeMs }].
+ */
+export function activityBuckets() {
+  return Object.entries(config.presenceBucketThresholdsMs)
+    .map(([id, maxAgeMs]) => ({ id, maxAgeMs }))
+    .sort((a, b) => a.maxAgeMs - b.maxAgeMs);
+}
+
+/**
+ * First supported locale among the candidates (a locale, or an Accept-Language header),
+ * else config.defaultLocale.
+ */
+export function resolveLocale(...candidates) {
+  for (const candidate of candidates) {
+    if (typeof candidate !== 'string') continue;
+
+    const ranked = candidate
+      .split(',')
+      .map((part, i) => {
+        const [tag, ...params] = part.trim().split(';');
+        const q = params.map((p) => p.trim()).find((p) => p.startsWith('q='));
+        return { tag: tag.toLowerCase(), q: q ? Number(q.slice(2)) : 1, i };
+      })
+      .filter((entry) => entry.tag && entry.q > 0)
+      .sort((a, b) => b.q - a.q || a.i - b.i);
+
+    for (const { tag } of ranked) {
+      const base = tag.split('-')[0];
+      if (isSupported(base)) return base;
+    }
+  }
+  return isSupported(config.defaultLocale) ? config.defaultLocale : 'en';
+}
+
+// Own keys only: 'constructor' or '__proto__' are not locales
+function isSupported(locale) {
+  return Object.hasOwn(STRINGS, locale);
+}
+
+function strings(locale) {
+  return isSupported(locale) ? STRINGS[locale] : STRINGS.en;
+}
+
+// 10s, 5m, 24h, 3d: hours up to two days, so "today" reads as 24h rather than 1d
+function formatDuration(ms, units) {
+  const seconds = Math.floor(ms / 1000);
+  if (seconds < 60) return `${seconds}${units.s}`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}${units.m}`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) return `${hours}${units.h}`;
+  return `${Math.floor(hours / 24)}${units.d}`;
+}
+
+/**
+ * Display label of a bucket ("Active in the last 5m"); timed buckets follow their threshold.
+ */
+export function bucketLabel(id, locale) {
+  const s = strings(locale);
+  const maxAgeMs = config.presenceBucketThresholdsMs[id];
+  if (maxAgeMs != null) return s.within.replace('{d}', formatDuration(maxAgeMs, s.units));
+  return s[id] ?? s.unknown;
+}
+
+/**
+ * Bucket definitions for GET /presence/buckets:
+ * [{ id, maxAgeMs (null for untimed buckets), label (in `locale`), labels: { locale: label } }]
+ */
+export function describeBuckets(locale) {
+  return PRESENCE_BUCKETS.map((id) => ({
+    id,
+    maxAgeMs: config.presenceBucketThresholdsMs[id] ?? null,
+    label: bucketLabel(id, locale),
+    labels: Object.fromEntries(SUPPORTED_LOCALES.map((l) => [l, bucketLabel(id, l)])),
+  }));
+}
+
+/**
+ * Relative label for one presence: "Online", "Idle", "Active 3m ago", "Offline".
+ * null when the viewer may not see the user (online: null).
+ */
+export function presenceLabel({ online, idle, lastActiveAt }, nowMs, locale) {
+  if (online == null) return null;
+
+  const s = strings(locale);
+  if (online) return idle ? s.idle : s.online_now;
+  if (!lastActiveAt) return s.offline;
+
+  const ago = Math.max(0, nowMs - lastActiveAt);
+  if (ago < 60_000) return s.justNow;
+  return s.ago.replace('{d}', formatDuration(ago, s.units));
+}
@@ -0,0 +1,255 @@
+import os from 'os';
+import { config } from '../config.mjs';
+import { presenceService } from './presence.mjs';
+import { presenceMetrics } from './metrics.mjs';
+import {
+  ACQUIRE_LEASE_SCRIPT,
+  CLAIM_DEAD_SERVER_SCRIPT,
+  CLEAR_SERVER_DEVICES_SCRIPT,
+  RELEASE_LEASE_SCRIPT,
+} from '../storage/scripts.mjs';
+
+/**
+ * Cluster membership: which presence servers exist, and cleanup after the ones that died.
+ *
+ * Every PresenceWebSocketServer heartbeats a registry record every config.serverHeartbeatMs.
+ * A server silent for config.serverDeadAfterMs is dead: the janitor (ServerJanitor below)
+ * removes it from watcher sets and takes its devices offline, instead of leaving them to TTLs.
+ *
+ * Storage:
+ *   presence:servers         HASH serverId -> JSON { serverId, host, pid, startedAt, heartbeatAt, connections, ... }
+ *   presence:servers:alive   ZSET serverId -> last heartbeat (ms)
+ *   cluster:janitor:leader   lease: the one server currently running the janitor
+ * plus the per-server indexes kept by PresenceService (serverWatchingKey, serverGroupsKey,
+ * serverOwnedKey).
+ */
+export class ClusterService {
+  constructor(presence) {
+    this.presence = presence;
+  }
+
+  get client() {
+    return this.presence.client;
+  }
+
+  serversKey() {
+    return 'presence:servers';
+  }
+
+  aliveKey() {
+    return 'presence:servers:alive';
+  }
+
+  janitorLeaderKey() {
+    return 'cluster:janitor:leader';
+  }
+
+  // ---------------- Registry ----------------
+  /**
+   * Heartbeat: record a server's current load.
+   * stats: { serverId, startedAt, connections, users, sseStreams, focusedEmails, focusedGroups, draining }
+   * Returns true if the server was not registered (first heartbeat, or reaped as dead meanwhile).
+   */
+  async heartbeat(stats) {
+    const now = Date.now();
+    const entry = { ...stats, host: os.hostname(), pid: process.pid, heartbeatAt: now };
+
+    const [added] = await this.client
+      .multi()
+      .zAdd(this.aliveKey(), [{ score: now, value: stats.serverId }])
+      .hSet(this.serversKey(), stats.serverId, JSON.stringify(entry))
+      .exec();
+    return Number(added) === 1;
+  }
+
+  /**
+   * Clean shutdown (after drain): leave the registry and drop this server's indexes.
+   */
+  async deregister(serverId) {
+    const p = this.presence;
+    await this.client
+      .multi()
+      .zRem(this.aliveKey(), serverId)
+      .hDel(this.serversKey(), serverId)
+      .del(p.serverWatchingKey(serverId))
+      .del(p.serverGroupsKey(serverId))
+      .del(p.serverOwnedKey(serverId))
+      .exec();
+  }
+
+  /**
+   * Registered servers, oldest first. `stale`: silent for config.serverDeadAfterMs
+   * (the janitor reaps it on its next sweep).
+   */
+  async listServers() {
+    const raw = await this.client.hGetAll(this.serversKey());
+    const staleBefore = Date.now() - config.serverDeadAfterMs;
+
+    const servers = [];
+    for (const value of Object.values(raw ?? {})) {
+      try {
+        const server = JSON.parse(value);
+        servers.push({ ...server, stale: server.heartbeatAt < staleBefore });
+      } catch {
+        // skip malformed entry
+      }
+    }
+    return servers.sort((a, b) => a.startedAt - b.startedAt);
+  }
+
+  async findDeadServers(deadBefore) {
+    return this.client.zRangeByScore(this.aliveKey(), '-inf', deadBefore);
+  }
+
+  /**
+   * Remove a dead server from the registry. Returns true for exactly one caller, which then
+   * owns the cleanup (see cleanupServer).
+   */
+  async claimDeadServer(serverId, deadBefore) {
+    const res = await this.client.eval(CLAIM_DEAD_SERVER_SCRIPT, {
+      keys: [this.aliveKey(), this.serversKey()],
+      arguments: [serverId, String(deadBefore)],
+    });
+    return Number(res) === 1;
+  }
+
+  // ---------------- Dead server cleanup ----------------
+  /**
+   * Undo what a dead server left behind (call once, after claimDeadServer):
+   *   - remove it from every presence:watchers:* and group:watchers:* set it registered
+   *   - drop the devices it held; users left without devices go offline now, with last-seen,
+   *     session history and one offline flip each
+   * Returns { watchers, groups, offline } (counts).
+   */
+  async cleanupServer(serverId) {
+    const p = this.presence;
+
+    const [emails, groupIds, owned] = await this.client
+      .multi()
+      .sMembers(p.serverWatchingKey(serverId))
+      .sMembers(p.serverGroupsKey(serverId))
+      .sMembers(p.serverOwnedKey(serverId))
+      .exec();
+
+    if (emails.length > 0 || groupIds.length > 0) {
+      const pipeline = this.client.multi();
+      for (const email of emails) pipeline.sRem(p.watchersKey(email), serverId);
+      for (const groupId of groupIds) pipeline.sRem(p.groupWatchersKey(groupId), serverId);
+      await pipeline.exec();
+    }
+
+    let offline = 0;
+    for (const email of owned) {
+      try {
+        const res = await this.client.eval(CLEAR_SERVER_DEVICES_SCRIPT, {
+          keys: p.deviceScriptKeys(email),
+          arguments: [serverId, String(Date.now())],
+        });
+        if (Number(res) !== 1) continue;
+
+        const now = Date.now();
+        await p.updateLastSeen(email, now);
+        await p.closeSession(email, now);
+        await p.publishPresenceFlip(email);
+        offline++;
+      } catch (e) {
+        console.error(`Dead server cleanup failed for ${email}:`, e);
+      }
+    }
+
+    await this.client
+      .multi()
+      .del(p.serverWatchingKey(serverId))
+      .del(p.serverGroupsKey(serverId))
+      .del(p.serverOwnedKey(serverId))
+      .exec();
+
+    return { watchers: emails.length, groups: groupIds.length, offline };
+  }
+
+  async acquireLease(owner, ttlMs) {
+    const res = await this.client.eval(ACQUIRE_LEASE_SCRIPT, {
+      keys: [this.janitorLeaderKey()],
+      arguments: [owner, String(ttlMs)],
+    });
+    return Number(res) === 1;
+  }
+
+  async releaseLease(owner) {
+    await this.client.eval(RELEASE_LEASE_SCRIPT, {
+      keys: [this.janitorLeaderKey()],
+      arguments: [owner],
+    });
+  }
+}
+
+export const clusterService = new ClusterService(presenceService);
+
+/**
+ * Server Janitor
+ *
+ * Runs on every server; a lease (cluster:janitor:leader) makes one of them the active janitor
+ * at a time. Each sweep it claims servers whose heartbeat is older than config.serverDeadAfterMs
+ * and cleans up after them. Claims are atomic, so each dead server is cleaned up (and each of its
+ * users flipped offline) exactly once even across a lease handover.
+ */
+export class ServerJanitor {
+  intervalId = null;
+  running = false;
+
+  constructor({ serverId = config.serverId, intervalMs = config.janitorIntervalMs } = {}) {
+    this.serverId = serverId;
+    this.intervalMs = intervalMs;
+    this.leaseMs = Math.max(intervalMs * 5, 5000);
+  }
+
+  start() {
+    if (this.intervalId) return;
+    this.intervalId = setInterval(() => {
+      this.sweep().catch((e) => console.error('Janitor sweep failed:', e));
+    }, this.intervalMs);
+  }
+
+  async stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+    try {
+      await clusterService.releaseLease(this.serverId);
+    } catch (e) {
+      console.error('Failed to release janitor lease:', e);
+    }
+  }
+
+  /**
+   * Returns the servers reaped this sweep ([{ serverId, watchers, groups, offline }]),
+   * or null when another server holds the lease.
+   */
+  async sweep() {
+    if (this.running) return null;
+    this.running = true;
+
+    try {
+      if (!(await clusterService.acquireLease(this.serverId, this.leaseMs))) return null;
+
+      const deadBefore = Date.now() - config.serverDeadAfterMs;
+      const reaped = [];
+      for (const serverId of await clusterService.findDeadServers(deadBefore)) {
+        if (serverId === this.serverId) continue; // our own heartbeat is late, not dead
+        if (!(await clusterService.claimDeadServer(serverId, deadBefore))) continue;
+
+        const result = await clusterService.cleanupServer(serverId);
+        presenceMetrics.serversReaped.inc();
+        console.warn(
+          `Reaped dead server ${serverId}: ${result.offline} users offline, ` +
+            `${result.watchers} watcher sets, ${result.groups} group watcher sets`
+        );
+        reaped.push({ serverId, ...result });
+      }
+      return reaped;
+    } finally {
+      this.running = false;
+    }
+  }
+}
@@ -0,0 +1,123 @@
+import crypto from 'crypto';
+import { presenceService } from './presence.mjs';
+import { presenceMetrics } from './metrics.mjs';
+import { ENQUEUE_DELIVERY_SCRIPT } from '../storage/scripts.mjs';
+import { config } from '../config.mjs';
+
+/**
+ * Presence-aware message delivery (POST /deliver).
+ *
+ * Every message is queued first and then published to the servers holding the user's sockets
+ * (PresenceService.getUserServers), which hand it to their local sockets as a `delivery` frame.
+ * A message leaves the queue when a client acks it (delivery:ack) or it expires; whatever is
+ * still queued is sent again on the next auth, so delivery is at-least-once and clients dedupe
+ * by id.
+ *
+ * Storage:
+ *   delivery:queue:{email}  ZSET id -> createdAt (oldest first; the cap evicts from the front)
+ *   delivery:items:{email}  HASH id -> JSON { id, payload, createdAt, expiresAt }
+ */
+export class DeliveryService {
+  constructor(presence) {
+    this.presence = presence;
+  }
+
+  get client() {
+    return this.presence.client;
+  }
+
+  queueKey(email) {
+    return `delivery:queue:${email}`;
+  }
+
+  itemsKey(email) {
+    return `delivery:items:${email}`;
+  }
+
+  /**
+   * Queue a message for a user and route it to the servers holding their sockets.
+   * Returns { item, routed: [serverId], dropped } (dropped: older messages evicted by the cap).
+   */
+  async deliver(email, payload, { ttlSeconds = config.deliveryTtlSeconds } = {}) {
+    const p = this.presence;
+    const normalized = p.normalizeEmail(email);
+    const now = Date.now();
+    const item = {
+      id: `msg_${crypto.randomUUID()}`,
+      payload,
+      createdAt: now,
+      expiresAt: now + ttlSeconds * 1000,
+    };
+
+    const dropped = Number(
+      await this.client.eval(ENQUEUE_DELIVERY_SCRIPT, {
+        keys: [this.queueKey(normalized), this.itemsKey(normalized)],
+        arguments: [
+          item.id,
+          String(now),
+          JSON.stringify(item),
+          String(config.deliveryQueueMax),
+          String(config.deliveryMaxTtlSeconds),
+        ],
+      })
+    );
+
+    const routed = await p.getUserServers(normalized);
+    if (routed.length > 0) {
+      const msg = JSON.stringify({ type: 'deliver', email: normalized, item });
+      const pipeline = p.pubClient.multi();
+      for (const serverId of routed) pipeline.publish(p.serverChannel(serverId), msg);
+      await pipeline.exec();
+    }
+
+    presenceMetrics.deliveries.inc({ online: String(routed.length > 0) });
+    if (dropped > 0) presenceMetrics.deliveriesEvicted.inc({}, dropped);
+    return { item, routed, dropped };
+  }
+
+  /**
+   * Unacked, unexpired messages for a user, oldest first. Drops the expired ones on the way.
+   */
+  async pending(email) {
+    const normalized = this.presence.normalizeEmail(email);
+    const ids = await this.client.zRange(this.queueKey(normalized), 0, -1);
+    if (ids.length === 0) return [];
+
+    const raws = await this.client.hmGet(this.itemsKey(normalized), ids);
+    const now = Date.now();
+    const items = [];
+    const stale = [];
+    ids.forEach((id, i) => {
+      let item = null;
+      try {
+        item = raws[i] ? JSON.parse(raws[i]) : null;
+      } catch {
+        // malformed entry: drop it with the expired ones
+      }
+      if (item && item.expiresAt > now) items.push(item);
+      else stale.push(id);
+    });
+
+    if (stale.length > 0) await this.remove(normalized, stale);
+    return items;
+  }
+
+  /**
+   * Acknowledge messages. Returns how many were still queued.
+   */
+  async ack(email, ids) {
+    if (ids.length === 0) return 0;
+    return this.remove(this.presence.normalizeEmail(email), ids);
+  }
+
+  async remove(email, ids) {
+    const [removed] = await this.client
+      .multi()
+      .zRem(this.queueKey(email), ids)
+      .hDel(this.itemsKey(email), ids)
+      .exec();
+    return Number(removed);
+  }
+}
+
+export const deliveryService = new DeliveryService(presenceService);
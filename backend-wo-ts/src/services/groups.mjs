@@ -0,0 +1,186 @@
+import crypto from 'crypto';
+import { presenceService } from './presence.mjs';
+import { PRESENCE_BUCKETS } from './buckets.mjs';
+
+/**
+ * Named groups (team rosters) whose presence is read or focused as a whole.
+ *
+ * The owner manages the group; the owner and its members may read its presence.
+ * The owner is always a member.
+ *
+ * Storage:
+ *   groups:meta              HASH groupId -> JSON { id, name, owner, createdAt, updatedAt }
+ *   group:members:{id}       SET of emails
+ *   presence:groups:{email}  SET of groupIds (reverse index, used to route member flips)
+ *   group:watchers:{id}      SET of serverIds with a local group:focus (see PresenceService)
+ */
+export class GroupService {
+  constructor(presence) {
+    this.presence = presence;
+  }
+
+  get client() {
+    return this.presence.client;
+  }
+
+  metaKey() {
+    return 'groups:meta';
+  }
+
+  async getGroup(groupId) {
+    const raw = await this.client.hGet(this.metaKey(), groupId);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async memberCount(groupId) {
+    return this.client.sCard(this.presence.groupMembersKey(groupId));
+  }
+
+  async isMember(groupId, email) {
+    return this.client.sIsMember(this.presence.groupMembersKey(groupId), email);
+  }
+
+  // Sorted, so pages and cursors are stable
+  async getMembers(groupId) {
+    const members = await this.client.sMembers(this.presence.groupMembersKey(groupId));
+    return members.sort();
+  }
+
+  /**
+   * The group, if `email` may read it (owner or member); null otherwise (or if it doesn't exist).
+   */
+  async getReadableGroup(groupId, email) {
+    const group = await this.getGroup(groupId);
+    if (!group) return null;
+    if (group.owner === email || (await this.isMember(groupId, email))) return group;
+    return null;
+  }
+
+  // Groups the user owns or belongs to (the owner is a member, so one index covers both)
+  async listGroupsFor(email) {
+    const ids = await this.client.sMembers(this.presence.memberGroupsKey(email));
+    const groups = await Promise.all(ids.map((id) => this.getGroup(id)));
+    return groups.filter(Boolean).sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  async createGroup({ name, owner, members = [] }) {
+    const now = Date.now();
+    const group = {
+      id: `grp_${crypto.randomUUID()}`,
+      name,
+      owner,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    await this.client.hSet(this.metaKey(), group.id, JSON.stringify(group));
+    await this.addMembers(group.id, [owner, ...members]);
+    return group;
+  }
+
+  async updateGroup(groupId, { name }) {
+    const group = await this.getGroup(groupId);
+    if (!group) return null;
+
+    if (name !== undefined) group.name = name;
+    group.updatedAt = Date.now();
+
+    await this.client.hSet(this.metaKey(), groupId, JSON.stringify(group));
+    return group;
+  }
+
+  async deleteGroup(groupId) {
+    const members = await this.client.sMembers(this.presence.groupMembersKey(groupId));
+
+    const pipeline = this.client.multi();
+    for (const email of members) pipeline.sRem(this.presence.memberGroupsKey(email), groupId);
+    pipeline.del(this.presence.groupMembersKey(groupId));
+    pipeline.hDel(this.metaKey(), groupId);
+    const res = await pipeline.exec();
+
+    await this.presence.publishGroupChange(groupId, { deleted: true });
+    return Number(res[res.length - 1]) > 0;
+  }
+
+  /**
+   * Add members (normalized, valid emails only). Returns how many were new.
+   * Callers check config.groupMaxMembers first.
+   */
+  async addMembers(groupId, emails) {
+    const members = this.normalizeMembers(emails);
+    if (members.length === 0) return 0;
+
+    const pipeline = this.client.multi();
+    pipeline.sAdd(this.presence.groupMembersKey(groupId), members);
+    for (const email of members) pipeline.sAdd(this.presence.memberGroupsKey(email), groupId);
+    const [added] = await pipeline.exec();
+
+    if (Number(added) > 0) await this.presence.publishGroupChange(groupId);
+    return Number(added);
+  }
+
+  async removeMembers(groupId, emails) {
+    const members = this.normalizeMembers(emails);
+    if (members.length === 0) return 0;
+
+    const pipeline = this.client.multi();
+    pipeline.sRem(this.presence.groupMembersKey(groupId), members);
+    for (const email of members) pipeline.sRem(this.presence.memberGroupsKey(email), groupId);
+    const [removed] = await pipeline.exec();
+
+    if (Number(removed) > 0) await this.presence.publishGroupChange(groupId);
+    return Number(removed);
+  }
+
+  normalizeMembers(emails) {
+    const members = new Set();
+    for (const email of emails) {
+      const normalized = this.presence.normalizeEmail(email);
+      if (this.presence.isValidEmail(normalized)) members.add(normalized);
+    }
+    return Array.from(members);
+  }
+
+  /**
+   * Presence of every member as `viewer` sees it (see getBatchPresenceForList).
+   */
+  async getMemberPresence(groupId, viewer, { locale } = {}) {
+    const members = await this.getMembers(groupId);
+    const statuses = [];
+    for (let i = 0; i < members.length; i += 500) {
+      const page = members.slice(i, i + 500);
+      statuses.push(...(await this.presence.getBatchPresenceForList(page, { viewer, locale })));
+    }
+    return statuses;
+  }
+
+  /**
+   * Roster summary: member counts per bucket plus one page of the online members (by email).
+   * cursor: the previous page's nextCursor. Returns { groupId, total, counts, online, nextCursor }.
+   */
+  async getGroupPresence(groupId, viewer, { cursor = null, limit = 50, locale } = {}) {
+    const statuses = await this.getMemberPresence(groupId, viewer, { locale });
+    return summarizeGroupPresence(groupId, statuses, { cursor, limit });
+  }
+}
+
+/**
+ * Counts per bucket and a page of the online statuses (statuses sorted by email).
+ */
+export function summarizeGroupPresence(groupId, statuses, { cursor = null, limit = 50 } = {}) {
+  const counts = Object.fromEntries(PRESENCE_BUCKETS.map((bucket) => [bucket, 0]));
+  for (const { bucket } of statuses) counts[bucket] = (counts[bucket] ?? 0) + 1;
+
+  const online = statuses.filter((s) => s.online === true && (!cursor || s.email > cursor));
+  const page = online.slice(0, limit);
+
+  return {
+    groupId,
+    total: statuses.length,
+    counts,
+    online: page,
+    nextCursor: online.length > limit ? page[page.length - 1].email : null,
+  };
+}
+
+export const groupService = new GroupService(presenceService);
@@ -0,0 +1,66 @@
+const DAY_MS = 86_400_000;
+
+/**
+ * Clip sessions to [fromMs, toMs] and merge overlapping / touching ones
+ * (e.g. two devices, or a reconnect that opened a new session right away).
+ * Open sessions (end = null) run until nowMs.
+ *
+ * Returns [{ start, end, ongoing }] sorted by start.
+ */
+export function mergeSessions(sessions, fromMs, toMs, nowMs = Date.now()) {
+  const clipped = [];
+  for (const { start, end } of sessions) {
+    const ongoing = end == null;
+    const s = Math.max(start, fromMs);
+    const e = Math.min(ongoing ? nowMs : end, toMs);
+    if (e > s) clipped.push({ start: s, end: e, ongoing: ongoing && e === nowMs });
+  }
+
+  clipped.sort((a, b) => a.start - b.start);
+
+  const merged = [];
+  for (const session of clipped) {
+    const last = merged[merged.length - 1];
+    if (last && session.start <= last.end) {
+      if (session.end > last.end) {
+        last.end = session.end;
+        last.ongoing = session.ongoing;
+      } else {
+        last.ongoing = last.ongoing || session.ongoing;
+      }
+      continue;
+    }
+    merged.push({ ...session });
+  }
+
+  return merged;
+}
+
+/**
+ * Total online time per UTC day for merged sessions.
+ * Returns [{ date: 'YYYY-MM-DD', onlineMs }] for every day in [fromMs, toMs].
+ */
+export function onlineTimeByDay(merged, fromMs, toMs) {
+  const totals = new Map();
+
+  for (let day = Math.floor(fromMs / DAY_MS) * DAY_MS; day < toMs; day += DAY_MS) {
+    totals.set(day, 0);
+  }
+
+  for (const { start, end } of merged) {
+    let cursor = start;
+    while (cursor < end) {
+      const day = Math.floor(cursor / DAY_MS) * DAY_MS;
+      const sliceEnd = Math.min(end, day + DAY_MS);
+      totals.set(day, (totals.get(day) ?? 0) + (sliceEnd - cursor));
+      cursor = sliceEnd;
+    }
+  }
+
+  return Array.from(totals.entries())
+    .sort((a, b) => a[0] - b[0])
+    .map(([day, onlineMs]) => ({
+      date: new Date(day).toISOString().slice(0, 10),
+      onlineMs,
+    }));
+}
@@ -0,0 +1,297 @@
+/**
+ * Minimal Prometheus-style metrics (text exposition format 0.0.4).
+ * No client library: counters, callback gauges and histograms are all we need.
+ */
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels || {});
+  if (entries.length === 0) return '';
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}`;
+}
+
+function labelsKey(labels) {
+  return JSON.stringify(Object.entries(labels || {}).sort());
+}
+
+class Counter {
+  type = 'counter';
+  values = new Map(); // labelsKey -> { labels, value }
+
+  constructor(name, help) {
+    this.name = name;
+    this.help = help;
+  }
+
+  inc(labels = {}, amount = 1) {
+    const key = labelsKey(labels);
+    const entry = this.values.get(key);
+    if (entry) entry.value += amount;
+    else this.values.set(key, { labels, value: amount });
+  }
+
+  samples() {
+    return Array.from(this.values.values()).map(({ labels, value }) => ({
+      name: this.name,
+      labels,
+      value,
+    }));
+  }
+}
+
+/**
+ * Gauge read at scrape time. Each collector returns a number or [{ labels, value }].
+ * Several collectors can share one gauge (e.g. several WS servers in one process).
+ */
+class Gauge {
+  type = 'gauge';
+  collectors = new Set();
+
+  constructor(name, help) {
+    this.name = name;
+    this.help = help;
+  }
+
+  addCollector(collect) {
+    this.collectors.add(collect);
+    return () => this.collectors.delete(collect);
+  }
+
+  samples() {
+    const out = [];
+    for (const collect of this.collectors) {
+      let result;
+      try {
+        result = collect();
+      } catch (e) {
+        console.error(`Gauge ${this.name} collector failed:`, e);
+        continue;
+      }
+      if (typeof result === 'number') out.push({ name: this.name, labels: {}, value: result });
+      else if (Array.isArray(result)) {
+        for (const { labels, value } of result) out.push({ name: this.name, labels, value });
+      }
+    }
+    return out;
+  }
+}
+
+class Histogram {
+  type = 'histogram';
+  values = new Map(); // labelsKey -> { labels, counts[], sum, count }
+
+  constructor(name, help, buckets) {
+    this.name = name;
+    this.help = help;
+    this.buckets = buckets;
+  }
+
+  observe(labels, value) {
+    const key = labelsKey(labels);
+    let entry = this.values.get(key);
+    if (!entry) {
+      entry = { labels, counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 };
+      this.values.set(key, entry);
+    }
+
+    for (let i = 0; i < this.buckets.length; i++) {
+      if (value <= this.buckets[i]) entry.counts[i]++;
+    }
+    entry.sum += value;
+    entry.count++;
+  }
+
+  samples() {
+    const out = [];
+    for (const { labels, counts, sum, count } of this.values.values()) {
+      this.buckets.forEach((le, i) => {
+        out.push({ name: `${this.name}_bucket`, labels: { ...labels, le }, value: counts[i] });
+      });
+      out.push({ name: `${this.name}_bucket`, labels: { ...labels, le: '+Inf' }, value: count });
+      out.push({ name: `${this.name}_sum`, labels, value: sum });
+      out.push({ name: `${this.name}_count`, labels, value: count });
+    }
+    return out;
+  }
+}
+
+export class MetricsRegistry {
+  metrics = new Map(); // name -> metric
+
+  register(metric) {
+    const existing = this.metrics.get(metric.name);
+    if (existing) return existing;
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help) {
+    return this.register(new Counter(name, help));
+  }
+
+  gauge(name, help) {
+    return this.register(new Gauge(name, help));
+  }
+
+  histogram(name, help, buckets) {
+    return this.register(new Histogram(name, help, buckets));
+  }
+
+  render() {
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      for (const { name, labels, value } of metric.samples()) {
+        lines.push(`${name}${formatLabels(labels)} ${value}`);
+      }
+    }
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+export const metrics = new MetricsRegistry();
+
+// ---------------- Presence metrics ----------------
+export const presenceMetrics = {
+  wsConnections: metrics.gauge('presence_ws_connections', 'Open WebSocket connections'),
+  wsAuthenticatedUsers: metrics.gauge(
+    'presence_ws_authenticated_users',
+    'Distinct authenticated users with at least one local socket'
+  ),
+  focusedEmails: metrics.gauge(
+    'presence_focused_emails',
+    'Emails focused by at least one local socket'
+  ),
+  focusWatchers: metrics.gauge(
+    'presence_focus_watchers',
+    'Local (socket, email) focus subscriptions'
+  ),
+  sseStreams: metrics.gauge('presence_sse_streams', 'Open SSE presence streams'),
+  focusedGroups: metrics.gauge(
+    'presence_focused_groups',
+    'Groups focused (group:focus) by at least one local socket'
+  ),
+  authQueued: metrics.gauge(
+    'presence_auth_queued',
+    'WebSocket auths waiting for an admission slot (config.authMaxConcurrent)'
+  ),
+
+  deliveries: metrics.counter(
+    'presence_deliveries_total',
+    'Messages accepted by POST /deliver (online: routed to a server right away)'
+  ),
+  deliveriesEvicted: metrics.counter(
+    'presence_deliveries_evicted_total',
+    'Queued messages evicted by the per-user queue cap'
+  ),
+
+  serversReaped: metrics.counter(
+    'presence_servers_reaped_total',
+    'Dead servers cleaned up by the janitor'
+  ),
+
+  flipsPublished: metrics.counter(
+    'presence_flips_published_total',
+    'Presence flips published to at least one watching server'
+  ),
+  flipsCoalesced: metrics.counter(
+    'presence_flips_coalesced_total',
+    'Presence flips replaced by a newer flip of the same email before their batch was published'
+  ),
+  flipBatchesPublished: metrics.counter(
+    'presence_flip_batches_published_total',
+    'Flip batches published (one per destination channel and batch window)'
+  ),
+  flipsReceived: metrics.counter(
+    'presence_flips_received_total',
+    'Presence flips received on this server channel'
+  ),
+  flipsStale: metrics.counter(
+    'presence_flips_stale_total',
+    'Presence flips dropped because a newer version was already routed'
+  ),
+  focusRateLimited: metrics.counter(
+    'presence_focus_rate_limited_total',
+    'presence:focus requests rejected by the per-user rate limit'
+  ),
+  rateLimited: metrics.counter(
+    'presence_rate_limited_total',
+    'Requests rejected by a shared rate limit policy (or an active ban)'
+  ),
+  rateLimitBans: metrics.counter(
+    'presence_rate_limit_bans_total',
+    'IPs/users temporarily banned for repeatedly hitting rate limits'
+  ),
+  authRejected: metrics.counter(
+    'presence_auth_rejected_total',
+    'WebSocket auths turned away with retry_after (admission queue full or wait timed out)'
+  ),
+  connectionsRejected: metrics.counter(
+    'presence_connections_rejected_total',
+    'WebSocket connections rejected at connect time'
+  ),
+  heartbeatTerminations: metrics.counter(
+    'presence_heartbeat_terminations_total',
+    'Sockets terminated for missing a heartbeat pong'
+  ),
+
+  redisCommandDuration: metrics.histogram(
+    'presence_redis_command_duration_seconds',
+    'Redis command latency as seen by PresenceService',
+    [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1]
+  ),
+};
+
+// Connection lifecycle / pub-sub calls aren't commands worth timing.
+const UNTIMED = new Set([
+  'connect',
+  'disconnect',
+  'quit',
+  'subscribe',
+  'unsubscribe',
+  'pSubscribe',
+  'pUnsubscribe',
+]);
+
+/**
+ * Wrap a node-redis client so every command (and MULTI exec) records its latency
+ * in presence_redis_command_duration_seconds{command}.
+ */
+export function instrumentRedisClient(client) {
+  const observe = (command, startedAt) => {
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+    presenceMetrics.redisCommandDuration.observe({ command }, seconds);
+  };
+
+  const time = (command, result, startedAt) => {
+    if (!result || typeof result.then !== 'function') return result;
+    return result.finally(() => observe(command, startedAt));
+  };
+
+  return new Proxy(client, {
+    get(target, prop) {
+      const value = Reflect.get(target, prop, target);
+      if (typeof value !== 'function' || typeof prop !== 'string' || UNTIMED.has(prop)) {
+        return typeof value === 'function' ? value.bind(target) : value;
+      }
+
+      if (prop === 'multi') {
+        return (...args) => {
+          const multi = value.apply(target, args);
+          const exec = multi.exec.bind(multi);
+          multi.exec = (...execArgs) => time('multi', exec(...execArgs), process.hrtime.bigint());
+          return multi;
+        };
+      }
+
+      return (...args) => {
+        const startedAt = process.hrtime.bigint();
+        return time(prop.toLowerCase(), value.apply(target, args), startedAt);
+      };
+    },
+  });
+}
@@ -1,14 +1,44 @@
-import { createClient } from 'redis';
+import crypto from 'crypto';
 import { config } from '../config.mjs';
+import { instrumentRedisClient, presenceMetrics } from './metrics.mjs';
+import { createStorageClient } from '../storage/index.mjs';
+import {
+  CLAIM_EXPIRED_SCRIPT,
+  CLEAR_DEVICE_SCRIPT,
+  HAND_OFF_DEVICE_SCRIPT,
+  MARK_IDLE_SCRIPT,
+  REFRESH_DEVICE_SCRIPT,
+  SET_ONLINE_SCRIPT,
+} from '../storage/scripts.mjs';
+import { activityBuckets, presenceLabel } from './buckets.mjs';
+
+// Stream ids are "<ms>-<seq>"
+function compareEventIds(a, b) {
+  const [aMs, aSeq = 0] = String(a).split('-').map(Number);
+  const [bMs, bSeq = 0] = String(b).split('-').map(Number);
+  return aMs - bMs || aSeq - bSeq;
+}
+
+// Explicit user-set statuses. "invisible" is reported as offline to everyone but the user.
+export const PRESENCE_STATUSES = ['available', 'away', 'busy', 'dnd', 'invisible'];
+
+// Who may see a user's presence (rel:privacy:{email})
+export const PRESENCE_VISIBILITY = ['everyone', 'contacts', 'nobody'];
 
 export class PresenceService {
   client;
   pubClient;
   connected = false;
+  usersIndexReady = false;
+
+  // Flips waiting for the next batch (see queueFlip / flushFlips)
+  pendingFlips = new Map(); // email -> flip
+  flipFlushTimer = null;
 
   constructor() {
-    this.client = createClient({ url: config.redisUrl });
-    this.pubClient = createClient({ url: config.redisUrl });
+    // Redis or in-memory (config.storageBackend). Instrumented: every command's latency shows up on /metrics
+    this.client = instrumentRedisClient(createStorageClient());
+    this.pubClient = instrumentRedisClient(createStorageClient());
 
     this.client.on('error', (err) => console.error('Redis error:', err));
     this.pubClient.on('error', (err) => console.error('Redis pub error:', err));
@@ -31,6 +61,7 @@ export class PresenceService {
 
   async disconnect() {
     if (!this.connected) return;
+    await this.flushFlips();
     await Promise.all([this.pubClient.quit(), this.client.quit()]);
     this.connected = false;
   }
@@ -46,7 +77,72 @@ export class PresenceService {
 
   // Online truth (TTL)
   presenceKey(email) {
-    return `presence:user:${email}`; // value = serverId, TTL truth
+    return `presence:user:${email}`; // value = serverId, TTL truth (= longest-lived device)
+  }
+
+  // Shadow of the presence key without the short TTL.
+  // Survives the presence key's expiry so exactly one server can claim the offline flip.
+  presenceShadowKey(email) {
+    return `presence:shadow:${email}`; // value = serverId
+  }
+
+  // Inverse of presenceKey (for keyspace notifications). Returns null for other keys.
+  emailFromPresenceKey(key) {
+    const prefix = 'presence:user:';
+    if (typeof key !== 'string' || !key.startsWith(prefix)) return null;
+    return key.slice(prefix.length) || null;
+  }
+
+  // Explicit status (JSON { status, message, expiresAt, updatedAt }); TTL = auto-clear time
+  statusKey(email) {
+    return `presence:status:${email}`;
+  }
+
+  // Live devices: ZSET deviceId -> expiresAt (ms)
+  devicesKey(email) {
+    return `presence:devices:${email}`;
+  }
+
+  // Device details: HASH deviceId -> JSON { deviceId, platform, serverId, connectedAt, lastActiveAt }
+  deviceInfoKey(email) {
+    return `presence:device:${email}`;
+  }
+
+  // Same role as presenceShadowKey, for status auto-clear
+  statusShadowKey(email) {
+    return `presence:statusshadow:${email}`;
+  }
+
+  emailFromStatusKey(key) {
+    const prefix = 'presence:status:';
+    if (typeof key !== 'string' || !key.startsWith(prefix)) return null;
+    return key.slice(prefix.length) || null;
+  }
+
+  // Start (ms) of the current online session
+  sessionKey(email) {
+    return `presence:session:${email}`;
+  }
+
+  // Past sessions: ZSET "start-end" scored by end (ms)
+  historyKey(email) {
+    return `presence:history:${email}`;
+  }
+
+  // ---- Relationships (privacy) ----
+  // SET of emails this user added as contacts
+  contactsKey(email) {
+    return `rel:contacts:${email}`;
+  }
+
+  // SET of emails this user blocked
+  blocksKey(email) {
+    return `rel:blocks:${email}`;
+  }
+
+  // everyone | contacts | nobody
+  privacyKey(email) {
+    return `rel:privacy:${email}`;
   }
 
   // "Last seen" (set on offline)
@@ -59,6 +155,11 @@ export class PresenceService {
     return `presence:active:${email}`; // ms timestamp
   }
 
+  // Set while an online user is idle (no activity for config.idleAfterMs)
+  idleKey(email) {
+    return `presence:idle:${email}`; // ms timestamp the user went idle
+  }
+
   // Watcher registry for targeted fanout (1M-scale)
   watchersKey(email) {
     return `presence:watchers:${email}`; // SET(serverId)
@@ -68,41 +169,429 @@ export class PresenceService {
     return `presence:server:${serverId}`;
   }
 
+  // Sharded routing (config.presenceRoutingMode = 'sharded'): every server subscribes to all of these
+  shardChannel(shard) {
+    return `${config.presenceChannel}:${shard}`;
+  }
+
+  shardChannels() {
+    return Array.from({ length: Math.max(1, config.presenceShardCount) }, (_, i) => this.shardChannel(i));
+  }
+
+  // Same shard on every server: first 4 bytes of the email's SHA-1
+  shardFor(email) {
+    const hash = crypto.createHash('sha1').update(email).digest();
+    return hash.readUInt32BE(0) % Math.max(1, config.presenceShardCount);
+  }
+
+  // Per-server indexes, so a dead server's state can be found without scanning (see services/cluster.mjs)
+  serverWatchingKey(serverId) {
+    return `presence:watching:${serverId}`; // SET of emails this server registered as a watcher for
+  }
+
+  serverGroupsKey(serverId) {
+    return `group:watching:${serverId}`; // SET of groupIds this server registered as a watcher for
+  }
+
+  serverOwnedKey(serverId) {
+    return `presence:owned:${serverId}`; // SET of emails with (possibly) a device on this server
+  }
+
+  // Groups (see services/groups.mjs): flips of a member also reach servers watching its groups
+  groupMembersKey(groupId) {
+    return `group:members:${groupId}`; // SET(email)
+  }
+
+  memberGroupsKey(email) {
+    return `presence:groups:${email}`; // SET(groupId)
+  }
+
+  groupWatchersKey(groupId) {
+    return `group:watchers:${groupId}`; // SET(serverId)
+  }
+
+  // Thresholds: config.presenceBucketThresholdsMs (see services/buckets.mjs)
   bucketize(nowMs, lastActiveAtMs, online) {
     if (online) return 'online_now';
     if (!lastActiveAtMs) return 'unknown';
 
     const d = nowMs - lastActiveAtMs;
-    if (d < 10_000) return 'active_10s';
-    if (d < 60_000) return 'active_1m';
-    if (d < 5 * 60_000) return 'active_5m';
-    if (d < 15 * 60_000) return 'active_15m';
-    if (d < 60 * 60_000) return 'active_1h';
-    if (d < 24 * 60 * 60_000) return 'active_today';
+    for (const { id, maxAgeMs } of activityBuckets()) {
+      if (d < maxAgeMs) return id;
+    }
     return 'inactive';
   }
 
   // ---------------- Activity (LinkedIn-style) ----------------
+  /**
+   * Record real user activity (activity:ping): bumps lastActiveAt and ends idle.
+   * Returns { lastActiveAt, wasIdle }; the caller publishes an idle flip when wasIdle.
+   */
   async touchActive(email) {
     const normalized = this.normalizeEmail(email);
     const now = Date.now();
-    await this.client.set(this.activeKey(normalized), String(now));
-    return now;
+    const [, cleared] = await this.client
+      .multi()
+      .set(this.activeKey(normalized), String(now))
+      .del(this.idleKey(normalized))
+      .exec();
+    return { lastActiveAt: now, wasIdle: Number(cleared) > 0 };
+  }
+
+  /**
+   * Mark an online user idle if it hasn't been active since idleBefore (ms). Atomic across
+   * servers: returns true for exactly one caller, which publishes the idle flip.
+   */
+  async markIdle(email, idleBefore) {
+    const normalized = this.normalizeEmail(email);
+    const res = await this.client.eval(MARK_IDLE_SCRIPT, {
+      keys: [this.presenceKey(normalized), this.activeKey(normalized), this.idleKey(normalized)],
+      arguments: [String(idleBefore), String(Date.now()), String(config.presenceShadowTtlSeconds)],
+    });
+    return Number(res) === 1;
+  }
+
+  /**
+   * Which of these (online) users may go idle now: not active since idleBefore and not idle yet.
+   */
+  async findIdleCandidates(emails, idleBefore) {
+    if (emails.length === 0) return [];
+
+    const pipeline = this.client.multi();
+    for (const email of emails) pipeline.get(this.activeKey(email));
+    for (const email of emails) pipeline.exists(this.idleKey(email));
+    const res = await pipeline.exec();
+
+    const n = emails.length;
+    return emails.filter((_, i) => {
+      const lastActiveAt = Number(res?.[i] ?? 0);
+      return lastActiveAt <= idleBefore && Number(res?.[n + i] ?? 0) === 0;
+    });
   }
 
   // ---------------- Pub/Sub (presence flips only) ----------------
-  async publishPresenceFlip(email, online) {
+  // Per-user presence version, bumped by every flip (no TTL: it must never go backwards)
+  versionKey(email) {
+    return `presence:version:${email}`;
+  }
+
+  /**
+   * Publish a presence change to the WS servers watching this email, and append it to the
+   * presence event log (see recordPresenceEvent).
+   *
+   * The published state is read in the same MULTI that bumps the user's version, so a higher
+   * version never carries older state: when two servers flip the same user concurrently, the
+   * later version wins with the latest state, and receivers can drop anything older than what
+   * they already have. "invisible" is published as a plain offline flip.
+   * options.kind: 'status' for a status-only change, 'idle' for idle <-> active
+   * (default: online/offline).
+   *
+   * The flip itself goes out with the next batch (see queueFlip), so this may return before
+   * any server has it.
+   */
+  async publishPresenceFlip(email, { kind } = {}) {
+    const normalized = this.normalizeEmail(email);
+
+    const [version, onlineServerId, rawStatus, lastActiveRaw, idleRaw] = await this.client
+      .multi()
+      .incr(this.versionKey(normalized))
+      .get(this.presenceKey(normalized))
+      .get(this.statusKey(normalized))
+      .get(this.activeKey(normalized))
+      .get(this.idleKey(normalized))
+      .exec();
+
+    const online = Boolean(onlineServerId);
+    const status = this.parseStatus(rawStatus);
+    const visible = this.visiblePresence(online, status);
+    const hidden = status?.status === 'invisible';
+    const lastActiveAt = hidden || !lastActiveRaw ? null : Number(lastActiveRaw);
+    const idle = visible.online && Boolean(idleRaw);
+    const ts = Date.now();
+
+    // Invisible users look offline: going idle or active again changes nothing anyone sees
+    if (hidden && kind === 'idle') return;
+
+    // Logged even when nobody is watching: backend integrations read the log, not the WS fan-out
+    let eventId = null;
+    if (!hidden || kind === 'status') {
+      const flipType = visible.online ? 'presence.online' : 'presence.offline';
+      eventId = await this.recordPresenceEvent({
+        type: kind === 'status' || kind === 'idle' ? `presence.${kind}` : flipType,
+        email: normalized,
+        ts,
+        version: Number(version),
+        ...visible,
+        idle,
+      });
+    }
+
+    await this.queueFlip({
+      email: normalized,
+      ts,
+      eventId,
+      version: Number(version),
+      ...visible,
+      idle,
+      lastActiveAt,
+      bucket: hidden ? 'inactive' : this.bucketize(ts, lastActiveAt, visible.online),
+    });
+  }
+
+  /**
+   * Add a flip to the next batch. A newer flip of the same email replaces the queued one, so a
+   * user who reconnects within the window costs one flip instead of two.
+   * Resolves right away, or once the batch is published when this flip filled it (or batching
+   * is off): callers flipping many users at once (the janitor) get backpressure.
+   */
+  queueFlip(flip) {
+    const queued = this.pendingFlips.get(flip.email);
+    if (queued && queued.version > flip.version) return Promise.resolve();
+    if (queued) presenceMetrics.flipsCoalesced.inc();
+    this.pendingFlips.set(flip.email, flip);
+
+    if (config.flipBatchWindowMs <= 0 || this.pendingFlips.size >= config.flipBatchMaxSize) {
+      return this.flushFlips();
+    }
+    if (!this.flipFlushTimer) {
+      this.flipFlushTimer = setTimeout(() => this.flushFlips(), config.flipBatchWindowMs);
+      this.flipFlushTimer.unref?.();
+    }
+    return Promise.resolve();
+  }
+
+  /**
+   * Publish the pending flips: one { type: 'flips', flips } message per destination channel.
+   * PUBLISH is fire-and-forget and can reorder across publishers: the version lets servers
+   * and clients drop stale flips, and lets clients resume with only what changed.
+   */
+  async flushFlips() {
+    clearTimeout(this.flipFlushTimer);
+    this.flipFlushTimer = null;
+    if (this.pendingFlips.size === 0) return;
+
+    const flips = Array.from(this.pendingFlips.values());
+    this.pendingFlips = new Map();
+
+    try {
+      const batches =
+        config.presenceRoutingMode === 'sharded'
+          ? await this.shardedFlipBatches(flips)
+          : await this.targetedFlipBatches(flips);
+      if (batches.size === 0) return;
+
+      const pipeline = this.pubClient.multi();
+      for (const [channel, batch] of batches) {
+        pipeline.publish(channel, JSON.stringify({ type: 'flips', flips: batch }));
+      }
+      await pipeline.exec();
+      presenceMetrics.flipBatchesPublished.inc({}, batches.size);
+    } catch (e) {
+      console.error('flushFlips failed:', e);
+    }
+  }
+
+  // Targeted delivery: only the servers that currently have watchers for an email (or one of
+  // its groups) get its flip. channel -> [flip]
+  async targetedFlipBatches(flips) {
+    const targets = await this.getFlipTargets(flips.map((flip) => flip.email));
+    const batches = new Map();
+
+    for (const flip of flips) {
+      const { servers, groups } = targets.get(flip.email);
+      if (servers.length === 0) continue;
+
+      presenceMetrics.flipsPublished.inc({ online: String(flip.online) });
+      const routed = { ...flip, groups }; // watched groups this email belongs to
+      for (const serverId of servers) {
+        const channel = this.serverChannel(serverId);
+        if (!batches.has(channel)) batches.set(channel, []);
+        batches.get(channel).push(routed);
+      }
+    }
+    return batches;
+  }
+
+  // Sharded delivery: each flip goes to its email's shard, with all of the email's groups
+  // (receivers skip the ones they don't focus). channel -> [flip]
+  async shardedFlipBatches(flips) {
+    const pipeline = this.client.multi();
+    for (const flip of flips) pipeline.sMembers(this.memberGroupsKey(flip.email));
+    const groupIds = await pipeline.exec();
+    const batches = new Map();
+
+    flips.forEach((flip, i) => {
+      presenceMetrics.flipsPublished.inc({ online: String(flip.online) });
+      const channel = this.shardChannel(this.shardFor(flip.email));
+      if (!batches.has(channel)) batches.set(channel, []);
+      batches.get(channel).push({ ...flip, groups: groupIds[i] ?? [] });
+    });
+    return batches;
+  }
+
+  /**
+   * Servers that must hear about each email: its own watchers plus the watchers of every group
+   * it belongs to. Returns Map email -> { servers, groups } (groups = the email's groups that
+   * have watchers). Two pipelined round trips however many emails are asked for.
+   */
+  async getFlipTargets(emails) {
+    const pipeline = this.client.multi();
+    for (const email of emails) {
+      pipeline.sMembers(this.watchersKey(email)).sMembers(this.memberGroupsKey(email));
+    }
+    const res = await pipeline.exec();
+
+    const groupServers = new Map(); // groupId -> [serverId]
+    emails.forEach((_, i) => {
+      for (const groupId of res[i * 2 + 1] ?? []) groupServers.set(groupId, []);
+    });
+    if (groupServers.size > 0) {
+      const groupIds = Array.from(groupServers.keys());
+      const groupPipeline = this.client.multi();
+      for (const groupId of groupIds) groupPipeline.sMembers(this.groupWatchersKey(groupId));
+      const watchers = await groupPipeline.exec();
+      groupIds.forEach((groupId, i) => groupServers.set(groupId, (watchers[i] ?? []).filter(Boolean)));
+    }
+
+    const targets = new Map();
+    emails.forEach((email, i) => {
+      const servers = new Set((res[i * 2] ?? []).filter(Boolean));
+      const groups = [];
+      for (const groupId of res[i * 2 + 1] ?? []) {
+        const watching = groupServers.get(groupId);
+        if (watching.length === 0) continue;
+        groups.push(groupId);
+        for (const serverId of watching) servers.add(serverId);
+      }
+      targets.set(email, { servers: Array.from(servers), groups });
+    });
+    return targets;
+  }
+
+  async registerGroupWatcher(groupId, serverId) {
+    await this.client
+      .multi()
+      .sAdd(this.groupWatchersKey(groupId), serverId)
+      .sAdd(this.serverGroupsKey(serverId), groupId)
+      .exec();
+  }
+
+  async unregisterGroupWatchers(groupIds, serverId) {
+    if (!groupIds || groupIds.length === 0) return;
+
+    const pipeline = this.client.multi();
+    for (const groupId of groupIds) pipeline.sRem(this.groupWatchersKey(groupId), serverId);
+    pipeline.sRem(this.serverGroupsKey(serverId), groupIds);
+    await pipeline.exec();
+  }
+
+  /**
+   * Tell servers watching a group that its membership changed (or that it is gone).
+   */
+  async publishGroupChange(groupId, { deleted = false } = {}) {
+    const servers = await this.client.sMembers(this.groupWatchersKey(groupId));
+    if (!servers || servers.length === 0) return;
+
+    const msg = JSON.stringify({ type: 'group', groupId, deleted, ts: Date.now() });
+
+    const pipeline = this.pubClient.multi();
+    for (const serverId of servers) {
+      if (!serverId) continue;
+      pipeline.publish(this.serverChannel(serverId), msg);
+    }
+    await pipeline.exec();
+  }
+
+  // ---------------- Presence event log ----------------
+  // STREAM of presence changes: field "event" = JSON { type, email, ts, online, status, ... }
+  eventsKey() {
+    return 'presence:events';
+  }
+
+  /**
+   * Append a presence change to the event log (webhooks and other integrations consume it).
+   * Best effort: a failed append must not block the realtime flip.
+   * Returns the stream id, or null.
+   */
+  async recordPresenceEvent(event) {
+    try {
+      return await this.client.xAdd(
+        this.eventsKey(),
+        '*',
+        { event: JSON.stringify(event) },
+        { TRIM: { strategy: 'MAXLEN', strategyModifier: '~', threshold: config.presenceEventsMaxLen } }
+      );
+    } catch (e) {
+      console.error('recordPresenceEvent failed:', e);
+      return null;
+    }
+  }
+
+  /**
+   * Read the event log after a stream id (exclusive; '0-0' = from the start).
+   * Returns [{ id, ...event }] oldest first.
+   */
+  async getPresenceEvents(afterId = '0-0', limit = 100) {
+    const entries = await this.client.xRange(this.eventsKey(), `(${afterId}`, '+', { COUNT: limit });
+
+    const events = [];
+    for (const { id, message } of entries) {
+      try {
+        events.push({ id, ...JSON.parse(message.event) });
+      } catch {
+        // skip malformed entry
+      }
+    }
+    return events;
+  }
+
+  // Id of the newest event-log entry ('0-0' when the log is empty)
+  async getLatestPresenceEventId() {
+    const [latest] = await this.client.xRevRange(this.eventsKey(), '+', '-', { COUNT: 1 });
+    return latest?.id ?? '0-0';
+  }
+
+  /**
+   * Events for `emails` logged after `afterId`, for resuming a stream.
+   * Returns null when they can't all be replayed: afterId is older than the log (trimmed)
+   * or more than maxScan entries were logged since.
+   */
+  async replayPresenceEvents(afterId, emails, maxScan) {
+    // afterId was trimmed away, and possibly events after it. ('0-0' = the log was empty:
+    // if it has been trimmed since, it holds far more than maxScan entries anyway.)
+    const [oldest] = await this.client.xRange(this.eventsKey(), '-', '+', { COUNT: 1 });
+    if (oldest && afterId !== '0-0' && compareEventIds(afterId, oldest.id) < 0) return null;
+
+    const events = await this.getPresenceEvents(afterId, maxScan + 1);
+    if (events.length > maxScan) return null;
+
+    const wanted = new Set(emails);
+    return events.filter((event) => wanted.has(event.email));
+  }
+
+  /**
+   * Publish an ephemeral activity signal (typing, in call, ...) to the WS servers watching
+   * this email. Same targeted routing as flips; nothing is written to Redis.
+   *
+   * activity: { kind, context, active, expiresAt }
+   */
+  async publishActivity(email, activity) {
     const normalized = this.normalizeEmail(email);
 
-    // Targeted delivery: only publish to WS servers that currently have watchers
-    // for this email. This avoids broadcasting flips to every node.
     const watchers = await this.client.sMembers(this.watchersKey(normalized));
     if (!watchers || watchers.length === 0) return;
 
-    const msg = JSON.stringify({ email: normalized, online, ts: Date.now() });
+    // Invisible users don't leak activity
+    const status = await this.getStatus(normalized);
+    if (status?.status === 'invisible') return;
+
+    const msg = JSON.stringify({
+      type: 'activity',
+      email: normalized,
+      ts: Date.now(),
+      ...activity,
+    });
 
-    // Publish to each server's dedicated channel.
-    // Note: Redis PUBLISH is fire-and-forget; correctness comes from snapshot pulls.
     const pipeline = this.pubClient.multi();
     for (const serverId of watchers) {
       if (!serverId) continue;
@@ -122,13 +611,16 @@ export class PresenceService {
     const ttlSeconds = config.watchersTtlSeconds ?? 120;
     const pipeline = this.client.multi();
 
+    const registered = [];
     for (const email of emails) {
       const normalized = this.normalizeEmail(email);
       if (!this.isValidEmail(normalized)) continue;
       const key = this.watchersKey(normalized);
       pipeline.sAdd(key, serverId);
       pipeline.expire(key, ttlSeconds);
+      registered.push(normalized);
     }
+    if (registered.length > 0) pipeline.sAdd(this.serverWatchingKey(serverId), registered);
 
     await pipeline.exec();
   }
@@ -142,106 +634,427 @@ export class PresenceService {
     if (!serverId) return;
 
     const pipeline = this.client.multi();
+    const unregistered = [];
     for (const email of emails) {
       const normalized = this.normalizeEmail(email);
       if (!this.isValidEmail(normalized)) continue;
       pipeline.sRem(this.watchersKey(normalized), serverId);
+      unregistered.push(normalized);
     }
+    if (unregistered.length > 0) pipeline.sRem(this.serverWatchingKey(serverId), unregistered);
     await pipeline.exec();
   }
 
   // ---------------- Presence (TTL truth + ownership) ----------------
   /**
-   * Set online with TTL. Value is serverId.
-   * Returns { statusChanged, lastSeen } where statusChanged = offline -> online transition.
+   * Mark one device of a user online. Value of presence:user:{email} is the serverId of the
+   * most recent device; its TTL always tracks the longest-lived device, so the key (and the
+   * user) only goes away when the LAST device lapses.
+   *
+   * device: { deviceId, platform }
+   * Returns { statusChanged, wasIdle, lastSeen } where statusChanged = offline -> online
+   * transition (i.e. first device across all servers) and wasIdle = an online user was idle
+   * (a new device counts as activity).
    */
-  async setOnline(email, serverId) {
+  async setOnline(email, serverId, device = {}) {
     const normalized = this.normalizeEmail(email);
-    const key = this.presenceKey(normalized);
-
-    // Pipeline to reduce round trips.
     const now = Date.now();
+    const deviceId = device.deviceId || `conn:${crypto.randomUUID()}`;
+
+    const info = JSON.stringify({
+      deviceId,
+      platform: device.platform || 'unknown',
+      serverId,
+      connectedAt: now,
+      lastActiveAt: now,
+    });
+
     const pipeline = this.client.multi();
 
     // Update "active" whenever user authenticates/comes online
     pipeline.set(this.activeKey(normalized), String(now));
+    pipeline.del(this.idleKey(normalized));
 
-    // SET ... GET returns previous value (null if absent)
-    pipeline.set(key, serverId, {
-      EX: config.presenceTtlSeconds,
-      GET: true,
+    pipeline.eval(SET_ONLINE_SCRIPT, {
+      keys: this.deviceScriptKeys(normalized),
+      arguments: [
+        deviceId,
+        serverId,
+        String(now),
+        String(config.presenceTtlSeconds * 1000),
+        info,
+        String(config.presenceShadowTtlSeconds),
+      ],
     });
 
     pipeline.get(this.lastSeenKey(normalized));
 
+    pipeline.sAdd(this.serverOwnedKey(serverId), normalized);
+
     const res = await pipeline.exec();
 
-    const prev = res?.[1] ?? null;
-    const lastSeenRaw = res?.[2] ?? null;
+    const wasOnline = Number(res?.[2] ?? 0);
+    const lastSeenRaw = res?.[3] ?? null;
+    const lastSeen = lastSeenRaw ? Number(lastSeenRaw) : null;
+
+    if (wasOnline === 0) await this.openSession(normalized, now, lastSeen);
 
     return {
-      statusChanged: prev === null,
-      lastSeen: lastSeenRaw ? Number(lastSeenRaw) : null,
+      deviceId,
+      statusChanged: wasOnline === 0,
+      wasIdle: wasOnline !== 0 && Number(res?.[1] ?? 0) > 0,
+      lastSeen,
     };
   }
 
   /**
-   * Refresh TTL only if this server still owns the key.
+   * Refresh a device's TTL only if this server still owns that device.
+   * Returns 0 (not owned), 1 (refreshed) or 2 (user had lapsed offline and is back:
+   * caller should publish an online flip).
    */
-  async refreshPresence(email, serverId) {
+  async refreshPresence(email, serverId, deviceId) {
     const normalized = this.normalizeEmail(email);
-    const key = this.presenceKey(normalized);
-
-    const script = `
-      if redis.call("GET", KEYS[1]) == ARGV[1] then
-        return redis.call("EXPIRE", KEYS[1], tonumber(ARGV[2]))
-      else
-        return 0
-      end
-    `;
-
-    return await this.client.eval(script, {
-      keys: [key],
-      arguments: [serverId, String(config.presenceTtlSeconds)],
+
+    const res = await this.client.eval(REFRESH_DEVICE_SCRIPT, {
+      keys: this.deviceScriptKeys(normalized),
+      arguments: [
+        deviceId,
+        serverId,
+        String(Date.now()),
+        String(config.presenceTtlSeconds * 1000),
+        String(config.presenceShadowTtlSeconds),
+      ],
     });
+
+    const result = Number(res);
+    if (result === 2) await this.openSession(normalized, Date.now(), await this.getLastSeen(normalized));
+    return result;
   }
 
   /**
-   * Optional optimization: mark offline early.
-   * Only deletes if server still owns key.
+   * Remove one device (only if this server owns it).
+   * Returns true only when that was the user's LAST live device, i.e. the user is now offline
+   * and the caller should publish the offline flip.
    */
-  async safeClearIfOwned(email, serverId) {
+  async safeClearIfOwned(email, serverId, deviceId) {
     const normalized = this.normalizeEmail(email);
-    const key = this.presenceKey(normalized);
 
-    await this.updateLastSeen(normalized);
+    // Clean offline: drop the shadow too, so the (absent) expiry can't flip again.
+    const res = await this.client.eval(CLEAR_DEVICE_SCRIPT, {
+      keys: this.deviceScriptKeys(normalized),
+      arguments: [deviceId, serverId, String(Date.now()), '0'],
+    });
+
+    const offline = Number(res) === 1;
+    if (offline) {
+      const now = Date.now();
+      await this.updateLastSeen(normalized, now);
+      await this.closeSession(normalized, now);
+    }
+
+    // Last device of this user here: nothing left for a janitor to clean up after this server
+    const devices = offline ? [] : await this.getDevices(normalized);
+    if (!devices.some((d) => d.serverId === serverId)) {
+      await this.client.sRem(this.serverOwnedKey(serverId), normalized);
+    }
+    return offline;
+  }
 
-    const script = `
-      if redis.call("GET", KEYS[1]) == ARGV[1] then
-        return redis.call("DEL", KEYS[1])
-      else
-        return 0
-      end
-    `;
+  /**
+   * Shutdown hand-off: keep a device (owned by this server) alive for at most graceMs more.
+   * A reconnect to another server within the grace keeps the user online without a flip;
+   * otherwise the TTL lapses and the expiry path publishes the offline flip.
+   */
+  async handOffPresence(email, serverId, deviceId, graceMs) {
+    const normalized = this.normalizeEmail(email);
 
-    const res = await this.client.eval(script, {
-      keys: [key],
-      arguments: [serverId],
+    const res = await this.client.eval(HAND_OFF_DEVICE_SCRIPT, {
+      keys: this.deviceScriptKeys(normalized),
+      arguments: [deviceId, serverId, String(Date.now()), String(graceMs)],
     });
 
     return Number(res) === 1;
   }
 
+  deviceScriptKeys(email) {
+    return [
+      this.presenceKey(email),
+      this.devicesKey(email),
+      this.deviceInfoKey(email),
+      this.presenceShadowKey(email),
+    ];
+  }
+
+  /**
+   * Live devices for a user: [{ deviceId, platform, serverId, connectedAt, lastActiveAt, expiresAt }]
+   */
+  async getDevices(email) {
+    const normalized = this.normalizeEmail(email);
+    const now = Date.now();
+
+    const live = await this.client.zRangeByScoreWithScores(
+      this.devicesKey(normalized),
+      `(${now}`,
+      '+inf'
+    );
+    if (live.length === 0) return [];
+
+    const infos = await this.client.hmGet(
+      this.deviceInfoKey(normalized),
+      live.map((d) => d.value)
+    );
+
+    const devices = [];
+    live.forEach((d, i) => {
+      if (!infos[i]) return;
+      try {
+        devices.push({ ...JSON.parse(infos[i]), expiresAt: Number(d.score) });
+      } catch {
+        // skip malformed entry
+      }
+    });
+
+    return devices.sort((a, b) => (b.lastActiveAt ?? 0) - (a.lastActiveAt ?? 0));
+  }
+
+  /**
+   * Claim the follow-up work for a key that expired.
+   * Every server receives the keyspace event; only the one that deletes the shadow wins.
+   * Returns the shadow's value, or null if already claimed / the key was set again.
+   */
+  async claimExpiredKey(key, shadowKey) {
+    const owner = await this.client.eval(CLAIM_EXPIRED_SCRIPT, {
+      keys: [key, shadowKey],
+      arguments: [],
+    });
+
+    return owner || null;
+  }
+
+  /**
+   * Claim the offline transition for a presence key that expired (TTL lapsed).
+   * Returns the serverId that owned the key, or null if already claimed / user is back online.
+   */
+  async claimExpiredPresence(email) {
+    const normalized = this.normalizeEmail(email);
+    return this.claimExpiredKey(this.presenceKey(normalized), this.presenceShadowKey(normalized));
+  }
+
+  /**
+   * TTL expiry path: claim, write last-seen and publish the offline flip (once per cluster).
+   * Returns true if this call emitted the flip.
+   */
+  async handlePresenceExpired(email) {
+    const normalized = this.normalizeEmail(email);
+
+    const owner = await this.claimExpiredPresence(normalized);
+    if (!owner) return false;
+
+    const now = Date.now();
+    await this.updateLastSeen(normalized, now);
+    await this.closeSession(normalized, now);
+    await this.publishPresenceFlip(normalized);
+    return true;
+  }
+
   async isOnline(email) {
     const normalized = this.normalizeEmail(email);
     const serverId = await this.client.get(this.presenceKey(normalized));
     return Boolean(serverId);
   }
 
+  /**
+   * Servers holding a user's sockets: the owners of their live devices plus the presence key's
+   * owner, sorted. Empty when the user is offline.
+   */
+  async getUserServers(email) {
+    const normalized = this.normalizeEmail(email);
+    const [devices, owner] = await Promise.all([
+      this.getDevices(normalized),
+      this.client.get(this.presenceKey(normalized)),
+    ]);
+    const servers = new Set(devices.map((d) => d.serverId).filter(Boolean));
+    if (owner) servers.add(owner);
+    return Array.from(servers).sort();
+  }
+
+  // ---------------- Explicit status ----------------
+  parseStatus(raw) {
+    if (!raw) return null;
+    try {
+      const parsed = JSON.parse(raw);
+      if (!PRESENCE_STATUSES.includes(parsed?.status)) return null;
+      return {
+        status: parsed.status,
+        message: parsed.message ?? null,
+        expiresAt: parsed.expiresAt ?? null,
+      };
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * What other users get to see, given real online state + explicit status.
+   */
+  visiblePresence(online, status) {
+    if (status?.status === 'invisible') {
+      return { online: false, status: null, statusMessage: null, statusExpiresAt: null };
+    }
+
+    return {
+      online: Boolean(online),
+      status: status?.status ?? 'available',
+      statusMessage: status?.message ?? null,
+      statusExpiresAt: status?.expiresAt ?? null,
+    };
+  }
+
+  async getStatus(email) {
+    const normalized = this.normalizeEmail(email);
+    return this.parseStatus(await this.client.get(this.statusKey(normalized)));
+  }
+
+  /**
+   * Set (or clear) the user's explicit status.
+   * "available" with no message and no expiry clears the stored status.
+   * Returns the stored status, or null when cleared.
+   */
+  async setStatus(email, { status, message = null, expiresAt = null }) {
+    const normalized = this.normalizeEmail(email);
+    const now = Date.now();
+    // Whole milliseconds: PX rejects fractions (expiresInSeconds: 1.5, or a fractional expiresAt)
+    if (expiresAt) expiresAt = Math.ceil(expiresAt);
+
+    const pipeline = this.client.multi();
+
+    if (status === 'available' && !message && !expiresAt) {
+      pipeline.del(this.statusKey(normalized));
+      pipeline.del(this.statusShadowKey(normalized));
+      await pipeline.exec();
+      return null;
+    }
+
+    const value = { status, message: message || null, expiresAt: expiresAt || null, updatedAt: now };
+
+    if (expiresAt) {
+      pipeline.set(this.statusKey(normalized), JSON.stringify(value), { PX: expiresAt - now });
+      // Shadow lets exactly one server claim the auto-clear (see handleStatusExpired)
+      pipeline.set(this.statusShadowKey(normalized), String(now), {
+        PX: expiresAt - now + config.presenceShadowTtlSeconds * 1000,
+      });
+    } else {
+      pipeline.set(this.statusKey(normalized), JSON.stringify(value));
+      pipeline.del(this.statusShadowKey(normalized));
+    }
+
+    await pipeline.exec();
+    return this.parseStatus(JSON.stringify(value));
+  }
+
+  /**
+   * Auto-clear path: the status key's TTL lapsed. Publishes the change once per cluster.
+   * Returns true if this call emitted the flip.
+   */
+  async handleStatusExpired(email) {
+    const normalized = this.normalizeEmail(email);
+
+    const claimed = await this.claimExpiredKey(
+      this.statusKey(normalized),
+      this.statusShadowKey(normalized)
+    );
+    if (!claimed) return false;
+
+    await this.publishPresenceFlip(normalized, { kind: 'status' });
+    return true;
+  }
+
+  // ---------------- Session history ----------------
+  /**
+   * Start an online session (offline -> online). A session left open by a crash is closed
+   * at the last-seen time we know of, so the gap isn't counted as online.
+   */
+  async openSession(email, startMs, lastSeen = null) {
+    const normalized = this.normalizeEmail(email);
+
+    const res = await this.client
+      .multi()
+      .get(this.sessionKey(normalized))
+      .set(this.sessionKey(normalized), String(startMs), { EX: config.historyRetentionDays * 86400 })
+      .exec();
+
+    const prevStart = res?.[0] ? Number(res[0]) : null;
+    if (prevStart && lastSeen && lastSeen > prevStart && lastSeen <= startMs) {
+      await this.appendSession(normalized, prevStart, lastSeen);
+    }
+  }
+
+  /**
+   * End the open session (online -> offline) and append it to the history.
+   */
+  async closeSession(email, endMs) {
+    const normalized = this.normalizeEmail(email);
+
+    const res = await this.client
+      .multi()
+      .get(this.sessionKey(normalized))
+      .del(this.sessionKey(normalized))
+      .exec();
+
+    const startMs = res?.[0] ? Number(res[0]) : null;
+    if (!startMs || endMs <= startMs) return;
+
+    await this.appendSession(normalized, startMs, endMs);
+  }
+
+  /**
+   * History is a ZSET scored by session end; member = "start-end".
+   * Trimmed by age (historyRetentionDays) and by count (historyMaxSessions).
+   */
+  async appendSession(email, startMs, endMs) {
+    const key = this.historyKey(email);
+    const retentionMs = config.historyRetentionDays * 86400_000;
+
+    await this.client
+      .multi()
+      .zAdd(key, [{ score: endMs, value: `${startMs}-${endMs}` }])
+      .zRemRangeByScore(key, '-inf', Date.now() - retentionMs)
+      .zRemRangeByRank(key, 0, -(config.historyMaxSessions + 1))
+      .expire(key, config.historyRetentionDays * 86400)
+      .exec();
+  }
+
+  /**
+   * Raw sessions overlapping [fromMs, toMs], plus the open one (end = null).
+   * Returns [{ start, end }] sorted by start.
+   */
+  async getSessions(email, fromMs, toMs) {
+    const normalized = this.normalizeEmail(email);
+
+    const [members, openStart] = await Promise.all([
+      this.client.zRangeByScore(this.historyKey(normalized), fromMs, '+inf'),
+      this.client.get(this.sessionKey(normalized)),
+    ]);
+
+    const sessions = [];
+    for (const member of members) {
+      const [start, end] = member.split('-').map(Number);
+      if (!Number.isFinite(start) || !Number.isFinite(end)) continue;
+      if (start >= toMs) continue;
+      sessions.push({ start, end });
+    }
+
+    if (openStart && Number(openStart) < toMs) {
+      sessions.push({ start: Number(openStart), end: null });
+    }
+
+    return sessions.sort((a, b) => a.start - b.start);
+  }
+
   // ---------------- Last seen ----------------
-  async updateLastSeen(email) {
+  async updateLastSeen(email, at = Date.now()) {
     const normalized = this.normalizeEmail(email);
-    await this.client.set(this.lastSeenKey(normalized), String(Date.now()));
+    await this.client.set(this.lastSeenKey(normalized), String(at));
   }
 
   async getLastSeen(email) {
@@ -250,14 +1063,104 @@ export class PresenceService {
     return ts ? Number(ts) : null;
   }
 
+  // ---------------- Visibility (contacts / blocks / privacy) ----------------
+  /**
+   * Can viewer see each target's presence?
+   * Hidden when: either side blocked the other, target's privacy is "nobody",
+   * or privacy is "contacts" and viewer isn't in target's contacts. Users always see themselves.
+   *
+   * Returns Map<email, boolean> (normalized targets).
+   */
+  async getVisibilityMap(viewer, targets) {
+    const viewerEmail = this.normalizeEmail(viewer);
+    const normalized = targets.map((t) => this.normalizeEmail(t));
+    const result = new Map();
+
+    const others = normalized.filter((t) => t !== viewerEmail);
+    for (const t of normalized) if (t === viewerEmail) result.set(t, true);
+    if (others.length === 0) return result;
+
+    const pipeline = this.client.multi();
+    for (const t of others) {
+      pipeline.get(this.privacyKey(t));
+      pipeline.sIsMember(this.contactsKey(t), viewerEmail);
+      pipeline.sIsMember(this.blocksKey(t), viewerEmail);
+      pipeline.sIsMember(this.blocksKey(viewerEmail), t);
+    }
+    const res = await pipeline.exec();
+
+    others.forEach((t, i) => {
+      const privacy = res?.[i * 4] || config.defaultPresenceVisibility;
+      const isContact = Boolean(res?.[i * 4 + 1]);
+      const blockedByTarget = Boolean(res?.[i * 4 + 2]);
+      const blockedByViewer = Boolean(res?.[i * 4 + 3]);
+
+      let visible;
+      if (blockedByTarget || blockedByViewer) visible = false;
+      else if (privacy === 'nobody') visible = false;
+      else if (privacy === 'contacts') visible = isContact;
+      else visible = true;
+
+      result.set(t, visible);
+    });
+
+    return result;
+  }
+
+  async canSee(viewer, target) {
+    const map = await this.getVisibilityMap(viewer, [target]);
+    return map.get(this.normalizeEmail(target)) === true;
+  }
+
+  hiddenPresence(email) {
+    return {
+      email,
+      online: null,
+      idle: null,
+      lastActiveAt: null,
+      bucket: 'unknown',
+      presenceLabel: null,
+      status: null,
+      statusMessage: null,
+      statusExpiresAt: null,
+    };
+  }
+
+  /**
+   * Tell servers watching this email to re-check who may still see it
+   * (after a block, contact removal or privacy change).
+   */
+  async publishVisibilityChange(email) {
+    const normalized = this.normalizeEmail(email);
+
+    const targets = await this.getFlipTargets([normalized]);
+    const { servers, groups } = targets.get(normalized);
+    if (servers.length === 0) return;
+
+    const msg = JSON.stringify({ type: 'visibility', email: normalized, groups, ts: Date.now() });
+
+    const pipeline = this.pubClient.multi();
+    for (const serverId of servers) {
+      if (!serverId) continue;
+      pipeline.publish(this.serverChannel(serverId), msg);
+    }
+    await pipeline.exec();
+  }
+
   // ---------------- Batch reads for list (FAST) ----------------
   /**
    * Fetch presence for visible window / buffer.
-   * Returns { email, online, lastActiveAt, bucket }.
+   * Returns { email, online, idle, lastActiveAt, bucket, presenceLabel, status, statusMessage,
+   * statusExpiresAt, version }.
+   *
+   * viewer: the requesting user. Everyone else sees "invisible" users as offline, and
+   * users the viewer may not see (see getVisibilityMap) come back as bucket "unknown".
+   * visibility: optional precomputed getVisibilityMap result for these emails.
+   * locale: language of presenceLabel ("Active 3m ago", see services/buckets.mjs).
    *
    * Call this from HTTP endpoint /presence/batch (or WS snapshot).
    */
-  async getBatchPresenceForList(emails) {
+  async getBatchPresenceForList(emails, { viewer, visibility: knownVisibility, locale } = {}) {
     if (!emails || emails.length === 0) return [];
 
     const normalized = [];
@@ -267,46 +1170,190 @@ export class PresenceService {
     }
     if (normalized.length === 0) return [];
 
+    const viewerEmail = viewer ? this.normalizeEmail(viewer) : null;
+    const visibility =
+      knownVisibility ?? (viewerEmail ? await this.getVisibilityMap(viewerEmail, normalized) : null);
+
     const pipeline = this.client.multi();
 
     // GET presence value (serverId) to know online
     for (const email of normalized) pipeline.get(this.presenceKey(email));
     // GET lastActiveAt
     for (const email of normalized) pipeline.get(this.activeKey(email));
+    // GET explicit status
+    for (const email of normalized) pipeline.get(this.statusKey(email));
+    // GET presence version (same MULTI: never newer than the state read with it)
+    for (const email of normalized) pipeline.get(this.versionKey(email));
+    // GET idle flag
+    for (const email of normalized) pipeline.get(this.idleKey(email));
 
     const res = await pipeline.exec();
     const n = normalized.length;
     const now = Date.now();
 
     return normalized.map((email, i) => {
+      if (visibility && visibility.get(email) === false) return this.hiddenPresence(email);
+
       const onlineServerId = res?.[i] ?? null;
       const lastActiveRaw = res?.[n + i] ?? null;
+      const status = this.parseStatus(res?.[2 * n + i] ?? null);
+      const version = Number(res?.[3 * n + i] ?? 0);
+      const idleRaw = res?.[4 * n + i] ?? null;
+
+      const hidden = status?.status === 'invisible' && email !== viewerEmail;
+      const visible = hidden
+        ? this.visiblePresence(false, status)
+        : {
+            online: Boolean(onlineServerId),
+            status: status?.status ?? 'available',
+            statusMessage: status?.message ?? null,
+            statusExpiresAt: status?.expiresAt ?? null,
+          };
 
-      const online = Boolean(onlineServerId);
-      const lastActiveAt = lastActiveRaw ? Number(lastActiveRaw) : null;
+      // Invisible users don't leak activity either
+      const lastActiveAt = hidden ? null : lastActiveRaw ? Number(lastActiveRaw) : null;
+
+      const idle = visible.online && Boolean(idleRaw);
 
       return {
         email,
-        online,
+        online: visible.online,
+        idle,
         lastActiveAt,
-        bucket: this.bucketize(now, lastActiveAt, online),
+        bucket: hidden ? 'inactive' : this.bucketize(now, lastActiveAt, visible.online),
+        presenceLabel: presenceLabel({ online: visible.online, idle, lastActiveAt }, now, locale),
+        status: visible.status,
+        statusMessage: visible.statusMessage,
+        statusExpiresAt: visible.statusExpiresAt,
+        version,
       };
     });
   }
 
-  // ---------------- User registry (demo) ----------------
+  // ---------------- User registry ----------------
   usersKey() {
     return 'users:all';
   }
 
+  // Lexicographically ordered directory (ZSET, every score 0) for cursor pagination.
+  usersIndexKey() {
+    return 'users:index';
+  }
+
   async registerUser(email) {
     const normalized = this.normalizeEmail(email);
-    await this.client.sAdd(this.usersKey(), normalized);
+    const pipeline = this.client.multi();
+    pipeline.sAdd(this.usersKey(), normalized);
+    pipeline.zAdd(this.usersIndexKey(), [{ score: 0, value: normalized }]);
+    await pipeline.exec();
   }
 
   async getAllUsers() {
     return await this.client.sMembers(this.usersKey());
   }
+
+  /**
+   * One-time copy of users:all into users:index for users registered before the index existed.
+   * Idempotent (ZADD), so concurrent servers doing it at once is harmless.
+   */
+  async ensureUsersIndex() {
+    if (this.usersIndexReady) return;
+
+    const [indexed, total] = await Promise.all([
+      this.client.zCard(this.usersIndexKey()),
+      this.client.sCard(this.usersKey()),
+    ]);
+
+    if (indexed < total) {
+      let cursor = 0;
+      do {
+        const res = await this.client.sScan(this.usersKey(), cursor, { COUNT: 1000 });
+        cursor = Number(res.cursor);
+        if (res.members.length > 0) {
+          await this.client.zAdd(
+            this.usersIndexKey(),
+            res.members.map((value) => ({ score: 0, value }))
+          );
+        }
+      } while (cursor !== 0);
+    }
+
+    this.usersIndexReady = true;
+  }
+
+  /**
+   * Cursor pagination over the user directory (alphabetical by email).
+   *
+   * cursor = last email of the previous page (exclusive). Because the index is ordered
+   * by email rather than by position, users registering concurrently never shift pages.
+   *
+   * Options:
+   *   - viewer, locale: see getBatchPresenceForList
+   *   - prefix: only emails starting with prefix (served straight from ZRANGEBYLEX)
+   *   - search: substring match; scans at most config.userSearchScanLimit entries per call
+   *     and returns a cursor to continue from if the budget ran out.
+   *
+   * Returns { users, nextCursor, hasMore } where users carry list presence.
+   */
+  async getUsersPaginated(cursor, limit = 50, { viewer, prefix, search, locale } = {}) {
+    await this.ensureUsersIndex();
+
+    const normalizedPrefix = prefix ? this.normalizeEmail(prefix) : '';
+    const needle = search ? this.normalizeEmail(search) : '';
+
+    let min = cursor ? `(${this.normalizeEmail(cursor)}` : '-';
+    if (normalizedPrefix && (min === '-' || min.slice(1) < normalizedPrefix)) {
+      min = `[${normalizedPrefix}`;
+    }
+    // \xff sorts after every character an email can contain
+    const max = normalizedPrefix ? `[${normalizedPrefix}\xff` : '+';
+
+    const page = [];
+    let lastScanned = null;
+    let exhausted = false;
+
+    if (!needle) {
+      const batch = await this.client.zRangeByLex(this.usersIndexKey(), min, max, {
+        LIMIT: { offset: 0, count: limit + 1 },
+      });
+      exhausted = batch.length <= limit;
+      page.push(...batch.slice(0, limit));
+      lastScanned = page[page.length - 1] ?? null;
+    } else {
+      const budget = config.userSearchScanLimit ?? 5000;
+      const chunk = Math.max(limit * 4, 200);
+      let scanned = 0;
+
+      while (page.length < limit && scanned < budget) {
+        const batch = await this.client.zRangeByLex(this.usersIndexKey(), min, max, {
+          LIMIT: { offset: 0, count: chunk },
+        });
+
+        for (const email of batch) {
+          scanned++;
+          lastScanned = email;
+          if (email.includes(needle)) page.push(email);
+          if (page.length >= limit) break;
+        }
+
+        if (batch.length < chunk) {
+          // Reached the end, unless we stopped early inside this final batch
+          exhausted = lastScanned === batch[batch.length - 1] || batch.length === 0;
+          break;
+        }
+        min = `(${lastScanned}`;
+      }
+    }
+
+    const users = await this.getBatchPresenceForList(page, { viewer, locale });
+    const hasMore = !exhausted && lastScanned !== null;
+
+    return {
+      users,
+      nextCursor: hasMore ? lastScanned : null,
+      hasMore,
+    };
+  }
 }
 
 export const presenceService = new PresenceService();
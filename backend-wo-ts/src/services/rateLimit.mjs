@@ -0,0 +1,203 @@
+import { config } from '../config.mjs';
+import { presenceService } from './presence.mjs';
+import { presenceMetrics } from './metrics.mjs';
+import { ACQUIRE_SLOT_SCRIPT, TOKEN_BUCKET_SCRIPT } from '../storage/scripts.mjs';
+
+/**
+ * Rate limits, bans and connection slots shared by every server (REST middleware, WS, SSE).
+ *
+ * Identities are "ip:<address>" or "user:<email>"; policies live in config.rateLimitPolicies.
+ *
+ * Storage:
+ *   ratelimit:bucket:{policy}:{id}  HASH { tokens, ts } (token bucket, expires once full again)
+ *   ratelimit:strikes:{id}          rejections within config.rateLimitStrikeWindowMs
+ *   ratelimit:ban:{id}              JSON { id, reason, bannedAt, until } (PX = ban length)
+ *   ratelimit:bans                  ZSET id -> until (ms), for listing
+ *   ratelimit:conns:{ip}            ZSET connection id -> lease expiry (ms)
+ *
+ * Storage errors fail open: a Redis hiccup should slow nobody down, let alone lock everyone out.
+ */
+export class RateLimitService {
+  constructor(presence) {
+    this.presence = presence;
+  }
+
+  get client() {
+    return this.presence.client;
+  }
+
+  bucketKey(policy, id) {
+    return `ratelimit:bucket:${policy}:${id}`;
+  }
+
+  strikesKey(id) {
+    return `ratelimit:strikes:${id}`;
+  }
+
+  banKey(id) {
+    return `ratelimit:ban:${id}`;
+  }
+
+  bansKey() {
+    return 'ratelimit:bans';
+  }
+
+  connectionsKey(ip) {
+    return `ratelimit:conns:${ip}`;
+  }
+
+  // Connection slots outlive a few missed heartbeat sweeps, so only a dead server's lapse
+  connectionLeaseMs() {
+    return (config.heartbeatIntervalMs || 45_000) * 3;
+  }
+
+  identity(policyName, { ip, user }) {
+    const by = config.rateLimitPolicies[policyName]?.by;
+    if (by === 'user') return user ? `user:${user}` : null;
+    return ip ? `ip:${ip}` : null;
+  }
+
+  /**
+   * Take `cost` tokens from the policy's bucket for this IP/user ({ ip, user }).
+   * Returns { allowed, remaining, retryAfterMs, banned }.
+   */
+  async consume(policyName, who, { cost = 1 } = {}) {
+    const policy = config.rateLimitPolicies[policyName];
+    const id = this.identity(policyName, who);
+    if (!config.rateLimitEnabled || !policy || !id) {
+      return { allowed: true, remaining: null, retryAfterMs: 0, banned: false };
+    }
+
+    try {
+      const reply = await this.client.eval(TOKEN_BUCKET_SCRIPT, {
+        keys: [this.banKey(id), this.bucketKey(policyName, id)],
+        arguments: [String(policy.limit), String(policy.windowMs), String(Date.now()), String(cost)],
+      });
+      const [allowed, remaining, retryAfterMs, banned] = reply;
+
+      if (Number(allowed) === 1) {
+        return { allowed: true, remaining: Number(remaining), retryAfterMs: 0, banned: false };
+      }
+
+      presenceMetrics.rateLimited.inc({ policy: policyName });
+
+      const result = {
+        allowed: false,
+        remaining: 0,
+        retryAfterMs: Number(retryAfterMs),
+        banned: Number(banned) === 1,
+      };
+      if (!result.banned) {
+        const ban = await this.recordStrike(id, policyName);
+        if (ban) Object.assign(result, { banned: true, retryAfterMs: ban.until - Date.now() });
+      }
+      return result;
+    } catch (e) {
+      console.error(`Rate limit check failed (${policyName}):`, e);
+      return { allowed: true, remaining: null, retryAfterMs: 0, banned: false };
+    }
+  }
+
+  /**
+   * Count a rejection; bans the identity once it reaches config.rateLimitBanThreshold.
+   * Returns the ban, if this strike caused one.
+   */
+  async recordStrike(id, policyName) {
+    const key = this.strikesKey(id);
+    const [strikes] = await this.client
+      .multi()
+      .incr(key)
+      .pExpire(key, config.rateLimitStrikeWindowMs)
+      .exec();
+
+    if (Number(strikes) < config.rateLimitBanThreshold) return null;
+
+    await this.client.del(key);
+    return this.ban(id, config.rateLimitBanSeconds * 1000, `rate limit: ${policyName}`);
+  }
+
+  // ---------------- Bans ----------------
+  async ban(id, durationMs, reason = null) {
+    const now = Date.now();
+    const ban = { id, reason, bannedAt: now, until: now + durationMs };
+
+    await this.client
+      .multi()
+      .set(this.banKey(id), JSON.stringify(ban), { PX: durationMs })
+      .zAdd(this.bansKey(), [{ score: ban.until, value: id }])
+      .zRemRangeByScore(this.bansKey(), '-inf', now)
+      .exec();
+
+    presenceMetrics.rateLimitBans.inc();
+    console.warn(`Banned ${id} for ${Math.round(durationMs / 1000)}s (${reason ?? 'manual'})`);
+    return ban;
+  }
+
+  async unban(id) {
+    const [removed] = await this.client
+      .multi()
+      .del(this.banKey(id))
+      .zRem(this.bansKey(), id)
+      .del(this.strikesKey(id))
+      .exec();
+    return Number(removed) > 0;
+  }
+
+  async getBan(id) {
+    const raw = await this.client.get(this.banKey(id));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  // Active bans, soonest to lift first
+  async listBans() {
+    await this.client.zRemRangeByScore(this.bansKey(), '-inf', Date.now());
+    const ids = await this.client.zRange(this.bansKey(), 0, -1);
+    const bans = await Promise.all(ids.map((id) => this.getBan(id)));
+    return bans.filter(Boolean);
+  }
+
+  // ---------------- Connection slots ----------------
+  /**
+   * Hold one of the IP's config.maxConnectionsPerIp slots for a connection (id unique cluster-wide).
+   * Slots are leases: refreshConnections() keeps live ones, a crashed server's lapse.
+   */
+  async acquireConnection(ip, connectionId) {
+    try {
+      const res = await this.client.eval(ACQUIRE_SLOT_SCRIPT, {
+        keys: [this.connectionsKey(ip)],
+        arguments: [
+          connectionId,
+          String(Date.now()),
+          String(this.connectionLeaseMs()),
+          String(config.maxConnectionsPerIp),
+        ],
+      });
+      return Number(res) === 1;
+    } catch (e) {
+      console.error('acquireConnection failed:', e);
+      return true;
+    }
+  }
+
+  async releaseConnection(ip, connectionId) {
+    await this.client.zRem(this.connectionsKey(ip), connectionId);
+  }
+
+  /**
+   * Extend the leases of live connections: [{ ip, connectionId }].
+   */
+  async refreshConnections(connections) {
+    if (connections.length === 0) return;
+
+    const leaseMs = this.connectionLeaseMs();
+    const until = Date.now() + leaseMs;
+    const pipeline = this.client.multi();
+    for (const { ip, connectionId } of connections) {
+      pipeline.zAdd(this.connectionsKey(ip), [{ score: until, value: connectionId }], { XX: true });
+      pipeline.pExpire(this.connectionsKey(ip), leaseMs);
+    }
+    await pipeline.exec();
+  }
+}
+
+export const rateLimitService = new RateLimitService(presenceService);
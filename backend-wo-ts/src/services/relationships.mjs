@@ -0,0 +1,83 @@
+import { presenceService, PRESENCE_VISIBILITY } from './presence.mjs';
+import { config } from '../config.mjs';
+
+/**
+ * Contacts, blocks and per-user privacy setting.
+ *
+ * Reads on the hot path (who may see whom) live in PresenceService.getVisibilityMap;
+ * this service owns the writes. Every write that can take visibility away publishes
+ * a visibility change so servers drop watchers that are no longer allowed.
+ */
+export class RelationshipService {
+  presence;
+
+  constructor(presence) {
+    this.presence = presence;
+  }
+
+  get client() {
+    return this.presence.client;
+  }
+
+  // ---------------- Contacts ----------------
+  async getContacts(email) {
+    const normalized = this.presence.normalizeEmail(email);
+    const contacts = await this.client.sMembers(this.presence.contactsKey(normalized));
+    return contacts.sort();
+  }
+
+  async addContact(email, contact) {
+    const normalized = this.presence.normalizeEmail(email);
+    const other = this.presence.normalizeEmail(contact);
+    await this.client.sAdd(this.presence.contactsKey(normalized), other);
+  }
+
+  async removeContact(email, contact) {
+    const normalized = this.presence.normalizeEmail(email);
+    const other = this.presence.normalizeEmail(contact);
+
+    const removed = await this.client.sRem(this.presence.contactsKey(normalized), other);
+    if (removed) await this.presence.publishVisibilityChange(normalized);
+  }
+
+  // ---------------- Blocks ----------------
+  async getBlocks(email) {
+    const normalized = this.presence.normalizeEmail(email);
+    const blocks = await this.client.sMembers(this.presence.blocksKey(normalized));
+    return blocks.sort();
+  }
+
+  async block(email, blocked) {
+    const normalized = this.presence.normalizeEmail(email);
+    const other = this.presence.normalizeEmail(blocked);
+
+    await this.client.sAdd(this.presence.blocksKey(normalized), other);
+
+    // Blocks are mutual for presence: cut both directions.
+    await Promise.all([
+      this.presence.publishVisibilityChange(normalized),
+      this.presence.publishVisibilityChange(other),
+    ]);
+  }
+
+  async unblock(email, blocked) {
+    const normalized = this.presence.normalizeEmail(email);
+    const other = this.presence.normalizeEmail(blocked);
+    await this.client.sRem(this.presence.blocksKey(normalized), other);
+  }
+
+  // ---------------- Privacy ----------------
+  async getPrivacy(email) {
+    const normalized = this.presence.normalizeEmail(email);
+    const v = await this.client.get(this.presence.privacyKey(normalized));
+    return PRESENCE_VISIBILITY.includes(v) ? v : config.defaultPresenceVisibility;
+  }
+
+  async setPrivacy(email, visibility) {
+    const normalized = this.presence.normalizeEmail(email);
+    await this.client.set(this.presence.privacyKey(normalized), visibility);
+    await this.presence.publishVisibilityChange(normalized);
+  }
+}
+
+export const relationshipService = new RelationshipService(presenceService);
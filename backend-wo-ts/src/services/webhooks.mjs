@@ -0,0 +1,378 @@
+import crypto from 'crypto';
+import { config } from '../config.mjs';
+import { presenceService } from './presence.mjs';
+import { ACQUIRE_LEASE_SCRIPT, RELEASE_LEASE_SCRIPT } from '../storage/scripts.mjs';
+
+// Event types a subscription can filter on ('*' = all)
+export const WEBHOOK_EVENT_TYPES = ['presence.online', 'presence.offline', 'presence.status', 'presence.idle'];
+
+/**
+ * Signature sent in X-Presence-Signature: "sha256=" + HMAC-SHA256(secret, `${timestamp}.${body}`).
+ * Receivers recompute it from the raw body and X-Presence-Timestamp.
+ */
+export function signWebhook(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+export function verifyWebhookSignature(secret, timestamp, body, signature) {
+  const expected = Buffer.from(signWebhook(secret, timestamp, body));
+  const given = Buffer.from(String(signature ?? ''));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+/**
+ * Webhook subscriptions and their delivery queue.
+ *
+ * Storage:
+ *   webhooks:subs       HASH id -> JSON { id, url, secret, events, active, createdAt, updatedAt }
+ *   webhooks:cursor     last presence:events id turned into deliveries
+ *   webhooks:jobs       HASH jobId -> JSON { id, subscriptionId, event, attempts, lastError, createdAt }
+ *   webhooks:queue      ZSET jobId -> next attempt (ms)
+ *   webhooks:dead       LIST of failed jobs (newest first, capped)
+ *   webhooks:leader     lease: which server runs the dispatcher
+ */
+export class WebhookService {
+  constructor(presence) {
+    this.presence = presence;
+  }
+
+  get client() {
+    return this.presence.client;
+  }
+
+  subsKey() {
+    return 'webhooks:subs';
+  }
+
+  cursorKey() {
+    return 'webhooks:cursor';
+  }
+
+  jobsKey() {
+    return 'webhooks:jobs';
+  }
+
+  queueKey() {
+    return 'webhooks:queue';
+  }
+
+  deadLetterKey() {
+    return 'webhooks:dead';
+  }
+
+  leaderKey() {
+    return 'webhooks:leader';
+  }
+
+  // ---------------- Subscriptions ----------------
+  // Secrets are only ever returned on create
+  publicSubscription(sub) {
+    const { secret, ...rest } = sub;
+    return rest;
+  }
+
+  async listSubscriptions() {
+    const raw = await this.client.hGetAll(this.subsKey());
+    const subs = [];
+    for (const value of Object.values(raw ?? {})) {
+      try {
+        subs.push(JSON.parse(value));
+      } catch {
+        // skip malformed entry
+      }
+    }
+    return subs.sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  async getSubscription(id) {
+    const raw = await this.client.hGet(this.subsKey(), id);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  /**
+   * { url, events?: string[] (default ['*']), secret? (generated if omitted) }
+   */
+  async createSubscription({ url, events = ['*'], secret }) {
+    const now = Date.now();
+    const sub = {
+      id: `wh_${crypto.randomUUID()}`,
+      url,
+      secret: secret || `whsec_${crypto.randomBytes(24).toString('hex')}`,
+      events,
+      active: true,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    await this.client.hSet(this.subsKey(), sub.id, JSON.stringify(sub));
+    return sub;
+  }
+
+  /**
+   * Patch url / events / active. Returns the updated subscription, or null if unknown.
+   */
+  async updateSubscription(id, changes) {
+    const sub = await this.getSubscription(id);
+    if (!sub) return null;
+
+    for (const field of ['url', 'events', 'active']) {
+      if (changes[field] !== undefined) sub[field] = changes[field];
+    }
+    sub.updatedAt = Date.now();
+
+    await this.client.hSet(this.subsKey(), id, JSON.stringify(sub));
+    return sub;
+  }
+
+  // Pending deliveries for a deleted subscription are dropped when they come due
+  async deleteSubscription(id) {
+    return (await this.client.hDel(this.subsKey(), id)) > 0;
+  }
+
+  matches(sub, event) {
+    if (!sub.active) return false;
+    if (event.ts < sub.createdAt) return false; // no backfill of history
+    return sub.events.includes('*') || sub.events.includes(event.type);
+  }
+
+  // ---------------- Dead letters ----------------
+  async listDeadLetters(limit = 100) {
+    const raw = await this.client.lRange(this.deadLetterKey(), 0, limit - 1);
+    return raw.map((value) => JSON.parse(value));
+  }
+
+  /**
+   * Move a dead job back to the queue with a fresh attempt budget.
+   * Returns false if it isn't in the dead-letter list.
+   */
+  async retryDeadLetter(jobId) {
+    const raw = await this.client.lRange(this.deadLetterKey(), 0, -1);
+    const entry = raw.find((value) => JSON.parse(value).id === jobId);
+    if (!entry) return false;
+
+    const job = { ...JSON.parse(entry), attempts: 0, lastError: null };
+    delete job.failedAt;
+
+    await this.client
+      .multi()
+      .lRem(this.deadLetterKey(), 1, entry)
+      .hSet(this.jobsKey(), job.id, JSON.stringify(job))
+      .zAdd(this.queueKey(), [{ score: Date.now(), value: job.id }])
+      .exec();
+    return true;
+  }
+
+  async purgeDeadLetters() {
+    await this.client.del(this.deadLetterKey());
+  }
+
+  // ---------------- Delivery pipeline ----------------
+  backoffMs(attempts) {
+    return Math.min(config.webhookBackoffBaseMs * 2 ** (attempts - 1), config.webhookBackoffMaxMs);
+  }
+
+  async acquireLease(owner, ttlMs) {
+    const res = await this.client.eval(ACQUIRE_LEASE_SCRIPT, {
+      keys: [this.leaderKey()],
+      arguments: [owner, String(ttlMs)],
+    });
+    return Number(res) === 1;
+  }
+
+  async releaseLease(owner) {
+    await this.client.eval(RELEASE_LEASE_SCRIPT, {
+      keys: [this.leaderKey()],
+      arguments: [owner],
+    });
+  }
+
+  /**
+   * Turn new presence events into one delivery job per matching subscription.
+   * Returns the number of events consumed.
+   */
+  async enqueueNewEvents(subs) {
+    const cursor = (await this.client.get(this.cursorKey())) || '0-0';
+    const events = await this.presence.getPresenceEvents(cursor, config.webhookBatchSize);
+    if (events.length === 0) return 0;
+
+    const now = Date.now();
+    const pipeline = this.client.multi();
+    for (const event of events) {
+      for (const sub of subs) {
+        if (!this.matches(sub, event)) continue;
+        const job = {
+          id: `${event.id}:${sub.id}`,
+          subscriptionId: sub.id,
+          event,
+          attempts: 0,
+          lastError: null,
+          createdAt: now,
+        };
+        pipeline.hSet(this.jobsKey(), job.id, JSON.stringify(job));
+        pipeline.zAdd(this.queueKey(), [{ score: now, value: job.id }]);
+      }
+    }
+    pipeline.set(this.cursorKey(), events[events.length - 1].id);
+    await pipeline.exec();
+
+    return events.length;
+  }
+
+  async dueJobs(limit) {
+    const ids = await this.client.zRangeByScore(this.queueKey(), '-inf', Date.now(), {
+      LIMIT: { offset: 0, count: limit },
+    });
+    if (ids.length === 0) return [];
+
+    const raw = await this.client.hmGet(this.jobsKey(), ids);
+    return ids.map((id, i) => (raw[i] ? JSON.parse(raw[i]) : { id, missing: true }));
+  }
+
+  /**
+   * POST one job to its subscription. Returns null on a 2xx, or an error string.
+   */
+  async deliver(job, sub) {
+    const body = JSON.stringify(job.event);
+    const timestamp = String(Date.now());
+
+    try {
+      const res = await fetch(sub.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'presence-webhooks/1',
+          'X-Presence-Event': job.event.type,
+          'X-Presence-Delivery': job.id,
+          'X-Presence-Timestamp': timestamp,
+          'X-Presence-Signature': signWebhook(sub.secret, timestamp, body),
+        },
+        body,
+        signal: AbortSignal.timeout(config.webhookTimeoutMs),
+      });
+      // Drain the body so the connection can be reused
+      await res.arrayBuffer().catch(() => {});
+      return res.ok ? null : `HTTP ${res.status}`;
+    } catch (e) {
+      return e.name === 'TimeoutError' ? 'Timeout' : e.message || 'Request failed';
+    }
+  }
+
+  /**
+   * Record the outcome of an attempt: done, retry later (exponential backoff), or dead letter.
+   */
+  async settleJob(job, error) {
+    const pipeline = this.client.multi();
+
+    if (!error) {
+      pipeline.zRem(this.queueKey(), job.id).hDel(this.jobsKey(), job.id);
+      await pipeline.exec();
+      return 'delivered';
+    }
+
+    const attempts = job.attempts + 1;
+    const updated = { ...job, attempts, lastError: error };
+
+    if (attempts >= config.webhookMaxAttempts) {
+      pipeline
+        .zRem(this.queueKey(), job.id)
+        .hDel(this.jobsKey(), job.id)
+        .lPush(this.deadLetterKey(), JSON.stringify({ ...updated, failedAt: Date.now() }))
+        .lTrim(this.deadLetterKey(), 0, config.webhookDeadLetterMax - 1);
+      await pipeline.exec();
+      return 'dead';
+    }
+
+    pipeline
+      .hSet(this.jobsKey(), job.id, JSON.stringify(updated))
+      .zAdd(this.queueKey(), [{ score: Date.now() + this.backoffMs(attempts), value: job.id }]);
+    await pipeline.exec();
+    return 'retry';
+  }
+
+  async dropJob(jobId) {
+    await this.client.multi().zRem(this.queueKey(), jobId).hDel(this.jobsKey(), jobId).exec();
+  }
+
+  /**
+   * Deliver every job that is due (one batch). Returns { delivered, retried, dead }.
+   */
+  async deliverDueJobs(subs) {
+    const stats = { delivered: 0, retried: 0, dead: 0 };
+    const jobs = await this.dueJobs(config.webhookBatchSize);
+    const subsById = new Map(subs.map((s) => [s.id, s]));
+
+    await Promise.all(
+      jobs.map(async (job) => {
+        const sub = subsById.get(job.subscriptionId);
+        if (job.missing || !sub || !sub.active) {
+          await this.dropJob(job.id);
+          return;
+        }
+
+        const outcome = await this.settleJob(job, await this.deliver(job, sub));
+        if (outcome === 'delivered') stats.delivered++;
+        else if (outcome === 'retry') stats.retried++;
+        else stats.dead++;
+      })
+    );
+
+    return stats;
+  }
+}
+
+export const webhookService = new WebhookService(presenceService);
+
+/**
+ * Webhook Dispatcher
+ *
+ * Runs on every server; a lease (webhooks:leader) makes exactly one of them the active
+ * dispatcher at a time. Each poll it turns new presence:events entries into delivery jobs
+ * and POSTs the jobs that are due. Delivery is at-least-once: receivers should dedupe on
+ * X-Presence-Delivery.
+ */
+export class WebhookDispatcher {
+  intervalId = null;
+  running = false;
+
+  constructor({ serverId = config.serverId, pollIntervalMs = config.webhookPollIntervalMs } = {}) {
+    this.serverId = serverId;
+    this.pollIntervalMs = pollIntervalMs;
+    // Long enough to survive a slow poll, short enough for quick failover
+    this.leaseMs = Math.max(pollIntervalMs * 5, 5000);
+  }
+
+  start() {
+    if (this.intervalId) return;
+    this.intervalId = setInterval(() => {
+      this.poll().catch((e) => console.error('Webhook dispatch failed:', e));
+    }, this.pollIntervalMs);
+    console.log(`Webhook dispatcher started (poll ${this.pollIntervalMs}ms)`);
+  }
+
+  async stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+    try {
+      await webhookService.releaseLease(this.serverId);
+    } catch (e) {
+      console.error('Failed to release webhook lease:', e);
+    }
+  }
+
+  async poll() {
+    if (this.running) return null;
+    this.running = true;
+
+    try {
+      if (!(await webhookService.acquireLease(this.serverId, this.leaseMs))) return null;
+
+      const subs = await webhookService.listSubscriptions();
+      await webhookService.enqueueNewEvents(subs);
+      return await webhookService.deliverDueJobs(subs);
+    } finally {
+      this.running = false;
+    }
+  }
+}
@@ -0,0 +1,27 @@
+import { createClient } from 'redis';
+import { config } from '../config.mjs';
+import { MemoryClient, MemoryStore } from './memory.mjs';
+
+/**
+ * Storage / pub-sub backend selection (config.storageBackend).
+ *
+ *   redis  - node-redis client on config.redisUrl (production)
+ *   memory - in-process MemoryClient (local dev, integration tests)
+ *
+ * Both speak the same subset of the node-redis v4 API: strings, sets, sorted sets, hashes
+ * with TTLs, MULTI, EVAL of the scripts in scripts.mjs, PUBLISH / (P)SUBSCRIBE, duplicate().
+ */
+
+// Shared by every memory client in the process, the way one Redis is shared by every server
+export const memoryStore = new MemoryStore({ sweepIntervalMs: config.memoryExpirySweepMs });
+
+export function createStorageClient(backend = config.storageBackend) {
+  switch (backend) {
+    case 'redis':
+      return createClient({ url: config.redisUrl });
+    case 'memory':
+      return new MemoryClient(memoryStore);
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected redis or memory)`);
+  }
+}
@@ -0,0 +1,757 @@
+import { EventEmitter } from 'events';
+import { getLocalScript } from './scripts.mjs';
+
+/**
+ * In-process storage backend (STORAGE_BACKEND=memory).
+ *
+ * MemoryStore is the "Redis server": typed keys (strings, sets, sorted sets, hashes, lists,
+ * streams) with TTLs, pub/sub and expired-key events.
+ * MemoryClient is the "connection": the subset of the node-redis v4 client API that the
+ * services use, so PresenceService & co. run unchanged on top of it.
+ *
+ * Every client created on the same store sees the same data, so several WS servers in one
+ * process behave like a cluster sharing one Redis. Commands run synchronously, which makes
+ * MULTI and scripts atomic for free.
+ */
+
+const KEYEVENT_EXPIRED = '__keyevent@0__:expired';
+
+function wrongType() {
+  return new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+}
+
+function toArray(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+// Redis glob (*, ?, [...]) -> RegExp
+function globToRegExp(pattern) {
+  let re = '';
+  for (const ch of pattern) {
+    if (ch === '*') re += '.*';
+    else if (ch === '?') re += '.';
+    else if (ch === '[' || ch === ']') re += ch;
+    else re += ch.replace(/[.+^${}()|\\/]/g, '\\$&');
+  }
+  return new RegExp(`^${re}$`);
+}
+
+// ZRANGEBYSCORE bound: number, "-inf", "+inf" or "(n" (exclusive)
+function parseScoreBound(bound) {
+  const s = String(bound);
+  if (s === '-inf') return { value: -Infinity, exclusive: false };
+  if (s === '+inf' || s === 'inf') return { value: Infinity, exclusive: false };
+  if (s.startsWith('(')) return { value: Number(s.slice(1)), exclusive: true };
+  return { value: Number(s), exclusive: false };
+}
+
+function inScoreRange(score, min, max) {
+  if (min.exclusive ? score <= min.value : score < min.value) return false;
+  if (max.exclusive ? score >= max.value : score > max.value) return false;
+  return true;
+}
+
+// ZRANGEBYLEX bound: "-", "+", "[x" (inclusive) or "(x" (exclusive)
+function inLexRange(member, min, max) {
+  if (min !== '-') {
+    const v = min.slice(1);
+    if (min[0] === '(' ? member <= v : member < v) return false;
+  }
+  if (max !== '+') {
+    const v = max.slice(1);
+    if (max[0] === '(' ? member >= v : member > v) return false;
+  }
+  return true;
+}
+
+// ZRANGEBYSCORE/ZRANGEBYLEX LIMIT { offset, count } (count < 0 = all)
+function applyLimit(items, limit) {
+  if (!limit) return items;
+  return items.slice(limit.offset, limit.count < 0 ? undefined : limit.offset + limit.count);
+}
+
+// Stream ids "ms-seq" -> [ms, seq]; a bare "ms" means seq 0 (start) or the last seq (end)
+function parseStreamId(id, missingSeq = 0) {
+  const [ms, seq] = String(id).split('-');
+  return [Number(ms), seq === undefined ? missingSeq : Number(seq)];
+}
+
+function compareStreamIds(a, b) {
+  return a[0] - b[0] || a[1] - b[1];
+}
+
+// Negative-index aware [start, stop] -> slice bounds
+function rankRange(length, start, stop) {
+  let from = start < 0 ? length + start : start;
+  let to = stop < 0 ? length + stop : stop;
+  from = Math.max(from, 0);
+  to = Math.min(to, length - 1);
+  return from > to ? null : [from, to + 1];
+}
+
+export class MemoryStore {
+  data = new Map(); // key -> { type: 'string' | 'set' | 'zset' | 'hash' | 'list' | 'stream', value, expiresAt }
+  channels = new Map(); // channel -> Set<listener>
+  patterns = new Map(); // pattern -> { regex, listeners: Set<listener> }
+
+  // Same default a typical Redis setup needs for the expiry listener ("E" keyevent + "x" expired)
+  notifyKeyspaceEvents = 'Ex';
+
+  connectedClients = 0;
+  sweepIntervalId = null;
+
+  constructor({ sweepIntervalMs = 100 } = {}) {
+    this.sweepIntervalMs = sweepIntervalMs;
+  }
+
+  // ---------------- Lifecycle ----------------
+  clientConnected() {
+    this.connectedClients++;
+    if (!this.sweepIntervalId) {
+      // Keys that are never read again still need to expire (and emit events)
+      this.sweepIntervalId = setInterval(() => this.sweep(), this.sweepIntervalMs);
+      this.sweepIntervalId.unref?.();
+    }
+  }
+
+  clientDisconnected() {
+    this.connectedClients = Math.max(0, this.connectedClients - 1);
+    if (this.connectedClients === 0 && this.sweepIntervalId) {
+      clearInterval(this.sweepIntervalId);
+      this.sweepIntervalId = null;
+    }
+  }
+
+  sweep(now = Date.now()) {
+    for (const [key, entry] of this.data) {
+      if (entry.expiresAt !== null && entry.expiresAt <= now) this.expireNow(key);
+    }
+  }
+
+  expireNow(key) {
+    this.data.delete(key);
+    const flags = this.notifyKeyspaceEvents;
+    if (flags.includes('E') && (flags.includes('x') || flags.includes('A'))) {
+      this.publish(KEYEVENT_EXPIRED, key);
+    }
+  }
+
+  flushAll() {
+    this.data.clear();
+    return 'OK';
+  }
+
+  // ---------------- Key access ----------------
+  // Live entry for key (lazily expiring it), checked against the expected type
+  lookup(key, type) {
+    const entry = this.data.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.expireNow(key);
+      return null;
+    }
+    if (type && entry.type !== type) throw wrongType();
+    return entry;
+  }
+
+  // Live entry for key, created empty if missing
+  upsert(key, type) {
+    const existing = this.lookup(key, type);
+    if (existing) return existing;
+
+    const empty = {
+      string: () => '',
+      set: () => new Set(),
+      zset: () => new Map(),
+      hash: () => new Map(),
+      list: () => [],
+      stream: () => ({ entries: [], lastId: '0-0' }),
+    };
+    const entry = { type, value: empty[type](), expiresAt: null };
+    this.data.set(key, entry);
+    return entry;
+  }
+
+  // Aggregates vanish when emptied, like in Redis (streams don't)
+  dropIfEmpty(key, entry) {
+    const size = entry.type === 'list' ? entry.value.length : entry.value.size;
+    if (size === 0) this.data.delete(key);
+  }
+
+  exists(keys) {
+    return toArray(keys).filter((k) => this.lookup(k)).length;
+  }
+
+  del(keys) {
+    let removed = 0;
+    for (const key of toArray(keys)) {
+      if (this.lookup(key)) {
+        this.data.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  pExpire(key, ms) {
+    const entry = this.lookup(key);
+    if (!entry) return false;
+    if (ms <= 0) this.data.delete(key);
+    else entry.expiresAt = Date.now() + Number(ms);
+    return true;
+  }
+
+  expire(key, seconds) {
+    return this.pExpire(key, Number(seconds) * 1000);
+  }
+
+  pTTL(key) {
+    const entry = this.lookup(key);
+    if (!entry) return -2;
+    return entry.expiresAt === null ? -1 : entry.expiresAt - Date.now();
+  }
+
+  ttl(key) {
+    const ms = this.pTTL(key);
+    return ms < 0 ? ms : Math.ceil(ms / 1000);
+  }
+
+  keys(pattern = '*') {
+    const regex = globToRegExp(pattern);
+    return Array.from(this.data.keys()).filter((k) => regex.test(k) && this.lookup(k));
+  }
+
+  // ---------------- Strings ----------------
+  get(key) {
+    return this.lookup(key, 'string')?.value ?? null;
+  }
+
+  set(key, value, options = {}) {
+    const existing = this.lookup(key);
+    if (options.GET && existing && existing.type !== 'string') throw wrongType();
+    const previous = existing?.type === 'string' ? existing.value : null;
+
+    if ((options.NX && existing) || (options.XX && !existing)) {
+      return options.GET ? previous : null;
+    }
+
+    // Redis takes whole seconds/milliseconds only
+    for (const unit of ['EX', 'PX']) {
+      if (options[unit] != null && !Number.isInteger(Number(options[unit]))) {
+        throw new Error('ERR value is not an integer or out of range');
+      }
+    }
+
+    let expiresAt = null;
+    if (options.EX) expiresAt = Date.now() + Number(options.EX) * 1000;
+    else if (options.PX) expiresAt = Date.now() + Number(options.PX);
+    else if (options.KEEPTTL && existing) expiresAt = existing.expiresAt;
+
+    this.data.set(key, { type: 'string', value: String(value), expiresAt });
+    return options.GET ? previous : 'OK';
+  }
+
+  // Keeps any TTL, like Redis
+  incrBy(key, increment) {
+    const entry = this.upsert(key, 'string');
+    const current = entry.value === '' ? 0 : Number(entry.value);
+    if (!Number.isInteger(current)) throw new Error('ERR value is not an integer or out of range');
+
+    const next = current + Number(increment);
+    entry.value = String(next);
+    return next;
+  }
+
+  incr(key) {
+    return this.incrBy(key, 1);
+  }
+
+  // ---------------- Sets ----------------
+  sAdd(key, members) {
+    const entry = this.upsert(key, 'set');
+    let added = 0;
+    for (const m of toArray(members)) {
+      if (!entry.value.has(String(m))) {
+        entry.value.add(String(m));
+        added++;
+      }
+    }
+    return added;
+  }
+
+  sRem(key, members) {
+    const entry = this.lookup(key, 'set');
+    if (!entry) return 0;
+    let removed = 0;
+    for (const m of toArray(members)) if (entry.value.delete(String(m))) removed++;
+    this.dropIfEmpty(key, entry);
+    return removed;
+  }
+
+  sMembers(key) {
+    return Array.from(this.lookup(key, 'set')?.value ?? []);
+  }
+
+  sIsMember(key, member) {
+    return Boolean(this.lookup(key, 'set')?.value.has(String(member)));
+  }
+
+  sCard(key) {
+    return this.lookup(key, 'set')?.value.size ?? 0;
+  }
+
+  // Cursor = offset into the (sorted) member list; stable enough for an in-process store
+  sScan(key, cursor, { COUNT = 10, MATCH } = {}) {
+    const members = this.sMembers(key).sort();
+    const start = Number(cursor) || 0;
+    const page = members.slice(start, start + COUNT);
+    const next = start + COUNT >= members.length ? 0 : start + COUNT;
+    const regex = MATCH ? globToRegExp(MATCH) : null;
+    return { cursor: next, members: regex ? page.filter((m) => regex.test(m)) : page };
+  }
+
+  // ---------------- Sorted sets ----------------
+  // Entries ordered like Redis: by score, then member
+  sortedEntries(key) {
+    const entry = this.lookup(key, 'zset');
+    if (!entry) return [];
+    return Array.from(entry.value, ([value, score]) => ({ value, score })).sort(
+      (a, b) => a.score - b.score || (a.value < b.value ? -1 : a.value > b.value ? 1 : 0)
+    );
+  }
+
+  // options.XX: only update existing members, NX: only add new ones
+  zAdd(key, members, { XX, NX } = {}) {
+    if (XX && !this.lookup(key, 'zset')) return 0;
+    const entry = this.upsert(key, 'zset');
+    let added = 0;
+    for (const { score, value } of toArray(members)) {
+      const exists = entry.value.has(String(value));
+      if ((XX && !exists) || (NX && exists)) continue;
+      if (!exists) added++;
+      entry.value.set(String(value), Number(score));
+    }
+    return added;
+  }
+
+  zRem(key, members) {
+    const entry = this.lookup(key, 'zset');
+    if (!entry) return 0;
+    let removed = 0;
+    for (const m of toArray(members)) if (entry.value.delete(String(m))) removed++;
+    this.dropIfEmpty(key, entry);
+    return removed;
+  }
+
+  zScore(key, member) {
+    return this.lookup(key, 'zset')?.value.get(String(member)) ?? null;
+  }
+
+  zCard(key) {
+    return this.lookup(key, 'zset')?.value.size ?? 0;
+  }
+
+  zRangeWithScores(key, start, stop) {
+    const entries = this.sortedEntries(key);
+    const range = rankRange(entries.length, Number(start), Number(stop));
+    return range ? entries.slice(...range) : [];
+  }
+
+  zRange(key, start, stop) {
+    return this.zRangeWithScores(key, start, stop).map((e) => e.value);
+  }
+
+  zRangeByScoreWithScores(key, min, max, { LIMIT } = {}) {
+    const lo = parseScoreBound(min);
+    const hi = parseScoreBound(max);
+    const entries = this.sortedEntries(key).filter((e) => inScoreRange(e.score, lo, hi));
+    return applyLimit(entries, LIMIT);
+  }
+
+  zRangeByScore(key, min, max, options) {
+    return this.zRangeByScoreWithScores(key, min, max, options).map((e) => e.value);
+  }
+
+  zRemRangeByScore(key, min, max) {
+    return this.zRem(key, this.zRangeByScore(key, min, max));
+  }
+
+  zRemRangeByRank(key, start, stop) {
+    return this.zRem(key, this.zRange(key, start, stop));
+  }
+
+  zRangeByLex(key, min, max, { LIMIT } = {}) {
+    const members = this.sortedEntries(key)
+      .map((e) => e.value)
+      .filter((m) => inLexRange(m, String(min), String(max)));
+    return applyLimit(members, LIMIT);
+  }
+
+  // ---------------- Hashes ----------------
+  hSet(key, field, value) {
+    const fields = typeof field === 'object' ? Object.entries(field) : [[field, value]];
+    const entry = this.upsert(key, 'hash');
+    let added = 0;
+    for (const [f, v] of fields) {
+      if (!entry.value.has(String(f))) added++;
+      entry.value.set(String(f), String(v));
+    }
+    return added;
+  }
+
+  hGet(key, field) {
+    return this.lookup(key, 'hash')?.value.get(String(field)) ?? null;
+  }
+
+  hmGet(key, fields) {
+    const entry = this.lookup(key, 'hash');
+    return toArray(fields).map((f) => entry?.value.get(String(f)) ?? null);
+  }
+
+  hGetAll(key) {
+    return Object.fromEntries(this.lookup(key, 'hash')?.value ?? []);
+  }
+
+  hDel(key, fields) {
+    const entry = this.lookup(key, 'hash');
+    if (!entry) return 0;
+    let removed = 0;
+    for (const f of toArray(fields)) if (entry.value.delete(String(f))) removed++;
+    this.dropIfEmpty(key, entry);
+    return removed;
+  }
+
+  // ---------------- Lists ----------------
+  lPush(key, elements) {
+    const entry = this.upsert(key, 'list');
+    for (const e of toArray(elements)) entry.value.unshift(String(e));
+    return entry.value.length;
+  }
+
+  rPush(key, elements) {
+    const entry = this.upsert(key, 'list');
+    for (const e of toArray(elements)) entry.value.push(String(e));
+    return entry.value.length;
+  }
+
+  lLen(key) {
+    return this.lookup(key, 'list')?.value.length ?? 0;
+  }
+
+  lRange(key, start, stop) {
+    const list = this.lookup(key, 'list')?.value ?? [];
+    const range = rankRange(list.length, Number(start), Number(stop));
+    return range ? list.slice(...range) : [];
+  }
+
+  lTrim(key, start, stop) {
+    const entry = this.lookup(key, 'list');
+    if (!entry) return 'OK';
+    const range = rankRange(entry.value.length, Number(start), Number(stop));
+    entry.value = range ? entry.value.slice(...range) : [];
+    this.dropIfEmpty(key, entry);
+    return 'OK';
+  }
+
+  // count > 0: first `count` matches from the head; < 0: from the tail; 0: all
+  lRem(key, count, element) {
+    const entry = this.lookup(key, 'list');
+    if (!entry) return 0;
+
+    const limit = count === 0 ? Infinity : Math.abs(count);
+    const indexes = entry.value
+      .map((v, i) => (v === String(element) ? i : -1))
+      .filter((i) => i >= 0);
+    const doomed = new Set(count < 0 ? indexes.reverse().slice(0, limit) : indexes.slice(0, limit));
+
+    entry.value = entry.value.filter((_, i) => !doomed.has(i));
+    this.dropIfEmpty(key, entry);
+    return doomed.size;
+  }
+
+  // ---------------- Streams ----------------
+  // options.TRIM: { strategy: 'MAXLEN', threshold } (trimming here is always exact)
+  xAdd(key, id, message, options = {}) {
+    const entry = this.upsert(key, 'stream');
+    const stream = entry.value;
+    const last = parseStreamId(stream.lastId);
+
+    let next;
+    if (id === '*') {
+      const now = Date.now();
+      next = now > last[0] ? [now, 0] : [last[0], last[1] + 1];
+    } else {
+      next = parseStreamId(id);
+      if (compareStreamIds(next, last) <= 0) {
+        throw new Error('ERR The ID specified in XADD is equal or smaller than the target stream top item');
+      }
+    }
+
+    const streamId = `${next[0]}-${next[1]}`;
+    const fields = Object.fromEntries(Object.entries(message).map(([k, v]) => [k, String(v)]));
+    stream.entries.push({ id: streamId, message: fields });
+    stream.lastId = streamId;
+
+    const threshold = options.TRIM?.strategy === 'MAXLEN' ? Number(options.TRIM.threshold) : null;
+    if (threshold !== null && stream.entries.length > threshold) {
+      stream.entries.splice(0, stream.entries.length - threshold);
+    }
+    return streamId;
+  }
+
+  xLen(key) {
+    return this.lookup(key, 'stream')?.value.entries.length ?? 0;
+  }
+
+  // start: "-", id or "(id" (exclusive); end: "+", id or "(id"
+  xRange(key, start, end, { COUNT } = {}) {
+    const entries = this.lookup(key, 'stream')?.value.entries ?? [];
+
+    const bound = (value, missingSeq) => {
+      const s = String(value);
+      const exclusive = s.startsWith('(');
+      return { id: parseStreamId(exclusive ? s.slice(1) : s, missingSeq), exclusive };
+    };
+    const lo = start === '-' ? null : bound(start, 0);
+    const hi = end === '+' ? null : bound(end, Number.MAX_SAFE_INTEGER);
+
+    const out = [];
+    for (const e of entries) {
+      const id = parseStreamId(e.id);
+      if (lo && (lo.exclusive ? compareStreamIds(id, lo.id) <= 0 : compareStreamIds(id, lo.id) < 0)) continue;
+      if (hi && (hi.exclusive ? compareStreamIds(id, hi.id) >= 0 : compareStreamIds(id, hi.id) > 0)) break;
+      out.push({ id: e.id, message: { ...e.message } });
+      if (COUNT && out.length >= COUNT) break;
+    }
+    return out;
+  }
+
+  // Same bounds as xRange, newest first (note the argument order: end, then start)
+  xRevRange(key, end, start, { COUNT } = {}) {
+    const out = this.xRange(key, start, end).reverse();
+    return COUNT ? out.slice(0, COUNT) : out;
+  }
+
+  // ---------------- Scripts ----------------
+  // Runs the JS twin of a registered Lua script (see scripts.mjs) against this store
+  eval(script, { keys = [], arguments: args = [] } = {}) {
+    const local = getLocalScript(script);
+    if (!local) throw new Error('NOSCRIPT No in-memory implementation registered for this script');
+    const result = local(this, keys, args.map(String));
+    return result === false || result === undefined ? null : result;
+  }
+
+  // ---------------- Pub/Sub ----------------
+  publish(channel, message) {
+    const deliveries = [];
+
+    for (const listener of this.channels.get(channel) ?? []) deliveries.push([listener, channel]);
+    for (const [pattern, { regex, listeners }] of this.patterns) {
+      if (!regex.test(channel)) continue;
+      for (const listener of listeners) deliveries.push([listener, channel, pattern]);
+    }
+
+    // Asynchronous, like a real subscriber connection
+    for (const [listener, ch] of deliveries) {
+      queueMicrotask(() => {
+        try {
+          listener(String(message), ch);
+        } catch (e) {
+          console.error('Memory pub/sub listener failed:', e);
+        }
+      });
+    }
+
+    return deliveries.length;
+  }
+
+  subscribe(channel, listener) {
+    if (!this.channels.has(channel)) this.channels.set(channel, new Set());
+    this.channels.get(channel).add(listener);
+  }
+
+  unsubscribe(channel, listener) {
+    const listeners = this.channels.get(channel);
+    if (!listeners) return;
+    if (listener) listeners.delete(listener);
+    else listeners.clear();
+    if (listeners.size === 0) this.channels.delete(channel);
+  }
+
+  pSubscribe(pattern, listener) {
+    if (!this.patterns.has(pattern)) {
+      this.patterns.set(pattern, { regex: globToRegExp(pattern), listeners: new Set() });
+    }
+    this.patterns.get(pattern).listeners.add(listener);
+  }
+
+  pUnsubscribe(pattern, listener) {
+    const entry = this.patterns.get(pattern);
+    if (!entry) return;
+    if (listener) entry.listeners.delete(listener);
+    else entry.listeners.clear();
+    if (entry.listeners.size === 0) this.patterns.delete(pattern);
+  }
+}
+
+// Data commands exposed on clients and MULTI (everything else is lifecycle or pub/sub)
+const COMMANDS = [
+  'exists', 'del', 'expire', 'pExpire', 'ttl', 'pTTL', 'keys', 'flushAll',
+  'get', 'set', 'incr', 'incrBy',
+  'sAdd', 'sRem', 'sMembers', 'sIsMember', 'sCard', 'sScan',
+  'zAdd', 'zRem', 'zScore', 'zCard', 'zRange', 'zRangeWithScores', 'zRangeByScore',
+  'zRangeByScoreWithScores', 'zRemRangeByScore', 'zRemRangeByRank', 'zRangeByLex',
+  'hSet', 'hGet', 'hmGet', 'hGetAll', 'hDel',
+  'lPush', 'rPush', 'lLen', 'lRange', 'lTrim', 'lRem',
+  'xAdd', 'xLen', 'xRange', 'xRevRange',
+  'eval', 'publish',
+];
+
+/**
+ * MULTI: queue commands, run them back to back on exec() (nothing can interleave).
+ */
+export class MemoryMulti {
+  queue = [];
+
+  constructor(client) {
+    this.client = client;
+  }
+
+  async exec() {
+    this.client.assertOpen();
+
+    const replies = [];
+    let firstError = null;
+    for (const [command, args] of this.queue) {
+      try {
+        replies.push(this.client.store[command](...args));
+      } catch (e) {
+        replies.push(e);
+        firstError ??= e;
+      }
+    }
+    this.queue = [];
+
+    if (firstError) throw firstError;
+    return replies;
+  }
+
+  execAsPipeline() {
+    return this.exec();
+  }
+}
+
+export class MemoryClient extends EventEmitter {
+  isOpen = false;
+  isReady = false;
+
+  // This client's subscriptions, removed on quit()
+  subscriptions = [];
+
+  constructor(store) {
+    super();
+    this.store = store;
+  }
+
+  assertOpen() {
+    if (!this.isOpen) throw new Error('The client is closed');
+  }
+
+  async connect() {
+    if (this.isOpen) throw new Error('Socket already opened');
+    this.isOpen = true;
+    this.isReady = true;
+    this.store.clientConnected();
+    this.emit('connect');
+    this.emit('ready');
+    return this;
+  }
+
+  async quit() {
+    this.assertOpen();
+    for (const [kind, name, listener] of this.subscriptions) {
+      if (kind === 'channel') this.store.unsubscribe(name, listener);
+      else this.store.pUnsubscribe(name, listener);
+    }
+    this.subscriptions = [];
+
+    this.isOpen = false;
+    this.isReady = false;
+    this.store.clientDisconnected();
+    this.emit('end');
+    return 'OK';
+  }
+
+  async disconnect() {
+    return this.quit();
+  }
+
+  // A second connection to the same store (node-redis: same options, new socket)
+  duplicate() {
+    return new MemoryClient(this.store);
+  }
+
+  multi() {
+    return new MemoryMulti(this);
+  }
+
+  // ---- Pub/Sub ----
+  async subscribe(channels, listener) {
+    this.assertOpen();
+    for (const channel of toArray(channels)) {
+      this.store.subscribe(channel, listener);
+      this.subscriptions.push(['channel', channel, listener]);
+    }
+  }
+
+  async unsubscribe(channels, listener) {
+    for (const channel of toArray(channels)) {
+      this.store.unsubscribe(channel, listener);
+      this.subscriptions = this.subscriptions.filter(
+        ([kind, name, l]) => !(kind === 'channel' && name === channel && (!listener || l === listener))
+      );
+    }
+  }
+
+  async pSubscribe(patterns, listener) {
+    this.assertOpen();
+    for (const pattern of toArray(patterns)) {
+      this.store.pSubscribe(pattern, listener);
+      this.subscriptions.push(['pattern', pattern, listener]);
+    }
+  }
+
+  async pUnsubscribe(patterns, listener) {
+    for (const pattern of toArray(patterns)) {
+      this.store.pUnsubscribe(pattern, listener);
+      this.subscriptions = this.subscriptions.filter(
+        ([kind, name, l]) => !(kind === 'pattern' && name === pattern && (!listener || l === listener))
+      );
+    }
+  }
+
+  // ---- CONFIG (only notify-keyspace-events means anything here) ----
+  async configGet(parameter) {
+    if (parameter === 'notify-keyspace-events') {
+      return { 'notify-keyspace-events': this.store.notifyKeyspaceEvents };
+    }
+    return {};
+  }
+
+  async configSet(parameter, value) {
+    if (parameter === 'notify-keyspace-events') this.store.notifyKeyspaceEvents = String(value);
+    return 'OK';
+  }
+}
+
+for (const command of COMMANDS) {
+  MemoryClient.prototype[command] = async function (...args) {
+    this.assertOpen();
+    return this.store[command](...args);
+  };
+
+  MemoryMulti.prototype[command] = function (...args) {
+    this.queue.push([command, args]);
+    return this;
+  };
+}
@@ -0,0 +1,534 @@
+/**
+ * Server-side scripts used by the services.
+ *
+ * Each script is defined once as Lua (run by Redis through EVAL) together with a JS twin
+ * that the in-memory backend runs against a MemoryStore. Call sites pass the Lua source to
+ * client.eval(); the memory client looks the twin up by that source, so the services never
+ * know which backend they are on. Keep both halves in lockstep when changing a script.
+ */
+
+const localScripts = new Map(); // lua source -> (store, keys, args) => reply
+
+/**
+ * Register a script. Returns the Lua source to pass to client.eval().
+ * local(store, keys, args) runs synchronously (args are strings, as in Lua ARGV);
+ * return null/false for a nil reply.
+ */
+export function defineScript(lua, local) {
+  localScripts.set(lua, local);
+  return lua;
+}
+
+export function getLocalScript(lua) {
+  return localScripts.get(lua) ?? null;
+}
+
+// ---------------- Per-device presence ----------------
+// KEYS: presence:user, presence:devices (ZSET deviceId -> expiresAt ms), presence:device (HASH), shadow
+// ARGV[3] = now (ms), ARGV[4] = device TTL (ms)
+// Drops devices whose TTL lapsed (and their info) before anything else looks at the set.
+const DEVICE_PRUNE_LUA = `
+      local now = tonumber(ARGV[3])
+      local ttl = tonumber(ARGV[4])
+      local stale = redis.call("ZRANGEBYSCORE", KEYS[2], "-inf", now)
+      for _, id in ipairs(stale) do
+        redis.call("HDEL", KEYS[3], id)
+      end
+      redis.call("ZREMRANGEBYSCORE", KEYS[2], "-inf", now)
+`;
+
+function pruneDevices(store, keys, now) {
+  const stale = store.zRangeByScore(keys[1], '-inf', now);
+  if (stale.length > 0) store.hDel(keys[2], stale);
+  store.zRemRangeByScore(keys[1], '-inf', now);
+}
+
+// Expiry of the longest-lived device
+function maxDeviceExpiry(store, keys) {
+  return store.zRangeWithScores(keys[1], -1, -1)[0]?.score;
+}
+
+function ownedDevice(store, keys, deviceId, serverId) {
+  const raw = store.hGet(keys[2], deviceId);
+  if (!raw) return null;
+  const device = JSON.parse(raw);
+  return device.serverId === serverId ? device : null;
+}
+
+/**
+ * Add/refresh one device and stretch the presence key to the longest-lived device.
+ * ARGV: deviceId, serverId, now, ttlMs, device info JSON, shadow TTL (s). Returns 1 if already online.
+ */
+export const SET_ONLINE_SCRIPT = defineScript(
+  `
+      ${DEVICE_PRUNE_LUA}
+      local wasOnline = redis.call("EXISTS", KEYS[1])
+      redis.call("ZADD", KEYS[2], now + ttl, ARGV[1])
+      redis.call("HSET", KEYS[3], ARGV[1], ARGV[5])
+      local maxExp = tonumber(redis.call("ZRANGE", KEYS[2], -1, -1, "WITHSCORES")[2])
+      redis.call("SET", KEYS[1], ARGV[2], "PX", maxExp - now)
+      redis.call("PEXPIRE", KEYS[2], maxExp - now)
+      redis.call("PEXPIRE", KEYS[3], maxExp - now)
+      redis.call("SET", KEYS[4], ARGV[2], "EX", tonumber(ARGV[6]))
+      return wasOnline
+    `,
+  (store, keys, args) => {
+    const now = Number(args[2]);
+    const ttl = Number(args[3]);
+    pruneDevices(store, keys, now);
+
+    const wasOnline = store.exists(keys[0]);
+    store.zAdd(keys[1], { score: now + ttl, value: args[0] });
+    store.hSet(keys[2], args[0], args[4]);
+
+    const maxExp = maxDeviceExpiry(store, keys);
+    store.set(keys[0], args[1], { PX: maxExp - now });
+    store.pExpire(keys[1], maxExp - now);
+    store.pExpire(keys[2], maxExp - now);
+    store.set(keys[3], args[1], { EX: Number(args[5]) });
+    return wasOnline;
+  }
+);
+
+/**
+ * Heartbeat for one device, only if this server owns it.
+ * ARGV: deviceId, serverId, now, ttlMs, shadow TTL (s). Returns 0 (not owned), 1 (refreshed),
+ * 2 (presence key had lapsed and was recreated).
+ */
+export const REFRESH_DEVICE_SCRIPT = defineScript(
+  `
+      local raw = redis.call("HGET", KEYS[3], ARGV[1])
+      if not raw then
+        return 0
+      end
+      local device = cjson.decode(raw)
+      if device.serverId ~= ARGV[2] then
+        return 0
+      end
+      ${DEVICE_PRUNE_LUA}
+      device.lastActiveAt = now
+      redis.call("ZADD", KEYS[2], now + ttl, ARGV[1])
+      redis.call("HSET", KEYS[3], ARGV[1], cjson.encode(device))
+      local maxExp = tonumber(redis.call("ZRANGE", KEYS[2], -1, -1, "WITHSCORES")[2])
+      redis.call("PEXPIRE", KEYS[2], maxExp - now)
+      redis.call("PEXPIRE", KEYS[3], maxExp - now)
+      if redis.call("EXISTS", KEYS[1]) == 1 then
+        redis.call("PEXPIRE", KEYS[1], maxExp - now)
+        redis.call("EXPIRE", KEYS[4], tonumber(ARGV[5]))
+        return 1
+      end
+      redis.call("SET", KEYS[1], ARGV[2], "PX", maxExp - now)
+      redis.call("SET", KEYS[4], ARGV[2], "EX", tonumber(ARGV[5]))
+      return 2
+    `,
+  (store, keys, args) => {
+    const device = ownedDevice(store, keys, args[0], args[1]);
+    if (!device) return 0;
+
+    const now = Number(args[2]);
+    const ttl = Number(args[3]);
+    pruneDevices(store, keys, now);
+
+    device.lastActiveAt = now;
+    store.zAdd(keys[1], { score: now + ttl, value: args[0] });
+    store.hSet(keys[2], args[0], JSON.stringify(device));
+
+    const maxExp = maxDeviceExpiry(store, keys);
+    store.pExpire(keys[1], maxExp - now);
+    store.pExpire(keys[2], maxExp - now);
+    if (store.exists(keys[0]) === 1) {
+      store.pExpire(keys[0], maxExp - now);
+      store.expire(keys[3], Number(args[4]));
+      return 1;
+    }
+    store.set(keys[0], args[1], { PX: maxExp - now });
+    store.set(keys[3], args[1], { EX: Number(args[4]) });
+    return 2;
+  }
+);
+
+/**
+ * Remove one device (if owned). Clean offline drops the shadow too, so the (absent)
+ * expiry can't flip again. ARGV: deviceId, serverId, now, 0. Returns 1 when the last device left.
+ */
+export const CLEAR_DEVICE_SCRIPT = defineScript(
+  `
+      local raw = redis.call("HGET", KEYS[3], ARGV[1])
+      if raw and cjson.decode(raw).serverId == ARGV[2] then
+        redis.call("ZREM", KEYS[2], ARGV[1])
+        redis.call("HDEL", KEYS[3], ARGV[1])
+      end
+      ${DEVICE_PRUNE_LUA}
+      if redis.call("ZCARD", KEYS[2]) == 0 then
+        redis.call("DEL", KEYS[4])
+        return redis.call("DEL", KEYS[1])
+      end
+      local maxExp = tonumber(redis.call("ZRANGE", KEYS[2], -1, -1, "WITHSCORES")[2])
+      redis.call("PEXPIRE", KEYS[1], maxExp - now)
+      return 0
+    `,
+  (store, keys, args) => {
+    if (ownedDevice(store, keys, args[0], args[1])) {
+      store.zRem(keys[1], args[0]);
+      store.hDel(keys[2], args[0]);
+    }
+
+    const now = Number(args[2]);
+    pruneDevices(store, keys, now);
+
+    if (store.zCard(keys[1]) === 0) {
+      store.del(keys[3]);
+      return store.del(keys[0]);
+    }
+    store.pExpire(keys[0], maxDeviceExpiry(store, keys) - now);
+    return 0;
+  }
+);
+
+/**
+ * Shutdown hand-off: cap an owned device's expiry at now + grace.
+ * ARGV: deviceId, serverId, now, graceMs. Returns 1 if the device was handed off.
+ */
+export const HAND_OFF_DEVICE_SCRIPT = defineScript(
+  `
+      local raw = redis.call("HGET", KEYS[3], ARGV[1])
+      if not raw or cjson.decode(raw).serverId ~= ARGV[2] then
+        return 0
+      end
+      ${DEVICE_PRUNE_LUA}
+      local current = redis.call("ZSCORE", KEYS[2], ARGV[1])
+      if not current then
+        return 0
+      end
+      if tonumber(current) > now + ttl then
+        redis.call("ZADD", KEYS[2], now + ttl, ARGV[1])
+      end
+      local maxExp = tonumber(redis.call("ZRANGE", KEYS[2], -1, -1, "WITHSCORES")[2])
+      redis.call("PEXPIRE", KEYS[1], maxExp - now)
+      redis.call("PEXPIRE", KEYS[2], maxExp - now)
+      redis.call("PEXPIRE", KEYS[3], maxExp - now)
+      return 1
+    `,
+  (store, keys, args) => {
+    if (!ownedDevice(store, keys, args[0], args[1])) return 0;
+
+    const now = Number(args[2]);
+    const ttl = Number(args[3]);
+    pruneDevices(store, keys, now);
+
+    const current = store.zScore(keys[1], args[0]);
+    if (current === null) return 0;
+    if (current > now + ttl) store.zAdd(keys[1], { score: now + ttl, value: args[0] });
+
+    const maxExp = maxDeviceExpiry(store, keys);
+    store.pExpire(keys[0], maxExp - now);
+    store.pExpire(keys[1], maxExp - now);
+    store.pExpire(keys[2], maxExp - now);
+    return 1;
+  }
+);
+
+/**
+ * Dead server cleanup: remove every device a (crashed) server held for this user.
+ * ARGV: serverId, now. Returns 1 when that leaves the user offline and the caller owns the offline
+ * flip: the presence key was deleted here, or had already lapsed with its expiry still unclaimed
+ * (the shadow is taken either way, so the expiry path can't flip again). Otherwise 0, and the
+ * presence key (if any) follows the remaining devices.
+ */
+export const CLEAR_SERVER_DEVICES_SCRIPT = defineScript(
+  `
+      local now = tonumber(ARGV[2])
+      local all = redis.call("HGETALL", KEYS[3])
+      local removed = 0
+      for i = 1, #all, 2 do
+        if cjson.decode(all[i + 1]).serverId == ARGV[1] then
+          redis.call("ZREM", KEYS[2], all[i])
+          redis.call("HDEL", KEYS[3], all[i])
+          removed = removed + 1
+        end
+      end
+      if removed == 0 then
+        return 0
+      end
+      local stale = redis.call("ZRANGEBYSCORE", KEYS[2], "-inf", now)
+      for _, id in ipairs(stale) do
+        redis.call("HDEL", KEYS[3], id)
+      end
+      redis.call("ZREMRANGEBYSCORE", KEYS[2], "-inf", now)
+      if redis.call("ZCARD", KEYS[2]) == 0 then
+        local existed = redis.call("DEL", KEYS[1])
+        local unclaimed = redis.call("DEL", KEYS[4])
+        if existed == 1 or unclaimed == 1 then
+          return 1
+        end
+        return 0
+      end
+      if redis.call("EXISTS", KEYS[1]) == 1 then
+        local top = redis.call("ZRANGE", KEYS[2], -1, -1, "WITHSCORES")
+        local info = redis.call("HGET", KEYS[3], top[1])
+        local owner = info and cjson.decode(info).serverId or redis.call("GET", KEYS[1])
+        redis.call("SET", KEYS[1], owner, "PX", tonumber(top[2]) - now)
+      end
+      return 0
+    `,
+  (store, keys, args) => {
+    const now = Number(args[1]);
+
+    let removed = 0;
+    for (const [deviceId, raw] of Object.entries(store.hGetAll(keys[2]))) {
+      if (JSON.parse(raw).serverId !== args[0]) continue;
+      store.zRem(keys[1], deviceId);
+      store.hDel(keys[2], deviceId);
+      removed++;
+    }
+    if (removed === 0) return 0;
+
+    pruneDevices(store, keys, now);
+
+    if (store.zCard(keys[1]) === 0) {
+      const existed = store.del(keys[0]);
+      const unclaimed = store.del(keys[3]);
+      return existed === 1 || unclaimed === 1 ? 1 : 0;
+    }
+    if (store.exists(keys[0]) === 1) {
+      const [top] = store.zRangeWithScores(keys[1], -1, -1);
+      const info = store.hGet(keys[2], top.value);
+      const owner = info ? JSON.parse(info).serverId : store.get(keys[0]);
+      store.set(keys[0], owner, { PX: top.score - now });
+    }
+    return 0;
+  }
+);
+
+// ---------------- Expiry claims ----------------
+/**
+ * KEYS: expired key, its shadow. If the key is gone, delete the shadow and return its value
+ * (first caller wins); otherwise (or if already claimed) return nil.
+ */
+export const CLAIM_EXPIRED_SCRIPT = defineScript(
+  `
+      if redis.call("EXISTS", KEYS[1]) == 1 then
+        return false
+      end
+      local owner = redis.call("GET", KEYS[2])
+      if owner then
+        redis.call("DEL", KEYS[2])
+      end
+      return owner
+    `,
+  (store, keys) => {
+    if (store.exists(keys[0]) === 1) return null;
+    const owner = store.get(keys[1]);
+    if (owner !== null) store.del(keys[1]);
+    return owner;
+  }
+);
+
+// ---------------- Idle ----------------
+/**
+ * KEYS: presence:user, presence:active, presence:idle. ARGV: idleBefore (ms), now, idle TTL (s).
+ * Mark an online user idle unless it was active after idleBefore. Returns 1 only for the caller
+ * that set the flag (that caller publishes the idle flip).
+ */
+export const MARK_IDLE_SCRIPT = defineScript(
+  `
+      if redis.call("EXISTS", KEYS[1]) == 0 then
+        return 0
+      end
+      local active = redis.call("GET", KEYS[2])
+      if active and tonumber(active) > tonumber(ARGV[1]) then
+        return 0
+      end
+      if redis.call("SET", KEYS[3], ARGV[2], "NX", "EX", tonumber(ARGV[3])) then
+        return 1
+      end
+      return 0
+    `,
+  (store, keys, args) => {
+    if (store.exists(keys[0]) === 0) return 0;
+    const active = store.get(keys[1]);
+    if (active !== null && Number(active) > Number(args[0])) return 0;
+    return store.set(keys[2], args[1], { NX: true, EX: Number(args[2]) }) ? 1 : 0;
+  }
+);
+
+// ---------------- Message delivery ----------------
+/**
+ * KEYS: delivery queue (ZSET id -> createdAt), items (HASH id -> JSON).
+ * ARGV: id, createdAt, item JSON, queue cap, key TTL (s).
+ * Queue a message, evicting the oldest beyond the cap. Returns how many were evicted.
+ */
+export const ENQUEUE_DELIVERY_SCRIPT = defineScript(
+  `
+      redis.call("ZADD", KEYS[1], ARGV[2], ARGV[1])
+      redis.call("HSET", KEYS[2], ARGV[1], ARGV[3])
+      local excess = redis.call("ZCARD", KEYS[1]) - tonumber(ARGV[4])
+      if excess > 0 then
+        local dropped = redis.call("ZRANGE", KEYS[1], 0, excess - 1)
+        redis.call("ZREM", KEYS[1], unpack(dropped))
+        redis.call("HDEL", KEYS[2], unpack(dropped))
+      else
+        excess = 0
+      end
+      redis.call("EXPIRE", KEYS[1], tonumber(ARGV[5]))
+      redis.call("EXPIRE", KEYS[2], tonumber(ARGV[5]))
+      return excess
+    `,
+  (store, keys, args) => {
+    store.zAdd(keys[0], [{ score: Number(args[1]), value: args[0] }]);
+    store.hSet(keys[1], args[0], args[2]);
+    const excess = Math.max(0, store.zCard(keys[0]) - Number(args[3]));
+    if (excess > 0) {
+      const dropped = store.zRange(keys[0], 0, excess - 1);
+      store.zRem(keys[0], dropped);
+      store.hDel(keys[1], dropped);
+    }
+    store.expire(keys[0], Number(args[4]));
+    store.expire(keys[1], Number(args[4]));
+    return excess;
+  }
+);
+
+// ---------------- Leases (one worker per cluster) ----------------
+/**
+ * KEYS: lease key. ARGV: owner, ttlMs. Take the lease if free, or extend it if we hold it.
+ * Returns 1 if ARGV[1] holds the lease afterwards.
+ */
+export const ACQUIRE_LEASE_SCRIPT = defineScript(
+  `
+      local owner = redis.call("GET", KEYS[1])
+      if not owner or owner == ARGV[1] then
+        redis.call("SET", KEYS[1], ARGV[1], "PX", tonumber(ARGV[2]))
+        return 1
+      end
+      return 0
+    `,
+  (store, keys, args) => {
+    const owner = store.get(keys[0]);
+    if (owner !== null && owner !== args[0]) return 0;
+    store.set(keys[0], args[0], { PX: Number(args[1]) });
+    return 1;
+  }
+);
+
+/**
+ * KEYS: lease key. ARGV: owner. Give the lease up (only if we hold it).
+ */
+export const RELEASE_LEASE_SCRIPT = defineScript(
+  `
+      if redis.call("GET", KEYS[1]) == ARGV[1] then
+        return redis.call("DEL", KEYS[1])
+      end
+      return 0
+    `,
+  (store, keys, args) => (store.get(keys[0]) === args[0] ? store.del(keys[0]) : 0)
+);
+
+// ---------------- Rate limiting ----------------
+/**
+ * Token bucket with a ban check. KEYS: ban key, bucket (HASH tokens, ts).
+ * ARGV: capacity, windowMs (time to refill from empty), now, cost.
+ * Returns { allowed (0/1), tokens left (floored), retry after (ms), banned (0/1) }; while the ban
+ * key exists, { 0, 0, its PTTL, 1 } and no tokens are taken. Fractional tokens are stored as
+ * strings (Lua numbers reply as integers).
+ */
+export const TOKEN_BUCKET_SCRIPT = defineScript(
+  `
+      local banned = redis.call("PTTL", KEYS[1])
+      if banned > 0 then
+        return { 0, 0, banned, 1 }
+      end
+      local capacity = tonumber(ARGV[1])
+      local windowMs = tonumber(ARGV[2])
+      local now = tonumber(ARGV[3])
+      local cost = tonumber(ARGV[4])
+      local state = redis.call("HMGET", KEYS[2], "tokens", "ts")
+      local tokens = tonumber(state[1]) or capacity
+      local ts = tonumber(state[2]) or now
+      tokens = math.min(capacity, tokens + math.max(0, now - ts) * capacity / windowMs)
+      local allowed = 0
+      local retryAfter = 0
+      if tokens >= cost then
+        tokens = tokens - cost
+        allowed = 1
+      else
+        retryAfter = math.ceil((cost - tokens) * windowMs / capacity)
+      end
+      redis.call("HSET", KEYS[2], "tokens", tostring(tokens), "ts", now)
+      redis.call("PEXPIRE", KEYS[2], windowMs)
+      return { allowed, math.floor(tokens), retryAfter, 0 }
+    `,
+  (store, keys, args) => {
+    const banned = store.pTTL(keys[0]);
+    if (banned > 0) return [0, 0, banned, 1];
+
+    const [capacity, windowMs, now, cost] = args.map(Number);
+    const [rawTokens, rawTs] = store.hmGet(keys[1], ['tokens', 'ts']);
+    const ts = rawTs === null ? now : Number(rawTs);
+    let tokens = rawTokens === null ? capacity : Number(rawTokens);
+    tokens = Math.min(capacity, tokens + (Math.max(0, now - ts) * capacity) / windowMs);
+
+    let allowed = 0;
+    let retryAfter = 0;
+    if (tokens >= cost) {
+      tokens -= cost;
+      allowed = 1;
+    } else {
+      retryAfter = Math.ceil(((cost - tokens) * windowMs) / capacity);
+    }
+    store.hSet(keys[1], { tokens: String(tokens), ts: now });
+    store.pExpire(keys[1], windowMs);
+    return [allowed, Math.floor(tokens), retryAfter, 0];
+  }
+);
+
+/**
+ * Concurrent connection slots. KEYS: ZSET member -> lease expiry (ms).
+ * ARGV: member, now, leaseMs, max. Drops lapsed leases (servers that died without releasing),
+ * then takes a slot if fewer than max are held. Returns 1 if the member holds a slot.
+ */
+export const ACQUIRE_SLOT_SCRIPT = defineScript(
+  `
+      local now = tonumber(ARGV[2])
+      redis.call("ZREMRANGEBYSCORE", KEYS[1], "-inf", now)
+      if redis.call("ZCARD", KEYS[1]) >= tonumber(ARGV[4]) then
+        return 0
+      end
+      redis.call("ZADD", KEYS[1], now + tonumber(ARGV[3]), ARGV[1])
+      redis.call("PEXPIRE", KEYS[1], tonumber(ARGV[3]))
+      return 1
+    `,
+  (store, keys, args) => {
+    const now = Number(args[1]);
+    store.zRemRangeByScore(keys[0], '-inf', now);
+    if (store.zCard(keys[0]) >= Number(args[3])) return 0;
+    store.zAdd(keys[0], { score: now + Number(args[2]), value: args[0] });
+    store.pExpire(keys[0], Number(args[2]));
+    return 1;
+  }
+);
+
+// ---------------- Server registry ----------------
+/**
+ * KEYS: ZSET serverId -> last heartbeat (ms), registry HASH. ARGV: serverId, deadBefore (ms).
+ * Removes the server if its last heartbeat is older than deadBefore. Returns 1 for the one caller
+ * that removed it (that caller cleans up after the server), else 0.
+ */
+export const CLAIM_DEAD_SERVER_SCRIPT = defineScript(
+  `
+      local last = redis.call("ZSCORE", KEYS[1], ARGV[1])
+      if not last or tonumber(last) > tonumber(ARGV[2]) then
+        return 0
+      end
+      redis.call("ZREM", KEYS[1], ARGV[1])
+      redis.call("HDEL", KEYS[2], ARGV[1])
+      return 1
+    `,
+  (store, keys, args) => {
+    const last = store.zScore(keys[0], args[0]);
+    if (last === null || last > Number(args[1])) return 0;
+    store.zRem(keys[0], args[0]);
+    store.hDel(keys[1], args[0]);
+    return 1;
+  }
+);
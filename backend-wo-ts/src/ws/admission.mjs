@@ -0,0 +1,80 @@
+import { config } from '../config.mjs';
+
+/**
+ * Auth admission control for reconnect storms.
+ *
+ * After a restart or deploy every client reconnects at once, and each auth costs a setOnline,
+ * a presence flip and (right after auth:ok) a refocus. At most config.authMaxConcurrent auths run
+ * at a time per server; the rest wait in arrival order. Once config.authQueueMax are waiting, or a
+ * socket has waited config.authQueueTimeoutMs, it is turned away with a jittered retry_after
+ * instead, and clients back off following the policy auth:ok hands out (reconnectPolicy).
+ */
+export class AuthAdmission {
+  active = 0;
+  waiting = []; // [{ resolve, timer }], oldest first
+
+  get queued() {
+    return this.waiting.length;
+  }
+
+  /**
+   * Resolves { ok: true, release } once a slot is free (call release() when done),
+   * or { ok: false, retryAfterMs } when the queue is full or the wait timed out.
+   */
+  acquire() {
+    if (this.active < config.authMaxConcurrent) {
+      this.active++;
+      return Promise.resolve({ ok: true, release: this.releaser() });
+    }
+    if (this.waiting.length >= config.authQueueMax) {
+      return Promise.resolve({ ok: false, retryAfterMs: retryAfterMs() });
+    }
+
+    return new Promise((resolve) => {
+      const waiter = { resolve };
+      waiter.timer = setTimeout(() => {
+        this.waiting.splice(this.waiting.indexOf(waiter), 1);
+        resolve({ ok: false, retryAfterMs: retryAfterMs() });
+      }, config.authQueueTimeoutMs);
+      waiter.timer.unref?.();
+      this.waiting.push(waiter);
+    });
+  }
+
+  // Frees the slot once: hands it to the oldest waiter, if any
+  releaser() {
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+
+      const next = this.waiting.shift();
+      if (!next) {
+        this.active--;
+        return;
+      }
+      clearTimeout(next.timer);
+      next.resolve({ ok: true, release: this.releaser() });
+    };
+  }
+}
+
+/**
+ * How long a turned-away client should wait: authRetryAfterMs to twice that, at random, so the
+ * clients rejected together don't all come back together.
+ */
+export function retryAfterMs() {
+  return Math.round(config.authRetryAfterMs * (1 + Math.random()));
+}
+
+/**
+ * Reconnect policy for auth:ok. Clients wait random(0, min(maxDelayMs, baseDelayMs * 2^attempt))
+ * before reconnect attempt n (n from 0), and at least the retry_after of a SERVER_BUSY close.
+ */
+export function reconnectPolicy() {
+  return {
+    baseDelayMs: config.reconnectBaseDelayMs,
+    maxDelayMs: config.reconnectMaxDelayMs,
+    jitter: 'full',
+  };
+}
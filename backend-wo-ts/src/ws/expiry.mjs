@@ -0,0 +1,99 @@
+import { presenceService } from '../services/presence.mjs';
+import { config } from '../config.mjs';
+
+const EXPIRED_PATTERN = '__keyevent@*__:expired';
+
+/**
+ * Presence Expiry Listener
+ *
+ * Subscribes to Redis keyspace notifications for expired keys. When a
+ * presence:user:{email} key expires (heartbeats stopped), it turns that into
+ * an offline flip; when presence:status:{email} expires, it publishes the auto-cleared
+ * status. Every server gets the event; PresenceService.claimExpiredKey makes sure only
+ * one of them publishes.
+ */
+export class PresenceExpiryListener {
+  subClient = null;
+
+  /**
+   * Make sure Redis emits expired events (flags "E" + "x").
+   * Returns true if notifications are (now) enabled.
+   */
+  async ensureKeyspaceEvents() {
+    const client = presenceService.client;
+
+    let current = '';
+    try {
+      const res = await client.configGet('notify-keyspace-events');
+      current = res?.['notify-keyspace-events'] ?? '';
+    } catch (e) {
+      console.warn('CONFIG GET notify-keyspace-events failed (managed Redis?):', e.message);
+      return false;
+    }
+
+    const hasKeyevent = current.includes('E');
+    const hasExpired = current.includes('x') || current.includes('A');
+    if (hasKeyevent && hasExpired) return true;
+
+    if (!config.configureKeyspaceEvents) {
+      console.warn(
+        `notify-keyspace-events is "${current}" (needs "Ex"); TTL expiry will not produce offline flips`
+      );
+      return false;
+    }
+
+    let flags = current;
+    if (!hasKeyevent) flags += 'E';
+    if (!hasExpired) flags += 'x';
+
+    try {
+      await client.configSet('notify-keyspace-events', flags);
+      console.log(`Enabled Redis keyspace notifications: notify-keyspace-events=${flags}`);
+      return true;
+    } catch (e) {
+      console.warn('CONFIG SET notify-keyspace-events failed:', e.message);
+      return false;
+    }
+  }
+
+  async start() {
+    if (this.subClient) return;
+
+    await this.ensureKeyspaceEvents();
+
+    this.subClient = presenceService.client.duplicate();
+    this.subClient.on('error', (err) => console.error('Redis expiry sub error:', err));
+    await this.subClient.connect();
+
+    await this.subClient.pSubscribe(EXPIRED_PATTERN, (key) => {
+      this.onExpired(key).catch((e) => console.error('Expiry handling failed:', e));
+    });
+
+    console.log(`Subscribed to Redis expiry events: ${EXPIRED_PATTERN}`);
+  }
+
+  async stop() {
+    if (!this.subClient) return;
+    try {
+      await this.subClient.quit();
+    } catch (e) {
+      console.error('Failed to stop expiry listener:', e);
+    }
+    this.subClient = null;
+  }
+
+  async onExpired(key) {
+    const email = presenceService.emailFromPresenceKey(key);
+    if (email) {
+      const emitted = await presenceService.handlePresenceExpired(email);
+      if (emitted) console.log(`Presence expired (TTL): ${email} -> offline`);
+      return;
+    }
+
+    const statusEmail = presenceService.emailFromStatusKey(key);
+    if (statusEmail) {
+      const emitted = await presenceService.handleStatusExpired(statusEmail);
+      if (emitted) console.log(`Status auto-cleared: ${statusEmail}`);
+    }
+  }
+}
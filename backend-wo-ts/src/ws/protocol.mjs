@@ -0,0 +1,211 @@
+import { PRESENCE_STATUSES } from '../services/presence.mjs';
+import { config } from '../config.mjs';
+
+/**
+ * Presence WebSocket protocol: the single definition of every inbound frame.
+ *
+ * The mobile client mirrors this in mobile/src/services/protocol.ts; bump
+ * PROTOCOL_VERSION (and that file) for any incompatible change.
+ *
+ * Versions:
+ *   1 - legacy app builds: no protocolVersion in auth, subscribe/unsubscribe
+ *   2 - presence:focus/blur, status:set, activity, structured errors
+ *       (+ presence versions: presence:update/statuses carry `version`, presence:focus takes
+ *       `versions` to resume; optional on both sides, so no bump)
+ *       (+ group:focus/blur: new message types, older clients never send them, so no bump)
+ *       (+ activity:ping and `idle` on presence frames: additive, so no bump)
+ *       (+ auth `locale` and `presenceLabel` on snapshot statuses: additive, so no bump)
+ *       (+ delivery frames and delivery:ack: new message types, so no bump)
+ *   3 - presence:updates: flips that arrive together come as one frame
+ *       { updates: [presence:update] }; older sockets keep getting one presence:update each
+ *       (+ auth:ok `reconnect` policy and the server_busy error / SERVER_BUSY close: additive,
+ *       so no bump)
+ */
+export const PROTOCOL_VERSION = 3;
+
+// First version that gets batched presence:updates frames
+export const BATCHED_UPDATES_VERSION = 3;
+
+// Oldest version this server still speaks (config.minProtocolVersion can raise it)
+export const MIN_PROTOCOL_VERSION = 1;
+
+// Auth without protocolVersion = a pre-versioning build
+export const LEGACY_PROTOCOL_VERSION = 1;
+
+export const ERROR_CODES = {
+  INVALID_JSON: 'invalid_json',
+  INVALID_MESSAGE: 'invalid_message',
+  UNKNOWN_TYPE: 'unknown_type',
+  UNSUPPORTED_PROTOCOL: 'unsupported_protocol',
+  UNAUTHENTICATED: 'unauthenticated',
+  AUTH_FAILED: 'auth_failed',
+  RATE_LIMITED: 'rate_limited',
+  NOT_FOUND: 'not_found',
+  LIMIT_EXCEEDED: 'limit_exceeded',
+  SERVER_BUSY: 'server_busy',
+  INTERNAL: 'internal_error',
+};
+
+// Application close codes (4000-4999)
+export const CLOSE_CODES = {
+  UNSUPPORTED_PROTOCOL: 4001,
+  DISCONNECTED: 4002, // closed by an operator (POST /admin/users/:email/disconnect)
+  SERVER_BUSY: 4003, // auth not admitted (reconnect storm); reason "retry_after=<ms>"
+};
+
+// Legacy message types and what they mean today. Acks keep the legacy name.
+export const MESSAGE_ALIASES = {
+  subscribe: 'presence:focus',
+  unsubscribe: 'presence:blur',
+};
+
+const emailList = {
+  type: 'array',
+  required: true,
+  maxItems: 500,
+  items: { type: 'string', maxLength: 320 },
+};
+
+/**
+ * Field rules per inbound type:
+ *   type: string | number | integer | boolean | array | object
+ *   required, nullable, enum, minLength, maxLength, maxItems, items, maxKeys, values
+ * Unknown fields are ignored (forward compatible).
+ */
+export const INBOUND_SCHEMAS = {
+  auth: {
+    token: { type: 'string', required: true, minLength: 1, maxLength: 4096 },
+    protocolVersion: { type: 'integer' },
+    deviceId: { type: 'string', minLength: 1, maxLength: 128 },
+    platform: { type: 'string', maxLength: 32 },
+    locale: { type: 'string', maxLength: 35 }, // language of presenceLabel in snapshots
+  },
+  'presence:focus': {
+    emails: emailList,
+    // Resume: { email: last version seen }. Unchanged emails are acked in `unchanged` instead.
+    versions: { type: 'object', maxKeys: 500, values: { type: 'integer' } },
+  },
+  'presence:blur': { emails: emailList },
+  // Whole-roster presence: counts per bucket plus member flips, without listing emails
+  'group:focus': { groupId: { type: 'string', required: true, minLength: 1, maxLength: 64 } },
+  'group:blur': { groupId: { type: 'string', required: true, minLength: 1, maxLength: 64 } },
+  'status:set': {
+    status: { type: 'string', required: true, enum: PRESENCE_STATUSES },
+    message: { type: 'string', nullable: true, maxLength: 1024 },
+    expiresAt: { type: 'number', nullable: true },
+    expiresInSeconds: { type: 'number', nullable: true },
+  },
+  activity: {
+    kind: { type: 'string', required: true, maxLength: 64 },
+    context: { type: 'string', nullable: true, maxLength: 128 },
+    active: { type: 'boolean' },
+    ttlMs: { type: 'number' },
+  },
+  // Real user activity (interaction, app foreground/background); drives lastActiveAt and idle
+  'activity:ping': { state: { type: 'string', enum: ['active', 'background'] } },
+  // Messages from POST /deliver that the client has handled; acked ones are not sent again
+  'delivery:ack': {
+    ids: { type: 'array', required: true, maxItems: 100, items: { type: 'string', maxLength: 64 } },
+  },
+  ping: {},
+};
+
+function checkType(value, type) {
+  switch (type) {
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return typeof value === 'object' && value !== null && !Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+function checkField(name, rule, value) {
+  if (value === undefined) return rule.required ? `${name} is required` : null;
+  if (value === null) return rule.nullable ? null : `${name} must not be null`;
+
+  if (!checkType(value, rule.type)) return `${name} must be of type ${rule.type}`;
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return `${name} must be one of: ${rule.enum.join(', ')}`;
+  }
+  if (rule.minLength != null && value.length < rule.minLength) {
+    return `${name} must be at least ${rule.minLength} characters`;
+  }
+  if (rule.maxLength != null && rule.type === 'string' && value.length > rule.maxLength) {
+    return `${name} must be at most ${rule.maxLength} characters`;
+  }
+  if (rule.maxItems != null && value.length > rule.maxItems) {
+    return `${name} must have at most ${rule.maxItems} items`;
+  }
+  if (rule.maxKeys != null && rule.type === 'object' && Object.keys(value).length > rule.maxKeys) {
+    return `${name} must have at most ${rule.maxKeys} keys`;
+  }
+  if (rule.values) {
+    for (const [key, item] of Object.entries(value)) {
+      const err = checkField(`${name}.${key}`, rule.values, item);
+      if (err) return err;
+    }
+  }
+  if (rule.items) {
+    for (let i = 0; i < value.length; i++) {
+      const err = checkField(`${name}[${i}]`, rule.items, value[i]);
+      if (err) return err;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate a parsed inbound frame.
+ * Returns { ok: true, type, legacyType } (type resolved through MESSAGE_ALIASES)
+ * or { ok: false, code, message }.
+ */
+export function validateMessage(message) {
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    return { ok: false, code: ERROR_CODES.INVALID_MESSAGE, message: 'Message must be a JSON object' };
+  }
+
+  const { type: rawType } = message;
+  if (typeof rawType !== 'string') {
+    return { ok: false, code: ERROR_CODES.INVALID_MESSAGE, message: 'type is required' };
+  }
+
+  const type = MESSAGE_ALIASES[rawType] ?? rawType;
+  const schema = INBOUND_SCHEMAS[type];
+  if (!schema) {
+    return { ok: false, code: ERROR_CODES.UNKNOWN_TYPE, message: 'Unknown message type' };
+  }
+
+  for (const [name, rule] of Object.entries(schema)) {
+    const err = checkField(name, rule, message[name]);
+    if (err) return { ok: false, code: ERROR_CODES.INVALID_MESSAGE, message: err };
+  }
+
+  return { ok: true, type, legacyType: type !== rawType ? rawType : null };
+}
+
+export function supportedVersions() {
+  return {
+    min: Math.max(MIN_PROTOCOL_VERSION, config.minProtocolVersion ?? MIN_PROTOCOL_VERSION),
+    max: PROTOCOL_VERSION,
+  };
+}
+
+/**
+ * Can this server talk to a client announcing `version` (undefined = legacy)?
+ */
+export function isSupportedVersion(version) {
+  const v = version ?? LEGACY_PROTOCOL_VERSION;
+  const { min, max } = supportedVersions();
+  return v >= min && v <= max;
+}
+
+export function errorFrame(code, message, extra = {}) {
+  return JSON.stringify({ type: 'error', code, message, ...extra });
+}
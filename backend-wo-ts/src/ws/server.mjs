@@ -1,7 +1,27 @@
+import crypto from 'crypto';
 import { WebSocketServer } from 'ws';
-import { createClient } from 'redis';
 import { presenceService } from '../services/presence.mjs';
+import { authService } from '../services/auth.mjs';
+import { rateLimitService } from '../services/rateLimit.mjs';
+import { groupService, summarizeGroupPresence } from '../services/groups.mjs';
+import { clusterService } from '../services/cluster.mjs';
+import { deliveryService } from '../services/delivery.mjs';
+import { resolveLocale } from '../services/buckets.mjs';
+import { clientIp } from '../middleware/rateLimit.mjs';
+import { AuthAdmission, reconnectPolicy } from './admission.mjs';
 import { config } from '../config.mjs';
+import { presenceMetrics } from '../services/metrics.mjs';
+import {
+  BATCHED_UPDATES_VERSION,
+  CLOSE_CODES,
+  ERROR_CODES,
+  LEGACY_PROTOCOL_VERSION,
+  PROTOCOL_VERSION,
+  errorFrame,
+  isSupportedVersion,
+  supportedVersions,
+  validateMessage,
+} from './protocol.mjs';
 
 export class PresenceWebSocketServer {
   wss;
@@ -13,94 +33,514 @@ export class PresenceWebSocketServer {
   focusedBySocket = new Map(); // ws -> Set<email>
   focusedSocketsByEmail = new Map(); // email -> Set<ws>
 
-  // Rate limiting
-  connectionsByIp = new Map(); // IP -> count
-  focusRateLimit = new Map(); // ws -> { count, resetAt }
+  // Newest flip version routed per focused email: older flips arriving late are dropped
+  presenceVersions = new Map(); // email -> version
+
+  // Group focus (LOCAL ONLY): member flips reach this server through group:watchers:{id}
+  focusedGroups = new Map(); // groupId -> { sockets: Set<ws>, versions: Map<email, version> }
+  groupsBySocket = new Map(); // ws -> Map<groupId, Set<online member email>>
+
+  // SSE presence streams (GET /presence/stream); they share the focus maps above
+  sseClients = new Set(); // SseClient
 
   // Redis sub for presence flips
   subClient = null;
 
-  constructor(server) {
-    this.serverId = config.serverId;
+  // Set by drain(): refuse new sockets, hand presence off instead of clearing it
+  draining = false;
+
+  // Concurrency limit for auth during reconnect storms
+  authAdmission = new AuthAdmission();
+
+  /**
+   * options.serverId: defaults to config.serverId. Set it to run several servers in one
+   * process (e.g. over the in-memory storage backend).
+   */
+  constructor(server, { serverId = config.serverId } = {}) {
+    this.serverId = serverId;
+    this.startedAt = Date.now();
     this.wss = new WebSocketServer({ server, path: '/ws' });
 
     this.wss.on('connection', this.handleConnection.bind(this));
     console.log('WebSocket server initialized on /ws, serverId=', this.serverId);
 
     this.startHeartbeatCheck();
-    this.startFlipListener();
+    this.flipListenerReady = this.startFlipListener(); // resolves once subscribed (never rejects)
+    this.registerMetrics();
+    this.startRegistryHeartbeat();
 
-    setInterval(() => this.cleanupRateLimits(), 60_000);
+    this.sseKeepaliveIntervalId = setInterval(() => {
+      for (const client of this.sseClients) client.keepalive();
+    }, config.sseKeepaliveMs);
   }
 
-  cleanupRateLimits() {
-    const now = Date.now();
-    for (const [ws, limit] of this.focusRateLimit) {
-      if (limit.resetAt < now) this.focusRateLimit.delete(ws);
-    }
+  registerMetrics() {
+    const labels = { server_id: this.serverId };
+    const sample = (value) => [{ labels, value }];
+
+    this.metricsDisposers = [
+      presenceMetrics.wsConnections.addCollector(() => sample(this.wss.clients.size)),
+      presenceMetrics.wsAuthenticatedUsers.addCollector(() => sample(this.clients.size)),
+      presenceMetrics.focusedEmails.addCollector(() => sample(this.focusedSocketsByEmail.size)),
+      presenceMetrics.focusWatchers.addCollector(() => {
+        let total = 0;
+        for (const sockets of this.focusedSocketsByEmail.values()) total += sockets.size;
+        return sample(total);
+      }),
+      presenceMetrics.sseStreams.addCollector(() => sample(this.sseClients.size)),
+      presenceMetrics.focusedGroups.addCollector(() => sample(this.focusedGroups.size)),
+      presenceMetrics.authQueued.addCollector(() => sample(this.authAdmission.queued)),
+    ];
   }
 
-  checkConnectionLimit(ip) {
-    const count = this.connectionsByIp.get(ip) || 0;
-    if (count >= config.maxConnectionsPerIp) return false;
-    this.connectionsByIp.set(ip, count + 1);
-    return true;
+  // -------- Cluster registry (services/cluster.mjs) --------
+  startRegistryHeartbeat() {
+    this.registered = false;
+    const beat = () => this.sendRegistryHeartbeat().catch((e) => console.error('Registry heartbeat failed:', e));
+    beat();
+    this.registryIntervalId = setInterval(beat, config.serverHeartbeatMs);
   }
 
-  decrementConnectionCount(ip) {
-    const count = this.connectionsByIp.get(ip) || 0;
-    if (count <= 1) this.connectionsByIp.delete(ip);
-    else this.connectionsByIp.set(ip, count - 1);
+  async sendRegistryHeartbeat() {
+    const missing = await clusterService.heartbeat({
+      serverId: this.serverId,
+      startedAt: this.startedAt,
+      connections: this.wss.clients.size,
+      users: this.clients.size,
+      sseStreams: this.sseClients.size,
+      focusedEmails: this.focusedSocketsByEmail.size,
+      focusedGroups: this.focusedGroups.size,
+      draining: this.draining,
+    });
+
+    if (missing && this.registered && !this.draining) await this.recoverFromReap();
+    this.registered = true;
   }
 
-  checkFocusRateLimit(ws) {
-    const now = Date.now();
-    let limit = this.focusRateLimit.get(ws);
+  /**
+   * We were silent long enough to be reaped as dead (event loop stall, lost Redis connection)
+   * but are still serving: put back the watchers and presence the janitor removed.
+   */
+  async recoverFromReap() {
+    console.warn(`Server ${this.serverId} was reaped as dead while running; re-registering`);
 
-    if (!limit || limit.resetAt < now) limit = { count: 0, resetAt: now + 60_000 };
-    if (limit.count >= (config.focusRateLimitPerMinute ?? 60)) return false;
+    const emails = Array.from(this.focusedSocketsByEmail.keys());
+    for (let i = 0; i < emails.length; i += 500) {
+      await presenceService.registerWatchers(emails.slice(i, i + 500), this.serverId);
+    }
+    for (const groupId of this.focusedGroups.keys()) {
+      await presenceService.registerGroupWatcher(groupId, this.serverId);
+    }
 
-    limit.count++;
-    this.focusRateLimit.set(ws, limit);
-    return true;
+    for (const ws of this.wss.clients) {
+      if (!ws.userKey || !ws.deviceId) continue;
+      const { statusChanged } = await presenceService.setOnline(ws.userKey, this.serverId, {
+        deviceId: ws.deviceId,
+        platform: ws.platform,
+      });
+      if (statusChanged) await presenceService.publishPresenceFlip(ws.userKey);
+    }
+  }
+
+  // -------- Rate limits (shared across servers, see services/rateLimit.mjs) --------
+  /**
+   * Admit a new connection (socket or SSE stream): the IP must not be banned or over its
+   * connect rate, and gets one of its concurrent connection slots.
+   * Returns { ok: true } or { ok: false, reason, retryAfterMs }.
+   */
+  async admitConnection(conn) {
+    const limit = await rateLimitService.consume('wsConnect', { ip: conn.clientIp });
+    if (!limit.allowed) {
+      const reason = limit.banned ? 'banned' : 'rate_limit';
+      return { ok: false, reason, retryAfterMs: limit.retryAfterMs };
+    }
+
+    conn.connectionId = `${this.serverId}:${crypto.randomUUID()}`;
+    if (!(await rateLimitService.acquireConnection(conn.clientIp, conn.connectionId))) {
+      conn.connectionId = null;
+      return { ok: false, reason: 'ip_limit', retryAfterMs: 0 };
+    }
+    return { ok: true };
+  }
+
+  releaseConnection(conn) {
+    if (!conn.connectionId) return;
+    const { connectionId } = conn;
+    conn.connectionId = null;
+    rateLimitService
+      .releaseConnection(conn.clientIp, connectionId)
+      .catch((e) => console.error('releaseConnection failed:', e));
+  }
+
+  /**
+   * Per-user policy check for an authenticated connection. Sends rate_limited (with retryAfter,
+   * in ms) when rejected; returns whether the request may proceed.
+   */
+  async checkUserLimit(ws, policyName) {
+    const limit = await rateLimitService.consume(policyName, { user: ws.userKey });
+    if (limit.allowed) return true;
+
+    this.sendError(
+      ws,
+      ERROR_CODES.RATE_LIMITED,
+      limit.banned ? 'Temporarily banned for too many requests' : 'Rate limit exceeded. Try again later.',
+      { retryAfter: limit.retryAfterMs }
+    );
+    return false;
   }
 
   // -------- Pub/Sub: subscribe to sharded presence flip channels --------
   async startFlipListener() {
     try {
-      this.subClient = createClient({ url: config.redisUrl });
+      // Dedicated subscriber connection on the configured storage backend
+      this.subClient = presenceService.client.duplicate();
       this.subClient.on('error', (err) => console.error('Redis sub error:', err));
       await this.subClient.connect();
 
       // 1M-scale: subscribe ONLY to this server's channel.
       // PresenceService publishes flips to the server(s) that have active watchers.
-      const channel = `presence:server:${this.serverId}`;
-      await this.subClient.subscribe(channel, (message) => {
+      const channel = presenceService.serverChannel(this.serverId);
+      const onMessage = (message) => {
         try {
           const data = JSON.parse(message);
-          this.onPresenceFlip(data);
+          if (data.type === 'flips') this.onPresenceFlips(data.flips ?? []);
+          else if (data.type === 'activity') this.onActivity(data);
+          else if (data.type === 'visibility') this.onVisibilityChange(data);
+          else if (data.type === 'group') this.onGroupChange(data);
+          else if (data.type === 'disconnect') this.onDisconnectRequest(data);
+          else if (data.type === 'deliver') this.onDeliver(data);
+          else this.onPresenceFlip(data); // single flip from a server that doesn't batch yet
         } catch (e) {
           console.error('Failed to parse presence flip:', e);
         }
-      });
-
+      };
+      await this.subClient.subscribe(channel, onMessage);
       console.log(`Subscribed to targeted presence channel: ${channel}`);
+
+      // Sharded routing: flips arrive on the shard channels instead, everything else as above
+      if (config.presenceRoutingMode === 'sharded') {
+        const shards = presenceService.shardChannels();
+        await this.subClient.subscribe(shards, onMessage);
+        console.log(`Subscribed to ${shards.length} presence shard channels`);
+      }
     } catch (e) {
       console.error('Failed to start flip listener:', e);
     }
   }
 
+  /**
+   * A batch of flips (see PresenceService.flushFlips). Each focused socket gets the ones it
+   * watches as a single frame; group members go out as group:update per flip.
+   */
+  onPresenceFlips(flips) {
+    const updatesBySocket = new Map(); // ws -> [presence:update]
+
+    for (const data of flips) {
+      if (!data?.email) continue;
+      presenceMetrics.flipsReceived.inc();
+
+      this.routeFlipToFocused(data, updatesBySocket);
+      if (data.groups?.length > 0) {
+        this.routeFlipToGroups(data).catch((e) => console.error('Group flip routing failed:', e));
+      }
+    }
+
+    for (const [ws, updates] of updatesBySocket) this.sendPresenceUpdates(ws, updates);
+  }
+
   onPresenceFlip(data) {
-    const { email, online } = data;
+    this.onPresenceFlips([data]);
+  }
+
+  // Queue a flip for the sockets focused on its email (updatesBySocket: ws -> [update])
+  routeFlipToFocused(data, updatesBySocket) {
+    const { email, online, status, statusMessage, statusExpiresAt, eventId, version } = data;
+
+    const watchers = this.focusedSocketsByEmail.get(email);
+    if (!watchers || watchers.size === 0) return;
+
+    // Pub/sub can reorder flips from different publishers: never route an older state
+    if (version != null) {
+      if (version <= (this.presenceVersions.get(email) ?? 0)) {
+        presenceMetrics.flipsStale.inc();
+        return;
+      }
+      this.presenceVersions.set(email, version);
+    }
+
+    const update = {
+      type: 'presence:update',
+      email,
+      online,
+      idle: data.idle ?? false,
+      status: status ?? null,
+      statusMessage: statusMessage ?? null,
+      statusExpiresAt: statusExpiresAt ?? null,
+      lastActiveAt: data.lastActiveAt ?? null,
+      bucket: data.bucket ?? null,
+      version: version ?? null,
+      eventId: eventId ?? null, // position in the presence event log (SSE resume)
+    };
+
+    for (const ws of watchers) {
+      const seen = ws.snapshotVersions?.get(email);
+      if (seen !== undefined) {
+        if (version != null && version <= seen) continue;
+        ws.snapshotVersions.delete(email);
+      }
+      if (!updatesBySocket.has(ws)) updatesBySocket.set(ws, []);
+      updatesBySocket.get(ws).push(update);
+    }
+  }
+
+  /**
+   * Several updates go out as one presence:updates frame to protocol v3+ sockets. Older sockets
+   * and SSE streams (one event id per flip) get one presence:update each.
+   */
+  sendPresenceUpdates(ws, updates) {
+    if (ws.readyState !== 1) return;
+
+    if (updates.length > 1 && ws.protocolVersion >= BATCHED_UPDATES_VERSION) {
+      ws.send(JSON.stringify({ type: 'presence:updates', updates }));
+      return;
+    }
+    for (const update of updates) ws.send(JSON.stringify(update));
+  }
+
+  /**
+   * A member of locally focused groups flipped: group:update to each socket focused on them,
+   * as that socket's user may see the member (hidden members are never counted online).
+   */
+  async routeFlipToGroups(data) {
+    const { email, version } = data;
+    const visibleTo = new Map(); // viewer -> canSee, looked up once per flip
+
+    for (const groupId of data.groups) {
+      const group = this.focusedGroups.get(groupId);
+      if (!group) continue;
+
+      if (version != null) {
+        if (version <= (group.versions.get(email) ?? 0)) {
+          presenceMetrics.flipsStale.inc();
+          continue;
+        }
+        group.versions.set(email, version);
+      }
+
+      for (const ws of Array.from(group.sockets)) {
+        const onlineSet = this.groupsBySocket.get(ws)?.get(groupId);
+        if (!onlineSet || !ws.userKey) continue;
+
+        if (!visibleTo.has(ws.userKey)) {
+          let visible = true;
+          try {
+            visible = await presenceService.canSee(ws.userKey, email);
+          } catch (e) {
+            console.error('canSee failed:', e);
+          }
+          visibleTo.set(ws.userKey, visible);
+        }
+
+        if (!visibleTo.get(ws.userKey)) {
+          // Not visible: only retract it if this socket still counts it online
+          if (onlineSet.delete(email)) {
+            this.sendGroupUpdate(ws, groupId, presenceService.hiddenPresence(email), onlineSet.size);
+          }
+          continue;
+        }
+
+        if (data.online === true) onlineSet.add(email);
+        else onlineSet.delete(email);
+        this.sendGroupUpdate(ws, groupId, data, onlineSet.size);
+      }
+    }
+  }
+
+  sendGroupUpdate(ws, groupId, presence, onlineCount) {
+    if (ws.readyState !== 1) return;
+    ws.send(
+      JSON.stringify({
+        type: 'group:update',
+        groupId,
+        email: presence.email,
+        online: presence.online,
+        idle: presence.idle ?? null,
+        status: presence.status ?? null,
+        statusMessage: presence.statusMessage ?? null,
+        statusExpiresAt: presence.statusExpiresAt ?? null,
+        lastActiveAt: presence.lastActiveAt ?? null,
+        bucket: presence.bucket ?? null,
+        version: presence.version ?? null,
+        onlineCount,
+      })
+    );
+  }
+
+  /**
+   * A focused group's membership changed (or it was deleted): focused sockets get a fresh
+   * group:snapshot, or group:removed once they may no longer read it.
+   */
+  async onGroupChange(data) {
+    const { groupId } = data;
+    const group = this.focusedGroups.get(groupId);
+    if (!group) return;
+
+    const toUnregister = [];
+    for (const ws of Array.from(group.sockets)) {
+      try {
+        const readable =
+          !data.deleted && ws.userKey && (await groupService.getReadableGroup(groupId, ws.userKey));
+        if (readable) {
+          await this.sendGroupState(ws, groupId, 'group:snapshot');
+          continue;
+        }
+
+        toUnregister.push(...this.removeGroupFocus(ws, [groupId]));
+        if (ws.readyState === 1) ws.send(JSON.stringify({ type: 'group:removed', groupId }));
+      } catch (e) {
+        console.error('Group change handling failed:', e);
+      }
+    }
+
+    if (toUnregister.length > 0) {
+      try {
+        await presenceService.unregisterGroupWatchers(toUnregister, this.serverId);
+      } catch (e) {
+        console.error('unregisterGroupWatchers(group change) failed:', e);
+      }
+    }
+  }
+
+  /**
+   * Someone blocked a watcher, removed a contact or tightened privacy:
+   * re-check local watchers of that email and drop the ones no longer allowed.
+   */
+  async onVisibilityChange(data) {
+    const { email } = data;
     if (!email) return;
 
+    if (data.groups?.length > 0) await this.recheckGroupVisibility(email, data.groups);
+
     const watchers = this.focusedSocketsByEmail.get(email);
     if (!watchers || watchers.size === 0) return;
 
+    const byViewer = new Map(); // viewer email -> ws[]
+    for (const ws of watchers) {
+      if (!ws.userKey) continue;
+      if (!byViewer.has(ws.userKey)) byViewer.set(ws.userKey, []);
+      byViewer.get(ws.userKey).push(ws);
+    }
+
     const payload = JSON.stringify({
       type: 'presence:update',
+      ...presenceService.hiddenPresence(email),
+    });
+
+    const toUnregister = [];
+    for (const [viewer, sockets] of byViewer) {
+      let visible = true;
+      try {
+        visible = await presenceService.canSee(viewer, email);
+      } catch (e) {
+        console.error('canSee failed:', e);
+      }
+      if (visible) continue;
+
+      for (const ws of sockets) {
+        toUnregister.push(...this.removeFocus(ws, [email]));
+        if (ws.readyState === 1) ws.send(payload);
+      }
+    }
+
+    if (toUnregister.length > 0) {
+      try {
+        await presenceService.unregisterWatchers(toUnregister, this.serverId);
+      } catch (e) {
+        console.error('unregisterWatchers(visibility) failed:', e);
+      }
+    }
+  }
+
+  // Group sockets counting `email` online stop doing so if their user may no longer see it
+  async recheckGroupVisibility(email, groupIds) {
+    const visibleTo = new Map(); // viewer -> canSee
+
+    for (const groupId of groupIds) {
+      const group = this.focusedGroups.get(groupId);
+      if (!group) continue;
+
+      for (const ws of Array.from(group.sockets)) {
+        const onlineSet = this.groupsBySocket.get(ws)?.get(groupId);
+        if (!onlineSet?.has(email) || !ws.userKey) continue;
+
+        if (!visibleTo.has(ws.userKey)) {
+          let visible = true;
+          try {
+            visible = await presenceService.canSee(ws.userKey, email);
+          } catch (e) {
+            console.error('canSee failed:', e);
+          }
+          visibleTo.set(ws.userKey, visible);
+        }
+        if (visibleTo.get(ws.userKey)) continue;
+
+        onlineSet.delete(email);
+        this.sendGroupUpdate(ws, groupId, presenceService.hiddenPresence(email), onlineSet.size);
+      }
+    }
+  }
+
+  /**
+   * Admin disconnect (POST /admin/users/:email/disconnect): close the user's local sockets and
+   * SSE streams. Presence then ends as for any other disconnect.
+   */
+  onDisconnectRequest(data) {
+    const { email, reason } = data;
+    if (!email) return;
+
+    const sockets = Array.from(this.clients.get(email) ?? []);
+    const streams = Array.from(this.sseClients).filter((client) => client.userKey === email);
+    if (sockets.length === 0 && streams.length === 0) return;
+
+    console.warn(`Disconnecting ${email} (${sockets.length} sockets, ${streams.length} streams): ${reason ?? 'admin'}`);
+    for (const ws of sockets) ws.close(CLOSE_CODES.DISCONNECTED, 'Disconnected by admin');
+    for (const client of streams) client.close();
+  }
+
+  /**
+   * POST /deliver routed a message here: hand it to the user's local sockets. It stays queued
+   * until one of them acks it (delivery:ack).
+   */
+  onDeliver(data) {
+    const { email, item } = data;
+    if (!email || !item) return;
+
+    const sockets = this.clients.get(email);
+    if (!sockets || sockets.size === 0) return;
+
+    const payload = JSON.stringify({ type: 'delivery', ...item });
+    for (const ws of sockets) {
+      if (ws.readyState === 1) ws.send(payload);
+    }
+  }
+
+  onActivity(data) {
+    const { email, kind, context, active, expiresAt } = data;
+    if (!email || !kind) return;
+
+    // Already stale (slow delivery): don't show it at all
+    if (active && expiresAt && expiresAt <= Date.now()) return;
+
+    const watchers = this.focusedSocketsByEmail.get(email);
+    if (!watchers || watchers.size === 0) return;
+
+    const payload = JSON.stringify({
+      type: 'activity:update',
       email,
-      online,
+      kind,
+      context: context ?? null,
+      active: Boolean(active),
+      expiresAt,
     });
 
     for (const ws of watchers) {
@@ -110,19 +550,28 @@ export class PresenceWebSocketServer {
 
   // -------- WebSocket connection handling --------
   handleConnection(ws, req) {
-    const ip =
-      req.headers['x-forwarded-for']?.split(',')[0]?.trim() ||
-      req.socket.remoteAddress ||
-      'unknown';
-    ws.clientIp = ip;
+    ws.clientIp = clientIp(req);
 
-    if (!this.checkConnectionLimit(ip)) {
-      ws.close(1008, 'Too many connections');
+    if (this.draining) {
+      presenceMetrics.connectionsRejected.inc({ reason: 'draining' });
+      ws.close(1012, 'Server draining');
       return;
     }
 
+    // Frames wait for admission: a rejected socket is closed without handling any of them
+    ws.admission = this.admitConnection(ws).then((admission) => {
+      if (admission.ok) return true;
+
+      presenceMetrics.connectionsRejected.inc({ reason: admission.reason });
+      const retryAfter = admission.retryAfterMs || undefined;
+      this.sendError(ws, ERROR_CODES.RATE_LIMITED, 'Too many connections', { retryAfter });
+      ws.close(1008, 'Too many connections');
+      return false;
+    });
+
     ws.isAlive = true;
     ws.userKey = null;
+    ws.deviceId = null;
     ws.nextPresenceRefreshAt = 0;
 
     ws.on('pong', async () => {
@@ -144,31 +593,48 @@ export class PresenceWebSocketServer {
       if (now < (ws.nextPresenceRefreshAt || 0)) return;
 
       try {
-        await presenceService.refreshPresence(ws.userKey, this.serverId);
+        const refreshed = await presenceService.refreshPresence(
+          ws.userKey,
+          this.serverId,
+          ws.deviceId
+        );
         ws.nextPresenceRefreshAt = now + refreshEveryMs;
+
+        // TTL had lapsed (offline flip already went out) but this device is still here
+        if (refreshed === 2) await presenceService.publishPresenceFlip(ws.userKey);
       } catch (e) {
         console.error('refreshPresence failed:', e);
       }
     });
 
     ws.on('message', async (data) => {
+      if (!(await ws.admission)) return;
+
       let message;
       try {
         message = JSON.parse(data.toString());
       } catch {
-        ws.send(JSON.stringify({ type: 'error', message: 'Invalid JSON' }));
+        this.sendError(ws, ERROR_CODES.INVALID_JSON, 'Invalid JSON');
+        return;
+      }
+
+      // Every inbound frame is checked against the protocol schema before any handler runs
+      const validation = validateMessage(message);
+      if (!validation.ok) {
+        this.sendError(ws, validation.code, validation.message, { requestType: message?.type });
         return;
       }
 
       try {
-        await this.handleMessage(ws, message);
+        await this.handleMessage(ws, { ...message, type: validation.type }, validation.legacyType);
       } catch (error) {
         console.error('Error handling message:', error);
-        ws.send(JSON.stringify({ type: 'error', message: 'Internal error' }));
+        this.sendError(ws, ERROR_CODES.INTERNAL, 'Internal error');
       }
     });
 
     ws.on('close', async () => {
+      await ws.admission;
       await this.handleDisconnect(ws);
     });
 
@@ -177,18 +643,50 @@ export class PresenceWebSocketServer {
     });
   }
 
-  async handleMessage(ws, message) {
+  sendError(ws, code, message, extra = {}) {
+    if (ws.readyState === 1) ws.send(errorFrame(code, message, extra));
+  }
+
+  /**
+   * message.type is already resolved through protocol aliases;
+   * legacyType is the original type for aliased (pre-v2) frames so acks keep its name.
+   */
+  async handleMessage(ws, message, legacyType = null) {
     switch (message.type) {
       case 'auth':
         await this.handleAuth(ws, message);
         break;
 
       case 'presence:focus':
-        await this.handleFocus(ws, message);
+        await this.handleFocus(ws, message, legacyType ? `${legacyType}:ok` : 'presence:focus:ok');
         break;
 
       case 'presence:blur':
-        await this.handleBlur(ws, message);
+        await this.handleBlur(ws, message, legacyType ? `${legacyType}:ok` : 'presence:blur:ok');
+        break;
+
+      case 'group:focus':
+        await this.handleGroupFocus(ws, message);
+        break;
+
+      case 'group:blur':
+        await this.handleGroupBlur(ws, message);
+        break;
+
+      case 'status:set':
+        await this.handleStatusSet(ws, message);
+        break;
+
+      case 'activity':
+        await this.handleActivity(ws, message);
+        break;
+
+      case 'activity:ping':
+        await this.handleActivityPing(ws, message);
+        break;
+
+      case 'delivery:ack':
+        await this.handleDeliveryAck(ws, message);
         break;
 
       case 'ping':
@@ -196,53 +694,165 @@ export class PresenceWebSocketServer {
         break;
 
       default:
-        ws.send(JSON.stringify({ type: 'error', message: 'Unknown message type' }));
+        this.sendError(ws, ERROR_CODES.UNKNOWN_TYPE, 'Unknown message type');
     }
   }
 
   async handleAuth(ws, message) {
-    const { email } = message;
-    if (!email || typeof email !== 'string') {
-      ws.send(JSON.stringify({ type: 'error', message: 'Email is required' }));
+    const { protocolVersion } = message;
+
+    // Reject clients we can't talk to before touching presence
+    if (!isSupportedVersion(protocolVersion)) {
+      this.sendError(ws, ERROR_CODES.UNSUPPORTED_PROTOCOL, 'Unsupported protocol version', {
+        protocolVersion: protocolVersion ?? LEGACY_PROTOCOL_VERSION,
+        supported: supportedVersions(),
+      });
+      ws.close(CLOSE_CODES.UNSUPPORTED_PROTOCOL, 'Unsupported protocol version');
       return;
     }
 
-    const normalized = presenceService.normalizeEmail(email);
-    if (!presenceService.isValidEmail(normalized)) {
-      ws.send(JSON.stringify({ type: 'error', message: 'Invalid email format' }));
+    // Reconnect storms: a bounded number of auths at a time, the rest wait or come back later
+    const slot = await this.authAdmission.acquire();
+    if (!slot.ok) {
+      presenceMetrics.authRejected.inc();
+      this.sendError(ws, ERROR_CODES.SERVER_BUSY, 'Server busy, reconnect later', {
+        retryAfter: slot.retryAfterMs,
+      });
+      ws.close(CLOSE_CODES.SERVER_BUSY, `retry_after=${slot.retryAfterMs}`);
       return;
     }
 
-    // detach from old identity if any
-    if (ws.userKey) this.detachClient(ws);
+    try {
+      // Gave up while queued: nothing to bring online
+      if (ws.readyState !== 1) return;
+      await this.authenticate(ws, message);
+    } finally {
+      slot.release();
+    }
+  }
+
+  // Verify the token and bring this device online (runs while holding an admission slot)
+  async authenticate(ws, { token, protocolVersion, deviceId, platform, locale }) {
+    // Identity comes from the signed token, never from a client-supplied email.
+    const claims = await authService.verifyToken(token, 'access');
+    // Hung up meanwhile: nothing is registered yet, so there is nothing to undo
+    if (ws.readyState !== 1) return;
+    if (!claims) {
+      this.sendError(ws, ERROR_CODES.AUTH_FAILED, 'Invalid or expired token');
+      return;
+    }
+
+    const normalized = presenceService.normalizeEmail(claims.sub);
+
+    // Banned for hammering the rate limits (see services/rateLimit.mjs)
+    const ban = await rateLimitService.getBan(`user:${normalized}`);
+    if (ws.readyState !== 1) return;
+    if (ban) {
+      this.sendError(ws, ERROR_CODES.RATE_LIMITED, 'Temporarily banned for too many requests', {
+        retryAfter: Math.max(0, ban.until - Date.now()),
+      });
+      ws.close(1008, 'Banned');
+      return;
+    }
+
+    ws.protocolVersion = protocolVersion ?? LEGACY_PROTOCOL_VERSION;
+    ws.locale = resolveLocale(locale); // presenceLabel in snapshots
+
+    // Re-auth as someone else: nothing of the old identity carries over (focus, groups, device)
+    if (ws.userKey && ws.userKey !== normalized) {
+      const previous = ws.userKey;
+      await this.releaseFocus(ws);
+      this.detachClient(ws);
+      ws.tracksActivity = false;
+      ws.background = false;
+      ws.lastActivityPingAt = 0;
+      await this.releaseDevice(previous, ws.deviceId);
+      ws.deviceId = null;
+      if (ws.readyState !== 1) return;
+    } else if (ws.userKey) {
+      this.detachClient(ws);
+    }
 
     ws.userKey = normalized;
     if (!this.clients.has(ws.userKey)) this.clients.set(ws.userKey, new Set());
     this.clients.get(ws.userKey).add(ws);
 
-    const { statusChanged, lastSeen } = await presenceService.setOnline(ws.userKey, this.serverId);
+    const online = await presenceService.setOnline(ws.userKey, this.serverId, { deviceId, platform });
+    const { statusChanged, lastSeen } = online;
+    ws.deviceId = online.deviceId;
+    ws.platform = platform;
+
+    // Closed while coming online: the close cleanup ran without this device, so undo it here
+    // (still closing: the cleanup is yet to run and finds userKey/deviceId set)
+    if (ws.disconnected) {
+      this.detachClient(ws);
+      await this.releaseDevice(normalized, ws.deviceId);
+      return;
+    }
+
+    const status = await presenceService.getStatus(ws.userKey);
 
     ws.send(
       JSON.stringify({
         type: 'auth:ok',
+        protocolVersion: PROTOCOL_VERSION,
         email: ws.userKey,
         serverId: this.serverId,
         heartbeatMs: config.heartbeatIntervalMs,
         ttlSeconds: config.presenceTtlSeconds,
+        deviceId: ws.deviceId,
         lastSeen,
+        status,
+        reconnect: reconnectPolicy(), // backoff for when this socket drops
       })
     );
 
-    // publish flip only if offline -> online
+    // publish flip only if offline -> online ("invisible" is masked inside publishPresenceFlip)
     if (statusChanged) {
       try {
-        await presenceService.publishPresenceFlip(ws.userKey, true);
+        await presenceService.publishPresenceFlip(ws.userKey);
       } catch (e) {
         console.error('publishPresenceFlip(online) failed:', e);
       }
+    } else if (online.wasIdle) {
+      try {
+        await presenceService.publishPresenceFlip(ws.userKey, { kind: 'idle' });
+      } catch (e) {
+        console.error('publishPresenceFlip(idle) failed:', e);
+      }
+    }
+
+    await this.flushDeliveries(ws);
+  }
+
+  // Messages queued while the user was away (POST /deliver), oldest first
+  async flushDeliveries(ws) {
+    try {
+      const items = await deliveryService.pending(ws.userKey);
+      for (const item of items) {
+        if (ws.readyState !== 1) return;
+        ws.send(JSON.stringify({ type: 'delivery', ...item }));
+      }
+    } catch (e) {
+      console.error('flushDeliveries failed:', e);
     }
   }
 
+  /**
+   * { type: 'delivery:ack', ids: string[] }
+   * Removes delivered messages from the user's queue so they aren't sent again.
+   */
+  async handleDeliveryAck(ws, message) {
+    if (!ws.userKey) {
+      this.sendError(ws, ERROR_CODES.UNAUTHENTICATED, 'Must authenticate before delivery:ack');
+      return;
+    }
+
+    const ids = Array.from(new Set(message.ids));
+    const removed = await deliveryService.ack(ws.userKey, ids);
+    ws.send(JSON.stringify({ type: 'delivery:ack:ok', ids, removed }));
+  }
+
   detachClient(ws) {
     if (!ws.userKey) return;
     const connections = this.clients.get(ws.userKey);
@@ -254,24 +864,44 @@ export class PresenceWebSocketServer {
   }
 
   // -------- Focus/Blur --------
-  async handleFocus(ws, message) {
+  async handleFocus(ws, message, ackType = 'presence:focus:ok') {
     const { emails } = message;
 
-    if (!Array.isArray(emails)) {
-      ws.send(JSON.stringify({ type: 'error', message: 'emails must be an array' }));
+    if (!ws.userKey) {
+      this.sendError(ws, ERROR_CODES.UNAUTHENTICATED, 'Must authenticate before focus');
       return;
     }
 
-    if (!ws.userKey) {
-      ws.send(JSON.stringify({ type: 'error', message: 'Must authenticate before focus' }));
+    if (!(await this.checkUserLimit(ws, 'focus'))) {
+      presenceMetrics.focusRateLimited.inc();
       return;
     }
 
-    if (!this.checkFocusRateLimit(ws)) {
-      ws.send(JSON.stringify({ type: 'error', message: 'Rate limit exceeded. Try again later.' }));
+    const statuses = await this.addFocus(ws, emails);
+
+    // Resume: the client already has these versions, so only send what changed since
+    const known = message.versions;
+    if (!known) {
+      ws.send(JSON.stringify({ type: ackType, statuses }));
       return;
     }
 
+    const changed = [];
+    const unchanged = [];
+    for (const status of statuses) {
+      const have = known[status.email];
+      if (status.version != null && have === status.version) unchanged.push(status.email);
+      else changed.push(status);
+    }
+    ws.send(JSON.stringify({ type: ackType, statuses: changed, unchanged }));
+  }
+
+  /**
+   * Focus emails for a socket (or SSE stream), within the per-client cap: registers local
+   * and cross-server watchers and returns the snapshot for the newly focused emails
+   * (hidden ones come back as "unknown").
+   */
+  async addFocus(ws, emails) {
     // Cap realtime focus per socket
     const maxFocus = config.maxFocusPerClient ?? 100;
 
@@ -282,23 +912,31 @@ export class PresenceWebSocketServer {
     }
 
     const available = maxFocus - set.size;
-    if (available <= 0) {
-      ws.send(JSON.stringify({ type: 'presence:focus:ok', statuses: [] }));
-      return;
-    }
+    if (available <= 0) return [];
 
-    const toAdd = [];
+    const candidates = [];
     for (const email of emails) {
-      if (toAdd.length >= available) break;
+      if (candidates.length >= available) break;
       const normalized = presenceService.normalizeEmail(email);
       if (!presenceService.isValidEmail(normalized)) continue;
-      if (!set.has(normalized)) toAdd.push(normalized);
+      if (!set.has(normalized) && !candidates.includes(normalized)) candidates.push(normalized);
     }
 
-    if (toAdd.length === 0) {
-      ws.send(JSON.stringify({ type: 'presence:focus:ok', statuses: [] }));
-      return;
+    if (candidates.length === 0) return [];
+
+    // Only watch users this socket is allowed to see; the rest come back as "unknown".
+    const visibility = await presenceService.getVisibilityMap(ws.userKey, candidates);
+    // Closed meanwhile: its disconnect cleanup already ran and wouldn't see these
+    if (ws.readyState > 1) {
+      if (set.size === 0) this.focusedBySocket.delete(ws);
+      return [];
     }
+    const toAdd = candidates.filter((email) => visibility.get(email) !== false);
+    const hidden = candidates
+      .filter((email) => visibility.get(email) === false)
+      .map((email) => presenceService.hiddenPresence(email));
+
+    if (toAdd.length === 0) return hidden;
 
     // Register locally
     for (const email of toAdd) {
@@ -317,61 +955,388 @@ export class PresenceWebSocketServer {
 
     // Snapshot for focused emails so UI can update instantly
     // (this is still pull, but fast because it's Redis pipeline)
-    const statuses = await presenceService.getBatchPresenceForList(toAdd);
+    const statuses = await presenceService.getBatchPresenceForList(toAdd, {
+      viewer: ws.userKey,
+      visibility,
+      locale: ws.locale,
+    });
+
+    // A batched flip still in flight may land after this snapshot: skip it (see routeFlipToFocused)
+    ws.snapshotVersions ??= new Map(); // email -> version in the last snapshot
+    for (const status of statuses) {
+      if (status.version != null) ws.snapshotVersions.set(status.email, status.version);
+    }
 
-    ws.send(JSON.stringify({ type: 'presence:focus:ok', statuses }));
+    return [...statuses, ...hidden];
   }
 
-  async handleBlur(ws, message) {
+  async handleBlur(ws, message, ackType = 'presence:blur:ok') {
     const { emails } = message;
-    if (!Array.isArray(emails)) {
-      ws.send(JSON.stringify({ type: 'error', message: 'emails must be an array' }));
-      return;
-    }
 
     const set = this.focusedBySocket.get(ws);
     if (!set || set.size === 0) {
-      ws.send(JSON.stringify({ type: 'presence:blur:ok' }));
+      ws.send(JSON.stringify({ type: ackType }));
       return;
     }
 
+    const toUnregister = this.removeFocus(
+      ws,
+      emails.map((email) => presenceService.normalizeEmail(email))
+    );
+
+    // Unregister server only for emails that no longer have ANY local watchers.
+    if (toUnregister.length > 0) {
+      try {
+        await presenceService.unregisterWatchers(toUnregister, this.serverId);
+      } catch (e) {
+        console.error('unregisterWatchers failed:', e);
+      }
+    }
+
+    ws.send(JSON.stringify({ type: ackType }));
+  }
+
+  /**
+   * Drop (normalized) emails from a socket's focus set.
+   * Returns the emails that no longer have ANY local watcher (caller unregisters them).
+   */
+  removeFocus(ws, emails) {
+    const set = this.focusedBySocket.get(ws);
+    if (!set) return [];
+
     const toUnregister = [];
     for (const email of emails) {
-      const normalized = presenceService.normalizeEmail(email);
-      if (!set.has(normalized)) continue;
+      if (!set.has(email)) continue;
 
-      set.delete(normalized);
+      set.delete(email);
+      ws.snapshotVersions?.delete(email);
 
-      const watchers = this.focusedSocketsByEmail.get(normalized);
+      const watchers = this.focusedSocketsByEmail.get(email);
       if (watchers) {
         watchers.delete(ws);
         if (watchers.size === 0) {
-          this.focusedSocketsByEmail.delete(normalized);
-          toUnregister.push(normalized);
+          this.focusedSocketsByEmail.delete(email);
+          this.presenceVersions.delete(email);
+          toUnregister.push(email);
         }
       }
     }
 
     if (set.size === 0) this.focusedBySocket.delete(ws);
+    return toUnregister;
+  }
 
-    // Unregister server only for emails that no longer have ANY local watchers.
+  // -------- Group focus --------
+  /**
+   * { type: 'group:focus', groupId }: follow a whole group the user may read.
+   * Acks with group:focus:ok { groupId, total, counts, onlineCount, online, nextCursor }
+   * (online = first config.groupFocusOnlineLimit online members; page on with
+   * GET /groups/:id/presence), then pushes group:update per member flip, group:snapshot after
+   * membership changes and group:removed when the group goes away. Focusing again refreshes.
+   */
+  async handleGroupFocus(ws, message) {
+    if (!ws.userKey) {
+      this.sendError(ws, ERROR_CODES.UNAUTHENTICATED, 'Must authenticate before group focus');
+      return;
+    }
+
+    if (!(await this.checkUserLimit(ws, 'focus'))) {
+      presenceMetrics.focusRateLimited.inc();
+      return;
+    }
+
+    const { groupId } = message;
+    const group = await groupService.getReadableGroup(groupId, ws.userKey);
+    if (!group) {
+      this.sendError(ws, ERROR_CODES.NOT_FOUND, 'Group not found', { groupId });
+      return;
+    }
+
+    const focused = this.groupsBySocket.get(ws);
+    const maxGroups = config.maxGroupFocusPerClient ?? 5;
+    if (!focused?.has(groupId) && (focused?.size ?? 0) >= maxGroups) {
+      this.sendError(ws, ERROR_CODES.LIMIT_EXCEEDED, `At most ${maxGroups} focused groups per connection`, {
+        groupId,
+      });
+      return;
+    }
+
+    // Register before reading: a flip published after the snapshot read is routed here
+    try {
+      await presenceService.registerGroupWatcher(groupId, this.serverId);
+    } catch (e) {
+      console.error('registerGroupWatcher failed:', e);
+    }
+
+    // Closed meanwhile: drop the watcher registration unless another socket here focuses the group
+    if (!(await this.sendGroupState(ws, groupId, 'group:focus:ok')) && !this.focusedGroups.has(groupId)) {
+      try {
+        await presenceService.unregisterGroupWatchers([groupId], this.serverId);
+      } catch (e) {
+        console.error('unregisterGroupWatchers failed:', e);
+      }
+    }
+  }
+
+  /**
+   * Read the group's presence as this socket's user sees it, (re)attach the socket to the
+   * group and send it the summary as `type` (group:focus:ok or group:snapshot).
+   * Returns false, attaching nothing, when the socket closed during the read.
+   */
+  async sendGroupState(ws, groupId, type) {
+    const statuses = await groupService.getMemberPresence(groupId, ws.userKey, { locale: ws.locale });
+    // Closed meanwhile: its disconnect cleanup already ran and wouldn't see this
+    if (ws.readyState > 1) return false;
+
+    let group = this.focusedGroups.get(groupId);
+    if (!group) {
+      group = { sockets: new Set(), versions: new Map() };
+      this.focusedGroups.set(groupId, group);
+    }
+    group.sockets.add(ws);
+    for (const { email, version } of statuses) {
+      if (version > (group.versions.get(email) ?? 0)) group.versions.set(email, version);
+    }
+
+    const online = new Set(statuses.filter((s) => s.online === true).map((s) => s.email));
+    if (!this.groupsBySocket.has(ws)) this.groupsBySocket.set(ws, new Map());
+    this.groupsBySocket.get(ws).set(groupId, online);
+
+    const summary = summarizeGroupPresence(groupId, statuses, { limit: config.groupFocusOnlineLimit });
+    ws.send(JSON.stringify({ type, ...summary, onlineCount: online.size }));
+    return true;
+  }
+
+  async handleGroupBlur(ws, message) {
+    const { groupId } = message;
+
+    const toUnregister = this.removeGroupFocus(ws, [groupId]);
     if (toUnregister.length > 0) {
       try {
-        await presenceService.unregisterWatchers(toUnregister, this.serverId);
+        await presenceService.unregisterGroupWatchers(toUnregister, this.serverId);
       } catch (e) {
-        console.error('unregisterWatchers failed:', e);
+        console.error('unregisterGroupWatchers failed:', e);
+      }
+    }
+
+    ws.send(JSON.stringify({ type: 'group:blur:ok', groupId }));
+  }
+
+  /**
+   * Drop groups from a socket's group focus.
+   * Returns the groups that no longer have ANY local watcher (caller unregisters them).
+   */
+  removeGroupFocus(ws, groupIds) {
+    const focused = this.groupsBySocket.get(ws);
+    if (!focused) return [];
+
+    const toUnregister = [];
+    for (const groupId of groupIds) {
+      if (!focused.delete(groupId)) continue;
+
+      const group = this.focusedGroups.get(groupId);
+      if (group) {
+        group.sockets.delete(ws);
+        if (group.sockets.size === 0) {
+          this.focusedGroups.delete(groupId);
+          toUnregister.push(groupId);
+        }
+      }
+    }
+
+    if (focused.size === 0) this.groupsBySocket.delete(ws);
+    return toUnregister;
+  }
+
+  // -------- Explicit status --------
+  /**
+   * { type: 'status:set', status, message?, expiresAt? (ms epoch) | expiresInSeconds? }
+   * Stores the status and routes it to watchers like any other presence flip.
+   */
+  async handleStatusSet(ws, message) {
+    if (!ws.userKey) {
+      this.sendError(ws, ERROR_CODES.UNAUTHENTICATED, 'Must authenticate before setting status');
+      return;
+    }
+
+    const { status, message: text, expiresInSeconds } = message;
+    let { expiresAt } = message;
+
+    if (text != null && text.length > config.statusMessageMaxLength) {
+      this.sendError(
+        ws,
+        ERROR_CODES.INVALID_MESSAGE,
+        `message must be at most ${config.statusMessageMaxLength} characters`
+      );
+      return;
+    }
+
+    if (expiresAt == null && expiresInSeconds != null) {
+      expiresAt = Date.now() + Number(expiresInSeconds) * 1000;
+    }
+    if (expiresAt != null && (!Number.isFinite(expiresAt) || expiresAt <= Date.now())) {
+      this.sendError(ws, ERROR_CODES.INVALID_MESSAGE, 'expiresAt must be in the future');
+      return;
+    }
+
+    const stored = await presenceService.setStatus(ws.userKey, {
+      status,
+      message: text?.trim() || null,
+      expiresAt: expiresAt ?? null,
+    });
+
+    ws.send(JSON.stringify({ type: 'status:set:ok', status: stored }));
+
+    try {
+      await presenceService.publishPresenceFlip(ws.userKey, { kind: 'status' });
+    } catch (e) {
+      console.error('publishPresenceFlip(status) failed:', e);
+    }
+  }
+
+  // -------- Ephemeral activity --------
+  /**
+   * { type: 'activity', kind: 'typing' | 'in_call' | 'viewing_profile', context?, active?, ttlMs? }
+   * Fanned out to watchers with a server-enforced expiresAt. Never persisted and never
+   * counted as last-seen / active time.
+   */
+  async handleActivity(ws, message) {
+    if (!ws.userKey) {
+      this.sendError(ws, ERROR_CODES.UNAUTHENTICATED, 'Must authenticate before activity');
+      return;
+    }
+
+    const { kind, context, ttlMs } = message;
+    // Own keys only: kind 'constructor' would find Object.prototype's
+    const known = config.activityTtlMsByKind && Object.hasOwn(config.activityTtlMsByKind, kind);
+    const maxTtlMs = known ? config.activityTtlMsByKind[kind] : null;
+    if (!maxTtlMs) {
+      this.sendError(ws, ERROR_CODES.INVALID_MESSAGE, 'Unknown activity kind');
+      return;
+    }
+
+    if (!(await this.checkUserLimit(ws, 'activity'))) return;
+
+    const active = message.active !== false;
+    const requested = Number(ttlMs);
+    const effectiveTtl =
+      Number.isFinite(requested) && requested > 0 ? Math.min(requested, maxTtlMs) : maxTtlMs;
+    const expiresAt = active ? Date.now() + effectiveTtl : Date.now();
+
+    try {
+      await presenceService.publishActivity(ws.userKey, {
+        kind,
+        context: context ?? null,
+        active,
+        expiresAt,
+      });
+    } catch (e) {
+      console.error('publishActivity failed:', e);
+    }
+
+    ws.send(JSON.stringify({ type: 'activity:ok', kind, expiresAt }));
+  }
+
+  // -------- Idle detection --------
+  /**
+   * { type: 'activity:ping', state?: 'active' | 'background' }
+   * 'active' (default): the user interacted or brought the app to the foreground. Refreshes
+   * lastActiveAt at most every config.activityPingThrottleMs per socket and ends idle.
+   * 'background': the app went to the background. Once all of the user's sockets are in the
+   * background the user goes idle right away, otherwise after config.idleAfterMs
+   * (see checkIdleUsers).
+   */
+  async handleActivityPing(ws, message) {
+    if (!ws.userKey) {
+      this.sendError(ws, ERROR_CODES.UNAUTHENTICATED, 'Must authenticate before activity:ping');
+      return;
+    }
+
+    const state = message.state ?? 'active';
+    ws.tracksActivity = true;
+    ws.background = state === 'background';
+
+    if (ws.background) {
+      ws.lastActivityPingAt = 0; // coming back to the foreground is never throttled
+      await this.idleIfBackgrounded(ws.userKey);
+    } else if (Date.now() - (ws.lastActivityPingAt ?? 0) >= config.activityPingThrottleMs) {
+      ws.lastActivityPingAt = Date.now();
+      const { wasIdle } = await presenceService.touchActive(ws.userKey);
+      if (wasIdle) {
+        try {
+          await presenceService.publishPresenceFlip(ws.userKey, { kind: 'idle' });
+        } catch (e) {
+          console.error('publishPresenceFlip(active) failed:', e);
+        }
       }
     }
 
-    ws.send(JSON.stringify({ type: 'presence:blur:ok' }));
+    ws.send(JSON.stringify({ type: 'activity:ping:ok', state }));
+  }
+
+  /**
+   * Idle a user now if every socket it has is in the background. Devices on other servers
+   * can't be asked, so a user that has any is left to the idle timeout.
+   */
+  async idleIfBackgrounded(email) {
+    const local = Array.from(this.clients.get(email) ?? []);
+    if (local.length === 0 || local.some((ws) => !ws.background)) return;
+
+    const devices = await presenceService.getDevices(email);
+    if (devices.some((device) => device.serverId !== this.serverId)) return;
+
+    if (await presenceService.markIdle(email, Date.now())) {
+      await presenceService.publishPresenceFlip(email, { kind: 'idle' });
+    }
+  }
+
+  /**
+   * Heartbeat sweep: idle the local users inactive for config.idleAfterMs. Only users whose
+   * sockets all send activity:ping qualify (older clients would look idle while in use).
+   * lastActiveAt is shared, so activity on another server's device keeps a user active, and
+   * markIdle lets exactly one server publish the flip.
+   */
+  async checkIdleUsers() {
+    if (this.draining) return;
+
+    const emails = [];
+    for (const [email, sockets] of this.clients) {
+      if (Array.from(sockets).every((ws) => ws.tracksActivity)) emails.push(email);
+    }
+
+    const idleBefore = Date.now() - config.idleAfterMs;
+    for (let i = 0; i < emails.length; i += 500) {
+      const candidates = await presenceService.findIdleCandidates(emails.slice(i, i + 500), idleBefore);
+      for (const email of candidates) {
+        try {
+          if (await presenceService.markIdle(email, idleBefore)) {
+            await presenceService.publishPresenceFlip(email, { kind: 'idle' });
+          }
+        } catch (e) {
+          console.error(`Idle check failed for ${email}:`, e);
+        }
+      }
+    }
   }
 
   // -------- Disconnect cleanup --------
   async handleDisconnect(ws) {
-    if (ws.clientIp) this.decrementConnectionCount(ws.clientIp);
-    this.focusRateLimit.delete(ws);
+    ws.disconnected = true; // an auth still in flight cleans up after itself (see authenticate)
+    this.releaseConnection(ws);
+    await this.releaseFocus(ws);
 
-    // remove focus mappings
+    const userKey = ws.userKey;
+    this.detachClient(ws);
+    if (!userKey) return;
+
+    // drain() already handed this device's presence off (or cleared it)
+    if (ws.drained) return;
+
+    await this.releaseDevice(userKey, ws.deviceId);
+  }
+
+  // Drop everything the socket focuses (emails and groups) and the watcher registrations only it held
+  async releaseFocus(ws) {
     const focused = this.focusedBySocket.get(ws);
     if (focused && focused.size > 0) {
       const toUnregister = [];
@@ -381,6 +1346,7 @@ export class PresenceWebSocketServer {
           watchers.delete(ws);
           if (watchers.size === 0) {
             this.focusedSocketsByEmail.delete(email);
+            this.presenceVersions.delete(email);
             toUnregister.push(email);
           }
         }
@@ -395,39 +1361,268 @@ export class PresenceWebSocketServer {
       }
     }
     this.focusedBySocket.delete(ws);
+    ws.snapshotVersions?.clear();
 
-    const userKey = ws.userKey;
-    this.detachClient(ws);
-    if (!userKey) return;
+    const groups = this.groupsBySocket.get(ws);
+    if (groups) {
+      const toUnregister = this.removeGroupFocus(ws, Array.from(groups.keys()));
+      if (toUnregister.length > 0) {
+        try {
+          await presenceService.unregisterGroupWatchers(toUnregister, this.serverId);
+        } catch (e) {
+          console.error('unregisterGroupWatchers(disconnect) failed:', e);
+        }
+      }
+    }
+  }
 
-    // Optional early offline:
-    // only when this server has no more local sockets for this user.
-    const stillHasLocal = this.clients.has(userKey);
-    if (!stillHasLocal) {
-      try {
-        const deleted = await presenceService.safeClearIfOwned(userKey, this.serverId);
-        if (deleted) {
-          await presenceService.publishPresenceFlip(userKey, false);
+  /**
+   * Early offline for a device whose socket went away (or switched user): only when this server
+   * has no other local socket for the same device (reconnect race). The offline flip fires only
+   * if it was the user's last device across all servers.
+   */
+  async releaseDevice(userKey, deviceId) {
+    if (!deviceId) return;
+    const local = this.clients.get(userKey);
+    if (local && Array.from(local).some((other) => other.deviceId === deviceId)) return;
+
+    try {
+      const offline = await presenceService.safeClearIfOwned(userKey, this.serverId, deviceId);
+      if (offline) {
+        await presenceService.publishPresenceFlip(userKey);
+      }
+    } catch (e) {
+      console.error('safeClearIfOwned failed:', e);
+    }
+  }
+
+  // -------- SSE presence streams --------
+  /**
+   * Serve an authenticated SseClient (see ws/sse.mjs). Streams count toward the same per-IP
+   * connection cap, focus rate limit and focus cap as sockets, then get the initial state and
+   * live flips/activity until either side closes:
+   *   - no lastEventId: presence:snapshot (id = newest event-log entry, to resume from)
+   *   - lastEventId: the presence:update events logged since, or a fresh snapshot when they
+   *     can't all be replayed (log trimmed, too many)
+   * Returns { ok: false, status, error } when the stream is refused (nothing written yet), or
+   * { ok: false, closed: true } when the client went away before it was admitted.
+   */
+  async openEventStream(client, emails, { lastEventId = null } = {}) {
+    if (this.draining) {
+      presenceMetrics.connectionsRejected.inc({ reason: 'draining' });
+      return { ok: false, status: 503, error: 'Server draining' };
+    }
+
+    const admission = await this.admitConnection(client);
+    if (!admission.ok) {
+      presenceMetrics.connectionsRejected.inc({ reason: admission.reason });
+      return {
+        ok: false,
+        status: 429,
+        error: 'Too many connections',
+        retryAfterMs: admission.retryAfterMs,
+      };
+    }
+
+    // Opening a stream is a focus call, on the same per-user budget as presence:focus
+    const limit = await rateLimitService.consume('focus', { user: client.userKey });
+    if (!limit.allowed) {
+      this.releaseConnection(client);
+      presenceMetrics.focusRateLimited.inc();
+      return {
+        ok: false,
+        status: 429,
+        error: 'Rate limit exceeded. Try again later.',
+        retryAfterMs: limit.retryAfterMs,
+      };
+    }
+
+    // Hung up while we were admitting it: nothing will close it again, so let go here
+    if (client.closed) {
+      this.releaseConnection(client);
+      return { ok: false, closed: true };
+    }
+
+    this.sseClients.add(client);
+    client.open({
+      retryMs: config.sseRetryMs,
+      onClose: () => {
+        this.sseClients.delete(client);
+        this.handleDisconnect(client).catch((e) => console.error('SSE cleanup failed:', e));
+      },
+    });
+
+    try {
+      // Read before focusing: anything logged later is in the snapshot or routed live (or both)
+      const snapshotId = await presenceService.getLatestPresenceEventId();
+      const statuses = await this.addFocus(client, emails);
+
+      const replay = lastEventId
+        ? await presenceService.replayPresenceEvents(
+            lastEventId,
+            Array.from(this.focusedBySocket.get(client) ?? []),
+            config.sseResumeMaxEvents
+          )
+        : null;
+
+      if (replay) {
+        for (const { id, type, ts, ...presence } of replay) {
+          client.writeEvent('presence:update', { type: 'presence:update', ...presence, eventId: id }, id);
         }
-      } catch (e) {
-        console.error('safeClearIfOwned failed:', e);
+      } else {
+        client.writeEvent('presence:snapshot', { type: 'presence:snapshot', statuses }, snapshotId);
       }
+      client.markReady();
+    } catch (e) {
+      console.error('SSE stream setup failed:', e);
+      client.close();
     }
+
+    return { ok: true };
   }
 
   // -------- Heartbeat --------
   startHeartbeatCheck() {
     const intervalMs = config.heartbeatIntervalMs || 45_000;
 
-    setInterval(() => {
+    this.heartbeatIntervalId = setInterval(() => {
       for (const ws of this.wss.clients) {
         if (ws.isAlive === false) {
+          presenceMetrics.heartbeatTerminations.inc();
           ws.terminate();
           continue;
         }
         ws.isAlive = false;
         ws.ping();
       }
+
+      // Keep the connection slots of everything still here (sockets that miss this ping
+      // get terminated next round and release theirs)
+      const live = [...this.wss.clients, ...this.sseClients]
+        .filter((conn) => conn.connectionId)
+        .map((conn) => ({ ip: conn.clientIp, connectionId: conn.connectionId }));
+      rateLimitService
+        .refreshConnections(live)
+        .catch((e) => console.error('refreshConnections failed:', e));
+
+      this.checkIdleUsers().catch((e) => console.error('Idle check failed:', e));
     }, intervalMs);
   }
+
+  // -------- Drain (graceful shutdown) --------
+  /**
+   * Stop serving presence from this node:
+   *   1. refuse new sockets
+   *   2. tell clients to reconnect elsewhere (server:draining); SSE streams end here
+   *   3. remove this server from every presence:watchers:* / group:watchers:* set it registered
+   *   4. presence: graceMs > 0 keeps each device online for graceMs so a reconnect to another
+   *      server doesn't flap (TTL expiry emits the offline flip otherwise);
+   *      graceMs = 0 clears devices now and publishes offline flips
+   *   5. close sockets and stop the flip listener
+   */
+  async drain({ graceMs = config.shutdownGraceSeconds * 1000, timeoutMs = config.shutdownTimeoutMs } = {}) {
+    if (this.draining) return;
+    this.draining = true;
+
+    clearInterval(this.heartbeatIntervalId);
+
+    const sockets = Array.from(this.wss.clients);
+    console.log(`Draining ${sockets.length} sockets (grace ${graceMs}ms)`);
+
+    const notice = JSON.stringify({
+      type: 'server:draining',
+      serverId: this.serverId,
+      reconnect: true,
+      graceMs,
+    });
+    for (const ws of sockets) {
+      if (ws.readyState === 1) ws.send(notice);
+    }
+
+    // SSE streams hold no presence: notify and end them (EventSource reconnects by itself)
+    clearInterval(this.sseKeepaliveIntervalId);
+    for (const client of this.sseClients) {
+      client.drained = true;
+      client.send(notice);
+      client.close();
+    }
+
+    // Watchers: nobody here will deliver flips anymore
+    const watched = Array.from(this.focusedSocketsByEmail.keys());
+    this.focusedSocketsByEmail.clear();
+    this.focusedBySocket.clear();
+    this.presenceVersions.clear();
+    for (let i = 0; i < watched.length; i += 500) {
+      try {
+        await presenceService.unregisterWatchers(watched.slice(i, i + 500), this.serverId);
+      } catch (e) {
+        console.error('unregisterWatchers(drain) failed:', e);
+      }
+    }
+
+    const watchedGroups = Array.from(this.focusedGroups.keys());
+    this.focusedGroups.clear();
+    this.groupsBySocket.clear();
+    try {
+      await presenceService.unregisterGroupWatchers(watchedGroups, this.serverId);
+    } catch (e) {
+      console.error('unregisterGroupWatchers(drain) failed:', e);
+    }
+
+    // Presence: one entry per (user, device) held by this server
+    const devices = new Map(); // `${email}\n${deviceId}` -> { email, deviceId }
+    for (const ws of sockets) {
+      ws.drained = true;
+      if (ws.userKey && ws.deviceId) {
+        devices.set(`${ws.userKey}\n${ws.deviceId}`, { email: ws.userKey, deviceId: ws.deviceId });
+      }
+    }
+
+    for (const { email, deviceId } of devices.values()) {
+      try {
+        if (graceMs > 0) {
+          await presenceService.handOffPresence(email, this.serverId, deviceId, graceMs);
+        } else if (await presenceService.safeClearIfOwned(email, this.serverId, deviceId)) {
+          await presenceService.publishPresenceFlip(email);
+        }
+      } catch (e) {
+        console.error('drain presence handoff failed:', e);
+      }
+    }
+
+    // Close sockets; terminate whatever hasn't closed by the deadline
+    const closed = sockets.map(
+      (ws) =>
+        new Promise((resolve) => {
+          if (ws.readyState === 3) return resolve();
+          ws.once('close', resolve);
+          ws.close(1012, 'Server draining');
+        })
+    );
+    const deadline = new Promise((resolve) => setTimeout(resolve, timeoutMs).unref());
+    await Promise.race([Promise.all(closed), deadline]);
+    for (const ws of this.wss.clients) ws.terminate();
+
+    if (this.subClient) {
+      try {
+        await this.subClient.quit();
+      } catch (e) {
+        console.error('Failed to stop flip listener:', e);
+      }
+      this.subClient = null;
+    }
+
+    for (const dispose of this.metricsDisposers ?? []) dispose();
+
+    // Everything this server registered is cleaned up above: leave without a janitor pass
+    clearInterval(this.registryIntervalId);
+    try {
+      await clusterService.deregister(this.serverId);
+    } catch (e) {
+      console.error('Registry deregister failed:', e);
+    }
+
+    await new Promise((resolve) => this.wss.close(() => resolve()));
+    console.log('WebSocket server drained');
+  }
 }
@@ -0,0 +1,88 @@
+/**
+ * One SSE presence stream (GET /presence/stream), shaped like a WebSocket as far as
+ * PresenceWebSocketServer is concerned: readyState, send(frame), userKey. That lets it sit in
+ * focusedSocketsByEmail next to real sockets and receive the same routed flips.
+ *
+ * Each frame becomes one SSE event named after its type (presence:update, activity:update, ...)
+ * with the frame as data. Frames carrying an eventId (flips from the presence event log) set the
+ * SSE id, which the browser sends back as Last-Event-ID when it reconnects.
+ */
+export class SseClient {
+  readyState = 0; // 0 connecting, 1 open, 3 closed (same values as ws)
+  userKey = null;
+  deviceId = null; // streams watch presence, they never hold any
+
+  // Frames routed before the initial snapshot/replay went out (flushed right after it)
+  pending = [];
+  ready = false;
+
+  constructor(req, res, { email, clientIp, locale }) {
+    this.req = req;
+    this.res = res;
+    this.userKey = email;
+    this.clientIp = clientIp;
+    this.locale = locale; // presenceLabel in the snapshot
+
+    // Listen from the start: the client can hang up while the server is still admitting it
+    res.on('close', () => {
+      if (this.readyState === 3) return;
+      this.readyState = 3;
+      this.onClose?.();
+    });
+  }
+
+  get closed() {
+    return this.readyState === 3;
+  }
+
+  /**
+   * Write the stream headers. onClose runs once, when either side ends the stream.
+   */
+  open({ retryMs, onClose }) {
+    this.onClose = onClose;
+    this.res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no', // nginx: don't buffer the stream
+    });
+    this.res.write(`retry: ${retryMs}\n\n`);
+    this.readyState = 1;
+  }
+
+  send(data) {
+    if (this.readyState !== 1) return;
+    if (!this.ready) {
+      this.pending.push(data);
+      return;
+    }
+
+    const frame = JSON.parse(data);
+    this.writeEvent(frame.type, frame, frame.eventId);
+  }
+
+  writeEvent(event, data, id) {
+    if (this.readyState !== 1) return;
+
+    let chunk = '';
+    if (id) chunk += `id: ${id}\n`;
+    chunk += `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    this.res.write(chunk);
+  }
+
+  // Initial state is out: deliver whatever was routed meanwhile
+  markReady() {
+    this.ready = true;
+    const pending = this.pending;
+    this.pending = [];
+    for (const data of pending) this.send(data);
+  }
+
+  keepalive() {
+    if (this.readyState === 1) this.res.write(': keepalive\n\n');
+  }
+
+  close() {
+    if (this.readyState === 1) this.res.end();
+  }
+}
@@ -0,0 +1,176 @@
+import { afterEach, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  connectUser,
+  login,
+  openStream,
+  request,
+  settle,
+  silenceLogs,
+  startCluster,
+  tick,
+} from './helpers.mjs';
+import { CLOSE_CODES } from '../src/ws/protocol.mjs';
+
+const ADMIN = { token: 'test-admin-token' };
+
+describe('Admin presence API', () => {
+  let cluster;
+  let node;
+
+  before(() => silenceLogs());
+
+  beforeEach(async () => {
+    cluster = await startCluster();
+    node = cluster.node;
+  });
+
+  afterEach(async () => {
+    await cluster.stop();
+  });
+
+  it('requires the admin token', async () => {
+    const { token } = await login(node, 'alice@test.com');
+    assert.equal((await request(node, 'GET', '/admin/servers', { token })).status, 401);
+    assert.equal((await request(node, 'GET', '/admin/users/alice@test.com')).status, 401);
+  });
+
+  it('lists servers with their connection counts and flags crashed ones', async () => {
+    const other = await cluster.addNode();
+    const alice = await connectUser(node, 'alice@test.com');
+    const bob = await connectUser(node, 'bob@test.com');
+    const carol = await connectUser(other, 'carol@test.com');
+
+    await tick(45_000); // one heartbeat sweep reports the counts
+    const { body } = await request(node, 'GET', '/admin/servers', ADMIN);
+    const byId = Object.fromEntries(body.servers.map((s) => [s.serverId, s]));
+    assert.deepEqual(Object.keys(byId).sort(), ['server-1', 'server-2']);
+    assert.equal(byId['server-1'].connections, 2);
+    assert.equal(byId['server-1'].users, 2);
+    assert.equal(byId['server-2'].connections, 1);
+    assert.equal(byId['server-2'].stale, false);
+
+    // Without a janitor a crashed server lingers, flagged stale...
+    for (const n of cluster.nodes) await n.janitor.stop();
+    await other.crash();
+    await tick(30_000);
+    const after = await request(node, 'GET', '/admin/servers', ADMIN);
+    assert.equal(after.body.servers.find((s) => s.serverId === 'server-2').stale, true);
+    assert.equal(after.body.servers.find((s) => s.serverId === 'server-1').stale, false);
+
+    // ... until one reaps it
+    node.janitor.start();
+    await tick(5_000);
+    const reaped = await request(node, 'GET', '/admin/servers', ADMIN);
+    assert.deepEqual(reaped.body.servers.map((s) => s.serverId), ['server-1']);
+
+    await Promise.all([alice.close(), bob.close(), carol.closed]);
+  });
+
+  it('shows a user\'s presence key, devices, watchers and groups', async () => {
+    const alice = await connectUser(node, 'alice@test.com', { deviceId: 'phone' });
+    const bob = await connectUser(node, 'bob@test.com');
+    bob.send({ type: 'presence:focus', emails: ['alice@test.com'] });
+    await bob.next('presence:focus:ok');
+
+    const { status, body } = await request(node, 'GET', '/admin/users/Alice@test.com', ADMIN);
+    assert.equal(status, 200);
+    const { user } = body;
+    assert.equal(user.email, 'alice@test.com');
+    assert.equal(user.registered, true);
+    assert.equal(user.online, true);
+    assert.equal(user.presence.owner, 'server-1');
+    assert.ok(user.presence.ttlMs > 0);
+    assert.deepEqual(user.devices.map((d) => d.deviceId), ['phone']);
+    assert.deepEqual(user.watchers.servers, ['server-1']);
+    assert.ok(user.lastActiveAt > 0);
+    assert.ok(user.sessionStartedAt > 0);
+    assert.ok(user.version >= 1);
+
+    assert.equal((await request(node, 'GET', '/admin/users/not-an-email', ADMIN)).status, 400);
+
+    await Promise.all([alice.close(), bob.close()]);
+  });
+
+  it('forces a user offline with a flip, once', async () => {
+    const alice = await connectUser(node, 'alice@test.com');
+    const bob = await connectUser(node, 'bob@test.com');
+    bob.send({ type: 'presence:focus', emails: ['alice@test.com'] });
+    await bob.next('presence:focus:ok');
+
+    const res = await request(node, 'POST', '/admin/users/alice@test.com/offline', ADMIN);
+    assert.deepEqual(res.body, { ok: true, wasOnline: true });
+
+    const flip = await bob.next('presence:update');
+    assert.equal(flip.online, false);
+
+    const { body } = await request(node, 'GET', '/admin/users/alice@test.com', ADMIN);
+    assert.equal(body.user.online, false);
+    assert.ok(body.user.lastSeen > 0);
+
+    // Nothing left to expire: no second offline flip
+    await tick(120_000);
+    assert.equal(bob.all('presence:update').length, 1);
+    assert.deepEqual(
+      (await request(node, 'POST', '/admin/users/alice@test.com/offline', ADMIN)).body,
+      { ok: true, wasOnline: false }
+    );
+
+    await Promise.all([alice.close(), bob.close()]);
+  });
+
+  it('disconnects a user\'s sockets and streams on the servers holding them', async () => {
+    const other = await cluster.addNode();
+    const phone = await connectUser(node, 'alice@test.com', { deviceId: 'phone' });
+    const laptop = await connectUser(other, 'alice@test.com', { deviceId: 'laptop' });
+    const stream = await openStream(other, ['bob@test.com'], { token: laptop.session.token });
+    await stream.next('presence:snapshot');
+    const bob = await connectUser(node, 'bob@test.com');
+    bob.send({ type: 'presence:focus', emails: ['alice@test.com'] });
+    await bob.next('presence:focus:ok');
+
+    const res = await request(node, 'POST', '/admin/users/alice@test.com/disconnect', {
+      ...ADMIN,
+      body: { reason: 'support ticket' },
+    });
+    assert.deepEqual(res.body, { ok: true, servers: ['server-1', 'server-2'] });
+
+    assert.equal((await phone.closed).code, CLOSE_CODES.DISCONNECTED);
+    assert.equal((await laptop.closed).code, CLOSE_CODES.DISCONNECTED);
+    await stream.closed;
+
+    const flip = await bob.next('presence:update');
+    assert.equal(flip.online, false);
+
+    // Other users are untouched
+    await settle(50);
+    assert.equal(bob.ws.readyState, 1);
+
+    await bob.close();
+  });
+
+  it('disconnects a user that only has SSE streams open', async () => {
+    const other = await cluster.addNode();
+    const { token } = await login(node, 'dash@test.com');
+    const stream = await openStream(other, ['bob@test.com'], { token });
+    await stream.next('presence:snapshot');
+
+    const res = await request(node, 'POST', '/admin/users/dash@test.com/disconnect', ADMIN);
+    assert.deepEqual(res.body, { ok: true, servers: ['server-1', 'server-2'] });
+    await stream.closed;
+
+    await settle();
+    assert.equal(other.wsServer.sseClients.size, 0);
+  });
+
+  it('purges a user from the directory', async () => {
+    const { token } = await login(node, 'alice@test.com');
+    await login(node, 'bob@test.com');
+
+    assert.equal((await request(node, 'DELETE', '/admin/users/bob@test.com', ADMIN)).status, 200);
+    assert.equal((await request(node, 'DELETE', '/admin/users/bob@test.com', ADMIN)).status, 404);
+
+    const { body } = await request(node, 'GET', '/users', { token });
+    assert.deepEqual(body.users.map((u) => u.email), ['alice@test.com']);
+  });
+});
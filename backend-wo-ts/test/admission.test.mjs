@@ -0,0 +1,145 @@
+import { afterEach, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  TestClient,
+  config,
+  connectUser,
+  login,
+  memoryStore,
+  overrideConfig,
+  presenceService,
+  settle,
+  silenceLogs,
+  startCluster,
+} from './helpers.mjs';
+import { CLOSE_CODES, PROTOCOL_VERSION } from '../src/ws/protocol.mjs';
+import { authService } from '../src/services/auth.mjs';
+
+// Open a socket and send auth without waiting for auth:ok
+async function startAuth(node, email) {
+  const session = await login(node, email);
+  const client = new TestClient(node.wsUrl);
+  await client.opened;
+  client.send({ type: 'auth', token: session.token, protocolVersion: PROTOCOL_VERSION });
+  return client;
+}
+
+describe('Auth admission and reconnect policy', () => {
+  let cluster;
+  let node;
+  let admission;
+
+  before(() => silenceLogs());
+
+  beforeEach(async () => {
+    cluster = await startCluster();
+    node = cluster.node;
+    admission = node.wsServer.authAdmission;
+  });
+
+  afterEach(async () => {
+    await cluster.stop();
+  });
+
+  it('hands out a reconnect policy in auth:ok', async () => {
+    const alice = await connectUser(node, 'alice@test.com');
+    assert.deepEqual(alice.auth.reconnect, {
+      baseDelayMs: config.reconnectBaseDelayMs,
+      maxDelayMs: config.reconnectMaxDelayMs,
+      jitter: 'full',
+    });
+    await alice.close();
+  });
+
+  it('queues auths beyond the concurrency limit and admits them in order', async (t) => {
+    overrideConfig(t, { authMaxConcurrent: 1 });
+    const held = await admission.acquire(); // stands in for a slow auth
+
+    const alice = await startAuth(node, 'alice@test.com');
+    const bob = await startAuth(node, 'bob@test.com');
+    await alice.expectNone('auth:ok');
+    assert.equal(admission.queued, 2);
+
+    held.release();
+    await alice.next('auth:ok');
+    await bob.next('auth:ok');
+    assert.equal(admission.queued, 0);
+    assert.equal(admission.active, 0);
+
+    await Promise.all([alice.close(), bob.close()]);
+  });
+
+  it('turns sockets away with a jittered retry_after once the queue is full', async (t) => {
+    overrideConfig(t, { authMaxConcurrent: 1, authQueueMax: 0 });
+    const held = await admission.acquire();
+
+    const alice = await startAuth(node, 'alice@test.com');
+    const error = await alice.next('error');
+    assert.equal(error.code, 'server_busy');
+    assert.ok(error.retryAfter >= config.authRetryAfterMs && error.retryAfter <= 2 * config.authRetryAfterMs);
+
+    const closed = await alice.closed;
+    assert.equal(closed.code, CLOSE_CODES.SERVER_BUSY);
+    assert.equal(closed.reason, `retry_after=${error.retryAfter}`);
+    assert.equal(memoryStore.exists('presence:user:alice@test.com'), 0);
+
+    held.release();
+  });
+
+  it('gives up on auths that wait longer than authQueueTimeoutMs', async (t) => {
+    overrideConfig(t, { authMaxConcurrent: 1, authQueueTimeoutMs: 100 });
+    const held = await admission.acquire();
+
+    const alice = await startAuth(node, 'alice@test.com');
+    assert.equal((await alice.closed).code, CLOSE_CODES.SERVER_BUSY);
+    assert.equal(admission.queued, 0);
+
+    held.release();
+    assert.equal(admission.active, 0);
+  });
+
+  it('never brings a socket online that closed while it was queued', async (t) => {
+    overrideConfig(t, { authMaxConcurrent: 1 });
+    const held = await admission.acquire();
+
+    const alice = await startAuth(node, 'alice@test.com');
+    await settle();
+    await alice.close();
+
+    held.release();
+    await settle();
+    assert.equal(memoryStore.exists('presence:user:alice@test.com'), 0);
+    assert.equal(admission.active, 0);
+  });
+
+  // Hold `service[name]` after it ran, close the socket meanwhile, then let auth carry on
+  for (const [service, name] of [
+    [authService, 'verifyToken'],
+    [presenceService, 'setOnline'],
+  ]) {
+    it(`never leaves a socket online that closed during ${name}`, async (t) => {
+      let reached;
+      let resume;
+      const inCall = new Promise((resolve) => (reached = resolve));
+      const gate = new Promise((resolve) => (resume = resolve));
+      const original = service[name];
+      t.mock.method(service, name, async function (...args) {
+        const result = await original.apply(this, args);
+        reached();
+        await gate;
+        return result;
+      });
+
+      const alice = await startAuth(node, 'alice@test.com');
+      await inCall;
+      await alice.close();
+      await settle();
+
+      resume();
+      await settle();
+      assert.equal(memoryStore.exists('presence:user:alice@test.com'), 0);
+      assert.equal(node.wsServer.clients.has('alice@test.com'), false);
+      assert.equal(admission.active, 0);
+    });
+  }
+});
@@ -0,0 +1,142 @@
+import { afterEach, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  config,
+  connectUser,
+  memoryStore,
+  request,
+  silenceLogs,
+  startCluster,
+  tick,
+  watch,
+} from './helpers.mjs';
+import { clusterService } from '../src/services/cluster.mjs';
+
+const ADMIN = { token: 'test-admin-token' };
+
+describe('Cluster registry and janitor', () => {
+  let cluster;
+
+  before(() => silenceLogs());
+
+  beforeEach(async () => {
+    cluster = await startCluster({ servers: 3 });
+  });
+
+  afterEach(async () => {
+    await cluster.stop();
+  });
+
+  it('registers every server with its host and start time', async () => {
+    const servers = await clusterService.listServers();
+    assert.deepEqual(servers.map((s) => s.serverId).sort(), ['server-1', 'server-2', 'server-3']);
+    for (const server of servers) {
+      assert.ok(server.host);
+      assert.ok(server.startedAt > 0);
+      assert.equal(server.stale, false);
+    }
+  });
+
+  it('takes a dead server\'s users offline with exactly one flip, long before their TTL', async () => {
+    const [first, second] = cluster.nodes;
+    const alice = await watch(first, 'alice@test.com', 'bob@test.com');
+    const bob = await watch(second, 'bob@test.com', 'carol@test.com');
+    assert.equal((await alice.next('presence:update')).online, true);
+    assert.deepEqual(memoryStore.sMembers('presence:watchers:carol@test.com'), ['server-2']);
+
+    await second.crash();
+    await bob.closed;
+
+    await tick(config.serverDeadAfterMs + config.janitorIntervalMs);
+    const update = await alice.next('presence:update');
+    assert.equal(update.email, 'bob@test.com');
+    assert.equal(update.online, false);
+    assert.equal(memoryStore.exists('presence:user:bob@test.com'), 0);
+    assert.ok(memoryStore.get('presence:lastseen:bob@test.com'));
+
+    // Watchers gone, indexes dropped, and the TTL expiry path has nothing left to flip
+    assert.equal(memoryStore.exists('presence:watchers:carol@test.com'), 0);
+    assert.equal(memoryStore.exists('presence:owned:server-2'), 0);
+    await tick(config.presenceTtlSeconds * 1000);
+    assert.equal(alice.all('presence:update').length, 2);
+
+    const { body } = await request(first, 'GET', '/admin/servers', ADMIN);
+    assert.deepEqual(body.servers.map((s) => s.serverId).sort(), ['server-1', 'server-3']);
+
+    await alice.close();
+  });
+
+  it('keeps users online that still have a device on a live server', async () => {
+    const [first, second, third] = cluster.nodes;
+    const alice = await watch(first, 'alice@test.com', 'bob@test.com');
+    const phone = await connectUser(second, 'bob@test.com', { deviceId: 'phone' });
+    await alice.next('presence:update');
+    const laptop = await connectUser(third, 'bob@test.com', { deviceId: 'laptop' });
+
+    await second.crash();
+    await phone.closed;
+    await tick(config.serverDeadAfterMs + config.janitorIntervalMs);
+
+    await alice.expectNone('presence:update');
+    assert.equal(memoryStore.get('presence:user:bob@test.com'), 'server-3');
+    assert.deepEqual(memoryStore.zRange('presence:devices:bob@test.com', 0, -1), ['laptop']);
+
+    await Promise.all([alice.close(), laptop.close()]);
+  });
+
+  it('removes a dead server from group watcher sets', async () => {
+    const [first, second] = cluster.nodes;
+    const owner = await connectUser(second, 'owner@test.com');
+    const created = await request(second, 'POST', '/groups', {
+      token: owner.session.token,
+      body: { name: 'Team' },
+    });
+    const groupId = created.body.group.id;
+    owner.send({ type: 'group:focus', groupId });
+    await owner.next('group:focus:ok');
+    assert.deepEqual(memoryStore.sMembers(`group:watchers:${groupId}`), ['server-2']);
+
+    await second.crash();
+    await tick(config.serverDeadAfterMs + config.janitorIntervalMs);
+    assert.equal(memoryStore.exists(`group:watchers:${groupId}`), 0);
+
+    // Reaping is idempotent: nothing left to claim
+    assert.equal(await clusterService.claimDeadServer('server-2', Date.now()), false);
+    assert.deepEqual(await first.janitor.sweep(), []);
+  });
+
+  it('re-registers a server that was reaped while still running', async () => {
+    const [first, second] = cluster.nodes;
+    const alice = await watch(first, 'alice@test.com', 'bob@test.com');
+    const bob = await watch(second, 'bob@test.com', 'carol@test.com');
+    assert.equal((await alice.next('presence:update')).online, true);
+
+    // A stalled heartbeat looks exactly like a crash to the janitor
+    clearInterval(second.wsServer.registryIntervalId);
+    await tick(config.serverDeadAfterMs + config.janitorIntervalMs);
+    assert.equal((await alice.next('presence:update')).online, false);
+
+    await second.wsServer.sendRegistryHeartbeat();
+    assert.equal((await alice.next('presence:update')).online, true);
+    assert.deepEqual(memoryStore.sMembers('presence:watchers:carol@test.com'), ['server-2']);
+
+    // Routing to it works again
+    const carol = await connectUser(first, 'carol@test.com');
+    assert.equal((await bob.next('presence:update', { where: (m) => m.email === 'carol@test.com' })).online, true);
+
+    await Promise.all([alice.close(), bob.close(), carol.close()]);
+  });
+
+  it('leaves nothing for the janitor after a clean drain', async () => {
+    const third = cluster.nodes[2];
+    const dave = await watch(third, 'dave@test.com', 'erin@test.com');
+
+    await third.stop();
+    await dave.closed;
+
+    const servers = await clusterService.listServers();
+    assert.deepEqual(servers.map((s) => s.serverId).sort(), ['server-1', 'server-2']);
+    assert.equal(memoryStore.exists('presence:watching:server-3'), 0);
+    assert.equal(memoryStore.exists('presence:owned:server-3'), 0);
+  });
+});
@@ -0,0 +1,141 @@
+import { afterEach, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  config,
+  connectUser,
+  login,
+  memoryStore,
+  overrideConfig,
+  request,
+  silenceLogs,
+  startCluster,
+  tick,
+} from './helpers.mjs';
+
+const ADMIN = { token: 'test-admin-token' };
+
+function deliver(node, body) {
+  return request(node, 'POST', '/deliver', { ...ADMIN, body });
+}
+
+async function ack(client, ids) {
+  client.send({ type: 'delivery:ack', ids });
+  return client.next('delivery:ack:ok');
+}
+
+describe('Message delivery', () => {
+  let cluster;
+  let node;
+
+  before(() => silenceLogs());
+
+  beforeEach(async () => {
+    cluster = await startCluster();
+    node = cluster.node;
+  });
+
+  afterEach(async () => {
+    await cluster.stop();
+  });
+
+  it('requires the admin token and validates the request', async () => {
+    const { token } = await login(node, 'alice@test.com');
+    const body = { email: 'bob@test.com', payload: { text: 'hi' } };
+    assert.equal((await request(node, 'POST', '/deliver', { token, body })).status, 401);
+
+    assert.equal((await deliver(node, { email: 'nope', payload: 1 })).status, 400);
+    assert.equal((await deliver(node, { email: 'bob@test.com' })).status, 400);
+    assert.equal((await deliver(node, { ...body, ttlSeconds: 0 })).status, 400);
+    assert.equal((await deliver(node, { ...body, ttlSeconds: config.deliveryMaxTtlSeconds + 1 })).status, 400);
+    const large = { email: 'bob@test.com', payload: 'x'.repeat(config.deliveryMaxPayloadBytes) };
+    assert.equal((await deliver(node, large)).status, 413);
+
+    assert.equal(memoryStore.exists('delivery:queue:bob@test.com'), 0);
+  });
+
+  it('routes a message to every socket of an online user until one acks it', async () => {
+    const phone = await connectUser(node, 'alice@test.com', { deviceId: 'phone' });
+    const laptop = await connectUser(node, 'alice@test.com', { deviceId: 'laptop' });
+
+    const { status, body } = await deliver(node, { email: 'Alice@test.com', payload: { text: 'hi' } });
+    assert.equal(status, 202);
+    assert.equal(body.online, true);
+    assert.deepEqual(body.routed, ['server-1']);
+    assert.equal(body.dropped, 0);
+
+    for (const client of [phone, laptop]) {
+      const delivery = await client.next('delivery');
+      assert.equal(delivery.id, body.id);
+      assert.deepEqual(delivery.payload, { text: 'hi' });
+      assert.equal(delivery.expiresAt, body.expiresAt);
+    }
+
+    assert.deepEqual(await ack(phone, [body.id]), { type: 'delivery:ack:ok', ids: [body.id], removed: 1 });
+    assert.equal((await ack(laptop, [body.id])).removed, 0);
+    assert.equal(memoryStore.zCard('delivery:queue:alice@test.com'), 0);
+
+    await Promise.all([phone.close(), laptop.close()]);
+  });
+
+  it('queues messages for an offline user and flushes them, oldest first, on auth', async () => {
+    const first = await deliver(node, { email: 'bob@test.com', payload: 'one' });
+    assert.equal(first.body.online, false);
+    assert.deepEqual(first.body.routed, []);
+    await tick(1_000, { step: 1_000 });
+    const second = await deliver(node, { email: 'bob@test.com', payload: 'two' });
+
+    const bob = await connectUser(node, 'bob@test.com');
+    assert.equal((await bob.next('delivery')).payload, 'one');
+    assert.equal((await bob.next('delivery')).payload, 'two');
+
+    // Unacked messages come back on the next connection
+    await ack(bob, [first.body.id]);
+    await bob.close();
+    const again = await connectUser(node, 'bob@test.com');
+    assert.equal((await again.next('delivery')).id, second.body.id);
+    await again.expectNone('delivery');
+
+    await again.close();
+  });
+
+  it('drops messages once their ttl has passed', async () => {
+    await deliver(node, { email: 'bob@test.com', payload: 'short', ttlSeconds: 30 });
+    await deliver(node, { email: 'bob@test.com', payload: 'long', ttlSeconds: 3600 });
+
+    await tick(60_000);
+    const bob = await connectUser(node, 'bob@test.com');
+    assert.equal((await bob.next('delivery')).payload, 'long');
+    await bob.expectNone('delivery');
+    assert.equal(memoryStore.zCard('delivery:queue:bob@test.com'), 1);
+
+    await bob.close();
+  });
+
+  it('evicts the oldest messages beyond the per-user cap', async (t) => {
+    overrideConfig(t, { deliveryQueueMax: 3 });
+    for (const payload of [1, 2, 3]) {
+      assert.equal((await deliver(node, { email: 'bob@test.com', payload })).body.dropped, 0);
+      await tick(1_000, { step: 1_000 });
+    }
+    assert.equal((await deliver(node, { email: 'bob@test.com', payload: 4 })).body.dropped, 1);
+
+    const bob = await connectUser(node, 'bob@test.com');
+    const payloads = [];
+    for (let i = 0; i < 3; i++) payloads.push((await bob.next('delivery')).payload);
+    assert.deepEqual(payloads, [2, 3, 4]);
+    assert.equal(Object.keys(memoryStore.hGetAll('delivery:items:bob@test.com')).length, 3);
+
+    await bob.close();
+  });
+
+  it('routes through the server that holds the user\'s socket', async () => {
+    const other = await cluster.addNode();
+    const bob = await connectUser(other, 'bob@test.com');
+
+    const { body } = await deliver(node, { email: 'bob@test.com', payload: { n: 1 } });
+    assert.deepEqual(body.routed, ['server-2']);
+    assert.equal((await bob.next('delivery')).id, body.id);
+
+    await bob.close();
+  });
+});
@@ -0,0 +1,8 @@
+// Must be imported before anything from src/: config and the storage backend are read at import time.
+process.env.STORAGE_BACKEND = 'memory';
+process.env.AUTH_TOKEN_SECRET ??= 'test-secret';
+process.env.HEARTBEAT_INTERVAL_MS = '15000';
+process.env.PRESENCE_TTL_SECONDS = '45';
+process.env.SHUTDOWN_GRACE_SECONDS = '0';
+process.env.SHUTDOWN_TIMEOUT_MS = '500';
+process.env.ADMIN_API_TOKEN = 'test-admin-token';
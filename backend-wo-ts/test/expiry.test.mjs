@@ -0,0 +1,112 @@
+import { afterEach, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  config,
+  connectUser,
+  memoryStore,
+  overrideConfig,
+  silenceLogs,
+  startCluster,
+  tick,
+  watch,
+} from './helpers.mjs';
+
+// Offline detection without a clean close: heartbeat termination and presence TTL expiry.
+describe('Offline detection', () => {
+  let cluster;
+
+  before(() => silenceLogs());
+
+  beforeEach(async () => {
+    cluster = await startCluster({ servers: 2 });
+  });
+
+  afterEach(async () => {
+    await cluster.stop();
+  });
+
+  describe('TC9: network interruption', () => {
+    it('terminates a silent socket after a missed heartbeat and flips offline', async () => {
+      const [node] = cluster.nodes;
+      const alice = await watch(node, 'alice@test.com', 'bob@test.com');
+      const bob = await connectUser(node, 'bob@test.com');
+      assert.equal((await alice.next('presence:update')).online, true);
+
+      bob.kill();
+      await tick(config.heartbeatIntervalMs); // ping goes unanswered
+      await alice.expectNone('presence:update');
+      await tick(config.heartbeatIntervalMs); // terminated
+
+      assert.equal((await alice.next('presence:update')).online, false);
+      assert.equal(memoryStore.exists('presence:user:bob@test.com'), 0);
+      await alice.close();
+    });
+  });
+
+  describe('TC6: offline via TTL expiry', () => {
+    it('flips offline once the presence key expires after its server died', async (t) => {
+      // TTL path only: keep the janitor from reaping the dead server first (see cluster.test.mjs)
+      overrideConfig(t, { serverDeadAfterMs: config.presenceTtlSeconds * 2000 });
+      const [first, second] = cluster.nodes;
+      const alice = await watch(first, 'alice@test.com', 'bob@test.com');
+      const bob = await connectUser(second, 'bob@test.com');
+      assert.equal((await alice.next('presence:update')).online, true);
+
+      await second.crash();
+      await bob.closed;
+
+      // Nothing cleaned up: bob stays online until the TTL runs out
+      await tick((config.presenceTtlSeconds - 5) * 1000);
+      await alice.expectNone('presence:update');
+      assert.equal(memoryStore.exists('presence:user:bob@test.com'), 1);
+
+      await tick(10_000);
+      const update = await alice.next('presence:update');
+      assert.equal(update.email, 'bob@test.com');
+      assert.equal(update.online, false);
+      assert.equal(memoryStore.exists('presence:user:bob@test.com'), 0);
+      assert.ok(memoryStore.get('presence:lastseen:bob@test.com'));
+
+      await alice.close();
+    });
+
+    it('does not flip offline while heartbeats keep refreshing the key', async () => {
+      const [first, second] = cluster.nodes;
+      const alice = await watch(first, 'alice@test.com', 'bob@test.com');
+      // The server only refreshes presence for sockets with focused targets
+      const bob = await watch(second, 'bob@test.com', 'alice@test.com');
+      assert.equal((await alice.next('presence:update')).online, true);
+
+      await tick(config.presenceTtlSeconds * 3000);
+      await alice.expectNone('presence:update');
+
+      await bob.close();
+      await alice.close();
+    });
+  });
+
+  describe('TC15: expiry is handled once per cluster', () => {
+    it('publishes exactly one offline flip although every server sees the expiry', async () => {
+      const [first, second] = cluster.nodes;
+      const third = await cluster.addNode();
+
+      const alice = await watch(first, 'alice@test.com', 'bob@test.com');
+      const carol = await watch(second, 'carol@test.com', 'bob@test.com');
+      await connectUser(third, 'bob@test.com');
+      await alice.next('presence:update');
+      await carol.next('presence:update');
+
+      await third.crash();
+      await tick((config.presenceTtlSeconds + 5) * 1000);
+
+      assert.equal((await alice.next('presence:update')).online, false);
+      assert.equal((await carol.next('presence:update')).online, false);
+      await alice.expectNone('presence:update');
+      await carol.expectNone('presence:update');
+      assert.equal(memoryStore.exists('presence:shadow:bob@test.com'), 0);
+
+      await alice.close();
+      await carol.close();
+    });
+  });
+});
@@ -0,0 +1,132 @@
+import { afterEach, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  connectUser,
+  memoryStore,
+  overrideConfig,
+  presenceService,
+  request,
+  settle,
+  silenceLogs,
+  startCluster,
+  watch,
+} from './helpers.mjs';
+
+// Record what gets published on a channel: [{ type, flips }]
+function tap(t, channel) {
+  const messages = [];
+  const listener = (message) => messages.push(JSON.parse(message));
+  memoryStore.subscribe(channel, listener);
+  t.after(() => memoryStore.unsubscribe(channel, listener));
+  return messages;
+}
+
+describe('Flip fan-out', () => {
+  let cluster;
+  let node;
+
+  before(() => silenceLogs());
+
+  beforeEach(async () => {
+    cluster = await startCluster();
+    node = cluster.node;
+  });
+
+  afterEach(async () => {
+    await cluster.stop();
+  });
+
+  it('publishes one message per server per window and sends each socket one frame', async (t) => {
+    overrideConfig(t, { flipBatchWindowMs: 300 });
+    const friends = ['alice@test.com', 'carol@test.com', 'dave@test.com'];
+    const bob = await watch(node, 'bob@test.com', friends);
+    const legacy = await watch(node, 'erin@test.com', friends, { protocolVersion: 2 });
+    const published = tap(t, presenceService.serverChannel('server-1'));
+
+    const clients = await Promise.all(friends.map((email) => connectUser(node, email)));
+
+    const batch = await bob.next('presence:updates');
+    assert.deepEqual(batch.updates.map((u) => u.email).sort(), friends);
+    assert.ok(batch.updates.every((u) => u.type === 'presence:update' && u.online === true));
+    await bob.expectNone('presence:update');
+
+    // v2 sockets don't know presence:updates
+    for (let i = 0; i < friends.length; i++) assert.equal((await legacy.next('presence:update')).online, true);
+    assert.equal(legacy.all('presence:updates').length, 0);
+
+    assert.equal(published.length, 1);
+    assert.equal(published[0].type, 'flips');
+    assert.equal(published[0].flips.length, 3);
+
+    await Promise.all([bob.close(), legacy.close(), ...clients.map((c) => c.close())]);
+  });
+
+  it('keeps only the latest flip of a user within a window', async (t) => {
+    overrideConfig(t, { flipBatchWindowMs: 300 });
+    const bob = await watch(node, 'bob@test.com', ['alice@test.com']);
+
+    const alice = await connectUser(node, 'alice@test.com');
+    await alice.close();
+
+    const update = await bob.next('presence:update');
+    assert.equal(update.online, false);
+    assert.equal(update.version, 2);
+    await settle(350);
+    assert.equal(bob.all('presence:update').length, 1);
+
+    // The event log still has both
+    const events = await presenceService.getPresenceEvents('0-0', 100);
+    assert.deepEqual(
+      events.filter((e) => e.email === 'alice@test.com').map((e) => e.type),
+      ['presence.online', 'presence.offline']
+    );
+
+    await bob.close();
+  });
+
+  it('publishes every flip right away with batching off', async (t) => {
+    overrideConfig(t, { flipBatchWindowMs: 0 });
+    const bob = await watch(node, 'bob@test.com', ['alice@test.com']);
+    const published = tap(t, presenceService.serverChannel('server-1'));
+
+    const alice = await connectUser(node, 'alice@test.com');
+    assert.equal(published.length, 1);
+    assert.equal((await bob.next('presence:update')).online, true);
+
+    await alice.close();
+    assert.equal(published.length, 2);
+    assert.equal((await bob.next('presence:update')).online, false);
+
+    await bob.close();
+  });
+
+  it('routes flips through shard channels in sharded mode', async (t) => {
+    overrideConfig(t, { presenceRoutingMode: 'sharded', presenceShardCount: 4 });
+    const [watcherNode, userNode] = [await cluster.addNode(), await cluster.addNode()];
+    const shard = presenceService.shardChannel(presenceService.shardFor('alice@test.com'));
+    const sharded = tap(t, shard);
+    const targeted = tap(t, presenceService.serverChannel('server-2'));
+
+    const bob = await watch(watcherNode, 'bob@test.com', ['alice@test.com']);
+    const created = await request(watcherNode, 'POST', '/groups', {
+      token: bob.session.token,
+      body: { name: 'Team', members: ['alice@test.com'] },
+    });
+    const groupId = created.body.group.id;
+    bob.send({ type: 'group:focus', groupId });
+    await bob.next('group:focus:ok');
+
+    const alice = await connectUser(userNode, 'alice@test.com');
+    assert.equal((await bob.next('presence:update')).online, true);
+    const member = await bob.next('group:update');
+    assert.equal(member.email, 'alice@test.com');
+    assert.equal(member.onlineCount, 2); // the owner and alice
+
+    const flips = sharded.flatMap((m) => m.flips).filter((f) => f.email === 'alice@test.com');
+    assert.equal(flips.length, 1);
+    assert.deepEqual(flips[0].groups, [groupId]);
+    assert.equal(targeted.filter((m) => m.type === 'flips').length, 0);
+
+    await Promise.all([alice.close(), bob.close()]);
+  });
+});
@@ -0,0 +1,261 @@
+import { afterEach, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  connectUser,
+  login,
+  memoryStore,
+  overrideConfig,
+  request,
+  settle,
+  silenceLogs,
+  startCluster,
+} from './helpers.mjs';
+import { groupService } from '../src/services/groups.mjs';
+
+describe('Groups', () => {
+  let cluster;
+  let node;
+
+  before(() => silenceLogs());
+
+  beforeEach(async () => {
+    cluster = await startCluster();
+    node = cluster.node;
+  });
+
+  afterEach(async () => {
+    await cluster.stop();
+  });
+
+  async function createGroup(token, body) {
+    const res = await request(node, 'POST', '/groups', { token, body });
+    assert.equal(res.status, 201);
+    return res.body.group;
+  }
+
+  describe('REST', () => {
+    it('creates a group owned by the caller, who is always a member', async () => {
+      const { token } = await login(node, 'owner@test.com');
+      const group = await createGroup(token, { name: 'Team', members: ['A@test.com', 'b@test.com', 'nope'] });
+
+      assert.equal(group.owner, 'owner@test.com');
+      const members = await request(node, 'GET', `/groups/${group.id}/members`, { token });
+      assert.deepEqual(members.body.members, ['a@test.com', 'b@test.com', 'owner@test.com']);
+
+      const listed = await request(node, 'GET', '/groups', { token });
+      assert.deepEqual(listed.body.groups.map((g) => g.id), [group.id]);
+
+      const { token: memberToken } = await login(node, 'a@test.com');
+      const seen = await request(node, 'GET', `/groups/${group.id}`, { token: memberToken });
+      assert.equal(seen.status, 200);
+      assert.equal(seen.body.memberCount, 3);
+    });
+
+    it('lets members read, only the owner write, and hides the group from everyone else', async () => {
+      const { token } = await login(node, 'owner@test.com');
+      const { token: memberToken } = await login(node, 'member@test.com');
+      const { token: strangerToken } = await login(node, 'stranger@test.com');
+      const group = await createGroup(token, { name: 'Team', members: ['member@test.com'] });
+
+      assert.equal((await request(node, 'GET', `/groups/${group.id}/presence`, { token: strangerToken })).status, 404);
+      assert.equal(
+        (await request(node, 'PATCH', `/groups/${group.id}`, { token: memberToken, body: { name: 'Mine' } })).status,
+        403
+      );
+      assert.equal(
+        (await request(node, 'PUT', `/groups/${group.id}/members`, {
+          token,
+          body: { remove: ['owner@test.com'] },
+        })).status,
+        400
+      );
+
+      const renamed = await request(node, 'PATCH', `/groups/${group.id}`, { token, body: { name: 'Core' } });
+      assert.equal(renamed.body.group.name, 'Core');
+
+      const edit = await request(node, 'PUT', `/groups/${group.id}/members`, {
+        token,
+        body: { add: ['new@test.com'], remove: ['member@test.com'] },
+      });
+      assert.deepEqual(edit.body, { ok: true, added: 1, removed: 1, memberCount: 2 });
+      assert.equal((await request(node, 'GET', `/groups/${group.id}`, { token: memberToken })).status, 404);
+
+      assert.equal((await request(node, 'DELETE', `/groups/${group.id}`, { token })).status, 200);
+      assert.equal((await request(node, 'GET', `/groups/${group.id}`, { token })).status, 404);
+      assert.deepEqual((await request(node, 'GET', '/groups', { token })).body.groups, []);
+    });
+
+    it('caps group size', async (t) => {
+      overrideConfig(t, { groupMaxMembers: 3 });
+      const { token } = await login(node, 'owner@test.com');
+      const group = await createGroup(token, { name: 'Small', members: ['a@test.com'] });
+
+      const res = await request(node, 'PUT', `/groups/${group.id}/members`, {
+        token,
+        body: { add: ['b@test.com', 'c@test.com'] },
+      });
+      assert.equal(res.status, 400);
+    });
+
+    it('returns counts per bucket and pages through online members', async () => {
+      const owner = await connectUser(node, 'owner@test.com');
+      const alice = await connectUser(node, 'alice@test.com');
+      const bob = await connectUser(node, 'bob@test.com');
+      const group = await createGroup(owner.session.token, {
+        name: 'Team',
+        members: ['alice@test.com', 'bob@test.com', 'carol@test.com'],
+      });
+
+      const first = await request(node, 'GET', `/groups/${group.id}/presence?limit=2`, {
+        token: owner.session.token,
+      });
+      assert.equal(first.body.total, 4);
+      assert.equal(first.body.counts.online_now, 3);
+      assert.equal(first.body.counts.unknown, 1); // carol never connected
+      assert.deepEqual(first.body.online.map((s) => s.email), ['alice@test.com', 'bob@test.com']);
+      assert.equal(first.body.nextCursor, 'bob@test.com');
+
+      const second = await request(
+        node,
+        'GET',
+        `/groups/${group.id}/presence?limit=2&cursor=${encodeURIComponent(first.body.nextCursor)}`,
+        { token: owner.session.token }
+      );
+      assert.deepEqual(second.body.online.map((s) => s.email), ['owner@test.com']);
+      assert.equal(second.body.nextCursor, null);
+
+      await Promise.all([owner.close(), alice.close(), bob.close()]);
+    });
+  });
+
+  describe('group:focus', () => {
+    it('acks with counts and pushes member flips from other servers', async () => {
+      const other = await cluster.addNode();
+      const owner = await connectUser(node, 'owner@test.com');
+      const group = await createGroup(owner.session.token, { name: 'Team', members: ['alice@test.com'] });
+
+      owner.send({ type: 'group:focus', groupId: group.id });
+      const ack = await owner.next('group:focus:ok');
+      assert.equal(ack.total, 2);
+      assert.equal(ack.onlineCount, 1);
+      assert.deepEqual(ack.online.map((s) => s.email), ['owner@test.com']);
+
+      const alice = await connectUser(other, 'alice@test.com');
+      const online = await owner.next('group:update', { where: (m) => m.email === 'alice@test.com' });
+      assert.equal(online.groupId, group.id);
+      assert.equal(online.online, true);
+      assert.equal(online.bucket, 'online_now');
+      assert.equal(online.onlineCount, 2);
+
+      await alice.close();
+      const offline = await owner.next('group:update', { where: (m) => m.email === 'alice@test.com' });
+      assert.equal(offline.online, false);
+      assert.equal(offline.onlineCount, 1);
+
+      // No per-email focus involved
+      assert.equal(owner.all('presence:update').length, 0);
+
+      owner.send({ type: 'group:blur', groupId: group.id });
+      await owner.next('group:blur:ok');
+      const again = await connectUser(other, 'alice@test.com');
+      await owner.expectNone('group:update');
+
+      await Promise.all([owner.close(), again.close()]);
+    });
+
+    it('attaches nothing for a socket that closes while the group is read', async (t) => {
+      const owner = await connectUser(node, 'owner@test.com');
+      const group = await createGroup(owner.session.token, { name: 'Team', members: ['alice@test.com'] });
+
+      let reading;
+      let resume;
+      const inRead = new Promise((resolve) => (reading = resolve));
+      const gate = new Promise((resolve) => (resume = resolve));
+      const read = groupService.getMemberPresence;
+      t.mock.method(groupService, 'getMemberPresence', async function (...args) {
+        const statuses = await read.apply(this, args);
+        reading();
+        await gate;
+        return statuses;
+      });
+
+      owner.send({ type: 'group:focus', groupId: group.id });
+      await inRead;
+      await owner.close();
+      await settle();
+
+      resume();
+      await settle();
+      assert.equal(node.wsServer.focusedGroups.size, 0);
+      assert.equal(node.wsServer.groupsBySocket.size, 0);
+      assert.deepEqual(memoryStore.sMembers(`group:watchers:${group.id}`), []);
+    });
+
+    it('sends a snapshot after membership changes and group:removed once it is gone', async () => {
+      const owner = await connectUser(node, 'owner@test.com');
+      const member = await connectUser(node, 'member@test.com');
+      const group = await createGroup(owner.session.token, { name: 'Team', members: ['member@test.com'] });
+
+      member.send({ type: 'group:focus', groupId: group.id });
+      await member.next('group:focus:ok');
+
+      await request(node, 'PUT', `/groups/${group.id}/members`, {
+        token: owner.session.token,
+        body: { add: ['late@test.com'] },
+      });
+      const snapshot = await member.next('group:snapshot');
+      assert.equal(snapshot.total, 3);
+
+      await request(node, 'PUT', `/groups/${group.id}/members`, {
+        token: owner.session.token,
+        body: { remove: ['member@test.com'] },
+      });
+      assert.deepEqual(await member.next('group:removed'), { type: 'group:removed', groupId: group.id });
+
+      // Not a member anymore: can't focus it again
+      member.send({ type: 'group:focus', groupId: group.id });
+      const error = await member.next('error');
+      assert.equal(error.code, 'not_found');
+
+      await Promise.all([owner.close(), member.close()]);
+    });
+
+    it('retracts members the viewer may no longer see', async () => {
+      const owner = await connectUser(node, 'owner@test.com');
+      const alice = await connectUser(node, 'alice@test.com');
+      const group = await createGroup(owner.session.token, { name: 'Team', members: ['alice@test.com'] });
+
+      owner.send({ type: 'group:focus', groupId: group.id });
+      assert.equal((await owner.next('group:focus:ok')).onlineCount, 2);
+
+      await request(node, 'PUT', '/me/blocks/owner@test.com', { token: alice.session.token });
+      const hidden = await owner.next('group:update', { where: (m) => m.email === 'alice@test.com' });
+      assert.equal(hidden.online, null);
+      assert.equal(hidden.bucket, 'unknown');
+      assert.equal(hidden.onlineCount, 1);
+
+      // Later flips stay hidden
+      await alice.close();
+      await settle(100);
+      await owner.expectNone('group:update');
+
+      await owner.close();
+    });
+
+    it('caps focused groups per socket', async (t) => {
+      overrideConfig(t, { maxGroupFocusPerClient: 1 });
+      const owner = await connectUser(node, 'owner@test.com');
+      const one = await createGroup(owner.session.token, { name: 'One' });
+      const two = await createGroup(owner.session.token, { name: 'Two' });
+
+      owner.send({ type: 'group:focus', groupId: one.id });
+      await owner.next('group:focus:ok');
+      owner.send({ type: 'group:focus', groupId: two.id });
+      const error = await owner.next('error');
+      assert.equal(error.code, 'limit_exceeded');
+      assert.equal(error.groupId, two.id);
+
+      await owner.close();
+    });
+  });
+});
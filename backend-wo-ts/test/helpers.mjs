@@ -0,0 +1,345 @@
+import './env.mjs';
+import { createServer } from 'http';
+import { mock } from 'node:test';
+import WebSocket from 'ws';
+import { createApp } from '../src/app.mjs';
+import { presenceService } from '../src/services/presence.mjs';
+import { memoryStore } from '../src/storage/index.mjs';
+import { PresenceWebSocketServer } from '../src/ws/server.mjs';
+import { PresenceExpiryListener } from '../src/ws/expiry.mjs';
+import { ServerJanitor } from '../src/services/cluster.mjs';
+import { PROTOCOL_VERSION } from '../src/ws/protocol.mjs';
+import { config } from '../src/config.mjs';
+
+export { config, memoryStore, presenceService };
+
+/**
+ * Integration harness: N presence servers (Express + PresenceWebSocketServer, each with its own
+ * serverId, expiry listener and janitor) on ephemeral ports, all sharing the in-memory store like a cluster
+ * sharing one Redis.
+ *
+ * Fake timers cover Date and setInterval only (heartbeat sweep, memory TTL sweep): socket I/O and
+ * the setTimeout-based waits below stay real. Advance time with tick(ms).
+ */
+export async function startCluster({ servers = 1, fakeTimers = true } = {}) {
+  if (fakeTimers) mock.timers.enable({ apis: ['setInterval', 'Date'], now: Date.now() });
+
+  memoryStore.flushAll();
+  presenceService.usersIndexReady = false;
+  await presenceService.connect();
+
+  const nodes = [];
+  for (let i = 0; i < servers; i++) nodes.push(await startNode(`server-${i + 1}`));
+
+  return {
+    nodes,
+    node: nodes[0],
+    async addNode() {
+      const node = await startNode(`server-${nodes.length + 1}`);
+      nodes.push(node);
+      return node;
+    },
+    async stop() {
+      for (const node of nodes) await node.stop();
+      await presenceService.disconnect();
+      if (fakeTimers) mock.timers.reset();
+    },
+  };
+}
+
+export async function startNode(serverId) {
+  const app = createApp();
+  const server = createServer(app);
+  const wsServer = new PresenceWebSocketServer(server, { serverId });
+  app.locals.presenceServer = wsServer;
+  const expiryListener = new PresenceExpiryListener();
+  const janitor = new ServerJanitor({ serverId });
+
+  await wsServer.flipListenerReady;
+  await expiryListener.start();
+  janitor.start();
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  const { port } = server.address();
+  let stopped = false;
+
+  return {
+    serverId,
+    wsServer,
+    janitor,
+    baseUrl: `http://127.0.0.1:${port}`,
+    wsUrl: `ws://127.0.0.1:${port}/ws`,
+    async stop() {
+      if (stopped) return;
+      stopped = true;
+      const closed = new Promise((resolve) => server.close(resolve));
+      server.closeAllConnections?.();
+      await wsServer.drain();
+      await expiryListener.stop();
+      await janitor.stop();
+      await closed;
+    },
+
+    // Process death: sockets drop, nothing is cleaned up in storage (TTLs have to do it)
+    async crash() {
+      if (stopped) return;
+      stopped = true;
+      clearInterval(wsServer.heartbeatIntervalId);
+      clearInterval(wsServer.sseKeepaliveIntervalId);
+      clearInterval(wsServer.registryIntervalId);
+      clearInterval(janitor.intervalId); // the lease it may hold lapses like any dead holder's
+      for (const dispose of wsServer.metricsDisposers) dispose();
+
+      for (const ws of wsServer.wss.clients) {
+        ws.drained = true; // skip the presence cleanup a clean close would do
+        ws.connectionId = null; // ... and keep its connection slot (only the lease can free it)
+        ws.terminate();
+      }
+      await wsServer.subClient?.quit();
+      wsServer.subClient = null;
+      await expiryListener.stop();
+
+      const closed = new Promise((resolve) => server.close(resolve));
+      server.closeAllConnections?.();
+      await closed;
+    },
+  };
+}
+
+/**
+ * Advance the fake clock in steps, letting socket I/O settle in between: one big jump would run
+ * several heartbeat sweeps back to back, and healthy clients would never get to answer a ping.
+ */
+export async function tick(ms, { step = 5000 } = {}) {
+  for (let elapsed = 0; elapsed < ms; elapsed += step) {
+    mock.timers.tick(Math.min(step, ms - elapsed));
+    await settle(15);
+  }
+  await settle();
+}
+
+// Real-time pause: lets socket I/O and queued async work run
+export function settle(ms = 30) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+export async function request(node, method, path, { body, token, headers: extra = {} } = {}) {
+  const headers = { 'Content-Type': 'application/json', ...extra };
+  if (token) headers.Authorization = `Bearer ${token}`;
+
+  const res = await fetch(`${node.baseUrl}${path}`, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  return { status: res.status, headers: res.headers, body: await res.json() };
+}
+
+export async function login(node, email) {
+  const { status, body } = await request(node, 'POST', '/login', { body: { email } });
+  if (status !== 200) throw new Error(`login(${email}) failed: ${status} ${JSON.stringify(body)}`);
+  return body;
+}
+
+/**
+ * Records inbound messages (objects with a type).
+ * next(type) resolves with the first unseen message of that type (or rejects after timeoutMs).
+ */
+class MessageLog {
+  messages = [];
+  cursor = new Map(); // type -> index of the next unseen message of that type
+  waiters = [];
+
+  push(message) {
+    this.messages.push(message);
+    for (const waiter of [...this.waiters]) waiter();
+  }
+
+  all(type) {
+    return this.messages.filter((m) => m.type === type);
+  }
+
+  next(type, { timeoutMs = 2000, where = () => true } = {}) {
+    return new Promise((resolve, reject) => {
+      const check = () => {
+        const from = this.cursor.get(type) ?? 0;
+        for (let i = from; i < this.messages.length; i++) {
+          const m = this.messages[i];
+          if (m.type !== type || !where(m)) continue;
+          this.cursor.set(type, i + 1);
+          done();
+          resolve(m);
+          return true;
+        }
+        return false;
+      };
+      const timer = setTimeout(() => {
+        done();
+        reject(new Error(`Timed out waiting for "${type}" (got: ${this.messages.map((m) => m.type).join(', ')})`));
+      }, timeoutMs);
+      const done = () => {
+        clearTimeout(timer);
+        this.waiters = this.waiters.filter((w) => w !== check);
+      };
+
+      if (!check()) this.waiters.push(check);
+    });
+  }
+
+  // Resolves if no message of this type arrives within ms
+  async expectNone(type, ms = 100) {
+    const before = this.all(type).length;
+    await settle(ms);
+    const after = this.all(type).length;
+    if (after !== before) {
+      throw new Error(`Unexpected "${type}": ${JSON.stringify(this.all(type).slice(before))}`);
+    }
+  }
+}
+
+/**
+ * Raw WebSocket client that records every frame.
+ */
+export class TestClient extends MessageLog {
+  constructor(url) {
+    super();
+    this.ws = new WebSocket(url);
+    this.opened = new Promise((resolve, reject) => {
+      this.ws.once('open', resolve);
+      this.ws.once('error', reject);
+    });
+    this.closed = new Promise((resolve) => {
+      this.ws.once('close', (code, reason) => resolve({ code, reason: reason.toString() }));
+    });
+
+    this.ws.on('message', (data) => this.push(JSON.parse(data.toString())));
+  }
+
+  send(message) {
+    this.ws.send(typeof message === 'string' ? message : JSON.stringify(message));
+  }
+
+  close() {
+    this.ws.close();
+    return this.closed;
+  }
+
+  // Network loss: stop reading (so no pongs and no close frame); only heartbeat/TTL can notice
+  kill() {
+    this.ws.pause();
+  }
+}
+
+/**
+ * SSE client for GET /presence/stream. Each event is recorded as its data plus { type, id }
+ * (type = the SSE event name); keepalive comments are counted.
+ * open() resolves once the response headers are in: check .status (non-200 has .body instead).
+ */
+export class TestEventStream extends MessageLog {
+  comments = 0;
+  controller = new AbortController();
+
+  static async open(node, path, { token, lastEventId } = {}) {
+    const stream = new TestEventStream();
+    const headers = {};
+    if (token) headers.Authorization = `Bearer ${token}`;
+    if (lastEventId) headers['Last-Event-ID'] = lastEventId;
+
+    const res = await fetch(`${node.baseUrl}${path}`, { headers, signal: stream.controller.signal });
+    stream.status = res.status;
+    if (res.status !== 200) {
+      stream.body = await res.json();
+      return stream;
+    }
+
+    stream.closed = stream.read(res.body);
+    return stream;
+  }
+
+  async read(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    try {
+      for await (const chunk of body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+          this.parse(buffer.slice(0, end));
+          buffer = buffer.slice(end + 2);
+        }
+      }
+    } catch (e) {
+      if (e.name !== 'AbortError') throw e;
+    }
+  }
+
+  parse(block) {
+    const event = { type: 'message', id: null, data: '' };
+    for (const line of block.split('\n')) {
+      if (line.startsWith(':')) this.comments++;
+      else if (line.startsWith('event: ')) event.type = line.slice(7);
+      else if (line.startsWith('id: ')) event.id = line.slice(4);
+      else if (line.startsWith('data: ')) event.data += line.slice(6);
+    }
+    if (event.data) this.push({ ...JSON.parse(event.data), type: event.type, id: event.id });
+  }
+
+  close() {
+    this.controller.abort();
+    return this.closed;
+  }
+}
+
+export function openStream(node, emails, { token, lastEventId } = {}) {
+  return TestEventStream.open(node, `/presence/stream?emails=${emails.join(',')}`, { token, lastEventId });
+}
+
+/**
+ * Log in over REST and authenticate a WebSocket. Returns the client with .auth (auth:ok frame)
+ * and .session (login response).
+ */
+export async function connectUser(node, email, { deviceId, protocolVersion = PROTOCOL_VERSION } = {}) {
+  const session = await login(node, email);
+  const client = new TestClient(node.wsUrl);
+  await client.opened;
+
+  client.send({ type: 'auth', token: session.token, protocolVersion, deviceId });
+  client.auth = await client.next('auth:ok');
+  client.session = session;
+  return client;
+}
+
+/**
+ * connectUser, then presence:focus on `targets` (one email or an array) and wait for the ok.
+ * `options` go to connectUser (deviceId, protocolVersion).
+ */
+export async function watch(node, email, targets, options) {
+  const client = await connectUser(node, email, options);
+  client.send({ type: 'presence:focus', emails: [].concat(targets) });
+  await client.next('presence:focus:ok');
+  return client;
+}
+
+// Quiet server logs; errors still show up
+export function silenceLogs() {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+}
+
+// Override config values for one test (restored when it ends)
+export function overrideConfig(t, overrides) {
+  const previous = {};
+  for (const [key, value] of Object.entries(overrides)) {
+    previous[key] = config[key];
+    config[key] = value;
+  }
+  t.after(() => Object.assign(config, previous));
+}
+
+// Override one rate limit policy for one test, e.g. overridePolicy(t, 'focus', { limit: 2 })
+export function overridePolicy(t, name, overrides) {
+  const policies = config.rateLimitPolicies;
+  overrideConfig(t, {
+    rateLimitPolicies: { ...policies, [name]: { ...policies[name], ...overrides } },
+  });
+}
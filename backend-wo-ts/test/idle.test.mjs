@@ -0,0 +1,168 @@
+import { afterEach, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  config,
+  connectUser,
+  memoryStore,
+  overrideConfig,
+  presenceService,
+  request,
+  silenceLogs,
+  startCluster,
+  tick,
+  watch,
+} from './helpers.mjs';
+
+async function ping(client, state) {
+  client.send(state ? { type: 'activity:ping', state } : { type: 'activity:ping' });
+  return client.next('activity:ping:ok');
+}
+
+describe('Activity pings and idle', () => {
+  let cluster;
+  let node;
+
+  before(() => silenceLogs());
+
+  beforeEach(async () => {
+    cluster = await startCluster();
+    node = cluster.node;
+  });
+
+  afterEach(async () => {
+    await cluster.stop();
+  });
+
+  it('refreshes lastActiveAt on activity:ping, at most once per throttle window', async () => {
+    const alice = await connectUser(node, 'alice@test.com');
+    const connectedAt = Number(memoryStore.get('presence:active:alice@test.com'));
+
+    await tick(5_000);
+    await ping(alice);
+    const touched = Number(memoryStore.get('presence:active:alice@test.com'));
+    assert.ok(touched > connectedAt);
+
+    await tick(5_000);
+    await ping(alice);
+    assert.equal(Number(memoryStore.get('presence:active:alice@test.com')), touched);
+
+    await tick(config.activityPingThrottleMs);
+    await ping(alice);
+    assert.ok(Number(memoryStore.get('presence:active:alice@test.com')) > touched);
+
+    await alice.close();
+  });
+
+  it('flips a user idle after idleAfterMs without activity, and back on the next ping', async (t) => {
+    overrideConfig(t, { idleAfterMs: 60_000 });
+    const bob = await watch(node, 'bob@test.com', 'alice@test.com');
+    const alice = await watch(node, 'alice@test.com', 'bob@test.com'); // focused sockets keep presence refreshed
+    assert.equal((await bob.next('presence:update')).idle, false);
+    await ping(alice);
+
+    await tick(config.idleAfterMs + config.heartbeatIntervalMs);
+    const idle = await bob.next('presence:update');
+    assert.equal(idle.online, true);
+    assert.equal(idle.idle, true);
+    assert.equal(idle.bucket, 'online_now');
+
+    const events = await presenceService.getPresenceEvents('0-0', 100);
+    assert.equal(events.at(-1).type, 'presence.idle');
+    assert.equal(events.at(-1).idle, true);
+
+    // Exactly one flip, however many sweeps see it inactive
+    await tick(config.heartbeatIntervalMs * 2);
+    assert.equal(bob.all('presence:update').length, 2);
+
+    await ping(alice);
+    const active = await bob.next('presence:update');
+    assert.equal(active.online, true);
+    assert.equal(active.idle, false);
+    assert.ok(active.version > idle.version);
+
+    const { body } = await request(node, 'POST', '/users/presence', {
+      token: bob.session.token,
+      body: { emails: ['alice@test.com'] },
+    });
+    assert.equal(body.users[0].idle, false);
+
+    await Promise.all([alice.close(), bob.close()]);
+  });
+
+  it('never idles users whose clients do not send activity:ping', async (t) => {
+    overrideConfig(t, { idleAfterMs: 60_000 });
+    const bob = await watch(node, 'bob@test.com', 'alice@test.com');
+    const alice = await watch(node, 'alice@test.com', 'bob@test.com'); // focused sockets keep presence refreshed
+    await bob.next('presence:update');
+
+    await tick(config.idleAfterMs + config.heartbeatIntervalMs);
+    assert.equal(bob.all('presence:update').length, 1);
+
+    await Promise.all([alice.close(), bob.close()]);
+  });
+
+  it('goes idle right away once the app is in the background', async () => {
+    const bob = await watch(node, 'bob@test.com', 'alice@test.com');
+    const alice = await connectUser(node, 'alice@test.com');
+    await bob.next('presence:update');
+
+    await ping(alice, 'background');
+    assert.equal((await bob.next('presence:update')).idle, true);
+
+    const { body } = await request(node, 'POST', '/users/presence', {
+      token: bob.session.token,
+      body: { emails: ['alice@test.com'] },
+    });
+    assert.equal(body.users[0].idle, true);
+
+    // Foreground again: not throttled by the earlier ping
+    await ping(alice, 'active');
+    assert.equal((await bob.next('presence:update')).idle, false);
+
+    await Promise.all([alice.close(), bob.close()]);
+  });
+
+  it('counts a new device as activity', async () => {
+    const bob = await watch(node, 'bob@test.com', 'alice@test.com');
+    const phone = await connectUser(node, 'alice@test.com', { deviceId: 'phone' });
+    await bob.next('presence:update');
+    await ping(phone, 'background');
+    assert.equal((await bob.next('presence:update')).idle, true);
+
+    const laptop = await connectUser(node, 'alice@test.com', { deviceId: 'laptop' });
+    const active = await bob.next('presence:update');
+    assert.equal(active.online, true);
+    assert.equal(active.idle, false);
+
+    await Promise.all([phone.close(), laptop.close(), bob.close()]);
+  });
+
+  it('keeps a user active while a device on another server is in use', async (t) => {
+    overrideConfig(t, { idleAfterMs: 60_000 });
+    const other = await cluster.addNode();
+    const bob = await watch(node, 'bob@test.com', 'alice@test.com');
+    const phone = await connectUser(node, 'alice@test.com', { deviceId: 'phone' });
+    await bob.next('presence:update');
+    const laptop = await connectUser(other, 'alice@test.com', { deviceId: 'laptop' });
+    for (const device of [phone, laptop]) {
+      device.send({ type: 'presence:focus', emails: ['bob@test.com'] }); // focused sockets keep presence refreshed
+      await device.next('presence:focus:ok');
+    }
+    await ping(laptop);
+
+    // The phone alone can't tell: the laptop may still be in use
+    await ping(phone, 'background');
+    await tick(config.heartbeatIntervalMs);
+    await ping(laptop);
+    await tick(config.heartbeatIntervalMs);
+    assert.equal(bob.all('presence:update').length, 1);
+
+    // Nobody touches it any more: one server (not both) flips it idle
+    await tick(config.idleAfterMs);
+    assert.equal((await bob.next('presence:update')).idle, true);
+    await tick(config.heartbeatIntervalMs);
+    assert.equal(bob.all('presence:update').length, 2);
+
+    await Promise.all([phone.close(), laptop.close(), bob.close()]);
+  });
+});
@@ -0,0 +1,153 @@
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryClient, MemoryStore } from '../src/storage/memory.mjs';
+import { CLAIM_EXPIRED_SCRIPT } from '../src/storage/scripts.mjs';
+
+describe('MemoryStore', () => {
+  let store;
+  let client;
+
+  beforeEach(async () => {
+    mock.timers.enable({ apis: ['setInterval', 'Date'], now: 1_000_000 });
+    store = new MemoryStore({ sweepIntervalMs: 100 });
+    client = new MemoryClient(store);
+    await client.connect();
+  });
+
+  afterEach(async () => {
+    if (client.isOpen) await client.quit();
+    mock.timers.reset();
+  });
+
+  const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+  it('expires keys and emits keyspace events', async () => {
+    const expired = [];
+    const sub = client.duplicate();
+    await sub.connect();
+    await sub.pSubscribe('__keyevent@*__:expired', (key) => expired.push(key));
+
+    await client.set('a', '1', { PX: 500 });
+    await client.set('b', '1', { EX: 10 });
+    assert.equal(await client.get('a'), '1');
+
+    mock.timers.tick(600);
+    await flush();
+
+    assert.deepEqual(expired, ['a']);
+    assert.equal(await client.get('a'), null);
+    assert.equal(await client.get('b'), '1');
+    await sub.quit();
+  });
+
+  it('only emits expired events when notifications are enabled', async () => {
+    const expired = [];
+    await client.configSet('notify-keyspace-events', '');
+    await client.pSubscribe('__keyevent@*__:expired', (key) => expired.push(key));
+
+    await client.set('a', '1', { PX: 100 });
+    mock.timers.tick(200);
+    await flush();
+
+    assert.deepEqual(expired, []);
+    assert.equal(await client.exists('a'), 0);
+  });
+
+  it('supports SET options', async () => {
+    assert.equal(await client.set('k', 'v1', { NX: true }), 'OK');
+    assert.equal(await client.set('k', 'v2', { NX: true }), null);
+    assert.equal(await client.set('k', 'v3', { GET: true }), 'v1');
+    assert.equal(await client.get('k'), 'v3');
+
+    // Like Redis: whole seconds/milliseconds only
+    await assert.rejects(client.set('k', 'v4', { PX: 1500.5 }), /not an integer/);
+    await assert.rejects(client.set('k', 'v4', { EX: 1.5 }), /not an integer/);
+    assert.equal(await client.get('k'), 'v3');
+  });
+
+  it('increments integer strings', async () => {
+    assert.equal(await client.incr('n'), 1);
+    assert.equal(await client.incrBy('n', 5), 6);
+    assert.equal(await client.get('n'), '6');
+
+    await client.set('t', 'x');
+    await assert.rejects(client.incr('t'), /not an integer/);
+  });
+
+  it('rejects commands against the wrong type', async () => {
+    await client.sAdd('s', 'x');
+    await assert.rejects(client.get('s'), /WRONGTYPE/);
+  });
+
+  it('drops aggregates when they become empty', async () => {
+    await client.sAdd('s', ['a', 'b']);
+    await client.sRem('s', ['a', 'b']);
+    assert.equal(await client.exists('s'), 0);
+  });
+
+  it('orders sorted sets by score, then member', async () => {
+    await client.zAdd('z', [
+      { score: 2, value: 'b' },
+      { score: 1, value: 'c' },
+      { score: 1, value: 'a' },
+    ]);
+
+    assert.deepEqual(await client.zRange('z', 0, -1), ['a', 'c', 'b']);
+    assert.deepEqual(await client.zRangeByScore('z', '(1', '+inf'), ['b']);
+    assert.deepEqual(await client.zRangeWithScores('z', -1, -1), [{ value: 'b', score: 2 }]);
+
+    await client.zRemRangeByRank('z', 0, -2);
+    assert.deepEqual(await client.zRange('z', 0, -1), ['b']);
+  });
+
+  it('ranges by lex with limits', async () => {
+    await client.zAdd('idx', ['amy', 'bob', 'bobby', 'carl'].map((value) => ({ score: 0, value })));
+
+    assert.deepEqual(await client.zRangeByLex('idx', '(amy', '+', { LIMIT: { offset: 0, count: 2 } }), [
+      'bob',
+      'bobby',
+    ]);
+    assert.deepEqual(await client.zRangeByLex('idx', '[bob', '[bob\xff'), ['bob', 'bobby']);
+  });
+
+  it('appends to streams with monotonic ids and ranges them', async () => {
+    const a = await client.xAdd('log', '*', { n: 1 });
+    const b = await client.xAdd('log', '*', { n: 2 });
+    const c = await client.xAdd('log', '*', { n: 3 }, { TRIM: { strategy: 'MAXLEN', threshold: 2 } });
+
+    assert.deepEqual([a, b, c], ['1000000-0', '1000000-1', '1000000-2']);
+    assert.equal(await client.xLen('log'), 2);
+    assert.deepEqual((await client.xRange('log', `(${b}`, '+')).map((e) => e.message.n), ['3']);
+    assert.deepEqual((await client.xRevRange('log', '+', '-', { COUNT: 1 })).map((e) => e.id), [c]);
+    await assert.rejects(client.xAdd('log', a, { n: 0 }), /equal or smaller/);
+  });
+
+  it('runs MULTI atomically and returns every reply', async () => {
+    const replies = await client.multi().set('a', '1').get('a').sAdd('s', 'x').sIsMember('s', 'x').exec();
+    assert.deepEqual(replies, ['OK', '1', 1, true]);
+  });
+
+  it('runs registered scripts through their JS twin', async () => {
+    await client.set('shadow', 'server-1');
+
+    assert.equal(await client.eval(CLAIM_EXPIRED_SCRIPT, { keys: ['key', 'shadow'] }), 'server-1');
+    assert.equal(await client.eval(CLAIM_EXPIRED_SCRIPT, { keys: ['key', 'shadow'] }), null);
+    await assert.rejects(client.eval('return 1', { keys: [] }), /NOSCRIPT/);
+  });
+
+  it('delivers pub/sub messages to subscribers of the channel only', async () => {
+    const received = [];
+    await client.subscribe('one', (message, channel) => received.push([channel, message]));
+
+    assert.equal(await client.publish('one', 'hello'), 1);
+    assert.equal(await client.publish('two', 'nobody'), 0);
+    await flush();
+
+    assert.deepEqual(received, [['one', 'hello']]);
+  });
+
+  it('refuses commands once closed', async () => {
+    await client.quit();
+    await assert.rejects(client.get('a'), /closed/);
+  });
+});
@@ -0,0 +1,145 @@
+import { afterEach, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  config,
+  connectUser,
+  memoryStore,
+  overrideConfig,
+  presenceService,
+  silenceLogs,
+  startCluster,
+  tick,
+  watch,
+} from './helpers.mjs';
+
+// Two servers sharing one store, clients spread across them.
+describe('Multi-server', () => {
+  let cluster;
+  let first;
+  let second;
+
+  before(() => silenceLogs());
+
+  beforeEach(async () => {
+    cluster = await startCluster({ servers: 2 });
+    [first, second] = cluster.nodes;
+  });
+
+  afterEach(async () => {
+    await cluster.stop();
+  });
+
+  it('routes flips only to servers with watchers', async () => {
+    const alice = await watch(first, 'alice@test.com', 'bob@test.com');
+    assert.deepEqual(memoryStore.sMembers('presence:watchers:bob@test.com'), [first.serverId]);
+
+    const bob = await connectUser(second, 'bob@test.com');
+    assert.equal((await alice.next('presence:update')).online, true);
+
+    await bob.close();
+    assert.equal((await alice.next('presence:update')).online, false);
+
+    alice.send({ type: 'presence:blur', emails: ['bob@test.com'] });
+    await alice.next('presence:blur:ok');
+    assert.deepEqual(memoryStore.sMembers('presence:watchers:bob@test.com'), []);
+    await alice.close();
+  });
+
+  it('keeps a user online while a device remains on the other server', async () => {
+    const alice = await watch(first, 'alice@test.com', 'bob@test.com');
+    const phone = await connectUser(first, 'bob@test.com', { deviceId: 'phone' });
+    const laptop = await connectUser(second, 'bob@test.com', { deviceId: 'laptop' });
+    assert.equal((await alice.next('presence:update')).online, true);
+
+    const devices = await presenceService.getDevices('bob@test.com');
+    assert.deepEqual(devices.map((d) => d.serverId).sort(), [first.serverId, second.serverId]);
+
+    await laptop.close();
+    await alice.expectNone('presence:update');
+
+    await phone.close();
+    assert.equal((await alice.next('presence:update')).online, false);
+    await alice.close();
+  });
+
+  it('delivers status changes made on another server', async () => {
+    const alice = await watch(first, 'alice@test.com', 'bob@test.com');
+    const bob = await connectUser(second, 'bob@test.com');
+    await alice.next('presence:update');
+
+    bob.send({ type: 'status:set', status: 'busy', message: 'In a meeting' });
+    await bob.next('status:set:ok');
+
+    const update = await alice.next('presence:update');
+    assert.equal(update.status, 'busy');
+    assert.equal(update.statusMessage, 'In a meeting');
+
+    bob.send({ type: 'status:set', status: 'invisible' });
+    await bob.next('status:set:ok');
+    const hidden = await alice.next('presence:update');
+    assert.equal(hidden.online, false);
+    assert.equal(hidden.status, null);
+
+    await bob.close();
+    await alice.close();
+  });
+
+  it('TC12: fans a flip out to many watchers across servers', async (t) => {
+    overrideConfig(t, { maxConnectionsPerIp: 50 });
+
+    const watchers = [];
+    for (let i = 0; i < 20; i++) {
+      const node = i % 2 === 0 ? first : second;
+      watchers.push(await watch(node, `user${i}@test.com`, 'star@test.com'));
+    }
+    assert.deepEqual(
+      memoryStore.sMembers('presence:watchers:star@test.com').sort(),
+      [first.serverId, second.serverId]
+    );
+
+    const star = await connectUser(second, 'star@test.com');
+    for (const client of watchers) {
+      const update = await client.next('presence:update');
+      assert.equal(update.email, 'star@test.com');
+      assert.equal(update.online, true);
+    }
+
+    await star.close();
+    await Promise.all(watchers.map((c) => c.close()));
+  });
+
+  describe('drain', () => {
+    it('hands presence off so a reconnect elsewhere does not flap', async () => {
+      const alice = await watch(first, 'alice@test.com', 'bob@test.com');
+      const bob = await connectUser(second, 'bob@test.com', { deviceId: 'phone' });
+      await alice.next('presence:update');
+
+      await second.wsServer.drain({ graceMs: 10_000, timeoutMs: 500 });
+      const notice = await bob.next('server:draining');
+      assert.equal(notice.graceMs, 10_000);
+      assert.equal((await bob.closed).code, 1012);
+
+      const bobAgain = await connectUser(first, 'bob@test.com', { deviceId: 'phone' });
+      await tick(config.presenceTtlSeconds * 1000);
+      await alice.expectNone('presence:update');
+
+      await bobAgain.close();
+      assert.equal((await alice.next('presence:update')).online, false);
+      await alice.close();
+    });
+
+    it('lets presence lapse after the grace period if nobody reconnects', async () => {
+      const alice = await watch(first, 'alice@test.com', 'bob@test.com');
+      await connectUser(second, 'bob@test.com', { deviceId: 'phone' });
+      await alice.next('presence:update');
+
+      await second.wsServer.drain({ graceMs: 10_000, timeoutMs: 500 });
+      await tick(5_000);
+      await alice.expectNone('presence:update');
+
+      await tick(10_000);
+      assert.equal((await alice.next('presence:update')).online, false);
+      await alice.close();
+    });
+  });
+});
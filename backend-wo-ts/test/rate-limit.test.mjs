@@ -0,0 +1,182 @@
+import { afterEach, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  TestClient,
+  connectUser,
+  login,
+  memoryStore,
+  overrideConfig,
+  overridePolicy,
+  request,
+  settle,
+  silenceLogs,
+  startCluster,
+  tick,
+} from './helpers.mjs';
+import { rateLimitService } from '../src/services/rateLimit.mjs';
+
+const ADMIN = { token: 'test-admin-token' };
+
+describe('Shared rate limits', () => {
+  let cluster;
+  let node;
+
+  before(() => silenceLogs());
+
+  beforeEach(async () => {
+    cluster = await startCluster();
+    node = cluster.node;
+  });
+
+  afterEach(async () => {
+    await cluster.stop();
+  });
+
+  describe('REST policies', () => {
+    it('answers 429 with Retry-After once the bucket is empty, then refills', async (t) => {
+      overridePolicy(t, 'login', { limit: 2 });
+      await login(node, 'a@test.com');
+      await login(node, 'b@test.com');
+
+      const limited = await request(node, 'POST', '/login', { body: { email: 'c@test.com' } });
+      assert.equal(limited.status, 429);
+      assert.equal(limited.headers.get('retry-after'), '30');
+      assert.equal(limited.body.retryAfter, 30);
+
+      await tick(30_000);
+      assert.equal((await request(node, 'POST', '/login', { body: { email: 'c@test.com' } })).status, 200);
+    });
+
+    it('charges batch presence reads per email', async (t) => {
+      overridePolicy(t, 'presenceBatch', { limit: 10 });
+      const { token } = await login(node, 'viewer@test.com');
+      const emails = (n) => Array.from({ length: n }, (_, i) => `user${i}@test.com`);
+
+      const first = await request(node, 'POST', '/users/presence', { token, body: { emails: emails(8) } });
+      assert.equal(first.status, 200);
+
+      const second = await request(node, 'GET', `/users?emails=${emails(5).join(',')}`, { token });
+      assert.equal(second.status, 429);
+
+      // Paging the directory is not a batch read
+      assert.equal((await request(node, 'GET', '/users', { token })).status, 200);
+    });
+
+    it('shares one budget across servers', async (t) => {
+      overridePolicy(t, 'login', { limit: 2 });
+      const other = await cluster.addNode();
+      await login(node, 'a@test.com');
+      await login(other, 'b@test.com');
+
+      assert.equal((await request(other, 'POST', '/login', { body: { email: 'c@test.com' } })).status, 429);
+    });
+  });
+
+  describe('WebSocket and SSE', () => {
+    it('limits focus per user across servers and reports retryAfter', async (t) => {
+      overridePolicy(t, 'focus', { limit: 2 });
+      const other = await cluster.addNode();
+      const phone = await connectUser(node, 'alice@test.com', { deviceId: 'phone' });
+      const laptop = await connectUser(other, 'alice@test.com', { deviceId: 'laptop' });
+
+      phone.send({ type: 'presence:focus', emails: ['bob@test.com'] });
+      await phone.next('presence:focus:ok');
+      laptop.send({ type: 'presence:focus', emails: ['bob@test.com'] });
+      await laptop.next('presence:focus:ok');
+
+      phone.send({ type: 'presence:focus', emails: ['carol@test.com'] });
+      const error = await phone.next('error');
+      assert.equal(error.code, 'rate_limited');
+      assert.equal(error.retryAfter, 30_000);
+
+      await phone.close();
+      await laptop.close();
+    });
+
+    it('caps concurrent connections per IP across servers', async (t) => {
+      overrideConfig(t, { maxConnectionsPerIp: 2 });
+      const other = await cluster.addNode();
+      const first = await connectUser(node, 'a@test.com');
+      const second = await connectUser(other, 'b@test.com');
+
+      const third = new TestClient(node.wsUrl);
+      assert.equal((await third.closed).code, 1008);
+
+      await second.close();
+      await settle();
+      const again = await connectUser(node, 'c@test.com');
+      await again.close();
+      await first.close();
+    });
+
+    it('frees the slots of a crashed server once their lease lapses', async (t) => {
+      overrideConfig(t, { maxConnectionsPerIp: 1 });
+      const other = await cluster.addNode();
+      await connectUser(other, 'a@test.com');
+      await other.crash();
+
+      const blocked = new TestClient(node.wsUrl);
+      assert.equal((await blocked.closed).code, 1008);
+
+      await tick(rateLimitService.connectionLeaseMs());
+      const client = await connectUser(node, 'b@test.com');
+      await client.close();
+    });
+  });
+
+  describe('bans', () => {
+    it('bans repeat offenders, everywhere, until the ban lifts', async (t) => {
+      overridePolicy(t, 'login', { limit: 1 });
+      overrideConfig(t, { rateLimitBanThreshold: 3, rateLimitBanSeconds: 600 });
+      await login(node, 'a@test.com');
+
+      for (let i = 0; i < 2; i++) {
+        const res = await request(node, 'POST', '/login', { body: { email: 'a@test.com' } });
+        assert.equal(res.body.error, 'Too many requests');
+      }
+      const banned = await request(node, 'POST', '/login', { body: { email: 'a@test.com' } });
+      assert.equal(banned.status, 429);
+      assert.equal(banned.body.error, 'Temporarily banned for too many requests');
+      assert.equal(banned.headers.get('retry-after'), '600');
+
+      // The whole API and new sockets, not just the policy that tripped it
+      assert.equal((await request(node, 'GET', '/health')).status, 429);
+      const socket = new TestClient(node.wsUrl);
+      assert.equal((await socket.next('error')).code, 'rate_limited');
+      assert.equal((await socket.closed).code, 1008);
+
+      await tick(600_000);
+      assert.equal((await request(node, 'GET', '/health')).status, 200);
+    });
+
+    it('refuses WebSocket auth for a banned user', async () => {
+      const { token } = await login(node, 'spammer@test.com');
+      await rateLimitService.ban('user:spammer@test.com', 60_000, 'test');
+
+      const client = new TestClient(node.wsUrl);
+      await client.opened;
+      client.send({ type: 'auth', token, protocolVersion: 2 });
+      assert.equal((await client.next('error')).code, 'rate_limited');
+      assert.equal((await client.closed).code, 1008);
+      assert.equal(memoryStore.exists('presence:user:spammer@test.com'), 0);
+    });
+
+    it('lists, creates and lifts bans over the admin API', async () => {
+      const created = await request(node, 'POST', '/admin/bans', {
+        ...ADMIN,
+        body: { id: 'user:bob@test.com', seconds: 60, reason: 'abuse report' },
+      });
+      assert.equal(created.status, 201);
+
+      const { body } = await request(node, 'GET', '/admin/bans', ADMIN);
+      assert.deepEqual(
+        body.bans.map((ban) => [ban.id, ban.reason]),
+        [['user:bob@test.com', 'abuse report']]
+      );
+
+      assert.equal((await request(node, 'DELETE', '/admin/bans/user:bob@test.com', ADMIN)).status, 200);
+      assert.equal((await request(node, 'DELETE', '/admin/bans/user:bob@test.com', ADMIN)).status, 404);
+      assert.equal((await request(node, 'POST', '/admin/bans', { ...ADMIN, body: { id: 'bob' } })).status, 400);
+    });
+  });
+});
@@ -0,0 +1,264 @@
+import { afterEach, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  config,
+  connectUser,
+  login,
+  memoryStore,
+  overrideConfig,
+  request,
+  silenceLogs,
+  startCluster,
+  tick,
+} from './helpers.mjs';
+import { authService } from '../src/services/auth.mjs';
+
+describe('REST API', () => {
+  let cluster;
+  let node;
+
+  before(() => silenceLogs());
+
+  beforeEach(async () => {
+    cluster = await startCluster();
+    node = cluster.node;
+  });
+
+  afterEach(async () => {
+    await cluster.stop();
+  });
+
+  describe('TC1: login', () => {
+    it('registers the user and returns a session', async () => {
+      const { status, body } = await request(node, 'POST', '/login', {
+        body: { email: 'alice@test.com' },
+      });
+
+      assert.equal(status, 200);
+      assert.equal(body.ok, true);
+      assert.equal(body.email, 'alice@test.com');
+      assert.ok(body.token);
+      assert.ok(body.refreshToken);
+      assert.deepEqual(memoryStore.sMembers('users:all'), ['alice@test.com']);
+    });
+  });
+
+  describe('refresh', () => {
+    it('rotates the session and takes the old refresh token only once', async () => {
+      const { refreshToken } = await login(node, 'alice@test.com');
+
+      const first = await request(node, 'POST', '/refresh', { body: { refreshToken } });
+      assert.equal(first.status, 200);
+      assert.equal(first.body.email, 'alice@test.com');
+      assert.notEqual(first.body.refreshToken, refreshToken);
+
+      const again = await request(node, 'POST', '/refresh', { body: { refreshToken } });
+      assert.equal(again.status, 401);
+    });
+
+    it('lets only one of two concurrent refreshes through', async () => {
+      const { refreshToken } = await login(node, 'alice@test.com');
+
+      // Straight at the service: over HTTP the two rarely overlap
+      const sessions = await Promise.all([
+        authService.refreshSession(refreshToken),
+        authService.refreshSession(refreshToken),
+      ]);
+      assert.equal(sessions.filter(Boolean).length, 1);
+    });
+  });
+
+  describe('TC10: email normalization', () => {
+    it('lowercases and trims on login and on the socket', async () => {
+      const session = await login(node, '  Alice@Test.COM ');
+      assert.equal(session.email, 'alice@test.com');
+
+      const client = await connectUser(node, 'ALICE@test.com');
+      assert.equal(client.auth.email, 'alice@test.com');
+      assert.deepEqual(memoryStore.sMembers('users:all'), ['alice@test.com']);
+      await client.close();
+    });
+  });
+
+  describe('TC11: invalid email', () => {
+    for (const email of ['notanemail', 'missing@tld', '', 42]) {
+      it(`rejects ${JSON.stringify(email)}`, async () => {
+        const { status, body } = await request(node, 'POST', '/login', { body: { email } });
+        assert.equal(status, 400);
+        assert.equal(body.ok, false);
+      });
+    }
+
+    it('does not register anything', async () => {
+      await request(node, 'POST', '/login', { body: { email: 'bad' } });
+      assert.deepEqual(memoryStore.sMembers('users:all'), []);
+    });
+  });
+
+  describe('TC2: users list with online status', () => {
+    it('requires a token', async () => {
+      const { status } = await request(node, 'GET', '/users');
+      assert.equal(status, 401);
+    });
+
+    it('reports users offline until they open a socket', async () => {
+      const alice = await login(node, 'alice@test.com');
+      await login(node, 'bob@test.com');
+
+      let res = await request(node, 'GET', '/users', { token: alice.token });
+      assert.equal(res.status, 200);
+      const before = Object.fromEntries(res.body.users.map((u) => [u.email, u.online]));
+      assert.deepEqual(before, { 'alice@test.com': false, 'bob@test.com': false });
+
+      const bob = await connectUser(node, 'bob@test.com');
+
+      res = await request(node, 'GET', '/users', { token: alice.token });
+      const afterConnect = Object.fromEntries(res.body.users.map((u) => [u.email, u.online]));
+      assert.deepEqual(afterConnect, { 'alice@test.com': false, 'bob@test.com': true });
+
+      await bob.close();
+    });
+
+    it('paginates with a cursor', async () => {
+      const alice = await login(node, 'alice@test.com');
+      for (const name of ['bob', 'carol', 'dave']) await login(node, `${name}@test.com`);
+
+      const first = await request(node, 'GET', '/users?limit=2', { token: alice.token });
+      assert.deepEqual(
+        first.body.users.map((u) => u.email),
+        ['alice@test.com', 'bob@test.com']
+      );
+      assert.equal(first.body.hasMore, true);
+
+      const second = await request(
+        node,
+        'GET',
+        `/users?limit=2&cursor=${encodeURIComponent(first.body.nextCursor)}`,
+        { token: alice.token }
+      );
+      assert.deepEqual(
+        second.body.users.map((u) => u.email),
+        ['carol@test.com', 'dave@test.com']
+      );
+      assert.equal(second.body.hasMore, false);
+    });
+  });
+
+  describe('batch presence', () => {
+    it('returns presence for the requested emails only', async () => {
+      const alice = await login(node, 'alice@test.com');
+      const bob = await connectUser(node, 'bob@test.com');
+
+      const { status, body } = await request(node, 'POST', '/users/presence', {
+        token: alice.token,
+        body: { emails: ['BOB@test.com', 'nobody@test.com'] },
+      });
+
+      assert.equal(status, 200);
+      const byEmail = Object.fromEntries(body.users.map((u) => [u.email, u]));
+      assert.equal(byEmail['bob@test.com'].online, true);
+      assert.equal(byEmail['bob@test.com'].bucket, 'online_now');
+      assert.equal(byEmail['nobody@test.com'].online, false);
+
+      await bob.close();
+    });
+
+    it('labels each user relative to its last activity, in the requested locale', async () => {
+      const alice = await login(node, 'alice@test.com');
+      const carol = await connectUser(node, 'carol@test.com');
+      await carol.close();
+      await tick(3 * 60_000);
+      const bob = await connectUser(node, 'bob@test.com');
+
+      const emails = ['bob@test.com', 'carol@test.com', 'nobody@test.com'];
+      const { body } = await request(node, 'POST', '/users/presence', { token: alice.token, body: { emails } });
+      assert.deepEqual(
+        body.users.map((u) => [u.bucket, u.presenceLabel]),
+        [
+          ['online_now', 'Online'],
+          ['active_5m', 'Active 3m ago'],
+          ['unknown', 'Offline'],
+        ]
+      );
+
+      const german = await request(node, 'GET', `/users?emails=${emails.join(',')}`, {
+        token: alice.token,
+        headers: { 'Accept-Language': 'de-AT, en;q=0.5' },
+      });
+      assert.equal(german.body.users[1].presenceLabel, 'Vor 3 Min. aktiv');
+
+      await bob.close();
+    });
+  });
+
+  describe('activity buckets', () => {
+    it('serves every bucket with its threshold and labels', async () => {
+      const { status, body } = await request(node, 'GET', '/presence/buckets');
+      assert.equal(status, 200);
+      assert.equal(body.locale, 'en');
+      assert.deepEqual(body.locales, ['en', 'es', 'fr', 'de']);
+      assert.deepEqual(body.buckets.map((b) => b.id), [
+        'online_now',
+        'active_10s',
+        'active_1m',
+        'active_5m',
+        'active_15m',
+        'active_1h',
+        'active_today',
+        'inactive',
+        'unknown',
+      ]);
+
+      const fiveMinutes = body.buckets.find((b) => b.id === 'active_5m');
+      assert.equal(fiveMinutes.maxAgeMs, 300_000);
+      assert.equal(fiveMinutes.label, 'Active in the last 5m');
+      assert.equal(fiveMinutes.labels.fr, 'Actif au cours des 5 min');
+      assert.equal(body.buckets.find((b) => b.id === 'active_today').label, 'Active in the last 24h');
+      assert.equal(body.buckets[0].maxAgeMs, null);
+
+      const french = await request(node, 'GET', '/presence/buckets', {
+        headers: { 'Accept-Language': 'ja, fr-CA;q=0.8, es;q=0.5' },
+      });
+      assert.equal(french.body.locale, 'fr');
+      assert.equal((await request(node, 'GET', '/presence/buckets?locale=xx')).body.locale, 'en');
+    });
+
+    it('does not take Object.prototype keys for locales', async () => {
+      for (const locale of ['constructor', '__proto__', 'toString']) {
+        const { status, body } = await request(node, 'GET', `/presence/buckets?locale=${locale}`);
+        assert.equal(status, 200);
+        assert.equal(body.locale, 'en');
+      }
+
+      const alice = await login(node, 'alice@test.com');
+      const { status, body } = await request(node, 'POST', '/users/presence', {
+        token: alice.token,
+        body: { emails: ['bob@test.com'] },
+        headers: { 'Accept-Language': 'constructor, hasOwnProperty;q=0.9' },
+      });
+      assert.equal(status, 200);
+      assert.equal(body.users[0].presenceLabel, 'Offline');
+    });
+
+    it('buckets by the configured thresholds', async (t) => {
+      overrideConfig(t, {
+        presenceBucketThresholdsMs: { ...config.presenceBucketThresholdsMs, active_5m: 120_000 },
+      });
+      const alice = await login(node, 'alice@test.com');
+      const bob = await connectUser(node, 'bob@test.com');
+      await bob.close();
+      await tick(150_000);
+
+      const { body } = await request(node, 'POST', '/users/presence', {
+        token: alice.token,
+        body: { emails: ['bob@test.com'] },
+      });
+      assert.equal(body.users[0].bucket, 'active_15m');
+
+      const buckets = await request(node, 'GET', '/presence/buckets');
+      const fiveMinutes = buckets.body.buckets.find((b) => b.id === 'active_5m');
+      assert.equal(fiveMinutes.maxAgeMs, 120_000);
+      assert.equal(fiveMinutes.label, 'Active in the last 2m');
+    });
+  });
+});
@@ -0,0 +1,327 @@
+import { after, afterEach, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { createClient } from 'redis';
+import { MemoryClient, MemoryStore } from '../src/storage/memory.mjs';
+import {
+  ACQUIRE_LEASE_SCRIPT,
+  ACQUIRE_SLOT_SCRIPT,
+  CLAIM_DEAD_SERVER_SCRIPT,
+  CLAIM_EXPIRED_SCRIPT,
+  CLEAR_DEVICE_SCRIPT,
+  CLEAR_SERVER_DEVICES_SCRIPT,
+  ENQUEUE_DELIVERY_SCRIPT,
+  HAND_OFF_DEVICE_SCRIPT,
+  MARK_IDLE_SCRIPT,
+  REFRESH_DEVICE_SCRIPT,
+  RELEASE_LEASE_SCRIPT,
+  SET_ONLINE_SCRIPT,
+  TOKEN_BUCKET_SCRIPT,
+} from '../src/storage/scripts.mjs';
+
+// Opt-in: runs every Lua script on a real Redis and its JS twin on a MemoryStore from the same
+// state, then compares the replies and the keys left behind. Keys go under a random prefix.
+//   TEST_REDIS_URL=redis://localhost:6379 npm test
+const REDIS_URL = process.env.TEST_REDIS_URL;
+
+// Remaining TTLs are read a little apart on the two backends
+const TTL_TOLERANCE_MS = 1_000;
+
+const DEVICE_KEYS = { user: 'string', devices: 'zset', info: 'hash', shadow: 'string' };
+const DEVICE_ORDER = ['user', 'devices', 'info', 'shadow'];
+
+// One script call: keys by name, args(now) in ARGV order
+function call(script, keys, args) {
+  return { script, keys, args };
+}
+
+// A call to one of the per-device scripts, on DEVICE_KEYS
+function onDevices(script, args) {
+  return call(script, DEVICE_ORDER, args);
+}
+
+function device(serverId, now) {
+  return JSON.stringify({ serverId, platform: 'ios', connectedAt: now - 5_000 });
+}
+
+// Online with a phone on s1 (expires in 30s) and a laptop on s2 (10s), plus a lapsed tablet
+async function twoDevices(c, k, now) {
+  await c.set(k.user, 's1', { PX: 30_000 });
+  await c.set(k.shadow, 's1', { EX: 60 });
+  await c.zAdd(k.devices, [
+    { score: now + 30_000, value: 'phone' },
+    { score: now + 10_000, value: 'laptop' },
+    { score: now - 1_000, value: 'tablet' },
+  ]);
+  await c.hSet(k.info, {
+    phone: device('s1', now),
+    laptop: device('s2', now),
+    tablet: device('s1', now),
+  });
+}
+
+// Each case: the keys it touches (name -> type), the state to start from, and the script calls
+// to make in order (see call)
+const CASES = [
+  {
+    name: 'SET_ONLINE adds a device, prunes lapsed ones and stretches the presence key',
+    keys: DEVICE_KEYS,
+    setup: twoDevices,
+    calls: [
+      onDevices(SET_ONLINE_SCRIPT, (now) => ['watch', 's3', now, 45_000, device('s3', now), 60]),
+    ],
+  },
+  {
+    name: 'SET_ONLINE brings a user online from nothing',
+    keys: DEVICE_KEYS,
+    calls: [
+      onDevices(SET_ONLINE_SCRIPT, (now) => ['phone', 's1', now, 45_000, device('s1', now), 60]),
+    ],
+  },
+  {
+    name: 'REFRESH_DEVICE refreshes owned devices only, and recreates a lapsed presence key',
+    keys: DEVICE_KEYS,
+    setup: twoDevices,
+    calls: [
+      onDevices(REFRESH_DEVICE_SCRIPT, (now) => ['phone', 's2', now, 45_000, 60]),
+      onDevices(REFRESH_DEVICE_SCRIPT, (now) => ['laptop', 's2', now, 45_000, 60]),
+      // Presence key lapsed
+      call(REFRESH_DEVICE_SCRIPT, ['missing', 'devices', 'info', 'shadow'], (now) => [
+        'phone',
+        's1',
+        now,
+        45_000,
+        60,
+      ]),
+    ],
+    extraKeys: { missing: 'string' },
+  },
+  {
+    name: 'CLEAR_DEVICE removes an owned device and deletes presence with the last one',
+    keys: DEVICE_KEYS,
+    setup: twoDevices,
+    calls: [
+      onDevices(CLEAR_DEVICE_SCRIPT, (now) => ['phone', 's2', now, 0]),
+      onDevices(CLEAR_DEVICE_SCRIPT, (now) => ['phone', 's1', now, 0]),
+      onDevices(CLEAR_DEVICE_SCRIPT, (now) => ['laptop', 's2', now, 0]),
+    ],
+  },
+  {
+    name: 'HAND_OFF_DEVICE caps an owned device at now + grace',
+    keys: DEVICE_KEYS,
+    setup: twoDevices,
+    calls: [
+      onDevices(HAND_OFF_DEVICE_SCRIPT, (now) => ['laptop', 's1', now, 5_000]),
+      onDevices(HAND_OFF_DEVICE_SCRIPT, (now) => ['phone', 's1', now, 5_000]),
+      onDevices(HAND_OFF_DEVICE_SCRIPT, (now) => ['laptop', 's2', now, 20_000]),
+    ],
+  },
+  {
+    name: 'CLEAR_SERVER_DEVICES hands presence to the remaining devices, then clears it',
+    keys: DEVICE_KEYS,
+    setup: twoDevices,
+    calls: [
+      onDevices(CLEAR_SERVER_DEVICES_SCRIPT, (now) => ['s9', now]),
+      onDevices(CLEAR_SERVER_DEVICES_SCRIPT, (now) => ['s1', now]),
+      onDevices(CLEAR_SERVER_DEVICES_SCRIPT, (now) => ['s2', now]),
+    ],
+  },
+  {
+    name: 'CLAIM_EXPIRED hands the shadow to the first caller once the key is gone',
+    keys: { key: 'string', shadow: 'string', live: 'string', liveShadow: 'string' },
+    setup: async (c, k) => {
+      await c.set(k.shadow, 's1');
+      await c.set(k.live, 's1', { PX: 30_000 });
+      await c.set(k.liveShadow, 's1');
+    },
+    calls: [
+      call(CLAIM_EXPIRED_SCRIPT, ['live', 'liveShadow'], () => []),
+      call(CLAIM_EXPIRED_SCRIPT, ['key', 'shadow'], () => []),
+      call(CLAIM_EXPIRED_SCRIPT, ['key', 'shadow'], () => []),
+    ],
+  },
+  {
+    name: 'MARK_IDLE sets the idle flag once, and not for recently active users',
+    keys: {
+      user: 'string',
+      active: 'string',
+      idle: 'string',
+      other: 'string',
+      otherActive: 'string',
+      otherIdle: 'string',
+    },
+    setup: async (c, k, now) => {
+      await c.set(k.user, 's1', { PX: 30_000 });
+      await c.set(k.active, String(now - 600_000));
+      await c.set(k.other, 's1', { PX: 30_000 });
+      await c.set(k.otherActive, String(now - 1_000));
+    },
+    calls: [
+      call(MARK_IDLE_SCRIPT, ['user', 'active', 'idle'], (now) => [now - 300_000, now, 3_600]),
+      call(MARK_IDLE_SCRIPT, ['user', 'active', 'idle'], (now) => [now - 300_000, now, 3_600]),
+      call(MARK_IDLE_SCRIPT, ['other', 'otherActive', 'otherIdle'], (now) => [now - 300_000, now, 3_600]),
+      call(MARK_IDLE_SCRIPT, ['missing', 'otherActive', 'otherIdle'], (now) => [now, now, 3_600]),
+    ],
+    extraKeys: { missing: 'string' },
+  },
+  {
+    name: 'ENQUEUE_DELIVERY evicts the oldest messages beyond the cap',
+    keys: { queue: 'zset', items: 'hash' },
+    calls: [1, 2, 3, 4].map((n) =>
+      call(ENQUEUE_DELIVERY_SCRIPT, ['queue', 'items'], (now) => [
+        `msg_${n}`,
+        now + n,
+        JSON.stringify({ id: `msg_${n}`, payload: n }),
+        3,
+        600,
+      ])
+    ),
+  },
+  {
+    name: 'ACQUIRE_LEASE and RELEASE_LEASE keep the lease with one owner',
+    keys: { lease: 'string' },
+    calls: [
+      call(ACQUIRE_LEASE_SCRIPT, ['lease'], () => ['s1', 10_000]),
+      call(ACQUIRE_LEASE_SCRIPT, ['lease'], () => ['s2', 10_000]),
+      call(ACQUIRE_LEASE_SCRIPT, ['lease'], () => ['s1', 20_000]),
+      call(RELEASE_LEASE_SCRIPT, ['lease'], () => ['s2']),
+      call(RELEASE_LEASE_SCRIPT, ['lease'], () => ['s1']),
+      call(ACQUIRE_LEASE_SCRIPT, ['lease'], () => ['s2', 10_000]),
+    ],
+  },
+  {
+    name: 'TOKEN_BUCKET refills, takes tokens and reports bans',
+    keys: { ban: 'string', bucket: 'hash', otherBan: 'string' },
+    setup: async (c, k) => {
+      await c.set(k.otherBan, '1', { PX: 30_000 });
+    },
+    calls: [
+      call(TOKEN_BUCKET_SCRIPT, ['ban', 'bucket'], (now) => [4, 1_000, now - 500, 3]),
+      // 1.5 tokens: not enough
+      call(TOKEN_BUCKET_SCRIPT, ['ban', 'bucket'], (now) => [4, 1_000, now - 375, 2]),
+      call(TOKEN_BUCKET_SCRIPT, ['ban', 'bucket'], (now) => [4, 1_000, now, 1]),
+      call(TOKEN_BUCKET_SCRIPT, ['otherBan', 'bucket'], (now) => [4, 1_000, now, 1]),
+    ],
+    // The ban's remaining PTTL is read a little apart on the two backends
+    reply: (reply) => (Array.isArray(reply) && reply[3] === 1 ? [...reply.slice(0, 2), 'ttl', 1] : reply),
+  },
+  {
+    name: 'ACQUIRE_SLOT drops lapsed leases and caps the slots held',
+    keys: { slots: 'zset' },
+    setup: async (c, k, now) => {
+      await c.zAdd(k.slots, [
+        { score: now - 1_000, value: 'dead' },
+        { score: now + 60_000, value: 'a' },
+      ]);
+    },
+    calls: [
+      call(ACQUIRE_SLOT_SCRIPT, ['slots'], (now) => ['b', now, 60_000, 2]),
+      call(ACQUIRE_SLOT_SCRIPT, ['slots'], (now) => ['c', now, 60_000, 2]),
+    ],
+  },
+  {
+    name: 'CLAIM_DEAD_SERVER lets one caller remove a silent server',
+    keys: { heartbeats: 'zset', registry: 'hash' },
+    setup: async (c, k, now) => {
+      await c.zAdd(k.heartbeats, [
+        { score: now - 120_000, value: 's1' },
+        { score: now - 1_000, value: 's2' },
+      ]);
+      await c.hSet(k.registry, { s1: '{"host":"a"}', s2: '{"host":"b"}' });
+    },
+    calls: [
+      call(CLAIM_DEAD_SERVER_SCRIPT, ['heartbeats', 'registry'], (now) => ['s2', now - 60_000]),
+      call(CLAIM_DEAD_SERVER_SCRIPT, ['heartbeats', 'registry'], (now) => ['s1', now - 60_000]),
+      call(CLAIM_DEAD_SERVER_SCRIPT, ['heartbeats', 'registry'], (now) => ['s1', now - 60_000]),
+    ],
+  },
+];
+
+// JSON values compared parsed: cjson and JSON.stringify order keys differently
+function parseValue(value) {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+async function readKey(client, key, type) {
+  const ttl = await client.pTTL(key);
+  switch (type) {
+    case 'string':
+      return { value: await client.get(key), ttl };
+    case 'zset':
+      return { value: await client.zRangeWithScores(key, 0, -1), ttl };
+    case 'hash': {
+      const entries = Object.entries(await client.hGetAll(key))
+        .map(([field, v]) => [field, parseValue(v)])
+        .sort(([a], [b]) => a.localeCompare(b));
+      return { value: Object.fromEntries(entries), ttl };
+    }
+    default:
+      throw new Error(`Unknown key type ${type}`);
+  }
+}
+
+async function run(client, prefix, testCase, now) {
+  const types = { ...testCase.keys, ...testCase.extraKeys };
+  const k = Object.fromEntries(Object.keys(types).map((name) => [name, `${prefix}${name}`]));
+
+  await testCase.setup?.(client, k, now);
+
+  const replies = [];
+  for (const call of testCase.calls) {
+    const reply = await client.eval(call.script, {
+      keys: call.keys.map((name) => k[name]),
+      arguments: call.args(now).map(String),
+    });
+    replies.push(testCase.reply ? testCase.reply(reply) : reply);
+  }
+
+  const state = {};
+  for (const [name, type] of Object.entries(types)) state[name] = await readKey(client, k[name], type);
+  return { replies, state, keys: Object.values(k) };
+}
+
+describe('Lua scripts match their in-memory twins', { skip: !REDIS_URL && 'TEST_REDIS_URL not set' }, () => {
+  let redis;
+  let memory;
+  let redisKeys = [];
+
+  before(async () => {
+    redis = createClient({ url: REDIS_URL });
+    await redis.connect();
+  });
+
+  after(async () => {
+    await redis?.quit();
+  });
+
+  afterEach(async () => {
+    if (redisKeys.length > 0) await redis.del(redisKeys);
+    redisKeys = [];
+    await memory?.quit();
+  });
+
+  for (const testCase of CASES) {
+    it(testCase.name, async () => {
+      memory = new MemoryClient(new MemoryStore());
+      await memory.connect();
+
+      const prefix = `test:scripts:${crypto.randomUUID()}:`;
+      const now = Date.now();
+      const onRedis = await run(redis, prefix, testCase, now);
+      redisKeys = onRedis.keys;
+      const inMemory = await run(memory, prefix, testCase, now);
+
+      assert.deepEqual(inMemory.replies, onRedis.replies, 'replies');
+      for (const [name, { value, ttl }] of Object.entries(onRedis.state)) {
+        const local = inMemory.state[name];
+        assert.deepEqual(local.value, value, `${name} value`);
+        if (ttl < 0 || local.ttl < 0) assert.equal(local.ttl, ttl, `${name} ttl`);
+        else assert.ok(Math.abs(local.ttl - ttl) <= TTL_TOLERANCE_MS, `${name} ttl: ${local.ttl} vs ${ttl}`);
+      }
+    });
+  }
+});
@@ -0,0 +1,234 @@
+import { afterEach, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  TestEventStream,
+  config,
+  connectUser,
+  login,
+  memoryStore,
+  openStream,
+  overrideConfig,
+  overridePolicy,
+  settle,
+  silenceLogs,
+  startCluster,
+  tick,
+} from './helpers.mjs';
+
+describe('SSE presence stream', () => {
+  let cluster;
+  let node;
+  let token;
+
+  before(() => silenceLogs());
+
+  beforeEach(async () => {
+    cluster = await startCluster();
+    node = cluster.node;
+    ({ token } = await login(node, 'dash@test.com'));
+  });
+
+  afterEach(async () => {
+    await cluster.stop();
+  });
+
+  describe('auth and validation', () => {
+    it('requires a session token', async () => {
+      const stream = await openStream(node, ['bob@test.com']);
+      assert.equal(stream.status, 401);
+    });
+
+    it('accepts the token as ?access_token= (EventSource)', async () => {
+      const stream = await TestEventStream.open(
+        node,
+        `/presence/stream?emails=bob@test.com&access_token=${token}`
+      );
+      assert.equal(stream.status, 200);
+      await stream.next('presence:snapshot');
+      await stream.close();
+    });
+
+    it('rejects a request without valid emails', async () => {
+      const stream = await openStream(node, ['nope'], { token });
+      assert.equal(stream.status, 400);
+    });
+  });
+
+  describe('snapshot and updates', () => {
+    it('sends a snapshot, then routed flips with event ids', async () => {
+      const stream = await openStream(node, ['bob@test.com'], { token });
+      const snapshot = await stream.next('presence:snapshot');
+      assert.deepEqual(
+        snapshot.statuses.map((s) => [s.email, s.online]),
+        [['bob@test.com', false]]
+      );
+      assert.match(snapshot.id, /^\d+-\d+$/);
+
+      const bob = await connectUser(node, 'bob@test.com');
+      const update = await stream.next('presence:update');
+      assert.equal(update.email, 'bob@test.com');
+      assert.equal(update.online, true);
+      assert.equal(update.id, update.eventId);
+
+      await bob.close();
+      assert.equal((await stream.next('presence:update')).online, false);
+      await stream.close();
+    });
+
+    it('receives flips published by another server', async () => {
+      const other = await cluster.addNode();
+      const stream = await openStream(node, ['bob@test.com'], { token });
+      await stream.next('presence:snapshot');
+
+      const bob = await connectUser(other, 'bob@test.com');
+      assert.equal((await stream.next('presence:update')).online, true);
+      await bob.close();
+      await stream.close();
+    });
+
+    it('sends keepalive comments', async () => {
+      const stream = await openStream(node, ['bob@test.com'], { token });
+      await stream.next('presence:snapshot');
+
+      await tick(config.sseKeepaliveMs);
+      assert.ok(stream.comments >= 1);
+      await stream.close();
+    });
+
+    it('unregisters its watchers when the stream closes', async () => {
+      const stream = await openStream(node, ['bob@test.com'], { token });
+      await stream.next('presence:snapshot');
+      assert.deepEqual(memoryStore.sMembers('presence:watchers:bob@test.com'), [node.serverId]);
+
+      await stream.close();
+      await settle();
+      assert.deepEqual(memoryStore.sMembers('presence:watchers:bob@test.com'), []);
+      assert.equal(node.wsServer.sseClients.size, 0);
+    });
+  });
+
+  describe('Last-Event-ID resume', () => {
+    it('replays the events missed while disconnected', async () => {
+      const first = await openStream(node, ['bob@test.com', 'carol@test.com'], { token });
+      const { id: lastEventId } = await first.next('presence:snapshot');
+      await first.close();
+
+      const bob = await connectUser(node, 'bob@test.com');
+      const eve = await connectUser(node, 'eve@test.com'); // not watched
+      await bob.close();
+      await settle();
+
+      const resumed = await openStream(node, ['bob@test.com', 'carol@test.com'], { token, lastEventId });
+      const online = await resumed.next('presence:update');
+      const offline = await resumed.next('presence:update');
+      assert.deepEqual([online.email, online.online], ['bob@test.com', true]);
+      assert.deepEqual([offline.email, offline.online], ['bob@test.com', false]);
+      await resumed.expectNone('presence:snapshot');
+      await resumed.expectNone('presence:update');
+
+      await resumed.close();
+      await eve.close();
+    });
+
+    it('falls back to a snapshot when too much was missed', async (t) => {
+      overrideConfig(t, { sseResumeMaxEvents: 1 });
+
+      const first = await openStream(node, ['bob@test.com'], { token });
+      const { id: lastEventId } = await first.next('presence:snapshot');
+      await first.close();
+
+      const bob = await connectUser(node, 'bob@test.com');
+      await bob.close();
+      await settle();
+
+      const resumed = await openStream(node, ['bob@test.com'], { token, lastEventId });
+      const snapshot = await resumed.next('presence:snapshot');
+      assert.equal(snapshot.statuses[0].online, false);
+      await resumed.close();
+    });
+  });
+
+  describe('limits', () => {
+    it('caps focused emails like a socket', async (t) => {
+      overrideConfig(t, { maxFocusPerClient: 2 });
+      const stream = await openStream(node, ['a@test.com', 'b@test.com', 'c@test.com'], { token });
+      const snapshot = await stream.next('presence:snapshot');
+      assert.deepEqual(
+        snapshot.statuses.map((s) => s.email),
+        ['a@test.com', 'b@test.com']
+      );
+      await stream.close();
+    });
+
+    it('shares the focus rate limit across a user\'s streams', async (t) => {
+      overridePolicy(t, 'focus', { limit: 1 });
+      const first = await openStream(node, ['bob@test.com'], { token });
+      await first.next('presence:snapshot');
+
+      const second = await openStream(node, ['bob@test.com'], { token });
+      assert.equal(second.status, 429);
+      await first.close();
+    });
+
+    it('counts toward the per-IP connection limit', async (t) => {
+      overrideConfig(t, { maxConnectionsPerIp: 1 });
+      const stream = await openStream(node, ['bob@test.com'], { token });
+      await stream.next('presence:snapshot');
+
+      const rejected = await openStream(node, ['carol@test.com'], { token });
+      assert.equal(rejected.status, 429);
+
+      await stream.close();
+      await settle();
+      const again = await openStream(node, ['carol@test.com'], { token });
+      assert.equal(again.status, 200);
+      await again.close();
+    });
+
+    it('lets go of a stream whose client hangs up during admission', async (t) => {
+      overrideConfig(t, { maxConnectionsPerIp: 1 });
+      let admitted;
+      let resume;
+      const gate = new Promise((resolve) => (resume = resolve));
+      const admit = node.wsServer.admitConnection;
+      t.mock.method(node.wsServer, 'admitConnection', async function (conn) {
+        const result = await admit.call(this, conn);
+        admitted();
+        await gate;
+        return result;
+      });
+
+      const controller = new AbortController();
+      const inAdmission = new Promise((resolve) => (admitted = resolve));
+      const pending = fetch(`${node.baseUrl}/presence/stream?emails=bob@test.com`, {
+        headers: { Authorization: `Bearer ${token}` },
+        signal: controller.signal,
+      }).catch(() => null);
+      await inAdmission;
+      controller.abort();
+      await pending;
+      await settle();
+
+      resume();
+      await settle();
+      assert.equal(node.wsServer.sseClients.size, 0);
+      assert.equal(node.wsServer.focusedBySocket.size, 0);
+      assert.deepEqual(memoryStore.sMembers('presence:watchers:bob@test.com'), []);
+
+      // Its connection slot is free again
+      t.mock.restoreAll();
+      const again = await openStream(node, ['carol@test.com'], { token });
+      assert.equal(again.status, 200);
+      await again.close();
+    });
+  });
+
+  it('ends streams with server:draining on shutdown', async () => {
+    const stream = await openStream(node, ['bob@test.com'], { token });
+    await stream.next('presence:snapshot');
+
+    await node.wsServer.drain();
+    assert.equal((await stream.next('server:draining')).serverId, node.serverId);
+    await stream.closed;
+  });
+});
@@ -0,0 +1,245 @@
+import { afterEach, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import {
+  connectUser,
+  overrideConfig,
+  request,
+  settle,
+  silenceLogs,
+  startCluster,
+  tick,
+} from './helpers.mjs';
+import { WebhookDispatcher, verifyWebhookSignature } from '../src/services/webhooks.mjs';
+
+const ADMIN = { token: 'test-admin-token' };
+
+/**
+ * Local webhook receiver: records every delivery and answers with `status` (changeable mid-test).
+ */
+async function startReceiver() {
+  const receiver = { deliveries: [], status: 200 };
+  const server = createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      receiver.deliveries.push({ headers: req.headers, body, event: JSON.parse(body) });
+      res.writeHead(receiver.status).end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  receiver.url = `http://127.0.0.1:${server.address().port}/hook`;
+  receiver.stop = () => new Promise((resolve) => server.close(resolve));
+  return receiver;
+}
+
+describe('Presence event log & webhooks', () => {
+  let cluster;
+  let node;
+  let receiver;
+  let dispatcher;
+
+  before(() => silenceLogs());
+
+  beforeEach(async () => {
+    cluster = await startCluster();
+    node = cluster.node;
+    receiver = await startReceiver();
+    // Driven by hand with poll(); start() would race the fake clock
+    dispatcher = new WebhookDispatcher({ serverId: node.serverId });
+  });
+
+  afterEach(async () => {
+    await dispatcher.stop();
+    await receiver.stop();
+    await cluster.stop();
+  });
+
+  async function subscribe(body = {}) {
+    const res = await request(node, 'POST', '/admin/webhooks', {
+      ...ADMIN,
+      body: { url: receiver.url, ...body },
+    });
+    assert.equal(res.status, 201);
+    return res.body.subscription;
+  }
+
+  describe('admin auth', () => {
+    it('rejects a missing or wrong admin token', async () => {
+      assert.equal((await request(node, 'GET', '/admin/webhooks')).status, 401);
+      assert.equal((await request(node, 'GET', '/admin/webhooks', { token: 'nope' })).status, 401);
+
+      const { session } = await connectUser(node, 'alice@test.com');
+      assert.equal((await request(node, 'GET', '/admin/webhooks', { token: session.token })).status, 401);
+    });
+
+    it('is disabled without ADMIN_API_TOKEN', async (t) => {
+      overrideConfig(t, { adminApiToken: '' });
+      const { status } = await request(node, 'GET', '/admin/webhooks', ADMIN);
+      assert.equal(status, 503);
+    });
+  });
+
+  describe('event log', () => {
+    it('records flips even when nobody is watching', async () => {
+      const alice = await connectUser(node, 'alice@test.com');
+      alice.send({ type: 'status:set', status: 'busy', message: 'Heads down' });
+      await alice.next('status:set:ok');
+      await alice.close();
+      await settle();
+
+      const { status, body } = await request(node, 'GET', '/admin/presence/events', ADMIN);
+      assert.equal(status, 200);
+      assert.deepEqual(
+        body.events.map((e) => [e.type, e.email, e.online]),
+        [
+          ['presence.online', 'alice@test.com', true],
+          ['presence.status', 'alice@test.com', true],
+          ['presence.offline', 'alice@test.com', false],
+        ]
+      );
+      assert.equal(body.events[1].status, 'busy');
+      assert.equal(body.next, body.events[2].id);
+
+      const page = await request(node, 'GET', `/admin/presence/events?after=${body.events[0].id}&limit=1`, ADMIN);
+      assert.deepEqual(page.body.events.map((e) => e.type), ['presence.status']);
+    });
+
+    it('does not log flips of invisible users', async () => {
+      const alice = await connectUser(node, 'alice@test.com');
+      alice.send({ type: 'status:set', status: 'invisible' });
+      await alice.next('status:set:ok');
+      await alice.close();
+      await settle();
+
+      const { body } = await request(node, 'GET', '/admin/presence/events', ADMIN);
+      assert.deepEqual(body.events.map((e) => e.type), ['presence.online', 'presence.status']);
+      assert.equal(body.events[1].online, false);
+    });
+  });
+
+  describe('subscriptions', () => {
+    it('creates, lists (without secrets), updates and deletes', async () => {
+      const sub = await subscribe({ events: ['presence.online'] });
+      assert.match(sub.secret, /^whsec_/);
+
+      const list = await request(node, 'GET', '/admin/webhooks', ADMIN);
+      assert.equal(list.body.subscriptions.length, 1);
+      assert.equal(list.body.subscriptions[0].secret, undefined);
+
+      const patched = await request(node, 'PATCH', `/admin/webhooks/${sub.id}`, {
+        ...ADMIN,
+        body: { active: false },
+      });
+      assert.equal(patched.body.subscription.active, false);
+
+      assert.equal((await request(node, 'DELETE', `/admin/webhooks/${sub.id}`, ADMIN)).status, 200);
+      assert.equal((await request(node, 'GET', `/admin/webhooks/${sub.id}`, ADMIN)).status, 404);
+    });
+
+    it('validates the url and event types', async () => {
+      const badUrl = await request(node, 'POST', '/admin/webhooks', { ...ADMIN, body: { url: 'ftp://x' } });
+      assert.equal(badUrl.status, 400);
+
+      const badEvents = await request(node, 'POST', '/admin/webhooks', {
+        ...ADMIN,
+        body: { url: receiver.url, events: ['presence.typing'] },
+      });
+      assert.equal(badEvents.status, 400);
+    });
+  });
+
+  describe('delivery', () => {
+    it('POSTs signed events once per matching subscription', async () => {
+      const sub = await subscribe({ events: ['presence.online'] });
+
+      const alice = await connectUser(node, 'alice@test.com');
+      await alice.close();
+      await settle();
+
+      const stats = await dispatcher.poll();
+      assert.deepEqual(stats, { delivered: 1, retried: 0, dead: 0 });
+      assert.equal(receiver.deliveries.length, 1);
+
+      const [{ headers, body, event }] = receiver.deliveries;
+      assert.equal(event.type, 'presence.online');
+      assert.equal(event.email, 'alice@test.com');
+      assert.equal(headers['x-presence-event'], 'presence.online');
+      assert.ok(headers['x-presence-delivery']);
+      assert.ok(
+        verifyWebhookSignature(sub.secret, headers['x-presence-timestamp'], body, headers['x-presence-signature'])
+      );
+      assert.ok(!verifyWebhookSignature('whsec_other', headers['x-presence-timestamp'], body, headers['x-presence-signature']));
+
+      // Cursor moved on: nothing is delivered twice
+      assert.deepEqual(await dispatcher.poll(), { delivered: 0, retried: 0, dead: 0 });
+      assert.equal(receiver.deliveries.length, 1);
+    });
+
+    it('does not backfill events from before the subscription', async () => {
+      const alice = await connectUser(node, 'alice@test.com');
+      await alice.close();
+      await settle();
+
+      await tick(1);
+      await subscribe();
+      await dispatcher.poll();
+      assert.equal(receiver.deliveries.length, 0);
+    });
+
+    it('retries with backoff, then dead-letters, and can be replayed', async (t) => {
+      overrideConfig(t, { webhookMaxAttempts: 3, webhookBackoffBaseMs: 1000 });
+      receiver.status = 500;
+      await subscribe();
+
+      const alice = await connectUser(node, 'alice@test.com');
+      await settle();
+
+      assert.deepEqual(await dispatcher.poll(), { delivered: 0, retried: 1, dead: 0 });
+      // Not due yet
+      assert.deepEqual(await dispatcher.poll(), { delivered: 0, retried: 0, dead: 0 });
+
+      await tick(1000);
+      assert.deepEqual(await dispatcher.poll(), { delivered: 0, retried: 1, dead: 0 });
+      await tick(1000);
+      assert.deepEqual(await dispatcher.poll(), { delivered: 0, retried: 0, dead: 0 });
+      await tick(1000);
+      assert.deepEqual(await dispatcher.poll(), { delivered: 0, retried: 0, dead: 1 });
+      assert.equal(receiver.deliveries.length, 3);
+
+      const dead = await request(node, 'GET', '/admin/webhooks/dead-letters', ADMIN);
+      assert.equal(dead.body.deadLetters.length, 1);
+      const [job] = dead.body.deadLetters;
+      assert.equal(job.attempts, 3);
+      assert.equal(job.lastError, 'HTTP 500');
+      assert.equal(job.event.type, 'presence.online');
+
+      receiver.status = 204;
+      const retry = await request(node, 'POST', `/admin/webhooks/dead-letters/${job.id}/retry`, ADMIN);
+      assert.equal(retry.status, 200);
+      assert.deepEqual(await dispatcher.poll(), { delivered: 1, retried: 0, dead: 0 });
+
+      const after = await request(node, 'GET', '/admin/webhooks/dead-letters', ADMIN);
+      assert.deepEqual(after.body.deadLetters, []);
+      await alice.close();
+    });
+
+    it('runs one active dispatcher per cluster', async () => {
+      await subscribe();
+      const other = new WebhookDispatcher({ serverId: 'server-2' });
+
+      const alice = await connectUser(node, 'alice@test.com');
+      await settle();
+
+      assert.ok(await dispatcher.poll());
+      assert.equal(await other.poll(), null);
+      assert.equal(receiver.deliveries.length, 1);
+
+      // Lease released on stop: the other server takes over
+      await dispatcher.stop();
+      assert.ok(await other.poll());
+      await alice.close();
+    });
+  });
+});
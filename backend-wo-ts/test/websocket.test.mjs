@@ -0,0 +1,371 @@
+import { afterEach, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  TestClient,
+  config,
+  connectUser,
+  login,
+  memoryStore,
+  overrideConfig,
+  overridePolicy,
+  settle,
+  silenceLogs,
+  startCluster,
+  tick,
+  watch,
+} from './helpers.mjs';
+import { PROTOCOL_VERSION } from '../src/ws/protocol.mjs';
+
+describe('WebSocket presence', () => {
+  let cluster;
+  let node;
+
+  before(() => silenceLogs());
+
+  beforeEach(async () => {
+    cluster = await startCluster();
+    node = cluster.node;
+  });
+
+  afterEach(async () => {
+    await cluster.stop();
+  });
+
+  describe('TC3: authentication', () => {
+    it('accepts a session token and marks the user online', async () => {
+      const alice = await connectUser(node, 'alice@test.com', { deviceId: 'phone' });
+
+      assert.equal(alice.auth.email, 'alice@test.com');
+      assert.equal(alice.auth.deviceId, 'phone');
+      assert.equal(alice.auth.heartbeatMs, config.heartbeatIntervalMs);
+      assert.equal(alice.auth.ttlSeconds, config.presenceTtlSeconds);
+      assert.equal(memoryStore.get('presence:user:alice@test.com'), node.serverId);
+
+      await alice.close();
+    });
+
+    it('rejects an invalid token', async () => {
+      const client = new TestClient(node.wsUrl);
+      await client.opened;
+      client.send({ type: 'auth', token: 'not-a-token', protocolVersion: 2 });
+
+      const error = await client.next('error');
+      assert.equal(error.code, 'auth_failed');
+      assert.equal(memoryStore.exists('presence:user:alice@test.com'), 0);
+      await client.close();
+    });
+
+    it('drops the old identity when a socket re-authenticates as someone else', async () => {
+      const socket = await watch(node, 'alice@test.com', 'bob@test.com', { deviceId: 'kiosk' });
+      assert.deepEqual(memoryStore.sMembers('presence:watchers:bob@test.com'), [node.serverId]);
+
+      const carol = await login(node, 'carol@test.com');
+      socket.send({ type: 'auth', token: carol.token, protocolVersion: PROTOCOL_VERSION, deviceId: 'kiosk' });
+      assert.equal((await socket.next('auth:ok')).email, 'carol@test.com');
+
+      assert.equal(memoryStore.exists('presence:user:alice@test.com'), 0);
+      assert.equal(memoryStore.get('presence:user:carol@test.com'), node.serverId);
+      assert.deepEqual(memoryStore.sMembers('presence:watchers:bob@test.com'), []);
+      assert.equal(node.wsServer.clients.has('alice@test.com'), false);
+
+      const bob = await connectUser(node, 'bob@test.com');
+      await settle();
+      await socket.expectNone('presence:update');
+
+      await bob.close();
+      await socket.close();
+    });
+
+    it('requires auth before focus', async () => {
+      const client = new TestClient(node.wsUrl);
+      await client.opened;
+      client.send({ type: 'presence:focus', emails: ['bob@test.com'] });
+
+      const error = await client.next('error');
+      assert.equal(error.code, 'unauthenticated');
+      await client.close();
+    });
+
+    it('closes clients speaking an unsupported protocol version', async () => {
+      const session = await login(node, 'alice@test.com');
+      const client = new TestClient(node.wsUrl);
+      await client.opened;
+      client.send({ type: 'auth', token: session.token, protocolVersion: 99 });
+
+      const error = await client.next('error');
+      assert.equal(error.code, 'unsupported_protocol');
+      assert.deepEqual(error.supported, { min: 1, max: 3 });
+      assert.equal((await client.closed).code, 4001);
+    });
+
+    it('rejects frames that do not match the schema', async () => {
+      const alice = await connectUser(node, 'alice@test.com');
+
+      alice.send('{not json');
+      assert.equal((await alice.next('error')).code, 'invalid_json');
+
+      alice.send({ type: 'presence:focus', emails: 'bob@test.com' });
+      assert.equal((await alice.next('error')).code, 'invalid_message');
+
+      alice.send({ type: 'teleport' });
+      assert.equal((await alice.next('error')).code, 'unknown_type');
+
+      await alice.close();
+    });
+  });
+
+  describe('TC4: heartbeat and TTL refresh', () => {
+    it('answers application pings', async () => {
+      const alice = await connectUser(node, 'alice@test.com');
+      alice.send({ type: 'ping' });
+      await alice.next('pong');
+      await alice.close();
+    });
+
+    it('keeps a user with focused targets online past the TTL', async () => {
+      const alice = await connectUser(node, 'alice@test.com');
+      alice.send({ type: 'presence:focus', emails: ['bob@test.com'] });
+      await alice.next('presence:focus:ok');
+
+      const key = 'presence:user:alice@test.com';
+      for (let i = 0; i < 8; i++) {
+        await tick(config.heartbeatIntervalMs);
+        assert.ok(memoryStore.pTTL(key) > 0, `online after ${(i + 1) * 15}s`);
+      }
+      // 120s elapsed, TTL is 45s: only heartbeat refreshes can explain this
+      assert.ok(memoryStore.pTTL(key) > config.heartbeatIntervalMs);
+
+      await alice.close();
+    });
+  });
+
+  describe('TC5: online broadcast', () => {
+    it('notifies focused watchers when a user comes online', async () => {
+      const alice = await connectUser(node, 'alice@test.com');
+      alice.send({ type: 'presence:focus', emails: ['bob@test.com'] });
+      const snapshot = await alice.next('presence:focus:ok');
+      assert.deepEqual(
+        snapshot.statuses.map((s) => [s.email, s.online]),
+        [['bob@test.com', false]]
+      );
+
+      const bob = await connectUser(node, 'bob@test.com');
+      const update = await alice.next('presence:update');
+      assert.equal(update.email, 'bob@test.com');
+      assert.equal(update.online, true);
+
+      await bob.close();
+      await alice.close();
+    });
+
+    it('does not notify sockets that did not focus the user', async () => {
+      const alice = await connectUser(node, 'alice@test.com');
+      const bob = await connectUser(node, 'bob@test.com');
+      await alice.expectNone('presence:update');
+      await bob.close();
+      await alice.close();
+    });
+
+    it('stops notifying after blur', async () => {
+      const alice = await connectUser(node, 'alice@test.com');
+      alice.send({ type: 'presence:focus', emails: ['bob@test.com'] });
+      await alice.next('presence:focus:ok');
+      alice.send({ type: 'presence:blur', emails: ['bob@test.com'] });
+      await alice.next('presence:blur:ok');
+
+      const bob = await connectUser(node, 'bob@test.com');
+      await alice.expectNone('presence:update');
+      await bob.close();
+      await alice.close();
+    });
+
+    it('keeps legacy subscribe/unsubscribe working', async () => {
+      const alice = await connectUser(node, 'alice@test.com', { protocolVersion: undefined });
+      alice.send({ type: 'subscribe', emails: ['bob@test.com'] });
+      await alice.next('subscribe:ok');
+
+      const bob = await connectUser(node, 'bob@test.com');
+      assert.equal((await alice.next('presence:update')).online, true);
+
+      alice.send({ type: 'unsubscribe', emails: ['bob@test.com'] });
+      await alice.next('unsubscribe:ok');
+      await bob.close();
+      await alice.close();
+    });
+  });
+
+  describe('TC7/TC8: clean disconnect and reconnect', () => {
+    it('publishes offline on close and online again on reconnect', async () => {
+      const alice = await connectUser(node, 'alice@test.com');
+      alice.send({ type: 'presence:focus', emails: ['bob@test.com'] });
+      await alice.next('presence:focus:ok');
+
+      const bob = await connectUser(node, 'bob@test.com');
+      assert.equal((await alice.next('presence:update')).online, true);
+
+      await bob.close();
+      assert.equal((await alice.next('presence:update')).online, false);
+      assert.equal(memoryStore.exists('presence:user:bob@test.com'), 0);
+      assert.ok(memoryStore.get('presence:lastseen:bob@test.com'));
+
+      const bobAgain = await connectUser(node, 'bob@test.com');
+      assert.equal((await alice.next('presence:update')).online, true);
+      assert.equal(memoryStore.exists('presence:user:bob@test.com'), 1);
+
+      await bobAgain.close();
+      await alice.close();
+    });
+
+    it('stays online while another device is connected', async () => {
+      const alice = await connectUser(node, 'alice@test.com');
+      alice.send({ type: 'presence:focus', emails: ['bob@test.com'] });
+      await alice.next('presence:focus:ok');
+
+      const phone = await connectUser(node, 'bob@test.com', { deviceId: 'phone' });
+      const laptop = await connectUser(node, 'bob@test.com', { deviceId: 'laptop' });
+      await alice.next('presence:update');
+
+      await phone.close();
+      await alice.expectNone('presence:update');
+      assert.equal(memoryStore.exists('presence:user:bob@test.com'), 1);
+
+      await laptop.close();
+      assert.equal((await alice.next('presence:update')).online, false);
+      await alice.close();
+    });
+  });
+
+  describe('presence versions', () => {
+    it('bumps the version with every flip and reports it in snapshots', async () => {
+      const alice = await connectUser(node, 'alice@test.com');
+      alice.send({ type: 'presence:focus', emails: ['bob@test.com'] });
+      assert.equal((await alice.next('presence:focus:ok')).statuses[0].version, 0);
+
+      const bob = await connectUser(node, 'bob@test.com');
+      const online = await alice.next('presence:update');
+      assert.equal(online.version, 1);
+      assert.equal(online.bucket, 'online_now');
+
+      await bob.close();
+      assert.equal((await alice.next('presence:update')).version, 2);
+
+      const carol = await connectUser(node, 'carol@test.com');
+      carol.send({ type: 'presence:focus', emails: ['bob@test.com'] });
+      assert.equal((await carol.next('presence:focus:ok')).statuses[0].version, 2);
+      await carol.close();
+      await alice.close();
+    });
+
+    it('drops flips older than the last one routed', async () => {
+      const alice = await connectUser(node, 'alice@test.com');
+      alice.send({ type: 'presence:focus', emails: ['bob@test.com'] });
+      await alice.next('presence:focus:ok');
+
+      node.wsServer.onPresenceFlip({ email: 'bob@test.com', online: true, version: 5 });
+      node.wsServer.onPresenceFlip({ email: 'bob@test.com', online: false, version: 4 });
+      node.wsServer.onPresenceFlip({ email: 'bob@test.com', online: true, version: 5 });
+
+      assert.equal((await alice.next('presence:update')).version, 5);
+      await alice.expectNone('presence:update');
+      await alice.close();
+    });
+
+    it('resumes focus with only the emails that changed', async () => {
+      const bob = await connectUser(node, 'bob@test.com');
+      const alice = await connectUser(node, 'alice@test.com');
+      alice.send({ type: 'presence:focus', emails: ['bob@test.com', 'carol@test.com'] });
+      const before = await alice.next('presence:focus:ok');
+      const versions = Object.fromEntries(before.statuses.map((s) => [s.email, s.version]));
+      await alice.close();
+
+      await bob.close();
+      await settle();
+
+      const again = await connectUser(node, 'alice@test.com');
+      again.send({ type: 'presence:focus', emails: ['bob@test.com', 'carol@test.com'], versions });
+      const ack = await again.next('presence:focus:ok');
+      assert.deepEqual(
+        ack.statuses.map((s) => [s.email, s.online, s.version]),
+        [['bob@test.com', false, 2]]
+      );
+      assert.deepEqual(ack.unchanged, ['carol@test.com']);
+      await again.close();
+    });
+
+    it('rejects malformed versions', async () => {
+      const alice = await connectUser(node, 'alice@test.com');
+      alice.send({ type: 'presence:focus', emails: ['bob@test.com'], versions: { 'bob@test.com': 'x' } });
+      assert.equal((await alice.next('error')).code, 'invalid_message');
+      await alice.close();
+    });
+  });
+
+  describe('status', () => {
+    it('rounds a fractional expiry up to whole milliseconds', async () => {
+      const alice = await connectUser(node, 'alice@test.com');
+
+      alice.send({ type: 'status:set', status: 'busy', expiresInSeconds: 1.5005 });
+      const { status } = await alice.next('status:set:ok');
+      assert.equal(status.expiresAt, Date.now() + 1501);
+      assert.equal(memoryStore.pTTL('presence:status:alice@test.com'), 1501);
+
+      alice.send({ type: 'status:set', status: 'away', expiresAt: Date.now() + 2000.25 });
+      assert.equal((await alice.next('status:set:ok')).status.expiresAt, Date.now() + 2001);
+
+      await alice.close();
+    });
+  });
+
+  describe('activity', () => {
+    it('caps the ttl at the kind\'s and rejects unknown kinds', async () => {
+      const alice = await connectUser(node, 'alice@test.com');
+
+      alice.send({ type: 'activity', kind: 'typing', ttlMs: 60_000 });
+      const ok = await alice.next('activity:ok');
+      assert.equal(ok.expiresAt, Date.now() + config.activityTtlMsByKind.typing);
+
+      for (const kind of ['dancing', 'constructor', '__proto__']) {
+        alice.send({ type: 'activity', kind });
+        assert.equal((await alice.next('error')).code, 'invalid_message', kind);
+      }
+      await alice.expectNone('activity:ok');
+
+      await alice.close();
+    });
+  });
+
+  describe('rate limits', () => {
+    it('limits focus calls per user', async (t) => {
+      overridePolicy(t, 'focus', { limit: 2 });
+      const alice = await connectUser(node, 'alice@test.com');
+
+      for (let i = 0; i < 2; i++) {
+        alice.send({ type: 'presence:focus', emails: [`user${i}@test.com`] });
+        await alice.next('presence:focus:ok');
+      }
+      alice.send({ type: 'presence:focus', emails: ['user9@test.com'] });
+      assert.equal((await alice.next('error')).code, 'rate_limited');
+
+      // The window resets after a minute
+      await tick(60_001);
+      alice.send({ type: 'presence:focus', emails: ['user9@test.com'] });
+      await alice.next('presence:focus:ok');
+      await alice.close();
+    });
+
+    it('limits connections per IP', async (t) => {
+      overrideConfig(t, { maxConnectionsPerIp: 2 });
+      const first = new TestClient(node.wsUrl);
+      const second = new TestClient(node.wsUrl);
+      await Promise.all([first.opened, second.opened]);
+
+      const third = new TestClient(node.wsUrl);
+      const { code } = await third.closed;
+      assert.equal(code, 1008);
+
+      await first.close();
+      await second.close();
+      await settle();
+    });
+  });
+});
@@ -18,4 +18,9 @@ export const config = {
   apiBaseUrl: `http://${HOST}:${PORT}`,
   wsBaseUrl: `ws://${HOST}:${PORT}`,
   heartbeatIntervalMs: 15000, // Will be overridden by server
+  activityPingIntervalMs: 30000, // at most one activity:ping per interval (the server throttles too)
+  // Reconnect backoff until the server's policy (auth:ok) is known
+  reconnect: { baseDelayMs: 1000, maxDelayMs: 30000 },
+  // Language of server-rendered presence labels ("Active 3m ago")
+  locale: Intl.DateTimeFormat().resolvedOptions().locale,
 };
@@ -16,38 +16,46 @@ import { PresenceSocket } from '../services/presenceSocket';
 
 type User = api.User;
 
-// Helpers: label from bucket
-function bucketToLabel(bucket?: string | null) {
-  if (!bucket) return null;
-
-  // Normalize common buckets
-  switch (bucket) {
-    case 'active_now':
-      return 'ACTIVE NOW';
-    case 'active_5m':
-      return 'ACTIVE 5M';
-    case 'active_15m':
-      return 'ACTIVE 15M';
-    case 'active_1h':
-      return 'ACTIVE 1H';
-    case 'active_24h':
-      return 'ACTIVE TODAY';
-    case 'inactive':
-      return null;
+// Bucket id -> label, from GET /presence/buckets (in config.locale)
+type BucketLabels = Record<string, string>;
+
+// "Active 3m ago" ages between flips: re-read the labels of focused offline users this often
+const LABEL_REFRESH_MS = 60_000;
+
+// Offline label: the server's relative label ("Active 3m ago"), else the label of the bucket
+// a live update put the user in (until its presenceLabel has been re-read)
+function activityLabel(u: any, bucketLabels: BucketLabels) {
+  if (u?.presenceLabel && u?.lastActiveAt) return u.presenceLabel;
+  if (!u?.bucket || u.bucket === 'inactive' || u.bucket === 'unknown') return null;
+  return bucketLabels[u.bucket] ?? null;
+}
+
+function statusToLabel(status?: string | null) {
+  switch (status) {
+    case 'away':
+      return 'AWAY';
+    case 'busy':
+      return 'BUSY';
+    case 'dnd':
+      return 'DO NOT DISTURB';
     default:
-      return String(bucket).replaceAll('_', ' ').toUpperCase();
+      return 'ONLINE';
   }
 }
 
 // IMPORTANT: online overrides bucket always
-function getPresenceDisplay(u: any): { label: string; badge: any } {
+function getPresenceDisplay(u: any, bucketLabels: BucketLabels): { label: string; badge: any } {
   const online = u?.online;
 
   if (online === true) {
-    return { label: 'ONLINE', badge: styles.statusOnline };
+    // An explicit status wins over idle
+    if (u?.idle === true && (!u?.status || u.status === 'available')) {
+      return { label: 'IDLE', badge: styles.statusActive };
+    }
+    return { label: statusToLabel(u?.status), badge: styles.statusOnline };
   }
 
-  const activeLabel = bucketToLabel(u?.bucket);
+  const activeLabel = activityLabel(u, bucketLabels);
   if (activeLabel) {
     return { label: activeLabel, badge: styles.statusActive };
   }
@@ -67,8 +75,10 @@ export default function Home() {
   const [loading, setLoading] = useState(false);
   const [loadingMore, setLoadingMore] = useState(false);
   const [hasMore, setHasMore] = useState(false);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
   const [error, setError] = useState<string | null>(null);
   const [connected, setConnected] = useState(false);
+  const [bucketLabels, setBucketLabels] = useState<BucketLabels>({});
 
   const socketRef = useRef<PresenceSocket | null>(null);
 
@@ -80,12 +90,17 @@ export default function Home() {
   // Tune these
   const FOCUS_BUFFER_COUNT = 30;
   const MAX_FOCUS_PER_CLIENT = 100;
-  const PULL_REFRESH_MS = 10_000;
 
   useEffect(() => {
     usersRef.current = Array.isArray(users) ? users : [];
   }, [users]);
 
+  useEffect(() => {
+    api.getPresenceBuckets().then((buckets) => {
+      setBucketLabels(Object.fromEntries(buckets.map((b) => [b.id, b.label])));
+    });
+  }, []);
+
   useEffect(() => {
     currentUserRef.current = currentUser ?? null;
   }, [currentUser]);
@@ -114,9 +129,13 @@ export default function Home() {
         const merged: any = { ...existing };
 
         if ('online' in inc) merged.online = inc.online;
+        if ('idle' in inc) merged.idle = inc.idle;
         if ('bucket' in inc) merged.bucket = inc.bucket;
+        if ('presenceLabel' in inc) merged.presenceLabel = inc.presenceLabel;
         if ('lastActiveAt' in inc) merged.lastActiveAt = inc.lastActiveAt;
         if ('lastSeen' in inc) merged.lastSeen = inc.lastSeen;
+        if ('status' in inc) merged.status = inc.status;
+        if ('statusMessage' in inc) merged.statusMessage = inc.statusMessage;
 
         map.set(inc.email, merged);
       }
@@ -125,6 +144,48 @@ export default function Home() {
     });
   }, []);
 
+  // Labels are rendered by the server (GET/POST presence reads); re-read them in one batch
+  const pendingLabelsRef = useRef<Set<string>>(new Set());
+  const labelTimerRef = useRef<ReturnType<typeof setTimeout> | null>(null);
+
+  const refreshLabels = useCallback(
+    (emails: string[]) => {
+      for (const e of emails) pendingLabelsRef.current.add(e);
+      if (labelTimerRef.current || pendingLabelsRef.current.size === 0) return;
+
+      labelTimerRef.current = setTimeout(async () => {
+        labelTimerRef.current = null;
+        const batch = Array.from(pendingLabelsRef.current);
+        pendingLabelsRef.current = new Set();
+        try {
+          const fresh = await api.getPresenceBatch(batch);
+          // Only the label: online state and versions come from the socket
+          mergeUsers((fresh ?? []).map((u: any) => ({ email: u.email, presenceLabel: u.presenceLabel })));
+        } catch (err) {
+          console.error('Label refresh error:', err);
+        }
+      }, 250);
+    },
+    [mergeUsers]
+  );
+
+  useEffect(() => {
+    if (!loggedIn) return;
+    const id = setInterval(() => {
+      const offline = usersRef.current
+        .filter((u: any) => focusSetRef.current.has(u.email) && u.online === false && u.lastActiveAt)
+        .map((u) => u.email);
+      refreshLabels(offline);
+    }, LABEL_REFRESH_MS);
+    return () => clearInterval(id);
+  }, [loggedIn, refreshLabels]);
+
+  useEffect(() => {
+    return () => {
+      if (labelTimerRef.current) clearTimeout(labelTimerRef.current);
+    };
+  }, []);
+
   const applyFocusDelta = useCallback((nextEmails: string[]) => {
     const socket = socketRef.current;
     if (!socket) return;
@@ -144,11 +205,21 @@ export default function Home() {
     if (toBlur.length) socket.blur(toBlur);
   }, []);
 
-  const connectWebSocket = (userEmail: string) => {
+  const connectWebSocket = (token: string) => {
     const socket = new PresenceSocket({
-      onPresenceUpdate: (changedEmail: string, online: boolean) => {
-        // WS pushes only online/offline
-        mergeUsers([{ email: changedEmail, online }]);
+      onPresenceUpdate: (changedEmail: string, online: boolean, details?: any) => {
+        // WS pushes online/offline + explicit status and activity bucket (versioned, in order:
+        // no polling needed, the socket resumes with what changed after a reconnect)
+        const update: any = { email: changedEmail, online };
+        if (details && 'idle' in details) update.idle = details.idle;
+        if (details && 'status' in details) update.status = details.status;
+        if (details && 'statusMessage' in details) update.statusMessage = details.statusMessage;
+        if (details?.bucket != null) update.bucket = details.bucket;
+        if (details && 'lastActiveAt' in details) update.lastActiveAt = details.lastActiveAt;
+        // Flips carry no presenceLabel: drop the stale one (the bucket label stands in) and re-read it
+        update.presenceLabel = details?.presenceLabel ?? null;
+        mergeUsers([update]);
+        if (!online && update.presenceLabel === null) refreshLabels([changedEmail]);
       },
 
       onAuthSuccess: () => {
@@ -171,7 +242,7 @@ export default function Home() {
       },
     });
 
-    socket.connect(userEmail);
+    socket.connect(token);
     socketRef.current = socket;
   };
 
@@ -204,8 +275,9 @@ export default function Home() {
 
       setUsers(userList);
       setHasMore(Boolean(usersResponse?.hasMore));
+      setNextCursor(usersResponse?.nextCursor ?? null);
 
-      connectWebSocket(normalizedEmail);
+      connectWebSocket(response.token!);
     } catch (err) {
       console.error('Login error:', err);
       setError('An error occurred during login');
@@ -216,12 +288,11 @@ export default function Home() {
 
   const loadMoreUsers = async () => {
     const safeUsers = Array.isArray(users) ? users : [];
-    if (loadingMore || !hasMore || safeUsers.length === 0) return;
+    if (loadingMore || !hasMore || !nextCursor || safeUsers.length === 0) return;
 
     setLoadingMore(true);
     try {
-      const lastUser = safeUsers[safeUsers.length - 1];
-      const response = await api.getUsers(lastUser.email, 50);
+      const response = await api.getUsers(nextCursor, 50);
 
       const nextUsers = Array.isArray(response?.users) ? response.users : [];
       if (nextUsers.length > 0) {
@@ -229,10 +300,9 @@ export default function Home() {
           const p = Array.isArray(prev) ? prev : [];
           return [...p, ...nextUsers];
         });
-        setHasMore(Boolean(response?.hasMore));
-      } else {
-        setHasMore(false);
       }
+      setHasMore(Boolean(response?.hasMore));
+      setNextCursor(response?.nextCursor ?? null);
     } catch (err) {
       console.error('Load more error:', err);
     } finally {
@@ -250,12 +320,15 @@ export default function Home() {
       socketRef.current = null;
     }
 
+    api.logout();
+
     setLoggedIn(false);
     setCurrentUser(null);
     setUsers([]);
     setConnected(false);
     setEmail('');
     setHasMore(false);
+    setNextCursor(null);
   };
 
   // Viewability-driven focus window (visible + buffer)
@@ -285,50 +358,14 @@ export default function Home() {
     applyFocusDelta(combined);
   }).current;
 
-  // 10s pull refresh for focused window (TTL expiry becomes visible here)
-  useEffect(() => {
-    let timer: any = null;
-    let cancelled = false;
-
-    const tick = async () => {
-      const getPresenceBatch = (api as any).getPresenceBatch;
-      if (typeof getPresenceBatch !== 'function') return;
-
-      const emails = Array.from(focusSetRef.current);
-      if (emails.length === 0) return;
-
-      try {
-        const result = await getPresenceBatch(emails);
-        if (cancelled) return;
-
-        // Your backend returns: { users: [...] } OR just [...]
-        const arr = Array.isArray(result) ? result : Array.isArray(result?.users) ? result.users : [];
-        if (arr.length === 0) return;
-
-        mergeUsers(arr);
-      } catch {
-        // best effort
-      }
-    };
-
-    if (loggedIn) {
-      tick();
-      timer = setInterval(tick, PULL_REFRESH_MS);
-    }
-
-    return () => {
-      cancelled = true;
-      if (timer) clearInterval(timer);
-    };
-  }, [loggedIn, mergeUsers]);
-
   const renderUserItem = ({ item }: { item: any }) => {
-    const { label, badge } = getPresenceDisplay(item);
+    const { label, badge } = getPresenceDisplay(item, bucketLabels);
 
     return (
       <View style={styles.userItem}>
         <View style={styles.userInfo}>
           <Text style={styles.userEmail}>{item?.email}</Text>
+          {item?.statusMessage ? <Text style={styles.statusMessage}>{item.statusMessage}</Text> : null}
 
           {/* Optional debug line: comment out when done */}
           {/* <Text style={styles.debugText}>{`online=${String(item?.online)} bucket=${String(item?.bucket)}`}</Text> */}
@@ -375,7 +412,8 @@ export default function Home() {
   const safeUsers = Array.isArray(users) ? users : [];
 
   return (
-    <SafeAreaView style={styles.container}>
+    // Any touch counts as activity (the socket throttles the pings)
+    <SafeAreaView style={styles.container} onTouchStart={() => socketRef.current?.reportActivity()}>
       <StatusBar barStyle="dark-content" />
       <View style={styles.header}>
         <View>
@@ -402,6 +440,7 @@ export default function Home() {
         data={safeUsers.filter((u: any) => u?.email && u.email !== currentUser)}
         renderItem={renderUserItem}
         keyExtractor={(item: any) => item.email}
+        extraData={bucketLabels} // rows read it outside `data`
         contentContainerStyle={styles.listContainer}
         onEndReached={loadMoreUsers}
         onEndReachedThreshold={0.5}
@@ -429,7 +468,7 @@ export default function Home() {
       />
 
       <View style={styles.footer}>
-        <Text style={styles.footerText}>{safeUsers.length} users loaded • Focus + 10s pull refresh</Text>
+        <Text style={styles.footerText}>{safeUsers.length} users loaded • Live via focus</Text>
       </View>
     </SafeAreaView>
   );
@@ -504,6 +543,7 @@ const styles = StyleSheet.create({
   },
   userInfo: { flex: 1 },
   userEmail: { fontSize: 16, fontWeight: '500', color: '#333' },
+  statusMessage: { marginTop: 4, fontSize: 13, color: '#666' },
 
   // debugText: { marginTop: 4, fontSize: 11, color: '#777' },
 
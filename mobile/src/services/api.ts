@@ -1,14 +1,30 @@
 import { config } from '../config';
+import { PresenceBucket } from './protocol';
 
 export interface User {
   email: string;
   online: boolean;
+  idle?: boolean | null;
   lastSeen?: number | null;
+  lastActiveAt?: number | null;
+  bucket?: PresenceBucket;
+  presenceLabel?: string | null; // "Active 3m ago", in config.locale
+}
+
+export interface BucketDefinition {
+  id: PresenceBucket;
+  maxAgeMs: number | null;
+  label: string;
+  labels: Record<string, string>;
 }
 
 export interface LoginResponse {
   ok: boolean;
   email?: string;
+  token?: string;
+  expiresAt?: number;
+  refreshToken?: string;
+  refreshExpiresAt?: number;
   error?: string;
 }
 
@@ -18,6 +34,42 @@ export interface UsersResponse {
   nextCursor?: string | null;
 }
 
+// Current session (set by login/refresh, cleared by logout)
+let accessToken: string | null = null;
+let refreshToken: string | null = null;
+
+function setSession(data: LoginResponse) {
+  accessToken = data.token ?? null;
+  refreshToken = data.refreshToken ?? null;
+}
+
+export function getAccessToken(): string | null {
+  return accessToken;
+}
+
+/**
+ * fetch() with the session token attached.
+ * On 401, refreshes the session once and retries.
+ */
+async function authFetch(url: string, init: RequestInit = {}): Promise<Response> {
+  const withAuth = (): RequestInit => ({
+    ...init,
+    headers: {
+      'Accept-Language': config.locale,
+      ...(init.headers as Record<string, string>),
+      ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {}),
+    },
+  });
+
+  const response = await fetch(url, withAuth());
+  if (response.status !== 401 || !refreshToken) return response;
+
+  const refreshed = await refreshSession();
+  if (!refreshed.ok) return response;
+
+  return fetch(url, withAuth());
+}
+
 /**
  * Login with email
  */
@@ -32,6 +84,7 @@ export async function login(email: string): Promise<LoginResponse> {
     });
 
     const data = await response.json();
+    if (data?.ok) setSession(data);
     return data;
   } catch (error) {
     console.error('Login error:', error);
@@ -42,24 +95,88 @@ export async function login(email: string): Promise<LoginResponse> {
   }
 }
 
+/**
+ * Exchange the refresh token for a new session (the old refresh token is revoked)
+ */
+export async function refreshSession(): Promise<LoginResponse> {
+  if (!refreshToken) return { ok: false, error: 'Not logged in' };
+
+  try {
+    const response = await fetch(`${config.apiBaseUrl}/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken }),
+    });
+
+    const data = await response.json();
+    if (data?.ok) setSession(data);
+    else setSession({ ok: false });
+    return data;
+  } catch (error) {
+    console.error('Refresh error:', error);
+    return { ok: false, error: 'Network error' };
+  }
+}
+
+/**
+ * Revoke the current session on the server and forget it locally
+ */
+export async function logout(): Promise<void> {
+  try {
+    if (accessToken) {
+      await fetch(`${config.apiBaseUrl}/logout`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${accessToken}`,
+        },
+        body: JSON.stringify({ refreshToken }),
+      });
+    }
+  } catch (error) {
+    console.error('Logout error:', error);
+  } finally {
+    setSession({ ok: false });
+  }
+}
+
+/**
+ * Activity bucket definitions with labels in config.locale (no session needed; cache them)
+ */
+export async function getPresenceBuckets(): Promise<BucketDefinition[]> {
+  try {
+    const response = await fetch(`${config.apiBaseUrl}/presence/buckets`, {
+      headers: { 'Accept-Language': config.locale },
+    });
+    const data = await response.json();
+    return Array.isArray(data?.buckets) ? data.buckets : [];
+  } catch (error) {
+    console.error('Get presence buckets error:', error);
+    return [];
+  }
+}
+
 /**
  * Get users with pagination - SCALABLE.
  * Use this for discovery/browsing users.
  *
- * @param cursor - Email to start after (for pagination)
+ * @param cursor - nextCursor from the previous page
  * @param limit - Max users to return (default 50, max 100)
+ * @param search - Optional substring filter for directory search
  */
 export async function getUsers(
-  cursor?: string,
-  limit: number = 50
+  cursor?: string | null,
+  limit: number = 50,
+  search?: string
 ): Promise<UsersResponse> {
   try {
     const params = new URLSearchParams();
     if (cursor) params.append('cursor', cursor);
     params.append('limit', String(limit));
+    if (search) params.append('search', search);
 
     const url = `${config.apiBaseUrl}/users?${params.toString()}`;
-    const response = await fetch(url);
+    const response = await authFetch(url);
     const data = await response.json();
     return data;
   } catch (error) {
@@ -72,7 +189,7 @@ export async function getUsers(
 }
 
 export async function getPresenceBatch(emails: string[]) {
-  const res = await fetch(`${config.apiBaseUrl}/users/presence`, {
+  const res = await authFetch(`${config.apiBaseUrl}/users/presence`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({ emails }),
@@ -97,7 +214,7 @@ export async function getUsersPresence(emails: string[]): Promise<UsersResponse>
 
     // Use POST for large lists to avoid URL length limits
     if (emails.length > 20) {
-      const response = await fetch(`${config.apiBaseUrl}/users/presence`, {
+      const response = await authFetch(`${config.apiBaseUrl}/users/presence`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -113,7 +230,7 @@ export async function getUsersPresence(emails: string[]): Promise<UsersResponse>
     params.append('emails', emails.join(','));
 
     const url = `${config.apiBaseUrl}/users?${params.toString()}`;
-    const response = await fetch(url);
+    const response = await authFetch(url);
     const data = await response.json();
     return data;
   } catch (error) {
@@ -130,14 +247,13 @@ export async function getUsersPresence(emails: string[]): Promise<UsersResponse>
  */
 export async function loadMoreUsers(
   currentUsers: User[],
+  cursor: string | null,
   limit: number = 50
-): Promise<{ users: User[]; hasMore: boolean }> {
-  const lastUser = currentUsers[currentUsers.length - 1];
-  const cursor = lastUser?.email;
-
+): Promise<{ users: User[]; hasMore: boolean; nextCursor: string | null }> {
   const response = await getUsers(cursor, limit);
   return {
     users: [...currentUsers, ...response.users],
     hasMore: response.hasMore || false,
+    nextCursor: response.nextCursor ?? null,
   };
 }
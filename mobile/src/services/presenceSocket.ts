@@ -1,64 +1,139 @@
+import { AppState, AppStateStatus, NativeEventSubscription, Platform } from 'react-native';
 import { config } from '../config';
+import { getAccessToken } from './api';
+import {
+  ActivityKind,
+  ActivityPingState,
+  ClientMessage,
+  CLOSE_CODES,
+  Delivery,
+  ERROR_CODES,
+  PROTOCOL_VERSION,
+  ReconnectPolicy,
+  ServerError,
+  UserStatus,
+} from './protocol';
+
+export type { ActivityKind, Delivery, UserStatus } from './protocol';
 
 interface PresenceStatus {
   email: string;
   online: boolean;
+  idle?: boolean | null;
+  status?: UserStatus | null;
+  statusMessage?: string | null;
+  statusExpiresAt?: number | null;
+  lastActiveAt?: number | null;
+  bucket?: string | null;
+  presenceLabel?: string | null; // snapshots only; flips carry bucket and lastActiveAt
+  version?: number | null;
+}
+
+export interface ActivitySignal {
+  email: string;
+  kind: ActivityKind;
+  context: string | null;
+  active: boolean;
+  expiresAt: number;
 }
 
 interface PresenceSocketCallbacks {
-  onPresenceUpdate?: (email: string, online: boolean) => void;
+  onActivity?: (signal: ActivitySignal) => void;
+  onDelivery?: (delivery: Delivery) => void;
+  onPresenceUpdate?: (email: string, online: boolean, details?: PresenceStatus) => void;
   onAuthSuccess?: (email: string, heartbeatMs: number, ttlSeconds: number) => void;
   onSubscribeSuccess?: (statuses: PresenceStatus[]) => void;
-  onError?: (error: string) => void;
+  onFocusSuccess?: (statuses: PresenceStatus[]) => void;
+  onError?: (error: string, code?: string) => void;
   onConnectionChange?: (connected: boolean) => void;
 }
 
+// Delivery ids remembered to drop redeliveries (a message is resent until our ack lands)
+const MAX_SEEN_DELIVERIES = 200;
+
+// SERVER_BUSY closes say how long to stay away: "retry_after=<ms>"
+function retryAfterFromClose(event: { code?: number; reason?: string }): number {
+  if (event.code !== CLOSE_CODES.SERVER_BUSY) return 0;
+  const match = /retry_after=(\d+)/.exec(event.reason ?? '');
+  return match ? Number(match[1]) : 0;
+}
+
+// One id per app launch; lets the server count this device once across reconnects.
+const DEVICE_ID = `${Platform.OS}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
 export class PresenceSocket {
   private ws: WebSocket | null = null;
-  private email: string | null = null;
+  private token: string | null = null;
   private heartbeatIntervalId: number | null = null;
   private heartbeatMs: number = config.heartbeatIntervalMs;
   private callbacks: PresenceSocketCallbacks;
+
+  // Reconnect with exponential backoff and full jitter (never giving up in the foreground), so a
+  // restarted server isn't hit by every client at once
   private reconnectAttempts: number = 0;
-  private maxReconnectAttempts: number = 5;
+  private reconnectPolicy: ReconnectPolicy = config.reconnect;
+  private reconnectTimerId: number | null = null;
+  private reconnectWhenActive: boolean = false; // dropped in the background: retry on foreground
+  private stopped: boolean = false; // disconnect() or an unsupported app build: no reconnects
 
   // Track subscribed users for resubscription on reconnect
   private subscribedUsers: Set<string> = new Set();
 
+  // Last presence version applied per user: drops out-of-order updates, resumes on reconnect
+  private versions: Map<string, number> = new Map();
+
   // Queue subscriptions if not yet authenticated
   private pendingSubscriptions: string[] = [];
   private isAuthenticated: boolean = false;
 
+  // Activity pings (drive lastActiveAt and idle on the server)
+  private lastActivityPingAt: number = 0;
+  private appStateSubscription: NativeEventSubscription | null = null;
+
+  // Recently handled delivery ids, oldest first
+  private seenDeliveries: Set<string> = new Set();
+
   constructor(callbacks: PresenceSocketCallbacks) {
     this.callbacks = callbacks;
   }
 
   /**
-   * Connect to WebSocket server and authenticate
+   * Connect to WebSocket server and authenticate with the session token from /login
    */
-  connect(email: string) {
+  connect(token: string) {
     if (this.ws) {
       console.log('Already connected, disconnecting first');
       this.disconnect();
     }
 
-    this.email = email;
+    this.token = token;
+    this.stopped = false;
+    this.clearReconnectTimer();
     const wsUrl = `${config.wsBaseUrl}/ws`;
 
+    if (!this.appStateSubscription) {
+      this.appStateSubscription = AppState.addEventListener('change', this.handleAppStateChange);
+    }
+
     console.log(`Connecting to WebSocket: ${wsUrl}`);
 
     try {
-      this.ws = new WebSocket(wsUrl);
+      const socket = new WebSocket(wsUrl);
+      this.ws = socket;
 
       this.ws.onopen = () => {
         console.log('WebSocket connected');
-        this.reconnectAttempts = 0;
+        // Backoff resets on auth:ok, not here: a busy server closes right after the handshake
         this.callbacks.onConnectionChange?.(true);
 
-        // Send auth message
+        // Send auth message (identity comes from the token)
         this.send({
           type: 'auth',
-          email: this.email,
+          token: this.token!,
+          protocolVersion: PROTOCOL_VERSION,
+          deviceId: DEVICE_ID,
+          platform: Platform.OS,
+          locale: config.locale,
         });
       };
 
@@ -76,25 +151,28 @@ export class PresenceSocket {
         this.callbacks.onError?.('WebSocket error');
       };
 
-      this.ws.onclose = () => {
+      this.ws.onclose = (event) => {
+        // A socket we already replaced or closed on purpose
+        if (this.ws !== socket) return;
+        this.ws = null;
+
         console.log('WebSocket closed');
+        this.isAuthenticated = false;
         this.callbacks.onConnectionChange?.(false);
         this.stopHeartbeat();
 
-        // Attempt to reconnect
-        if (this.reconnectAttempts < this.maxReconnectAttempts) {
-          this.reconnectAttempts++;
-          console.log(`Reconnecting... (attempt ${this.reconnectAttempts})`);
-          setTimeout(() => {
-            if (this.email) {
-              this.connect(this.email);
-            }
-          }, 2000);
+        // Retrying won't help an app build the server no longer speaks
+        if (event.code === CLOSE_CODES.UNSUPPORTED_PROTOCOL) {
+          this.stopped = true;
         }
+
+        this.scheduleReconnect(retryAfterFromClose(event));
       };
     } catch (error) {
       console.error('Error creating WebSocket:', error);
       this.callbacks.onError?.('Failed to create WebSocket connection');
+      this.ws = null;
+      this.scheduleReconnect();
     }
   }
 
@@ -104,15 +182,58 @@ export class PresenceSocket {
   disconnect() {
     console.log('Disconnecting WebSocket');
     this.stopHeartbeat();
-    this.reconnectAttempts = this.maxReconnectAttempts; // Prevent auto-reconnect
+    this.stopped = true; // Prevent auto-reconnect
+    this.clearReconnectTimer();
+    this.reconnectWhenActive = false;
     this.isAuthenticated = false;
 
+    this.appStateSubscription?.remove();
+    this.appStateSubscription = null;
+
     if (this.ws) {
-      this.ws.close();
+      const socket = this.ws;
       this.ws = null;
+      socket.close();
     }
 
-    this.email = null;
+    this.token = null;
+  }
+
+  /**
+   * Reconnect after a random delay in [0, min(maxDelayMs, baseDelayMs * 2^attempt)), and no
+   * sooner than minDelayMs (a busy server's retry_after). In the background it waits for the
+   * app to return to the foreground instead.
+   */
+  private scheduleReconnect(minDelayMs: number = 0) {
+    if (this.stopped || this.reconnectTimerId !== null) return;
+
+    if (AppState.currentState !== 'active') {
+      console.log('Connection lost in the background, reconnecting on foreground');
+      this.reconnectWhenActive = true;
+      return;
+    }
+
+    const { baseDelayMs, maxDelayMs } = this.reconnectPolicy;
+    const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** Math.min(this.reconnectAttempts, 20));
+    const delay = Math.max(minDelayMs, Math.random() * ceiling);
+    this.reconnectAttempts++;
+
+    console.log(`Reconnecting in ${Math.round(delay)}ms (attempt ${this.reconnectAttempts})`);
+    this.reconnectTimerId = setTimeout(() => {
+      this.reconnectTimerId = null;
+      // Prefer the latest token in case the session was refreshed meanwhile
+      const token = getAccessToken() ?? this.token;
+      if (token) {
+        this.connect(token);
+      }
+    }, delay) as unknown as number;
+  }
+
+  private clearReconnectTimer() {
+    if (this.reconnectTimerId !== null) {
+      clearTimeout(this.reconnectTimerId);
+      this.reconnectTimerId = null;
+    }
   }
 
   /**
@@ -135,7 +256,7 @@ export class PresenceSocket {
     }
 
     this.send({
-      type: 'subscribe',
+      type: 'presence:focus',
       emails: newEmails,
     });
 
@@ -155,14 +276,88 @@ export class PresenceSocket {
 
     if (this.isConnected()) {
       this.send({
-        type: 'unsubscribe',
+        type: 'presence:blur',
         emails: toRemove,
       });
     }
 
-    toRemove.forEach((e) => this.subscribedUsers.delete(e.toLowerCase()));
+    toRemove.forEach((e) => {
+      this.subscribedUsers.delete(e.toLowerCase());
+      this.versions.delete(e.toLowerCase());
+    });
+  }
+
+  /**
+   * Realtime window: focus the users currently on screen (alias of subscribeToUsers)
+   */
+  focus(emails: string[]) {
+    this.subscribeToUsers(emails);
+  }
+
+  /**
+   * Drop users that scrolled off screen (alias of unsubscribeFromUsers)
+   */
+  blur(emails: string[]) {
+    this.unsubscribeFromUsers(emails);
+  }
+
+  /**
+   * Set an explicit status (with optional text and auto-clear time).
+   * "invisible" makes you show as offline to everyone else.
+   */
+  setStatus(status: UserStatus, message?: string, expiresInSeconds?: number) {
+    this.send({
+      type: 'status:set',
+      status,
+      message,
+      expiresInSeconds,
+    });
+  }
+
+  /**
+   * Send an ephemeral activity signal (e.g. typing in a conversation).
+   * The server caps the TTL per kind; send active=false to clear it early.
+   */
+  sendActivity(kind: ActivityKind, context?: string, active: boolean = true) {
+    this.send({
+      type: 'activity',
+      kind,
+      context,
+      active,
+    });
+  }
+
+  /**
+   * Report user interaction (touches, scrolling, typing). Sends activity:ping at most once per
+   * config.activityPingIntervalMs; the server marks you idle after a while without one.
+   */
+  reportActivity() {
+    if (Date.now() - this.lastActivityPingAt < config.activityPingIntervalMs) return;
+    this.sendActivityPing('active');
+  }
+
+  private sendActivityPing(state: ActivityPingState) {
+    if (!this.isAuthenticated || !this.isConnected()) return;
+
+    // Back in the foreground must never wait for the throttle
+    this.lastActivityPingAt = state === 'active' ? Date.now() : 0;
+    this.send({ type: 'activity:ping', state });
   }
 
+  private handleAppStateChange = (next: AppStateStatus) => {
+    if (next === 'active') {
+      if (this.reconnectWhenActive) {
+        // Back in the foreground: start over from the shortest delay
+        this.reconnectWhenActive = false;
+        this.reconnectAttempts = 0;
+        this.scheduleReconnect();
+      }
+      this.sendActivityPing('active');
+    } else if (next === 'background') {
+      this.sendActivityPing('background');
+    }
+  };
+
   /**
    * Get list of currently subscribed users
    */
@@ -176,18 +371,19 @@ export class PresenceSocket {
   clearSubscriptions() {
     if (this.subscribedUsers.size > 0 && this.isConnected()) {
       this.send({
-        type: 'unsubscribe',
+        type: 'presence:blur',
         emails: Array.from(this.subscribedUsers),
       });
     }
     this.subscribedUsers.clear();
+    this.versions.clear();
     this.pendingSubscriptions = [];
   }
 
   /**
    * Send a message to the server
    */
-  private send(message: any) {
+  private send(message: ClientMessage) {
     if (this.ws && this.ws.readyState === WebSocket.OPEN) {
       this.ws.send(JSON.stringify(message));
     } else {
@@ -206,10 +402,12 @@ export class PresenceSocket {
         this.handleAuthSuccess(message);
         break;
 
+      case 'presence:focus:ok':
       case 'subscribe:ok':
         this.handleSubscribeSuccess(message);
         break;
 
+      case 'presence:blur:ok':
       case 'unsubscribe:ok':
         // Unsubscription confirmed
         break;
@@ -218,13 +416,48 @@ export class PresenceSocket {
         this.handlePresenceUpdate(message);
         break;
 
+      case 'presence:updates':
+        // Several flips in one frame, each shaped like a presence:update
+        for (const update of message.updates ?? []) this.handlePresenceUpdate(update);
+        break;
+
+      case 'status:set:ok':
+        // Status stored
+        break;
+
+      case 'activity:update':
+        this.callbacks.onActivity?.(message as ActivitySignal);
+        break;
+
+      case 'activity:ok':
+        // Activity fanned out
+        break;
+
+      case 'activity:ping:ok':
+        // Active time recorded
+        break;
+
+      case 'delivery':
+        this.handleDelivery(message as Delivery);
+        break;
+
+      case 'delivery:ack:ok':
+        // Removed from the server-side queue
+        break;
+
       case 'pong':
         // Heartbeat acknowledged
         break;
 
+      case 'server:draining':
+        // Server is shutting down; it closes the socket and we reconnect (to another node)
+        // through the normal onclose path. Don't let a deploy eat our retry budget.
+        console.log('Server draining, will reconnect');
+        this.reconnectAttempts = 0;
+        break;
+
       case 'error':
-        console.error('Server error:', message.message);
-        this.callbacks.onError?.(message.message);
+        this.handleServerError(message as ServerError);
         break;
 
       default:
@@ -236,21 +469,34 @@ export class PresenceSocket {
    * Handle successful authentication
    */
   private handleAuthSuccess(message: any) {
-    const { email, heartbeatMs, ttlSeconds } = message;
+    const { email, heartbeatMs, ttlSeconds, reconnect } = message;
     console.log(`Authenticated as ${email}, heartbeat: ${heartbeatMs}ms, TTL: ${ttlSeconds}s`);
 
     this.heartbeatMs = heartbeatMs;
     this.isAuthenticated = true;
+    this.reconnectAttempts = 0;
+    if (reconnect) this.reconnectPolicy = reconnect;
     this.startHeartbeat();
 
     this.callbacks.onAuthSuccess?.(email, heartbeatMs, ttlSeconds);
 
-    // Resubscribe to previously subscribed users on reconnect
+    // Opt this socket into idle tracking (the server never idles sockets that don't ping)
+    this.sendActivityPing(AppState.currentState === 'active' ? 'active' : 'background');
+
+    // Resubscribe to previously subscribed users on reconnect. With the versions we have, the
+    // server only sends the statuses that changed while we were away.
     if (this.subscribedUsers.size > 0) {
       console.log(`Resubscribing to ${this.subscribedUsers.size} users after reconnect`);
+      const emails = Array.from(this.subscribedUsers);
+      const versions: Record<string, number> = {};
+      for (const email of emails) {
+        const version = this.versions.get(email);
+        if (version !== undefined) versions[email] = version;
+      }
       this.send({
-        type: 'subscribe',
-        emails: Array.from(this.subscribedUsers),
+        type: 'presence:focus',
+        emails,
+        versions,
       });
     }
 
@@ -267,30 +513,95 @@ export class PresenceSocket {
    * Handle subscription success - receives initial presence status
    */
   private handleSubscribeSuccess(message: any) {
-    const { statuses } = message;
-    console.log(`Subscription confirmed, received ${statuses?.length || 0} statuses`);
+    const { statuses, unchanged } = message;
+    console.log(
+      `Subscription confirmed, received ${statuses?.length || 0} statuses` +
+        (unchanged?.length ? ` (${unchanged.length} unchanged)` : '')
+    );
 
-    // Notify callback with the statuses
-    if (this.callbacks.onSubscribeSuccess) {
-      this.callbacks.onSubscribeSuccess(statuses || []);
+    if (statuses && Array.isArray(statuses)) {
+      for (const status of statuses) this.recordVersion(status);
     }
 
+    // Notify callback with the statuses
+    this.callbacks.onSubscribeSuccess?.(statuses || []);
+    this.callbacks.onFocusSuccess?.(statuses || []);
+
     // Also trigger individual presence updates for each status
     if (statuses && Array.isArray(statuses)) {
-      for (const { email, online } of statuses) {
-        this.callbacks.onPresenceUpdate?.(email, online);
+      for (const status of statuses) {
+        this.callbacks.onPresenceUpdate?.(status.email, status.online, status);
       }
     }
   }
 
+  /**
+   * Handle a structured server error ({ code, message })
+   */
+  private handleServerError(error: ServerError) {
+    console.error(`Server error [${error.code}]:`, error.message);
+
+    if (error.code === ERROR_CODES.UNSUPPORTED_PROTOCOL) {
+      // The server closes the socket (4001); the app needs an update, not a retry
+      this.stopped = true;
+      this.callbacks.onError?.('This app version is no longer supported. Please update.', error.code);
+      return;
+    }
+
+    if (error.code === ERROR_CODES.SERVER_BUSY) {
+      // The server closes the socket (4003) and we come back after its retry_after
+      return;
+    }
+
+    this.callbacks.onError?.(error.message, error.code);
+  }
+
+  /**
+   * Handle a message from POST /deliver: hand it to the app once, and always ack it so the
+   * server stops resending it.
+   */
+  private handleDelivery(delivery: Delivery) {
+    if (!this.seenDeliveries.has(delivery.id)) {
+      this.seenDeliveries.add(delivery.id);
+      if (this.seenDeliveries.size > MAX_SEEN_DELIVERIES) {
+        const oldest = this.seenDeliveries.values().next().value;
+        if (oldest !== undefined) this.seenDeliveries.delete(oldest);
+      }
+      this.callbacks.onDelivery?.(delivery);
+    }
+
+    this.send({ type: 'delivery:ack', ids: [delivery.id] });
+  }
+
   /**
    * Handle presence update
    */
   private handlePresenceUpdate(message: any) {
     const { email, online } = message;
+
+    // Pub/sub can deliver flips out of order: never apply an older state over a newer one
+    if (!this.recordVersion(message)) {
+      console.log(`Dropping stale presence update for ${email} (v${message.version})`);
+      return;
+    }
+
     console.log(`Presence update: ${email} -> ${online ? 'ONLINE' : 'OFFLINE'}`);
 
-    this.callbacks.onPresenceUpdate?.(email, online);
+    this.callbacks.onPresenceUpdate?.(email, online, message);
+  }
+
+  /**
+   * Remember a status's version. Returns false if it is older than what we already applied.
+   */
+  private recordVersion(status: PresenceStatus): boolean {
+    if (status.version == null) return true;
+
+    const email = status.email.toLowerCase();
+    const known = this.versions.get(email);
+    if (known !== undefined && status.version < known) return false;
+
+    this.versions.set(email, status.version);
+    return true;
   }
 
   /**
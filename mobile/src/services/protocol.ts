@@ -0,0 +1,130 @@
+/**
+ * Presence WebSocket protocol, mirrored from backend-wo-ts/src/ws/protocol.mjs.
+ * Keep PROTOCOL_VERSION and the message shapes in sync with the server.
+ */
+// 3: flips that arrive together come as one presence:updates frame
+export const PROTOCOL_VERSION = 3;
+
+export const ERROR_CODES = {
+  INVALID_JSON: 'invalid_json',
+  INVALID_MESSAGE: 'invalid_message',
+  UNKNOWN_TYPE: 'unknown_type',
+  UNSUPPORTED_PROTOCOL: 'unsupported_protocol',
+  UNAUTHENTICATED: 'unauthenticated',
+  AUTH_FAILED: 'auth_failed',
+  RATE_LIMITED: 'rate_limited',
+  NOT_FOUND: 'not_found',
+  LIMIT_EXCEEDED: 'limit_exceeded',
+  SERVER_BUSY: 'server_busy',
+  INTERNAL: 'internal_error',
+} as const;
+
+export type ErrorCode = (typeof ERROR_CODES)[keyof typeof ERROR_CODES];
+
+export const CLOSE_CODES = {
+  UNSUPPORTED_PROTOCOL: 4001,
+  DISCONNECTED: 4002, // closed by an operator; reconnecting is fine
+  SERVER_BUSY: 4003, // auth not admitted; reason "retry_after=<ms>"
+} as const;
+
+export type UserStatus = 'available' | 'away' | 'busy' | 'dnd' | 'invisible';
+export type ActivityKind = 'typing' | 'in_call' | 'viewing_profile';
+export type ActivityPingState = 'active' | 'background';
+
+// ---- Client -> server ----
+export type ClientMessage =
+  | {
+      type: 'auth';
+      token: string;
+      protocolVersion: number;
+      deviceId?: string;
+      platform?: string;
+      locale?: string; // language of presenceLabel in snapshots
+    }
+  // versions: last presence version seen per email (resume; unchanged ones come back in `unchanged`)
+  | { type: 'presence:focus'; emails: string[]; versions?: Record<string, number> }
+  | { type: 'presence:blur'; emails: string[] }
+  // Whole group: group:focus:ok, then group:update / group:snapshot / group:removed
+  | { type: 'group:focus'; groupId: string }
+  | { type: 'group:blur'; groupId: string }
+  | {
+      type: 'status:set';
+      status: UserStatus;
+      message?: string | null;
+      expiresAt?: number | null;
+      expiresInSeconds?: number | null;
+    }
+  | { type: 'activity'; kind: ActivityKind; context?: string | null; active?: boolean; ttlMs?: number }
+  // Real user activity: refreshes lastActiveAt (server-throttled); 'background' may flip you idle
+  | { type: 'activity:ping'; state?: ActivityPingState }
+  // Handled `delivery` messages; unacked ones are sent again on the next auth
+  | { type: 'delivery:ack'; ids: string[] }
+  | { type: 'ping' };
+
+// ---- Server -> client ----
+// auth:ok `reconnect`: wait random(0, min(maxDelayMs, baseDelayMs * 2^attempt)) before each retry
+export interface ReconnectPolicy {
+  baseDelayMs: number;
+  maxDelayMs: number;
+  jitter?: 'full';
+}
+
+export interface ServerError {
+  type: 'error';
+  code: ErrorCode;
+  message: string;
+  requestType?: string;
+  supported?: { min: number; max: number };
+  retryAfter?: number; // rate_limited: ms until the request would be accepted
+  groupId?: string; // group:focus errors
+}
+
+export type PresenceBucket =
+  | 'online_now'
+  | 'active_10s'
+  | 'active_1m'
+  | 'active_5m'
+  | 'active_15m'
+  | 'active_1h'
+  | 'active_today'
+  | 'inactive'
+  | 'unknown';
+
+export interface GroupMemberPresence {
+  email: string;
+  online: boolean | null; // null: hidden from you
+  idle?: boolean | null; // online but inactive for a while
+  lastActiveAt: number | null;
+  bucket: PresenceBucket;
+  presenceLabel?: string | null; // "Active 3m ago"; snapshots only
+  status: UserStatus | null;
+  statusMessage: string | null;
+  statusExpiresAt: number | null;
+  version?: number | null;
+}
+
+// group:focus:ok and group:snapshot (after membership changes)
+export interface GroupSummary {
+  type: 'group:focus:ok' | 'group:snapshot';
+  groupId: string;
+  total: number;
+  counts: Record<PresenceBucket, number>;
+  onlineCount: number;
+  online: GroupMemberPresence[]; // first page; GET /groups/:id/presence?cursor= for more
+  nextCursor: string | null;
+}
+
+// A message from POST /deliver; may arrive more than once until acked
+export interface Delivery {
+  type: 'delivery';
+  id: string;
+  payload: unknown;
+  createdAt: number;
+  expiresAt: number;
+}
+
+export interface GroupUpdate extends GroupMemberPresence {
+  type: 'group:update';
+  groupId: string;
+  onlineCount: number;
+}